@@ -0,0 +1,191 @@
+const MySQLMate = require('../index');
+const { PoolExhaustedError, QueryTimeoutError, ShutdownError } = require('../lib/errors');
+
+jest.mock('mysql2/promise', () => ({
+  createPool: jest.fn(() => ({
+    execute: jest.fn().mockResolvedValue([[], []]),
+    query: jest.fn(),
+    getConnection: jest.fn(),
+    end: jest.fn().mockResolvedValue(),
+    on: jest.fn()
+  }))
+}));
+
+let threadId = 0;
+
+function createConnection() {
+  return {
+    threadId: ++threadId,
+    execute: jest.fn().mockResolvedValue([[{ ok: 1 }], []]),
+    query: jest.fn().mockResolvedValue([[], []]),
+    beginTransaction: jest.fn().mockResolvedValue(),
+    commit: jest.fn().mockResolvedValue(),
+    rollback: jest.fn().mockResolvedValue(),
+    release: jest.fn(),
+    destroy: jest.fn()
+  };
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Acquisition queue', () => {
+  let db;
+  let connections;
+
+  const createDb = (acquisition = true, config = {}) => {
+    db = new MySQLMate({
+      host: 'localhost',
+      database: 'test_db',
+      connectionLimit: 1,
+      processSignals: false,
+      logger: { level: 'silent', isDev: false },
+      acquisition,
+      ...config
+    });
+    connections = [];
+    db.pool.getConnection.mockImplementation(async () => {
+      const connection = createConnection();
+      connections.push(connection);
+      return connection;
+    });
+    return db;
+  };
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  test('serves waiting requests by priority, then in arrival order', async () => {
+    createDb();
+    const held = await db.getConnection();
+    const order = [];
+
+    const waits = [
+      db.getConnection({ priority: 'low' }).then((c) => { order.push('low'); c.release(); }),
+      db.getConnection().then((c) => { order.push('normal 1'); c.release(); }),
+      db.transaction(async () => { order.push('transaction'); }),
+      db.getConnection().then((c) => { order.push('normal 2'); c.release(); })
+    ];
+    await flush();
+    expect(db.getMetrics().acquisition).toMatchObject({ inUse: 1, waiting: 4, exhausted: true });
+
+    held.release();
+    await Promise.all(waits);
+
+    expect(order).toEqual(['transaction', 'normal 1', 'normal 2', 'low']);
+    expect(db.getMetrics().acquisition).toMatchObject({ inUse: 0, waiting: 0, queued: 4, peakWaiting: 4 });
+    expect(connections[0].release).toHaveBeenCalledTimes(1);
+  });
+
+  test('runs queries on queued connections and reports exhaustion and recovery', async () => {
+    createDb();
+    const exhausted = jest.fn();
+    const recovered = jest.fn();
+    db.on('poolExhausted', exhausted);
+    db.on('poolRecovered', recovered);
+
+    const held = await db.getConnection();
+    const query = db.query('SELECT 1');
+    await flush();
+    expect(exhausted).toHaveBeenCalledWith({ waiting: 1, inUse: 1, limit: 1 });
+
+    held.release();
+    const [rows] = await query;
+
+    expect(rows).toEqual([{ ok: 1 }]);
+    expect(connections[1].execute).toHaveBeenCalledWith('SELECT 1', []);
+    expect(connections[1].release).toHaveBeenCalled();
+    expect(db.pool.execute).not.toHaveBeenCalled();
+    expect(recovered).toHaveBeenCalledWith({ duration: expect.any(Number) });
+    expect(db.getMetrics().poolWaitTime.count).toBe(2);
+  });
+
+  test('runs the slow query log EXPLAIN on a queued connection', async () => {
+    createDb(true, { slowQuery: { threshold: 0, explain: true } });
+    const recorded = new Promise(resolve => db.once('slowQuery', resolve));
+
+    const held = await db.getConnection();
+    const query = db.query('SELECT * FROM users');
+    await flush();
+    held.release();
+    await query;
+    await recorded;
+
+    expect(connections[1].execute).toHaveBeenCalledWith('SELECT * FROM users', []);
+    expect(connections[2].execute).toHaveBeenCalledWith('EXPLAIN FORMAT=JSON SELECT * FROM users', []);
+    expect(connections[2].release).toHaveBeenCalled();
+    expect(db.pool.execute).not.toHaveBeenCalled();
+    expect(db.getMetrics().acquisition).toMatchObject({ inUse: 0, waiting: 0 });
+    expect(db.getMetrics().poolWaitTime.count).toBe(3);
+  });
+
+  test('rejects with PoolExhaustedError when the queue is full or the wait times out', async () => {
+    createDb({ maxWaiting: 1, waitTimeout: 20 });
+    const held = await db.getConnection();
+
+    const waiting = db.getConnection();
+    const full = await db.getConnection().catch(e => e);
+    const timedOut = await waiting.catch(e => e);
+
+    expect(full).toBeInstanceOf(PoolExhaustedError);
+    expect(full).toMatchObject({ code: 'POOL_QUEUE_FULL', retryable: true, waiting: 1, limit: 1 });
+    expect(timedOut).toMatchObject({ code: 'ACQUIRE_TIMEOUT', message: 'Timed out after 20ms waiting for a connection' });
+    expect(db.getMetrics().acquisition).toMatchObject({ rejected: 1, timeouts: 1, waiting: 0 });
+    held.release();
+  });
+
+  test('leaves the queue when the caller times out and reports the recovery', async () => {
+    createDb();
+    const recovered = jest.fn();
+    db.on('poolRecovered', recovered);
+    const held = await db.getConnection();
+
+    await expect(db.query('SELECT 1', [], { timeout: 20 })).rejects.toThrow(QueryTimeoutError);
+
+    expect(db.getMetrics().acquisition).toMatchObject({ waiting: 0, exhausted: false });
+    expect(recovered).toHaveBeenCalledWith({ duration: expect.any(Number) });
+    held.release();
+    expect(db.getMetrics().acquisition.inUse).toBe(0);
+    expect(db.pool.getConnection).toHaveBeenCalledTimes(1);
+  });
+
+  test('reports connections from getConnection() held past leakTimeout with the caller stack', async () => {
+    createDb({ leakTimeout: 20 }, { connectionLimit: 2 });
+    const leak = jest.fn();
+    db.on('connectionLeak', leak);
+
+    const connection = await db.getConnection();
+    await db.transaction(async () => {});
+    await sleep(40);
+
+    expect(leak).toHaveBeenCalledTimes(1);
+    expect(leak.mock.calls[0][0]).toMatchObject({ threadId: connection.threadId, heldFor: expect.any(Number) });
+    expect(leak.mock.calls[0][0].stack[0]).toContain('acquisitionQueue.test.js');
+    expect(db.getMetrics().acquisition).toMatchObject({ leaks: 1, checkedOut: 1 });
+
+    connection.release();
+    connection.release();
+    expect(db.getMetrics().acquisition).toMatchObject({ inUse: 0, checkedOut: 0 });
+  });
+
+  test('rejects waiting requests on close', async () => {
+    createDb();
+    await db.getConnection();
+    const waiting = db.getConnection().catch(e => e);
+
+    await db.close();
+
+    expect(await waiting).toBeInstanceOf(ShutdownError);
+  });
+
+  test('validates the options', async () => {
+    expect(() => createDb({ maxWaiting: -1 })).toThrow('acquisition.maxWaiting must be a non-negative integer or null');
+    expect(() => createDb({ leakTimeout: 0 })).toThrow('acquisition.leakTimeout must be a positive integer or null');
+    expect(() => createDb({ queueLimit: 5 })).toThrow('Unknown acquisition options: queueLimit');
+
+    createDb();
+    await expect(db.getConnection({ priority: 'urgent' })).rejects.toThrow('priority must be one of: high, normal, low');
+    await expect(db.getConnection({ timeout: 5 })).rejects.toThrow('Unknown getConnection options: timeout');
+  });
+});
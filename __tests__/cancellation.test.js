@@ -0,0 +1,205 @@
+const mysql = require('mysql2/promise');
+const MySQLMate = require('../index');
+const { QueryTimeoutError, QueryAbortedError } = require('../lib/errors');
+
+jest.mock('mysql2/promise', () => ({
+  createPool: jest.fn(() => ({
+    execute: jest.fn().mockResolvedValue([[], []]),
+    query: jest.fn(),
+    getConnection: jest.fn(),
+    end: jest.fn().mockResolvedValue(),
+    on: jest.fn()
+  })),
+  createConnection: jest.fn()
+}));
+
+// Connection whose statements hang until KILL QUERY is sent for its thread id
+function createConnection(threadId, kills) {
+  const running = [];
+  const connection = {
+    threadId,
+    execute: jest.fn((sql) => {
+      if (sql.startsWith('SLEEP')) {
+        return new Promise((resolve, reject) => running.push(reject));
+      }
+      return Promise.resolve([[], []]);
+    }),
+    query: jest.fn().mockResolvedValue([[], []]),
+    beginTransaction: jest.fn().mockResolvedValue(),
+    commit: jest.fn().mockResolvedValue(),
+    rollback: jest.fn().mockResolvedValue(),
+    release: jest.fn(),
+    destroy: jest.fn()
+  };
+  kills.set(threadId, () => {
+    running.splice(0).forEach(reject => reject(Object.assign(new Error('Query execution was interrupted'), { code: 'ER_QUERY_INTERRUPTED' })));
+  });
+  return connection;
+}
+
+describe('Query timeouts and cancellation', () => {
+  let db;
+  let connection;
+  let kills;
+  let kill;
+
+  beforeEach(() => {
+    db = new MySQLMate({
+      host: 'localhost',
+      database: 'test_db',
+      logger: { level: 'silent', isDev: false }
+    });
+    kills = new Map();
+    // KILL QUERY arrives on a connection of its own, outside the pool
+    kill = jest.fn(async (sql) => {
+      const threadId = Number(sql.replace('KILL QUERY ', ''));
+      kills.get(threadId)();
+      return [{ affectedRows: 0 }];
+    });
+    mysql.createConnection.mockImplementation(async () => ({ query: kill, end: jest.fn().mockResolvedValue() }));
+    connection = createConnection(42, kills);
+    db.pool.getConnection.mockResolvedValue(connection);
+  });
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  // Let the connection release that follows a kill run
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  test('should kill the query and reject with QueryTimeoutError when the timeout expires', async () => {
+    const error = await db.query('SLEEP 10', [], { timeout: 20 }).catch(e => e);
+
+    expect(error).toBeInstanceOf(QueryTimeoutError);
+    expect(error).toMatchObject({ code: 'QUERY_TIMEOUT', timeout: 20, message: 'Query timed out after 20ms' });
+    expect(kill).toHaveBeenCalledWith('KILL QUERY 42');
+
+    await flush();
+    expect(connection.release).toHaveBeenCalled();
+    expect(db.getMetrics().timeouts).toBe(1);
+    expect(db.activeOperations.size).toBe(0);
+  });
+
+  test('should send KILL QUERY from a new connection while the pool is exhausted', async () => {
+    await db.close();
+    db = new MySQLMate({
+      host: 'localhost',
+      database: 'test_db',
+      connectionLimit: 1,
+      logger: { level: 'silent', isDev: false },
+      acquisition: true
+    });
+    db.pool.getConnection.mockResolvedValue(connection);
+
+    await expect(db.query('SLEEP 10', [], { timeout: 20 })).rejects.toThrow(QueryTimeoutError);
+    await flush();
+
+    expect(mysql.createConnection).toHaveBeenCalledWith(expect.objectContaining({ host: 'localhost', database: 'test_db' }));
+    expect(kill).toHaveBeenCalledWith('KILL QUERY 42');
+    expect(db.pool.getConnection).toHaveBeenCalledTimes(1);
+    expect(connection.release).toHaveBeenCalled();
+    expect(db.getMetrics().acquisition.inUse).toBe(0);
+  });
+
+  test('should not retry a timed out query', async () => {
+    await expect(db.query('SLEEP 10', [], { timeout: 20, maxRetries: 3 })).rejects.toThrow(QueryTimeoutError);
+    expect(connection.execute).toHaveBeenCalledTimes(1);
+  });
+
+  test('should run on a dedicated connection and release it when the query finishes in time', async () => {
+    await db.query('SELECT 1', [], { timeout: 1000 });
+
+    expect(connection.execute).toHaveBeenCalledWith('SELECT 1', []);
+    expect(connection.release).toHaveBeenCalled();
+    expect(db.pool.execute).not.toHaveBeenCalled();
+    expect(kill).not.toHaveBeenCalled();
+  });
+
+  test('should abort through an AbortSignal', async () => {
+    const controller = new AbortController();
+    const pending = db.query('SLEEP 10', [], { signal: controller.signal });
+    setTimeout(() => controller.abort(), 10);
+
+    const error = await pending.catch(e => e);
+    expect(error).toBeInstanceOf(QueryAbortedError);
+    expect(error.code).toBe('QUERY_ABORTED');
+    expect(kill).toHaveBeenCalledWith('KILL QUERY 42');
+  });
+
+  test('should reject immediately for an already aborted signal', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(db.query('SELECT 1', [], { signal: controller.signal })).rejects.toThrow(QueryAbortedError);
+    expect(db.pool.getConnection).not.toHaveBeenCalled();
+  });
+
+  test('should destroy the connection when KILL QUERY fails', async () => {
+    kill.mockImplementation(async () => {
+      kills.get(42)();
+      throw new Error('access denied');
+    });
+
+    await expect(db.query('SLEEP 10', [], { timeout: 20 })).rejects.toThrow(QueryTimeoutError);
+    await flush();
+    expect(connection.destroy).toHaveBeenCalled();
+    expect(connection.release).not.toHaveBeenCalled();
+  });
+
+  test('should reject invalid timeouts', async () => {
+    await expect(db.query('SELECT 1', [], { timeout: -5 })).rejects.toThrow('Timeout must be a positive number of milliseconds');
+  });
+
+  test('should time out a transaction, kill its statement and roll back', async () => {
+    const afterTimeout = jest.fn();
+    const error = await db.transaction(async () => {
+      await db.query('SLEEP 10').catch(() => {});
+      await db.query('INSERT INTO audit (id) VALUES (1)').then(afterTimeout, () => {});
+    }, { timeout: 20 }).catch(e => e);
+
+    expect(error).toBeInstanceOf(QueryTimeoutError);
+    expect(kill).toHaveBeenCalledWith('KILL QUERY 42');
+    expect(connection.rollback).toHaveBeenCalled();
+    expect(connection.commit).not.toHaveBeenCalled();
+
+    await flush();
+    expect(afterTimeout).not.toHaveBeenCalled();
+    expect(connection.execute).toHaveBeenCalledTimes(1);
+  });
+
+  test('should reject timeouts on nested transactions', async () => {
+    await expect(db.transaction(() => db.transaction(async () => {}, { timeout: 10 })))
+      .rejects.toThrow('Timeout and signal can only be set on the outermost transaction');
+  });
+
+  test('should apply the multiQuery timeout to the whole batch', async () => {
+    const error = await db.multiQuery([
+      { sql: 'SELECT 1' },
+      { sql: 'SLEEP 10' },
+      { sql: 'SELECT 2' }
+    ], { timeout: 20 }).catch(e => e);
+
+    expect(error.results.map(result => result.index)).toEqual([0]);
+    expect(error.errors.map(({ index, error: e }) => [index, e.code])).toEqual([
+      [1, 'QUERY_TIMEOUT'],
+      [2, 'QUERY_TIMEOUT']
+    ]);
+    expect(error.errors[0].error.timeout).toBe(20);
+  });
+
+  test('gracefulShutdown should abort in-flight work after its timeout', async () => {
+    db.pool.execute.mockReturnValueOnce(new Promise(() => {}));
+    const running = db.transaction(() => db.query('SLEEP 10')).catch(e => e);
+    const plain = db.query('SELECT SLEEP(10)').catch(e => e);
+    await flush();
+
+    await db.gracefulShutdown(50);
+
+    expect((await running).message).toBe('Operation aborted by graceful shutdown');
+    expect(await plain).toBeInstanceOf(QueryAbortedError);
+    expect(connection.rollback).toHaveBeenCalled();
+    expect(db.activeOperations.size).toBe(0);
+    expect(db.pool.end).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,192 @@
+const MySQLMate = require('../index');
+const {
+  MySQLMateError,
+  ConnectionError,
+  QueryError,
+  DuplicateKeyError,
+  ForeignKeyError,
+  DeadlockError,
+  LockWaitTimeoutError,
+  QueryTimeoutError,
+  QueryAbortedError,
+  ShutdownError,
+  ValidationError,
+  MultiQueryError,
+  toMySQLMateError
+} = require('../lib/errors');
+
+jest.mock('mysql2/promise', () => ({
+  createPool: jest.fn(() => ({
+    execute: jest.fn().mockResolvedValue([[], []]),
+    getConnection: jest.fn(),
+    end: jest.fn().mockResolvedValue(),
+    on: jest.fn()
+  }))
+}));
+
+// Shape of errors raised by mysql2
+function driverError(code, errno, sqlState, message) {
+  return Object.assign(new Error(message), { code, errno, sqlState, sqlMessage: message });
+}
+
+describe('Errors', () => {
+  let db;
+
+  beforeEach(() => {
+    db = new MySQLMate({
+      host: 'localhost',
+      database: 'test_db',
+      logger: { level: 'silent', isDev: false },
+      retryDelay: 1
+    });
+  });
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  test('should map MySQL error codes to error classes', () => {
+    const cases = [
+      [driverError('ER_DUP_ENTRY', 1062, '23000', "Duplicate entry 'a@b.c' for key 'users.email'"), DuplicateKeyError, false],
+      [driverError('ER_NO_REFERENCED_ROW_2', 1452, '23000', 'Cannot add or update a child row'), ForeignKeyError, false],
+      [driverError('ER_ROW_IS_REFERENCED_2', 1451, '23000', 'Cannot delete or update a parent row'), ForeignKeyError, false],
+      [driverError('ER_LOCK_DEADLOCK', 1213, '40001', 'Deadlock found'), DeadlockError, true],
+      [driverError('ER_LOCK_WAIT_TIMEOUT', 1205, 'HY000', 'Lock wait timeout exceeded'), LockWaitTimeoutError, true],
+      [driverError('ER_QUERY_TIMEOUT', 3024, 'HY000', 'Query execution was interrupted, maximum statement execution time exceeded'), QueryTimeoutError, false],
+      [driverError('ER_QUERY_INTERRUPTED', 1317, '70100', 'Query execution was interrupted'), QueryAbortedError, false],
+      [driverError('ER_PARSE_ERROR', 1064, '42000', 'You have an error in your SQL syntax'), QueryError, false],
+      [Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED', errno: -111 }), ConnectionError, true],
+      [Object.assign(new Error('Connection lost'), { code: 'PROTOCOL_CONNECTION_LOST', fatal: true }), ConnectionError, true],
+      [driverError('ER_ACCESS_DENIED_ERROR', 1045, '28000', 'Access denied'), ConnectionError, false]
+    ];
+
+    for (const [error, ErrorClass, retryable] of cases) {
+      const mapped = toMySQLMateError(error, { sql: "SELECT * FROM users WHERE email = 'a@b.c'" });
+      expect(mapped).toBeInstanceOf(ErrorClass);
+      expect(mapped).toBeInstanceOf(MySQLMateError);
+      expect(mapped).toMatchObject({
+        name: ErrorClass.name,
+        message: error.message,
+        code: error.code,
+        errno: error.errno,
+        sqlState: error.sqlState,
+        retryable,
+        fingerprint: 'select * from users where email = ?',
+        cause: error
+      });
+    }
+  });
+
+  test('should extract the key of duplicate entries', () => {
+    const error = toMySQLMateError(driverError('ER_DUP_ENTRY', 1062, '23000', "Duplicate entry 'a@b.c' for key 'users.email'"));
+    expect(error.key).toBe('users.email');
+  });
+
+  test('should leave application errors untouched', () => {
+    const error = new Error('insufficient funds');
+    expect(toMySQLMateError(error)).toBe(error);
+  });
+
+  test('should serialise without the cause or SQL literals', () => {
+    const error = toMySQLMateError(driverError('ER_DUP_ENTRY', 1062, '23000', 'Duplicate entry'), { sql: "INSERT INTO t VALUES ('secret')" });
+    expect(JSON.parse(JSON.stringify(error))).toEqual({
+      name: 'DuplicateKeyError',
+      message: 'Duplicate entry',
+      code: 'ER_DUP_ENTRY',
+      errno: 1062,
+      sqlState: '23000',
+      fingerprint: 'insert into t values (?)',
+      retryable: false
+    });
+  });
+
+  test('query() should reject with mapped errors', async () => {
+    db.pool.execute.mockRejectedValueOnce(driverError('ER_DUP_ENTRY', 1062, '23000', "Duplicate entry '1' for key 'PRIMARY'"));
+
+    const error = await db.query('INSERT INTO users (id) VALUES (?)', [1]).catch(e => e);
+    expect(error).toBeInstanceOf(DuplicateKeyError);
+    expect(error.fingerprint).toBe('insert into users (id) values (?)');
+  });
+
+  test('query() should keep retrying connection errors and reject with ConnectionError', async () => {
+    db.pool.execute.mockRejectedValue(Object.assign(new Error('Connection lost'), { code: 'PROTOCOL_CONNECTION_LOST', fatal: true }));
+
+    const error = await db.query('SELECT 1', [], { maxRetries: 2 }).catch(e => e);
+    expect(error).toBeInstanceOf(ConnectionError);
+    expect(db.pool.execute).toHaveBeenCalledTimes(3);
+  });
+
+  test('should raise ValidationError for invalid queries, parameters and policy violations', async () => {
+    await expect(db.query('')).rejects.toMatchObject({ name: 'ValidationError', code: 'INVALID_QUERY' });
+    await expect(db.query('SELECT :id', {})).rejects.toMatchObject({ code: 'INVALID_PARAMETERS' });
+    const error = await db.query('SELECT 1; DROP TABLE users').catch(e => e);
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.code).toBe('QUERY_POLICY_VIOLATION');
+  });
+
+  test('should raise ShutdownError during shutdown', async () => {
+    db.isShuttingDown = true;
+    await expect(db.query('SELECT 1')).rejects.toBeInstanceOf(ShutdownError);
+    await expect(db.transaction(async () => {})).rejects.toMatchObject({ code: 'SHUTTING_DOWN' });
+    await expect(db.getConnection()).rejects.toBeInstanceOf(ShutdownError);
+  });
+
+  test('multiQuery should raise MultiQueryError with results and errors', async () => {
+    db.pool.execute
+      .mockResolvedValueOnce([[{ id: 1 }], []])
+      .mockRejectedValueOnce(driverError('ER_NO_SUCH_TABLE', 1146, '42S02', "Table 'test_db.missing' doesn't exist"));
+
+    const error = await db.multiQuery([{ sql: 'SELECT 1' }, { sql: 'SELECT * FROM missing' }]).catch(e => e);
+    expect(error).toBeInstanceOf(MultiQueryError);
+    expect(error.message).toBe('1 of 2 queries failed');
+    expect(error.results).toHaveLength(1);
+    expect(error.errors[0].error).toBeInstanceOf(QueryError);
+  });
+
+  test('transaction() should map driver errors raised on the connection', async () => {
+    const connection = {
+      execute: jest.fn().mockRejectedValue(driverError('ER_LOCK_DEADLOCK', 1213, '40001', 'Deadlock found')),
+      beginTransaction: jest.fn().mockResolvedValue(),
+      commit: jest.fn().mockResolvedValue(),
+      rollback: jest.fn().mockResolvedValue(),
+      release: jest.fn()
+    };
+    db.pool.getConnection.mockResolvedValue(connection);
+
+    await expect(db.transaction(tx => tx.execute('UPDATE t SET a = 1'))).rejects.toBeInstanceOf(DeadlockError);
+    await expect(db.transaction(async () => { throw new RangeError('app'); })).rejects.toBeInstanceOf(RangeError);
+  });
+
+  test('transaction connections should throw the same typed errors as query()', async () => {
+    const duplicate = () => driverError('ER_DUP_ENTRY', 1062, '23000', "Duplicate entry 'a@b.c' for key 'users.email'");
+    const connection = {
+      execute: jest.fn().mockRejectedValue(duplicate()),
+      query: jest.fn().mockRejectedValue(duplicate()),
+      beginTransaction: jest.fn().mockResolvedValue(),
+      commit: jest.fn().mockResolvedValue(),
+      rollback: jest.fn().mockResolvedValue(),
+      release: jest.fn()
+    };
+    db.pool.getConnection.mockResolvedValue(connection);
+    db.pool.execute.mockRejectedValueOnce(duplicate());
+    const outside = await db.query('INSERT INTO users (email) VALUES (?)', ['a@b.c']).catch(e => e);
+
+    const inside = await db.transaction(async (tx) => {
+      const viaExecute = await tx.execute('INSERT INTO users (email) VALUES (:email)', { email: 'a@b.c' }).catch(e => e);
+      const viaQuery = await tx.query('INSERT INTO users (email) VALUES (?)', ['a@b.c']).catch(e => e);
+      return [viaExecute, viaQuery];
+    });
+
+    expect(outside).toBeInstanceOf(DuplicateKeyError);
+    for (const error of inside) {
+      expect(error).toBeInstanceOf(DuplicateKeyError);
+      expect(error).toMatchObject({ code: 'ER_DUP_ENTRY', fingerprint: outside.fingerprint });
+    }
+  });
+
+  test('should expose the error classes on the package export', () => {
+    expect(MySQLMate.DuplicateKeyError).toBe(DuplicateKeyError);
+    expect(MySQLMate.MySQLMateError).toBe(MySQLMateError);
+    expect(MySQLMate.toMySQLMateError).toBeUndefined();
+  });
+});
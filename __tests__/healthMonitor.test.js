@@ -0,0 +1,177 @@
+const mysql = require('mysql2/promise');
+const MySQLMate = require('../index');
+const { DatabaseUnavailableError } = require('../lib/errors');
+
+jest.mock('mysql2/promise', () => ({
+  createPool: jest.fn(() => ({
+    execute: jest.fn().mockResolvedValue([[], []]),
+    query: jest.fn().mockResolvedValue([[], []]),
+    getConnection: jest.fn(),
+    end: jest.fn().mockResolvedValue(),
+    on: jest.fn()
+  })),
+  createConnection: jest.fn()
+}));
+
+const refused = () => Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+
+describe('Health monitor', () => {
+  let db;
+
+  const createDb = (healthMonitor) => new MySQLMate({
+    host: 'localhost',
+    database: 'test_db',
+    processSignals: false,
+    healthMonitor,
+    logger: { level: 'silent', isDev: false }
+  });
+
+  beforeEach(() => {
+    mysql.createConnection.mockReset();
+    mysql.createConnection.mockImplementation(async () => ({
+      query: jest.fn().mockResolvedValue([[{ health_check: 1 }], []]),
+      end: jest.fn().mockResolvedValue(),
+      destroy: jest.fn()
+    }));
+    db = createDb({ interval: 60000, downAfter: 2, recreateAfter: 3 });
+  });
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  test('moves through degraded and down and back to healthy', async () => {
+    const changes = [];
+    db.on('healthChange', ({ state, previous }) => changes.push(`${previous}->${state}`));
+    mysql.createConnection.mockRejectedValueOnce(refused()).mockRejectedValueOnce(refused());
+
+    await db._healthcheck();
+    expect(db.healthMonitor.state).toBe('degraded');
+    await db._healthcheck();
+    expect(db.healthMonitor.status()).toMatchObject({ state: 'down', consecutiveFailures: 2, lastError: 'connect ECONNREFUSED' });
+    await db._healthcheck();
+
+    expect(changes).toEqual(['healthy->degraded', 'degraded->down', 'down->healthy']);
+    expect(db.healthMonitor.consecutiveFailures).toBe(0);
+  });
+
+  test('fails fast while down instead of waiting for a connection', async () => {
+    const connect = mysql.createConnection.getMockImplementation();
+    mysql.createConnection.mockRejectedValue(refused());
+    await db._healthcheck();
+    await db._healthcheck();
+
+    await expect(db.query('SELECT 1')).rejects.toBeInstanceOf(DatabaseUnavailableError);
+    await expect(db.getConnection()).rejects.toMatchObject({ code: 'DATABASE_DOWN', retryable: true });
+    await expect(db.transaction(async () => {})).rejects.toBeInstanceOf(DatabaseUnavailableError);
+    expect(db.pool.execute).not.toHaveBeenCalled();
+    expect(db.pool.getConnection).not.toHaveBeenCalled();
+
+    mysql.createConnection.mockImplementation(connect);
+    await db._healthcheck();
+    await expect(db.query('SELECT 1')).resolves.toEqual([[], []]);
+  });
+
+  test('recreates the pool after repeated failures', async () => {
+    const onRecreated = jest.fn();
+    db.on('poolRecreated', onRecreated);
+    const original = db.pool;
+    const connect = mysql.createConnection.getMockImplementation();
+    mysql.createConnection.mockRejectedValue(refused());
+
+    for (let i = 0; i < 3; i++) await db._healthcheck();
+
+    expect(db.pool).not.toBe(original);
+    expect(db.router.primary.pool).toBe(db.pool);
+    expect(original.end).toHaveBeenCalled();
+    expect(mysql.createPool).toHaveBeenLastCalledWith(db.config);
+    expect(onRecreated).toHaveBeenCalledWith({ consecutiveFailures: 3 });
+
+    mysql.createConnection.mockImplementation(connect);
+    await db._healthcheck();
+    expect(db.healthMonitor.status()).toMatchObject({ state: 'healthy', recreations: 1 });
+  });
+
+  test('does not count a saturated pool as failed pings', async () => {
+    await db.close();
+    db = new MySQLMate({
+      host: 'localhost',
+      database: 'test_db',
+      processSignals: false,
+      connectionLimit: 1,
+      acquisition: true,
+      healthMonitor: { interval: 60000, timeout: 20, downAfter: 1 },
+      logger: { level: 'silent', isDev: false }
+    });
+    const onRecreated = jest.fn();
+    db.on('poolRecreated', onRecreated);
+    const held = { release: jest.fn() };
+    db.pool.getConnection.mockResolvedValueOnce(held).mockReturnValue(new Promise(() => {}));
+    db.pool.query.mockReturnValue(new Promise(() => {}));
+
+    const connection = await db.getConnection();
+    for (let i = 0; i < 3; i++) await db._healthcheck();
+
+    expect(db.healthMonitor.status()).toMatchObject({ state: 'healthy', consecutiveFailures: 0 });
+    expect(onRecreated).not.toHaveBeenCalled();
+    expect(mysql.createConnection).toHaveBeenCalledTimes(3);
+    connection.release();
+  });
+
+  test('treats a slow ping as a failure', async () => {
+    await db.close();
+    db = createDb({ timeout: 5 });
+    mysql.createConnection.mockReturnValue(new Promise(() => {}));
+
+    const health = await db.healthcheck();
+
+    expect(health).toMatchObject({ status: 'unhealthy', state: 'degraded', error: 'Query timed out after 5ms' });
+  });
+
+  test('reports readiness and liveness for probes', async () => {
+    expect(db.liveness()).toEqual({ alive: true, statusCode: 200, state: 'healthy' });
+    await expect(db.readiness()).resolves.toEqual({ ready: true, statusCode: 200, state: 'healthy' });
+
+    mysql.createConnection.mockRejectedValue(refused());
+    await db._healthcheck();
+    await db._healthcheck();
+
+    await expect(db.readiness()).resolves.toEqual({ ready: false, statusCode: 503, state: 'down', reason: 'database_down' });
+    expect(db.liveness()).toMatchObject({ alive: true, state: 'down' });
+
+    await db.close();
+    expect(db.liveness()).toMatchObject({ alive: false, statusCode: 503 });
+    await expect(db.readiness()).resolves.toMatchObject({ ready: false, reason: 'closed' });
+  });
+
+  test('schedules checks on the interval until closed', async () => {
+    jest.useFakeTimers();
+    try {
+      await db.close();
+      db = createDb({ interval: 1000 });
+
+      await jest.advanceTimersByTimeAsync(3000);
+      expect(mysql.createConnection).toHaveBeenCalledTimes(3);
+
+      await db.close();
+      await jest.advanceTimersByTimeAsync(3000);
+      expect(mysql.createConnection).toHaveBeenCalledTimes(3);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('exposes the state in metrics', async () => {
+    mysql.createConnection.mockRejectedValueOnce(refused());
+    await db._healthcheck();
+
+    expect(db.getMetrics().health).toMatchObject({ state: 'degraded', consecutiveFailures: 1 });
+    expect(db.getPrometheusMetrics()).toContain('mysqlmate_health_state{state="degraded"} 1');
+  });
+
+  test('validates the options', () => {
+    expect(() => createDb({ interval: 0 })).toThrow('healthMonitor.interval must be a positive integer');
+    expect(() => createDb({ degradedAfter: 3, downAfter: 2 })).toThrow('healthMonitor.downAfter must not be lower than degradedAfter');
+    expect(() => createDb({ retries: 1 })).toThrow('Unknown healthMonitor options: retries');
+  });
+});
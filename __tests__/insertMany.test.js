@@ -0,0 +1,122 @@
+const MySQLMate = require('../index');
+const { chunkRows, MAX_PLACEHOLDERS } = require('../lib/bulkInsert');
+
+jest.mock('mysql2/promise', () => ({
+  createPool: jest.fn(() => ({
+    execute: jest.fn(),
+    getConnection: jest.fn(),
+    end: jest.fn().mockResolvedValue(),
+    on: jest.fn()
+  }))
+}));
+
+const users = (count) => Array.from({ length: count }, (_, index) => ({ id: index + 1, name: `user-${index + 1}` }));
+
+describe('insertMany', () => {
+  let db;
+  let nextId;
+
+  beforeEach(() => {
+    db = new MySQLMate({
+      host: 'localhost',
+      database: 'test_db',
+      logger: { level: 'silent', isDev: false }
+    });
+    nextId = 100;
+    db.pool.execute.mockImplementation(async (sql, params) => {
+      const rows = params.length / 2;
+      const header = { affectedRows: rows, insertId: nextId, warningStatus: 0 };
+      nextId += rows;
+      return [header, undefined];
+    });
+  });
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  test('should insert rows in chunks and aggregate the results', async () => {
+    const result = await db.insertMany('users', users(5), { chunkSize: 2 });
+
+    expect(db.pool.execute).toHaveBeenCalledTimes(3);
+    expect(db.pool.execute.mock.calls[0]).toEqual([
+      'INSERT INTO `users` (`id`, `name`) VALUES (?, ?), (?, ?)',
+      [1, 'user-1', 2, 'user-2']
+    ]);
+    expect(result).toEqual({
+      rows: 5,
+      affectedRows: 5,
+      chunks: [
+        { index: 0, offset: 0, rows: 2, affectedRows: 2, insertId: 100, warningStatus: 0 },
+        { index: 1, offset: 2, rows: 2, affectedRows: 2, insertId: 102, warningStatus: 0 },
+        { index: 2, offset: 4, rows: 1, affectedRows: 1, insertId: 104, warningStatus: 0 }
+      ]
+    });
+  });
+
+  test('should support INSERT IGNORE and ON DUPLICATE KEY UPDATE', async () => {
+    await db.insertMany('users', users(1), { ignore: true });
+    await db.insertMany('users', users(1), { onDuplicate: 'update' });
+    await db.insertMany('users', users(1), { onDuplicate: ['name'] });
+
+    expect(db.pool.execute.mock.calls.map(([sql]) => sql)).toEqual([
+      'INSERT IGNORE INTO `users` (`id`, `name`) VALUES (?, ?)',
+      'INSERT INTO `users` (`id`, `name`) VALUES (?, ?) ON DUPLICATE KEY UPDATE `id` = VALUES(`id`), `name` = VALUES(`name`)',
+      'INSERT INTO `users` (`id`, `name`) VALUES (?, ?) ON DUPLICATE KEY UPDATE `name` = VALUES(`name`)'
+    ]);
+    await expect(db.insertMany('users', users(1), { ignore: true, onDuplicate: 'update' }))
+      .rejects.toThrow('insertMany cannot combine ignore with onDuplicate');
+  });
+
+  test('should validate rows and escape identifiers', async () => {
+    await expect(db.insertMany('users', [])).rejects.toThrow('insertMany requires a non-empty array of rows');
+    await expect(db.insertMany('users', [{ id: 1 }, { id: 2, name: 'x' }]))
+      .rejects.toThrow('insertMany row 1 has different columns than row 0');
+    await expect(db.insertMany('users', [{ id: 1 }, 'x'])).rejects.toThrow('insertMany row 1 is not an object');
+    expect(db.pool.execute).not.toHaveBeenCalled();
+
+    await db.insertMany('odd`table', [{ 'weird`col': 1 }]);
+    expect(db.pool.execute.mock.calls[0][0]).toBe('INSERT INTO `odd``table` (`weird``col`) VALUES (?)');
+  });
+
+  test('should split chunks by estimated size and placeholder limit', () => {
+    const rows = [{ body: 'a'.repeat(600) }, { body: 'b'.repeat(600) }, { body: 'c' }];
+    expect(chunkRows(rows, ['body'], { chunkSize: 100, maxChunkBytes: 1000 }).map(chunk => chunk.length)).toEqual([1, 2]);
+
+    const wide = Array.from({ length: 3 }, () => Object.fromEntries(
+      Array.from({ length: 30000 }, (_, index) => [`c${index}`, 1])
+    ));
+    const chunks = chunkRows(wide, Object.keys(wide[0]), { chunkSize: 1000, maxChunkBytes: Infinity });
+    expect(chunks.map(chunk => chunk.length)).toEqual([2, 1]);
+    expect(chunks[0].length * 30000).toBeLessThanOrEqual(MAX_PLACEHOLDERS);
+  });
+
+  test('should report completed chunks when a chunk fails', async () => {
+    db.pool.execute
+      .mockResolvedValueOnce([{ affectedRows: 2, insertId: 1 }])
+      .mockRejectedValueOnce(Object.assign(new Error('Duplicate entry'), { code: 'ER_DUP_ENTRY' }));
+
+    const error = await db.insertMany('users', users(4), { chunkSize: 2 }).catch(e => e);
+    expect(error.message).toBe('Duplicate entry');
+    expect(error.chunk).toEqual({ index: 1, offset: 2, rows: 2 });
+    expect(error.results).toHaveLength(1);
+  });
+
+  test('should run all chunks in one transaction when requested', async () => {
+    const connection = {
+      execute: jest.fn(async (sql, params) => [{ affectedRows: params.length / 2, insertId: 1 }]),
+      beginTransaction: jest.fn().mockResolvedValue(),
+      commit: jest.fn().mockResolvedValue(),
+      rollback: jest.fn().mockResolvedValue(),
+      release: jest.fn()
+    };
+    db.pool.getConnection.mockResolvedValue(connection);
+
+    const result = await db.insertMany('users', users(3), { chunkSize: 2, transaction: true });
+
+    expect(result.affectedRows).toBe(3);
+    expect(connection.execute).toHaveBeenCalledTimes(2);
+    expect(connection.commit).toHaveBeenCalledTimes(1);
+    expect(db.pool.execute).not.toHaveBeenCalled();
+  });
+});
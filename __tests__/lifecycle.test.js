@@ -0,0 +1,185 @@
+const MySQLMate = require('../index');
+const { ValidationError } = require('../lib/errors');
+
+jest.mock('mysql2/promise', () => ({
+  createPool: jest.fn(() => ({
+    execute: jest.fn().mockResolvedValue([[], []]),
+    query: jest.fn(),
+    getConnection: jest.fn(),
+    end: jest.fn().mockResolvedValue(),
+    on: jest.fn()
+  }))
+}));
+
+const config = (options = {}) => ({
+  host: 'localhost',
+  user: 'test',
+  password: 'test',
+  database: 'test_db',
+  logger: { level: 'silent', isDev: false },
+  ...options
+});
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Process signal handling', () => {
+  let instances;
+  let baseline;
+
+  const create = (options) => {
+    const db = new MySQLMate(config(options));
+    instances.push(db);
+    return db;
+  };
+
+  beforeEach(() => {
+    instances = [];
+    baseline = process.listenerCount('SIGTERM');
+  });
+
+  afterEach(async () => {
+    await Promise.all(instances.map(db => db.close()));
+    jest.restoreAllMocks();
+  });
+
+  test('installs a single listener per signal for all instances', () => {
+    create();
+    create();
+    create();
+
+    expect(process.listenerCount('SIGTERM')).toBe(baseline + 1);
+    expect(process.listenerCount('SIGINT')).toBeGreaterThan(0);
+  });
+
+  test('removes the listener once the last instance closes', async () => {
+    const first = create();
+    const second = create();
+
+    await first.close();
+    expect(process.listenerCount('SIGTERM')).toBe(baseline + 1);
+
+    await second.close();
+    expect(process.listenerCount('SIGTERM')).toBe(baseline);
+  });
+
+  test('registers nothing when processSignals is false', () => {
+    create({ processSignals: false });
+
+    expect(process.listenerCount('SIGTERM')).toBe(baseline);
+  });
+
+  test('listens only to the configured signals', () => {
+    const hupBaseline = process.listenerCount('SIGHUP');
+    create({ processSignals: { signals: ['SIGTERM'] } });
+
+    expect(process.listenerCount('SIGTERM')).toBe(baseline + 1);
+    expect(process.listenerCount('SIGHUP')).toBe(hupBaseline);
+  });
+
+  test('rejects unknown processSignals options', () => {
+    expect(() => new MySQLMate(config({ processSignals: { exitAfter: 5 } })))
+      .toThrow(ValidationError);
+  });
+
+  test('shuts down every instance on a signal without exiting the process', async () => {
+    const exit = jest.spyOn(process, 'exit').mockImplementation(() => {});
+    const first = create();
+    const second = create();
+    const shutdowns = [
+      jest.spyOn(first, 'gracefulShutdown'),
+      jest.spyOn(second, 'gracefulShutdown')
+    ];
+
+    process.emit('SIGTERM', 'SIGTERM');
+    await flush();
+
+    for (const shutdown of shutdowns) {
+      expect(shutdown).toHaveBeenCalledWith(10000, { signal: 'SIGTERM' });
+    }
+    expect(first.isShuttingDown).toBe(true);
+    expect(second.isShuttingDown).toBe(true);
+    expect(exit).not.toHaveBeenCalled();
+    expect(process.listenerCount('SIGTERM')).toBe(baseline);
+  });
+
+  test('exits with the configured code when exit is enabled', async () => {
+    const exit = jest.spyOn(process, 'exit').mockImplementation(() => {});
+    create({ processSignals: { exit: true, exitCode: 3, timeout: 500 } });
+
+    process.emit('SIGINT', 'SIGINT');
+    await flush();
+
+    expect(exit).toHaveBeenCalledWith(3);
+  });
+});
+
+describe('Shutdown hooks', () => {
+  let db;
+
+  beforeEach(() => {
+    db = new MySQLMate(config({ processSignals: false }));
+  });
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  test('runs before hooks ahead of shutdown and after hooks once pools are closed', async () => {
+    const order = [];
+    db.on('close', () => order.push('close'));
+    db.beforeShutdown(async () => {
+      order.push(`before:${db.isShuttingDown}`);
+    });
+    db.beforeShutdown(() => order.push('before-2'));
+    db.afterShutdown(() => order.push('after'));
+
+    await db.gracefulShutdown(100);
+
+    expect(order).toEqual(['before:false', 'before-2', 'close', 'after']);
+  });
+
+  test('passes the timeout and signal to hooks', async () => {
+    const hook = jest.fn();
+    db.afterShutdown(hook);
+
+    await db.gracefulShutdown(250, { signal: 'SIGTERM' });
+
+    expect(hook).toHaveBeenCalledWith({ timeout: 250, signal: 'SIGTERM' });
+  });
+
+  test('a failing hook does not stop the shutdown', async () => {
+    const after = jest.fn();
+    db.beforeShutdown(() => {
+      throw new Error('flush failed');
+    });
+    db.afterShutdown(after);
+
+    await db.gracefulShutdown(100);
+
+    expect(db.pool.end).toHaveBeenCalled();
+    expect(after).toHaveBeenCalled();
+  });
+
+  test('the returned function removes a hook', async () => {
+    const hook = jest.fn();
+    const remove = db.beforeShutdown(hook);
+    remove();
+
+    await db.gracefulShutdown(100);
+
+    expect(hook).not.toHaveBeenCalled();
+  });
+
+  test('concurrent shutdown calls run the hooks once', async () => {
+    const hook = jest.fn();
+    db.beforeShutdown(hook);
+
+    await Promise.all([db.gracefulShutdown(100), db.gracefulShutdown(100)]);
+
+    expect(hook).toHaveBeenCalledTimes(1);
+  });
+
+  test('rejects hooks that are not functions', () => {
+    expect(() => db.afterShutdown('nope')).toThrow(ValidationError);
+  });
+});
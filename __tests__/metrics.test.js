@@ -0,0 +1,144 @@
+const MySQLMate = require('../index');
+const { Histogram } = require('../lib/metrics');
+
+jest.mock('mysql2/promise', () => ({
+  createPool: jest.fn(() => ({
+    execute: jest.fn().mockResolvedValue([[], []]),
+    getConnection: jest.fn().mockResolvedValue({
+      execute: jest.fn().mockResolvedValue([[], []]),
+      beginTransaction: jest.fn().mockResolvedValue(),
+      commit: jest.fn().mockResolvedValue(),
+      rollback: jest.fn().mockResolvedValue(),
+      release: jest.fn()
+    }),
+    end: jest.fn().mockResolvedValue(),
+    on: jest.fn()
+  }))
+}));
+
+describe('Metrics', () => {
+  let db;
+
+  beforeEach(() => {
+    db = new MySQLMate({
+      host: 'localhost',
+      database: 'test_db',
+      connectionLimit: 5,
+      retryDelay: 1,
+      logger: { level: 'silent', isDev: false },
+      metrics: { labels: { service: 'api' } }
+    });
+  });
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  const emitPoolEvent = (event, payload = {}) => {
+    db.pool.on.mock.calls
+      .filter(([name]) => name === event)
+      .forEach(([, handler]) => handler(payload));
+  };
+
+  test('Histogram should compute true averages and percentiles', () => {
+    const histogram = new Histogram([10, 100]);
+    for (let value = 1; value <= 100; value++) histogram.observe(value);
+
+    expect(histogram.snapshot()).toMatchObject({ count: 100, avg: 50.5, min: 1, max: 100, p50: 50, p95: 95, p99: 99 });
+    expect(histogram.cumulativeBuckets()).toEqual([[10, 10], [100, 100], [Infinity, 100]]);
+  });
+
+  test('Histogram should keep percentiles over a bounded reservoir', () => {
+    const histogram = new Histogram([10], 10);
+    for (let i = 0; i < 100; i++) histogram.observe(1000);
+    for (let i = 0; i < 10; i++) histogram.observe(1);
+
+    expect(histogram.snapshot()).toMatchObject({ count: 110, p99: 1, max: 1000 });
+  });
+
+  test('avgQueryTime should be the arithmetic mean', () => {
+    db._updateMetrics(10, 'SELECT');
+    db._updateMetrics(20, 'SELECT');
+    db._updateMetrics(30, 'INSERT');
+
+    const metrics = db.getMetrics();
+    expect(metrics.avgQueryTime).toBe(20);
+    expect(metrics.queryTimeByType.SELECT).toMatchObject({ count: 2, avg: 15 });
+    expect(metrics.queryTimeByType.INSERT).toMatchObject({ count: 1, p99: 30 });
+  });
+
+  test('should count queries by statement type, errors by code and retries', async () => {
+    const lostConnection = Object.assign(new Error('lost'), { code: 'PROTOCOL_CONNECTION_LOST' });
+    const duplicate = Object.assign(new Error('dup'), { code: 'ER_DUP_ENTRY' });
+    db.pool.execute
+      .mockRejectedValueOnce(lostConnection)
+      .mockResolvedValueOnce([[], []])
+      .mockRejectedValueOnce(duplicate);
+
+    await db.query('SELECT 1');
+    await expect(db.query('INSERT INTO t VALUES (1)')).rejects.toThrow('dup');
+
+    const metrics = db.getMetrics();
+    expect(metrics.queriesByType).toEqual({ SELECT: 1 });
+    expect(metrics.errorsByCode).toEqual({ PROTOCOL_CONNECTION_LOST: 1, ER_DUP_ENTRY: 1 });
+    expect(metrics.retries).toBe(1);
+    expect(metrics.failedQueries).toBe(2);
+  });
+
+  test('should count timeouts', async () => {
+    db.pool.execute.mockRejectedValueOnce(Object.assign(new Error('lock'), { code: 'ER_LOCK_WAIT_TIMEOUT' }));
+    await expect(db.query('UPDATE t SET a = 1')).rejects.toThrow('lock');
+    expect(db.getMetrics().timeouts).toBe(1);
+  });
+
+  test('should count transaction outcomes and pool wait time', async () => {
+    await db.transaction(async () => {});
+    await expect(db.transaction(async () => { throw new Error('fail'); })).rejects.toThrow('fail');
+
+    const metrics = db.getMetrics();
+    expect(metrics.transactions).toEqual({ started: 2, committed: 1, rolledBack: 1 });
+    expect(metrics.poolWaitTime.count).toBe(2);
+  });
+
+  test('should derive pool info from pool events instead of private fields', () => {
+    emitPoolEvent('connection');
+    emitPoolEvent('connection');
+    emitPoolEvent('acquire');
+    emitPoolEvent('acquire');
+    emitPoolEvent('release');
+
+    expect(db.getMetrics().poolInfo).toEqual({
+      connectionLimit: 5,
+      totalConnections: 2,
+      usedConnections: 1,
+      freeConnections: 1
+    });
+  });
+
+  test('getPrometheusMetrics should export counters, histograms and gauges', async () => {
+    db._updateMetrics(3, 'SELECT');
+    await db.transaction(async () => {});
+
+    const text = db.getPrometheusMetrics();
+    expect(text).toContain('# TYPE mysqlmate_queries_total counter');
+    expect(text).toContain('mysqlmate_queries_total{service="api",type="SELECT"} 1');
+    expect(text).toContain('# TYPE mysqlmate_query_duration_seconds histogram');
+    expect(text).toContain('mysqlmate_query_duration_seconds_bucket{service="api",type="SELECT",le="0.001"} 0');
+    expect(text).toContain('mysqlmate_query_duration_seconds_bucket{service="api",type="SELECT",le="0.005"} 1');
+    expect(text).toContain('mysqlmate_query_duration_seconds_bucket{service="api",type="SELECT",le="+Inf"} 1');
+    expect(text).toContain('mysqlmate_query_duration_seconds_sum{service="api",type="SELECT"} 0.003');
+    expect(text).toContain('mysqlmate_transactions_total{service="api",outcome="commit"} 1');
+    expect(text).toContain('mysqlmate_pool_connections{service="api",state="used"} 0');
+    expect(text).toContain('mysqlmate_pool_in_flight_queries{service="api",pool="primary"} 0');
+    expect(text).not.toContain('# EOF');
+  });
+
+  test('should support OpenMetrics exposition and a registry-style hook', async () => {
+    const text = db.getPrometheusMetrics({ openMetrics: true, prefix: 'db' });
+    expect(text).toContain('# TYPE db_queries counter');
+    expect(text.trim().endsWith('# EOF')).toBe(true);
+
+    expect(db.metricsRegistry.contentType).toBe('text/plain; version=0.0.4; charset=utf-8');
+    await expect(db.metricsRegistry.metrics()).resolves.toContain('mysqlmate_query_retries_total');
+  });
+});
@@ -0,0 +1,229 @@
+const MySQLMate = require('../index');
+const { MiddlewarePipeline } = require('../lib/middleware');
+const { ValidationError } = require('../lib/errors');
+
+jest.mock('mysql2/promise', () => ({
+  createPool: jest.fn(() => ({
+    execute: jest.fn().mockResolvedValue([[], []]),
+    query: jest.fn(),
+    getConnection: jest.fn(),
+    end: jest.fn().mockResolvedValue(),
+    on: jest.fn()
+  }))
+}));
+
+const connectionLost = () => Object.assign(new Error('Connection lost'), { code: 'PROTOCOL_CONNECTION_LOST', fatal: true });
+
+describe('MiddlewarePipeline', () => {
+  let pipeline;
+
+  beforeEach(() => {
+    pipeline = new MiddlewarePipeline();
+    pipeline.use({ name: 'a', query: (ctx, next) => next() }, { builtin: true });
+    pipeline.use({ name: 'b', query: (ctx, next) => next() }, { builtin: true });
+  });
+
+  const names = () => pipeline.list().map(entry => entry.name);
+
+  test('places added middleware before the built-ins in registration order', () => {
+    pipeline.use({ name: 'first', query: (ctx, next) => next() });
+    pipeline.use(async function second(ctx, next) { return next(); });
+
+    expect(names()).toEqual(['first', 'second', 'a', 'b']);
+  });
+
+  test('places middleware relative to another one', () => {
+    pipeline.use({ name: 'x', query: (ctx, next) => next() }, { after: 'b' });
+    pipeline.use({ name: 'y', query: (ctx, next) => next() }, { before: 'b' });
+
+    expect(names()).toEqual(['a', 'y', 'b', 'x']);
+    expect(() => pipeline.use({ name: 'z', query: () => {} }, { before: 'nope' })).toThrow('Unknown middleware: nope');
+  });
+
+  test('replaces and removes middleware by name', () => {
+    const remove = pipeline.use({ name: 'x', query: (ctx, next) => next() });
+    pipeline.replace('a', { name: 'a2', query: (ctx, next) => next() });
+
+    expect(names()).toEqual(['x', 'a2', 'b']);
+    expect(remove()).toBe(true);
+    expect(pipeline.remove('x')).toBe(false);
+    expect(names()).toEqual(['a2', 'b']);
+  });
+
+  test('runs handlers outermost first and lets them short-circuit', async () => {
+    const order = [];
+    const pipeline = new MiddlewarePipeline();
+    pipeline.use({ name: 'outer', query: async (ctx, next) => { order.push('outer'); return `${await next()}!`; } });
+    pipeline.use({ name: 'inner', query: async (ctx, next) => { order.push('inner'); return ctx.cached || next(); } });
+
+    await expect(pipeline.run('query', {}, async () => 'db')).resolves.toBe('db!');
+    await expect(pipeline.run('query', { cached: 'hit' }, async () => 'db')).resolves.toBe('hit!');
+    await expect(pipeline.run('transaction', {}, async () => 'tx')).resolves.toBe('tx');
+    expect(order).toEqual(['outer', 'inner', 'outer', 'inner']);
+  });
+
+  test('keeps object middleware as this', async () => {
+    class Tagger {
+      constructor() { this.name = 'tagger'; this.tag = 'x'; }
+      query(ctx, next) { ctx.tag = this.tag; return next(); }
+    }
+    const pipeline = new MiddlewarePipeline();
+    pipeline.use(new Tagger());
+    const ctx = {};
+
+    await pipeline.run('query', ctx, async () => null);
+    expect(ctx.tag).toBe('x');
+  });
+
+  test('rejects invalid middleware', () => {
+    expect(() => pipeline.use(null)).toThrow(ValidationError);
+    expect(() => pipeline.use({ name: 'x' })).toThrow('needs a query, transaction or getConnection handler');
+    expect(() => pipeline.use({ name: 'x', query: 'nope' })).toThrow('query handler must be a function');
+    expect(() => pipeline.use({ name: 'a', query: () => {} })).toThrow('Middleware a is already registered');
+  });
+});
+
+describe('Query middleware', () => {
+  let db;
+
+  beforeEach(() => {
+    db = new MySQLMate({
+      host: 'localhost',
+      database: 'test_db',
+      retryDelay: 1,
+      logger: { level: 'silent', isDev: false }
+    });
+  });
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  test('registers the built-in middleware', () => {
+    expect(db.middleware.list()).toEqual([
+      { name: 'cache', operations: ['query'], builtin: true },
+      { name: 'logging', operations: ['query'], builtin: true },
+      { name: 'retry', operations: ['query', 'transaction'], builtin: true },
+      { name: 'metrics', operations: ['query'], builtin: true }
+    ]);
+  });
+
+  test('lets middleware rewrite the statement', async () => {
+    db.use({
+      name: 'requestTag',
+      query: (ctx, next) => {
+        ctx.sql = `/* request:abc */ ${ctx.sql}`;
+        return next();
+      }
+    });
+
+    await db.query('SELECT * FROM users WHERE id = :id', { id: 1 });
+
+    expect(db.pool.execute).toHaveBeenCalledWith('/* request:abc */ SELECT * FROM users WHERE id = ?', [1]);
+  });
+
+  test('short-circuits without reaching the pool, metrics or logging', async () => {
+    const onQuery = jest.fn();
+    db.on('query', onQuery);
+    db.use({ name: 'stub', query: async () => [[{ id: 1 }], []] });
+
+    await expect(db.query('SELECT 1')).resolves.toEqual([[{ id: 1 }], []]);
+    expect(db.pool.execute).not.toHaveBeenCalled();
+    expect(db.getMetrics().totalQueries).toBe(0);
+    expect(onQuery).not.toHaveBeenCalled();
+  });
+
+  test('wraps the whole call, retries included', async () => {
+    const seen = [];
+    db.use({
+      name: 'timer',
+      query: async (ctx, next) => {
+        try {
+          return await next();
+        } finally {
+          seen.push(ctx.attempt);
+        }
+      }
+    });
+    db.pool.execute.mockRejectedValueOnce(connectionLost()).mockResolvedValueOnce([[], []]);
+
+    await db.query('SELECT 1');
+
+    expect(seen).toEqual([1]);
+    expect(db.getMetrics().totalQueries).toBe(2);
+  });
+
+  test('middleware placed after retry runs per attempt on the original statement', async () => {
+    const statements = [];
+    db.use({
+      name: 'perAttempt',
+      query: (ctx, next) => {
+        ctx.sql = `/* attempt:${ctx.attempt} */ ${ctx.sql}`;
+        statements.push(ctx.sql);
+        return next();
+      }
+    }, { after: 'retry' });
+    db.pool.execute.mockRejectedValueOnce(connectionLost()).mockResolvedValueOnce([[], []]);
+
+    await db.query('SELECT 1');
+
+    expect(statements).toEqual(['/* attempt:0 */ SELECT 1', '/* attempt:1 */ SELECT 1']);
+  });
+
+  test('built-in middleware can be removed or replaced', async () => {
+    db.middleware.remove('retry');
+    db.pool.execute.mockRejectedValueOnce(connectionLost());
+    await expect(db.query('SELECT 1')).rejects.toThrow('Connection lost');
+    expect(db.pool.execute).toHaveBeenCalledTimes(1);
+
+    const log = [];
+    db.middleware.replace('logging', {
+      name: 'logging',
+      query: async (ctx, next) => {
+        const result = await next();
+        log.push(`${ctx.pool} ${ctx.sql}`);
+        return result;
+      }
+    });
+    await db.query('SELECT 2');
+    expect(log).toEqual(['primary SELECT 2']);
+  });
+
+  test('wraps transactions and connection checkouts', async () => {
+    const connection = {
+      execute: jest.fn().mockResolvedValue([[], []]),
+      query: jest.fn().mockResolvedValue([[], []]),
+      beginTransaction: jest.fn().mockResolvedValue(),
+      commit: jest.fn().mockResolvedValue(),
+      rollback: jest.fn().mockResolvedValue(),
+      release: jest.fn()
+    };
+    db.pool.getConnection.mockResolvedValue(connection);
+
+    const calls = [];
+    db.use({
+      name: 'trace',
+      transaction: async (ctx, next) => {
+        calls.push(`transaction:${ctx.nested}`);
+        const callback = ctx.callback;
+        ctx.callback = (conn) => {
+          calls.push('callback');
+          return callback(conn);
+        };
+        return next();
+      },
+      getConnection: async (ctx, next) => {
+        calls.push('getConnection');
+        return next();
+      }
+    });
+
+    const result = await db.transaction(async () => {
+      await db.transaction(async () => {});
+      return 'done';
+    });
+
+    expect(result).toBe('done');
+    expect(calls).toEqual(['transaction:false', 'getConnection', 'callback', 'transaction:true', 'callback']);
+  });
+});
@@ -0,0 +1,247 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MySQLMate = require('../index');
+const { ValidationError, MigrationError } = require('../lib/errors');
+
+jest.mock('mysql2/promise', () => ({
+  createPool: jest.fn(() => ({
+    execute: jest.fn().mockResolvedValue([{ test: 1 }]),
+    getConnection: jest.fn(),
+    end: jest.fn().mockResolvedValue(),
+    on: jest.fn()
+  }))
+}));
+
+// In-memory stand-in for a connection that understands the migrator's statements
+function createFakeConnection(state) {
+  return {
+    executed: [],
+    query: jest.fn(async function (sql, params = []) {
+      const statement = sql.trim();
+      if (statement.startsWith('SELECT GET_LOCK')) {
+        return [[{ acquired: state.lockAvailable === false ? 0 : 1 }]];
+      }
+      if (statement.startsWith('SELECT RELEASE_LOCK') && state.releaseFails) {
+        throw new Error('Lost connection to MySQL server during query');
+      }
+      if (statement.startsWith('SELECT COLUMN_NAME')) {
+        return [state.columns.map(name => ({ name }))];
+      }
+      if (statement.startsWith('SELECT name, version')) {
+        return [state.rows.slice().sort((a, b) => a.version - b.version)];
+      }
+      if (statement.startsWith('INSERT INTO `migrations`')) {
+        const [name, version, checksum, batch] = params;
+        state.rows.push({ name, version, checksum, batch, executedAt: new Date() });
+        return [{ affectedRows: 1 }];
+      }
+      if (statement.startsWith('DELETE FROM `migrations`')) {
+        state.rows = state.rows.filter(row => row.name !== params[0]);
+        return [{ affectedRows: 1 }];
+      }
+      if (!/^(CREATE TABLE IF NOT EXISTS `migrations`|ALTER TABLE `migrations`|SELECT RELEASE_LOCK)/.test(statement)) {
+        this.executed.push(statement);
+      }
+      return [{ affectedRows: 0 }];
+    }),
+    beginTransaction: jest.fn().mockResolvedValue(),
+    commit: jest.fn().mockResolvedValue(),
+    rollback: jest.fn().mockResolvedValue(),
+    release: jest.fn(),
+    destroy: jest.fn()
+  };
+}
+
+describe('Migrator', () => {
+  let db;
+  let directory;
+  let state;
+  let connection;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mysqlmate-migrations-'));
+    fs.writeFileSync(path.join(directory, '001_create_users.sql'), [
+      '-- migrate:up',
+      'CREATE TABLE users (id INT PRIMARY KEY, note VARCHAR(10) DEFAULT \'a;b\');',
+      'CREATE INDEX idx_note ON users (note);',
+      '-- migrate:down',
+      'DROP TABLE users;'
+    ].join('\n'));
+    fs.writeFileSync(path.join(directory, '002_seed.js'), [
+      'module.exports = {',
+      '  up: async (connection) => { await connection.query("INSERT INTO users (id) VALUES (1)"); },',
+      '  down: async (connection) => { await connection.query("DELETE FROM users WHERE id = 1"); }',
+      '};'
+    ].join('\n'));
+    fs.writeFileSync(path.join(directory, 'README.md'), 'not a migration');
+
+    state = { columns: ['id', 'name', 'executed_at', 'version', 'checksum', 'batch'], rows: [] };
+    connection = createFakeConnection(state);
+
+    db = new MySQLMate({
+      host: 'localhost',
+      database: 'test_db',
+      logger: { level: 'silent', isDev: false },
+      migrations: { directory }
+    });
+    db.pool.getConnection.mockResolvedValue(connection);
+  });
+
+  afterEach(async () => {
+    fs.rmSync(directory, { recursive: true, force: true });
+    await db.close();
+  });
+
+  test('should apply pending migrations in order', async () => {
+    const result = await db.migrate();
+
+    expect(result).toEqual({ batch: 1, applied: ['001_create_users', '002_seed'] });
+    expect(connection.executed).toEqual([
+      'CREATE TABLE users (id INT PRIMARY KEY, note VARCHAR(10) DEFAULT \'a;b\')',
+      'CREATE INDEX idx_note ON users (note)',
+      'INSERT INTO users (id) VALUES (1)'
+    ]);
+    expect(connection.commit).toHaveBeenCalledTimes(2);
+    expect(connection.release).toHaveBeenCalled();
+    expect(db.activeOperations.size).toBe(0);
+  });
+
+  test('should pass JS migrations only the migration connection', async () => {
+    fs.writeFileSync(path.join(directory, '003_args.js'), [
+      'module.exports = {',
+      '  up: async (...args) => { await args[0].query(`SELECT ${args.length} AS args`); },',
+      '  down: async (...args) => { await args[0].query(`SELECT ${args.length} AS args`); }',
+      '};'
+    ].join('\n'));
+
+    await db.migrate();
+    await db.rollbackMigrations();
+
+    expect(connection.executed.slice(-2)).toEqual(['SELECT 1 AS args', 'SELECT 1 AS args']);
+  });
+
+  test('should skip already applied migrations', async () => {
+    await db.migrate();
+    const result = await db.migrate();
+    expect(result.applied).toEqual([]);
+  });
+
+  test('should report status including pending and missing migrations', async () => {
+    state.rows.push({ name: '000_removed', version: 0, checksum: 'x', batch: 1 });
+    await db.migrate({ to: 1 });
+
+    const status = await db.migrationStatus();
+    expect(status.map(entry => [entry.name, entry.status])).toEqual([
+      ['000_removed', 'missing'],
+      ['001_create_users', 'applied'],
+      ['002_seed', 'pending']
+    ]);
+  });
+
+  test('should report status without the lock and without creating the table', async () => {
+    state.columns = [];
+    state.lockAvailable = false;
+
+    const status = await db.migrationStatus();
+
+    expect(status.map(entry => [entry.name, entry.status])).toEqual([
+      ['001_create_users', 'pending'],
+      ['002_seed', 'pending']
+    ]);
+    const statements = connection.query.mock.calls.map(([sql]) => sql.trim());
+    expect(statements).toHaveLength(1);
+    expect(statements[0]).toMatch(/^SELECT COLUMN_NAME/);
+    expect(connection.release).toHaveBeenCalled();
+  });
+
+  test('should detect checksum drift in applied migrations', async () => {
+    await db.migrate();
+    fs.appendFileSync(path.join(directory, '001_create_users.sql'), '\nCREATE INDEX idx_id ON users (id);');
+
+    const status = await db.migrationStatus();
+    expect(status.find(entry => entry.name === '001_create_users').drifted).toBe(true);
+    const error = await db.migrate().catch(e => e);
+    expect(error).toBeInstanceOf(MigrationError);
+    expect(error).toMatchObject({
+      code: 'MIGRATION_DRIFT',
+      migrations: ['001_create_users'],
+      message: 'Applied migrations were modified after execution: 001_create_users'
+    });
+  });
+
+  test('should not report whitespace-only edits as drift', async () => {
+    await db.migrate();
+    const file = path.join(directory, '001_create_users.sql');
+    fs.writeFileSync(file, fs.readFileSync(file, 'utf8').replace(/\n/g, '\n\n  '));
+
+    const status = await db.migrationStatus();
+    expect(status.every(entry => !entry.drifted)).toBe(true);
+  });
+
+  test('should roll back the last N migrations', async () => {
+    await db.migrate();
+    connection.executed.length = 0;
+
+    const result = await db.rollbackMigrations({ steps: 2 });
+    expect(result.rolledBack).toEqual(['002_seed', '001_create_users']);
+    expect(connection.executed).toEqual(['DELETE FROM users WHERE id = 1', 'DROP TABLE users']);
+    expect(state.rows).toEqual([]);
+  });
+
+  test('should reject rollback steps that are not a positive integer', async () => {
+    await db.migrate();
+
+    await expect(db.rollbackMigrations({ steps: 0 })).rejects.toThrow(ValidationError);
+    await expect(db.rollbackMigrations({ steps: 1.5 })).rejects.toThrow('Rollback steps must be a positive integer');
+    expect(state.rows).toHaveLength(2);
+  });
+
+  test('should keep the migration error when releasing the lock fails', async () => {
+    fs.writeFileSync(path.join(directory, '003_broken.js'), 'module.exports = { up: async () => { throw new Error("boom"); } };');
+    state.releaseFails = true;
+
+    await expect(db.migrate()).rejects.toThrow('boom');
+    expect(connection.destroy).toHaveBeenCalled();
+    expect(connection.release).not.toHaveBeenCalled();
+  });
+
+  test('should roll back the failed migration and stop', async () => {
+    fs.writeFileSync(path.join(directory, '003_broken.js'), 'module.exports = { up: async () => { throw new Error("boom"); } };');
+
+    await expect(db.migrate()).rejects.toThrow('boom');
+    expect(connection.rollback).toHaveBeenCalledTimes(1);
+    expect(state.rows.map(row => row.name)).toEqual(['001_create_users', '002_seed']);
+  });
+
+  test('should fail when the migration lock is held elsewhere', async () => {
+    state.lockAvailable = false;
+    await expect(db.migrate()).rejects.toMatchObject({ code: 'MIGRATION_LOCKED', message: expect.stringContaining('Could not acquire migration lock') });
+    expect(connection.release).toHaveBeenCalled();
+  });
+
+  test('should add missing columns to a migrations table created by runMigration', async () => {
+    state.columns = ['id', 'name', 'executed_at'];
+    await db.migrate();
+
+    const alters = connection.query.mock.calls
+      .map(([sql]) => sql)
+      .filter(sql => sql.startsWith('ALTER TABLE'));
+    expect(alters).toEqual([
+      'ALTER TABLE `migrations` ADD COLUMN version BIGINT NULL',
+      'ALTER TABLE `migrations` ADD COLUMN checksum CHAR(64) NULL',
+      'ALTER TABLE `migrations` ADD COLUMN batch INT NULL'
+    ]);
+  });
+
+  test('should reject duplicate versions', async () => {
+    fs.writeFileSync(path.join(directory, '002_other.sql'), 'SELECT 1;');
+    await expect(db.migrate()).rejects.toThrow('Duplicate migration version 2');
+    await expect(db.migrate()).rejects.toMatchObject({ name: 'ValidationError', code: 'INVALID_MIGRATION' });
+  });
+
+  test('should reject migrations during shutdown', async () => {
+    db.isShuttingDown = true;
+    await expect(db.migrate()).rejects.toThrow('Database is shutting down, cannot execute migrations');
+  });
+});
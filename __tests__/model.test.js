@@ -0,0 +1,194 @@
+const MySQLMate = require('../index');
+const { ValidationError } = require('../lib/errors');
+
+jest.mock('mysql2/promise', () => ({
+  createPool: jest.fn(() => ({
+    execute: jest.fn(),
+    query: jest.fn(),
+    getConnection: jest.fn(),
+    end: jest.fn().mockResolvedValue(),
+    on: jest.fn()
+  }))
+}));
+
+const COLUMNS = [
+  { name: 'id', dataType: 'int', columnType: 'int unsigned', nullable: 'NO', columnKey: 'PRI', extra: 'auto_increment' },
+  { name: 'email', dataType: 'varchar', columnType: 'varchar(255)', nullable: 'NO', columnKey: 'UNI', extra: '' },
+  { name: 'active', dataType: 'tinyint', columnType: 'tinyint(1)', nullable: 'NO', columnKey: '', extra: '' },
+  { name: 'settings', dataType: 'json', columnType: 'json', nullable: 'YES', columnKey: '', extra: '' },
+  { name: 'created_at', dataType: 'datetime', columnType: 'datetime', nullable: 'NO', columnKey: '', extra: '' },
+  { name: 'updated_at', dataType: 'datetime', columnType: 'datetime', nullable: 'NO', columnKey: '', extra: '' },
+  { name: 'deleted_at', dataType: 'datetime', columnType: 'datetime', nullable: 'YES', columnKey: '', extra: '' }
+];
+
+const STORED = {
+  id: 7,
+  email: 'ada@example.com',
+  active: 1,
+  settings: '{"theme":"dark"}',
+  created_at: '2024-05-01 10:00:00',
+  updated_at: '2024-05-01 10:00:00',
+  deleted_at: null
+};
+
+describe('Model', () => {
+  let db;
+  let statements;
+  let writeResult;
+
+  beforeEach(() => {
+    db = new MySQLMate({
+      host: 'localhost',
+      database: 'test_db',
+      timezone: 'Z',
+      logger: { level: 'silent', isDev: false }
+    });
+
+    statements = [];
+    writeResult = { affectedRows: 1, insertId: 7 };
+    db.pool.execute.mockImplementation(async (sql, params) => {
+      if (sql.includes('INFORMATION_SCHEMA.COLUMNS')) return [COLUMNS, []];
+      statements.push({ sql, params });
+      if (sql.includes('COUNT(*)')) return [[{ count: 42 }], []];
+      if (sql.startsWith('SELECT')) return [[{ ...STORED }], []];
+      return [writeResult, []];
+    });
+  });
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  test('loads the columns once and discovers the primary key', async () => {
+    const users = db.model('users');
+
+    await Promise.all([users.findById(1), users.findById(2)]);
+    await users.count();
+
+    const lookups = db.pool.execute.mock.calls.filter(([sql]) => sql.includes('INFORMATION_SCHEMA'));
+    expect(lookups).toHaveLength(1);
+    expect(lookups[0][1]).toEqual(['users']);
+    expect(users.primaryKey).toBe('id');
+    expect(users.columns.get('active')).toMatchObject({ type: 'tinyint', columnType: 'tinyint(1)', nullable: false });
+  });
+
+  test('reuses the model for a table unless new options are passed', () => {
+    const users = db.model('users');
+
+    expect(db.model('users')).toBe(users);
+    expect(db.model('users', { softDelete: true })).not.toBe(users);
+  });
+
+  test('coerces JSON, TINYINT(1) and DATETIME columns', async () => {
+    const user = await db.model('users').findById(7);
+
+    expect(user.active).toBe(true);
+    expect(user.settings).toEqual({ theme: 'dark' });
+    expect(user.created_at).toEqual(new Date('2024-05-01T10:00:00Z'));
+    expect(statements[0]).toEqual({
+      sql: 'SELECT * FROM `users` WHERE `id` = ? LIMIT 1',
+      params: [7]
+    });
+  });
+
+  test('findMany() compiles conditions, ordering and paging', async () => {
+    await db.model('users').findMany(
+      { active: true, id: [1, 2], deleted_at: null },
+      { orderBy: { email: 'desc' }, limit: 10, offset: 20 }
+    );
+
+    expect(statements[0]).toEqual({
+      sql: 'SELECT * FROM `users` WHERE `active` = ? AND `id` IN (?, ?) AND `deleted_at` IS NULL ORDER BY `email` DESC LIMIT 10 OFFSET 20',
+      params: [true, 1, 2]
+    });
+  });
+
+  test('rejects unknown columns before querying', async () => {
+    const users = db.model('users');
+
+    await expect(users.findMany({ emial: 'x' })).rejects.toThrow('Unknown columns for users: emial');
+    await expect(users.create({ email: 'x', role: 'admin' })).rejects.toThrow(ValidationError);
+    expect(statements).toHaveLength(0);
+  });
+
+  test('create() sets timestamps, runs hooks and reads the row back from the primary', async () => {
+    const afterCreate = jest.fn();
+    const users = db.model('users', {
+      timestamps: true,
+      hooks: {
+        beforeCreate: data => ({ ...data, email: data.email.toLowerCase() }),
+        afterCreate
+      }
+    });
+    const query = jest.spyOn(db, 'query');
+
+    const user = await users.create({ email: 'ADA@example.com', active: true });
+
+    expect(statements[0].sql).toBe('INSERT INTO `users` (`email`, `active`, `created_at`, `updated_at`) VALUES (?, ?, ?, ?)');
+    expect(statements[0].params[0]).toBe('ada@example.com');
+    expect(statements[0].params[2]).toBeInstanceOf(Date);
+    expect(statements[1].params).toEqual([7]);
+    expect(query).toHaveBeenLastCalledWith(expect.any(String), [7], { usePrimary: true });
+    expect(afterCreate).toHaveBeenCalledWith(user);
+  });
+
+  test('update() returns the updated row, or null when nothing matched', async () => {
+    const afterUpdate = jest.fn();
+    const users = db.model('users', { timestamps: true, softDelete: true });
+    users.hook('afterUpdate', afterUpdate);
+
+    const user = await users.update(7, { active: false });
+    expect(statements[0].sql).toBe('UPDATE `users` SET `active` = ?, `updated_at` = ? WHERE `deleted_at` IS NULL AND `id` = ?');
+    expect(user.id).toBe(7);
+    expect(afterUpdate).toHaveBeenCalledWith(user);
+
+    writeResult = { affectedRows: 0 };
+    await expect(users.update(8, { active: false })).resolves.toBeNull();
+    expect(afterUpdate).toHaveBeenCalledTimes(1);
+  });
+
+  test('soft deletes hide rows, can be forced and restored', async () => {
+    const users = db.model('users', { softDelete: true });
+
+    await expect(users.delete(7)).resolves.toBe(true);
+    await users.delete(7, { force: true });
+    await users.restore(7);
+    await users.findById(7, { withDeleted: true });
+
+    expect(statements.map(statement => statement.sql)).toEqual([
+      'UPDATE `users` SET `deleted_at` = ? WHERE `deleted_at` IS NULL AND `id` = ?',
+      'DELETE FROM `users` WHERE `id` = ?',
+      'UPDATE `users` SET `deleted_at` = ? WHERE `id` = ? AND `deleted_at` IS NOT NULL',
+      'SELECT * FROM `users` WHERE `id` = ? LIMIT 1'
+    ]);
+  });
+
+  test('paginate() returns one page with the total', async () => {
+    const page = await db.model('users').paginate({ page: 3, perPage: 10, where: { active: true } });
+
+    expect(page).toMatchObject({ page: 3, perPage: 10, total: 42, totalPages: 5 });
+    expect(page.data).toHaveLength(1);
+    expect(statements.map(statement => statement.sql)).toEqual(expect.arrayContaining([
+      'SELECT COUNT(*) AS `count` FROM `users` WHERE `active` = ?',
+      'SELECT * FROM `users` WHERE `active` = ? ORDER BY `id` ASC LIMIT 10 OFFSET 20'
+    ]));
+    await expect(db.model('users').paginate({ page: 0 })).rejects.toThrow('Page must be a positive integer');
+  });
+
+  test('rejects missing tables and misconfigured columns', async () => {
+    db.pool.execute.mockResolvedValueOnce([[], []]);
+    await expect(db.model('nope').findById(1)).rejects.toThrow('Table nope does not exist');
+
+    await expect(db.model('users', { timestamps: { createdAt: 'inserted_at' } }).count())
+      .rejects.toThrow('Column inserted_at configured for model users does not exist');
+    expect(() => db.model('users', { paranoid: true })).toThrow('Unknown model options: paranoid');
+  });
+
+  test('queries schema-qualified tables by schema name', async () => {
+    await db.model('reporting.users').count();
+
+    const lookup = db.pool.execute.mock.calls.find(([sql]) => sql.includes('INFORMATION_SCHEMA'));
+    expect(lookup[0]).toContain('TABLE_SCHEMA = ?');
+    expect(lookup[1]).toEqual(['reporting', 'users']);
+  });
+});
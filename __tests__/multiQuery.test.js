@@ -0,0 +1,152 @@
+const MySQLMate = require('../index');
+const { MultiQueryError, QueryError } = require('../lib/errors');
+
+jest.mock('mysql2/promise', () => ({
+  createPool: jest.fn(() => ({
+    execute: jest.fn(),
+    query: jest.fn(),
+    getConnection: jest.fn(),
+    end: jest.fn().mockResolvedValue(),
+    on: jest.fn()
+  }))
+}));
+
+const noSuchTable = () => Object.assign(new Error("Table 'test_db.missing' doesn't exist"), {
+  code: 'ER_NO_SUCH_TABLE',
+  errno: 1146,
+  sqlState: '42S02'
+});
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('multiQuery', () => {
+  let db;
+
+  beforeEach(() => {
+    db = new MySQLMate({
+      host: 'localhost',
+      database: 'test_db',
+      retryDelay: 1,
+      processSignals: false,
+      logger: { level: 'silent', isDev: false }
+    });
+    db.pool.execute.mockImplementation(async (sql) => {
+      if (sql.includes('missing')) throw noSuchTable();
+      return [[{ sql }], []];
+    });
+  });
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  test('runs up to `concurrency` queries at a time and keeps the input order', async () => {
+    const pending = [];
+    db.pool.execute.mockImplementation(sql => new Promise(resolve => pending.push(() => resolve([[{ sql }], []]))));
+
+    const batch = db.multiQuery([
+      { sql: 'SELECT 1' },
+      { sql: 'SELECT 2' },
+      { sql: 'SELECT 3' }
+    ], { concurrency: 2 });
+    await flush();
+
+    expect(db.pool.execute).toHaveBeenCalledTimes(2);
+    pending[1]();
+    await flush();
+    expect(db.pool.execute).toHaveBeenCalledTimes(3);
+    pending[0]();
+    pending[2]();
+
+    const results = await batch;
+    expect(results.map(({ index, result }) => [index, result[0][0].sql])).toEqual([
+      [0, 'SELECT 1'],
+      [1, 'SELECT 2'],
+      [2, 'SELECT 3']
+    ]);
+  });
+
+  test('returns settled outcomes with status, duration and attempts', async () => {
+    const lost = Object.assign(new Error('Connection lost'), { code: 'PROTOCOL_CONNECTION_LOST', fatal: true });
+    db.pool.execute.mockRejectedValueOnce(lost);
+
+    const outcomes = await db.multiQuery([
+      { sql: 'SELECT 1' },
+      { sql: 'SELECT * FROM missing' },
+      { sql: '' }
+    ], { settle: true });
+
+    expect(outcomes).toEqual([
+      { index: 0, status: 'fulfilled', result: [[{ sql: 'SELECT 1' }], []], duration: expect.any(Number), attempts: 2 },
+      { index: 1, status: 'rejected', error: expect.any(QueryError), duration: expect.any(Number), attempts: 1 },
+      { index: 2, status: 'rejected', error: expect.objectContaining({ code: 'INVALID_QUERY' }), duration: expect.any(Number), attempts: 0 }
+    ]);
+  });
+
+  test('stopOnError skips the queries not started yet', async () => {
+    const error = await db.multiQuery([
+      { sql: 'SELECT * FROM missing' },
+      { sql: 'SELECT 2' },
+      { sql: 'SELECT 3' }
+    ], { stopOnError: true }).catch(e => e);
+
+    expect(error).toBeInstanceOf(MultiQueryError);
+    expect(error.message).toBe('1 of 3 queries failed');
+    expect(error.settled.map(outcome => outcome.status)).toEqual(['rejected', 'skipped', 'skipped']);
+    expect(db.pool.execute).toHaveBeenCalledTimes(1);
+  });
+
+  describe('atomic', () => {
+    let connection;
+
+    beforeEach(() => {
+      connection = {
+        execute: jest.fn(async (sql) => {
+          if (sql.includes('missing')) throw noSuchTable();
+          return [{ affectedRows: 1 }, []];
+        }),
+        query: jest.fn().mockResolvedValue([[], []]),
+        beginTransaction: jest.fn().mockResolvedValue(),
+        commit: jest.fn().mockResolvedValue(),
+        rollback: jest.fn().mockResolvedValue(),
+        release: jest.fn()
+      };
+      db.pool.getConnection.mockResolvedValue(connection);
+    });
+
+    test('runs every query in one transaction', async () => {
+      const outcomes = await db.multiQuery([
+        { sql: 'UPDATE accounts SET balance = balance - 5 WHERE id = 1' },
+        { sql: 'UPDATE accounts SET balance = balance + 5 WHERE id = 2' }
+      ], { atomic: true, settle: true });
+
+      expect(outcomes.map(outcome => outcome.status)).toEqual(['fulfilled', 'fulfilled']);
+      expect(outcomes[0].rolledBack).toBeUndefined();
+      expect(connection.execute).toHaveBeenCalledTimes(2);
+      expect(connection.commit).toHaveBeenCalled();
+      expect(db.pool.execute).not.toHaveBeenCalled();
+    });
+
+    test('rolls back and fails the whole batch on the first failure', async () => {
+      const error = await db.multiQuery([
+        { sql: 'UPDATE accounts SET balance = balance - 5 WHERE id = 1' },
+        { sql: 'UPDATE missing SET x = 1' },
+        { sql: 'UPDATE accounts SET balance = balance + 5 WHERE id = 2' }
+      ], { atomic: true, settle: true }).catch(e => e);
+
+      expect(error).toBeInstanceOf(MultiQueryError);
+      expect(error.message).toBe('1 of 3 queries failed, batch rolled back');
+      expect(error.rolledBack).toBe(true);
+      expect(error.settled.map(outcome => outcome.status)).toEqual(['fulfilled', 'rejected', 'skipped']);
+      expect(error.settled.every(outcome => outcome.rolledBack === true)).toBe(true);
+      expect(connection.rollback).toHaveBeenCalled();
+      expect(connection.commit).not.toHaveBeenCalled();
+    });
+  });
+
+  test('validates the batch options', async () => {
+    await expect(db.multiQuery([], { concurrency: 0 })).rejects.toThrow('concurrency must be a positive integer');
+    await expect(db.multiQuery([], { atomic: true, concurrency: 4 })).rejects.toThrow('cannot use concurrency');
+    await expect(db.multiQuery([], { parallel: true })).rejects.toThrow('Unknown multiQuery options: parallel');
+  });
+});
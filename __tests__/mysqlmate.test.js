@@ -89,6 +89,52 @@ describe('MySQLMate', () => {
     expect(result).toBeDefined();
   });
 
+  test('query method should handle named parameters', async () => {
+    await db.query('SELECT * FROM users WHERE id IN (:ids) AND status = :status', {
+      ids: [1, 2],
+      status: 'active'
+    });
+    expect(db.pool.execute).toHaveBeenCalledWith(
+      'SELECT * FROM users WHERE id IN (?, ?) AND status = ?',
+      [1, 2, 'active']
+    );
+  });
+
+  test('query method should reject missing named parameters', async () => {
+    await expect(db.query('SELECT * FROM users WHERE id = :id', {}))
+      .rejects.toThrow('Missing value for named parameter :id');
+    expect(db.pool.execute).not.toHaveBeenCalled();
+  });
+
+  test('multiQuery should accept named parameters', async () => {
+    await db.multiQuery([{ sql: 'SELECT * FROM settings WHERE `key` = :key', params: { key: 'version' } }]);
+    expect(db.pool.execute).toHaveBeenCalledWith('SELECT * FROM settings WHERE `key` = ?', ['version']);
+  });
+
+  test('transaction connection should accept named parameters', async () => {
+    const connection = await db.pool.getConnection();
+    db.pool.getConnection.mockClear();
+
+    await db.transaction(async (tx) => {
+      await tx.execute('UPDATE ::table SET name = :name WHERE id = :id', { table: 'users', name: 'x', id: 1 });
+    });
+
+    expect(connection.execute).toHaveBeenCalledWith('UPDATE `users` SET name = ? WHERE id = ?', ['x', 1]);
+    expect(connection.commit).toHaveBeenCalled();
+    expect(connection.release).toHaveBeenCalled();
+  });
+
+  test('transaction connection should reject unused named parameters', async () => {
+    const connection = await db.pool.getConnection();
+
+    await expect(db.transaction(async (tx) => {
+      await tx.execute('SELECT :a', { a: 1, b: 2 });
+    })).rejects.toThrow('Unused named parameters: :b');
+
+    expect(connection.rollback).toHaveBeenCalled();
+    expect(connection.release).toHaveBeenCalled();
+  });
+
   test('transaction method should work', async () => {
     const result = await db.transaction(async (connection) => {
       const [rows] = await connection.execute('SELECT 1 as test');
@@ -112,14 +158,33 @@ describe('MySQLMate', () => {
     expect(() => db._validateQuery('')).toThrow('SQL query must be a non-empty string');
     expect(() => db._validateQuery(123)).toThrow('SQL query must be a non-empty string');
     expect(() => db._validateQuery('SELECT 1', 'invalid')).toThrow('Query parameters must be an array');
+    expect(() => db._validateQuery('SELECT :id', { id: 1 })).not.toThrow();
   });
 
   test('should prevent SQL injection', () => {
     const dangerousSql = 'SELECT * FROM users; DROP TABLE users;';
     expect(() => db._validateQuery(dangerousSql)).toThrow('Potentially dangerous SQL query detected');
     
-    const unionSql = 'SELECT * FROM users UNION SELECT password FROM admins';
-    expect(() => db._validateQuery(unionSql)).toThrow('Potentially dangerous SQL query detected');
+    const unterminatedSql = "SELECT * FROM users WHERE name = 'x";
+    expect(() => db._validateQuery(unterminatedSql)).toThrow('Potentially dangerous SQL query detected');
+  });
+
+  test('should allow legitimate queries rejected by pattern matching', () => {
+    expect(() => db._validateQuery('SELECT id FROM users UNION SELECT id FROM admins')).not.toThrow();
+    expect(() => db._validateQuery("SELECT * FROM notes WHERE body = '-- not a comment'")).not.toThrow();
+    expect(() => db._validateQuery('SELECT /*+ MAX_EXECUTION_TIME(1000) */ * FROM users')).not.toThrow();
+  });
+
+  test('should apply query policy from config and per call', async () => {
+    const strictDb = new MySQLMate({
+      ...testConfig,
+      queryPolicy: { allowedStatements: ['select'] }
+    });
+
+    await expect(strictDb.query('DELETE FROM users')).rejects.toThrow('DELETE statements are not allowed');
+    await expect(strictDb.query('DELETE FROM users', [], { policy: { allowedStatements: null } })).resolves.toBeDefined();
+    await expect(db.query('SELECT 1; SELECT 2', [], { policy: false })).resolves.toBeDefined();
+    await strictDb.close();
   });
 
   test('getMetrics should return performance data', () => {
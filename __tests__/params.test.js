@@ -0,0 +1,86 @@
+const { compileParams, escapeId } = require('../lib/params');
+
+describe('compileParams', () => {
+  test('should keep plain positional queries unchanged', () => {
+    expect(compileParams('SELECT * FROM users WHERE id = ?', [1])).toEqual({
+      sql: 'SELECT * FROM users WHERE id = ?',
+      params: [1]
+    });
+  });
+
+  test('should compile named parameters to positional ones', () => {
+    const result = compileParams(
+      'SELECT * FROM users WHERE status = :status AND (owner = :userId OR editor = :userId)',
+      { status: 'active', userId: 7 }
+    );
+    expect(result).toEqual({
+      sql: 'SELECT * FROM users WHERE status = ? AND (owner = ? OR editor = ?)',
+      params: ['active', 7, 7]
+    });
+  });
+
+  test('should expand arrays for IN lists', () => {
+    expect(compileParams('SELECT * FROM users WHERE id IN (:ids)', { ids: [1, 2, 3] })).toEqual({
+      sql: 'SELECT * FROM users WHERE id IN (?, ?, ?)',
+      params: [1, 2, 3]
+    });
+    expect(compileParams('SELECT * FROM users WHERE id IN (?) AND age > ?', [[4, 5], 18])).toEqual({
+      sql: 'SELECT * FROM users WHERE id IN (?, ?) AND age > ?',
+      params: [4, 5, 18]
+    });
+  });
+
+  test('should expand arrays of arrays into tuples', () => {
+    expect(compileParams('INSERT INTO t (a, b) VALUES :rows', { rows: [[1, 'x'], [2, 'y']] })).toEqual({
+      sql: 'INSERT INTO t (a, b) VALUES (?, ?), (?, ?)',
+      params: [1, 'x', 2, 'y']
+    });
+  });
+
+  test('should escape identifiers', () => {
+    expect(compileParams('SELECT ?? FROM ?? WHERE id = ?', [['id', 'u.name'], 'users', 1])).toEqual({
+      sql: 'SELECT `id`, `u`.`name` FROM `users` WHERE id = ?',
+      params: [1]
+    });
+    expect(compileParams('SELECT * FROM ::table ORDER BY ::column', { table: 'my`table', column: 'created_at' })).toEqual({
+      sql: 'SELECT * FROM `my``table` ORDER BY `created_at`',
+      params: []
+    });
+  });
+
+  test('should ignore placeholders inside strings, identifiers and comments', () => {
+    const sql = "SELECT ':skip', `?`, '10:30' FROM t -- :comment ?\nWHERE a = :a /* :b */";
+    expect(compileParams(sql, { a: 1 })).toEqual({
+      sql: "SELECT ':skip', `?`, '10:30' FROM t -- :comment ?\nWHERE a = ? /* :b */",
+      params: [1]
+    });
+  });
+
+  test('should not treat assignments as parameters', () => {
+    expect(compileParams('SELECT @rank := @rank + :step', { step: 1 }).sql).toBe('SELECT @rank := @rank + ?');
+  });
+
+  test('should report missing and unused names', () => {
+    expect(() => compileParams('SELECT :a, :b', { a: 1 })).toThrow('Missing value for named parameter :b');
+    expect(() => compileParams('SELECT :a', { a: 1, b: 2, c: 3 })).toThrow('Unused named parameters: :b, :c');
+    expect(() => compileParams('SELECT :a', { a: undefined })).toThrow('Missing value for named parameter :a');
+  });
+
+  test('should report positional count mismatches', () => {
+    expect(() => compileParams('SELECT ?, ?', [1])).toThrow('Missing value for positional parameter #2');
+    expect(() => compileParams('SELECT ?', [1, 2])).toThrow('Expected 1 positional parameters but received 2');
+  });
+
+  test('should reject empty arrays and mixed placeholder styles', () => {
+    expect(() => compileParams('SELECT * FROM t WHERE id IN (:ids)', { ids: [] }))
+      .toThrow('Parameter :ids is an empty array and cannot be expanded');
+    expect(() => compileParams('SELECT * FROM t WHERE a = ? AND b = :b', { b: 1 }))
+      .toThrow('Cannot mix positional "?" placeholders with named parameters');
+  });
+
+  test('escapeId should quote qualified names', () => {
+    expect(escapeId('db.users')).toBe('`db`.`users`');
+    expect(escapeId('users.*')).toBe('`users`.*');
+    expect(() => escapeId('')).toThrow('Identifier must be a non-empty string');
+  });
+});
@@ -0,0 +1,155 @@
+const mysql = require('mysql2/promise');
+const MySQLMate = require('../index');
+const { isReadOnlyStatement } = require('../lib/sqlLexer');
+const { ValidationError } = require('../lib/errors');
+
+jest.mock('mysql2/promise', () => ({
+  createPool: jest.fn((config) => ({
+    config,
+    execute: jest.fn().mockResolvedValue([[{ host: config.host }], []]),
+    query: jest.fn().mockResolvedValue([[{ Seconds_Behind_Source: 0 }], []]),
+    getConnection: jest.fn().mockResolvedValue({
+      execute: jest.fn().mockResolvedValue([[], []]),
+      beginTransaction: jest.fn().mockResolvedValue(),
+      commit: jest.fn().mockResolvedValue(),
+      rollback: jest.fn().mockResolvedValue(),
+      release: jest.fn()
+    }),
+    end: jest.fn().mockResolvedValue(),
+    on: jest.fn()
+  }))
+}));
+
+describe('Read/write splitting', () => {
+  let db;
+
+  const createDb = (replication = {}) => new MySQLMate({
+    host: 'primary',
+    user: 'app',
+    password: 'secret',
+    database: 'test_db',
+    logger: { level: 'silent', isDev: false },
+    replicas: [{ host: 'replica-a' }, { host: 'replica-b', name: 'reporting' }],
+    replication
+  });
+
+  const poolFor = host => mysql.createPool.mock.results
+    .map(result => result.value)
+    .reverse()
+    .find(pool => pool.config.host === host);
+
+  beforeEach(() => {
+    mysql.createPool.mockClear();
+    db = createDb();
+  });
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  test('should create replica pools that inherit primary settings', () => {
+    expect(mysql.createPool).toHaveBeenCalledTimes(3);
+    expect(poolFor('replica-a').config).toMatchObject({ user: 'app', password: 'secret', database: 'test_db' });
+  });
+
+  test('should route reads to replicas round-robin and writes to the primary', async () => {
+    const [first] = await db.query('SELECT * FROM users');
+    const [second] = await db.query('SELECT * FROM users');
+    await db.query('UPDATE users SET active = 1');
+
+    expect(first[0].host).toBe('replica-a');
+    expect(second[0].host).toBe('replica-b');
+    expect(poolFor('primary').execute).toHaveBeenCalledWith('UPDATE users SET active = 1', []);
+  });
+
+  test('should keep locking and per-query primary reads on the primary', async () => {
+    await db.query('SELECT * FROM users FOR UPDATE');
+    await db.query('SELECT * FROM users', [], { usePrimary: true });
+
+    expect(poolFor('primary').execute).toHaveBeenCalledTimes(2);
+    expect(poolFor('replica-a').execute).not.toHaveBeenCalled();
+  });
+
+  test('should run transactions on the primary', async () => {
+    await db.transaction(async (connection) => {
+      await connection.execute('SELECT 1');
+    });
+    expect(poolFor('primary').getConnection).toHaveBeenCalled();
+    expect(poolFor('replica-a').getConnection).not.toHaveBeenCalled();
+  });
+
+  test('should pick the replica with the fewest in-flight queries', async () => {
+    await db.close();
+    db = createDb({ selection: 'least-connections' });
+
+    let release;
+    poolFor('replica-a').execute.mockImplementationOnce(() => new Promise(resolve => { release = resolve; }));
+    const pending = db.query('SELECT 1');
+    const [rows] = await db.query('SELECT 2');
+
+    expect(rows[0].host).toBe('replica-b');
+    release([[], []]);
+    await pending;
+  });
+
+  test('should exclude lagging replicas and fall back to the primary', async () => {
+    await db.close();
+    db = createDb({ maxLag: 5 });
+
+    poolFor('replica-a').query.mockResolvedValue([[{ Seconds_Behind_Source: 30 }], []]);
+    poolFor('replica-b').query.mockResolvedValue([[{ Seconds_Behind_Source: null }], []]);
+    await db.router.checkLag();
+    await db.query('SELECT 1');
+
+    expect(poolFor('primary').execute).toHaveBeenCalledWith('SELECT 1', []);
+    expect(db.getMetrics().pools['replica-0']).toMatchObject({ available: false, lag: 30 });
+    expect(db.getMetrics().pools.reporting).toMatchObject({ available: false, lag: null });
+
+    poolFor('replica-a').query.mockResolvedValue([[{ Seconds_Behind_Source: 1 }], []]);
+    await db.router.checkLag();
+    const [rows] = await db.query('SELECT 1');
+    expect(rows[0].host).toBe('replica-a');
+  });
+
+  test('should fall back to SHOW SLAVE STATUS on older servers', async () => {
+    poolFor('replica-a').query
+      .mockRejectedValueOnce(new Error('syntax error'))
+      .mockResolvedValueOnce([[{ Seconds_Behind_Master: 2 }], []]);
+    await db.router.checkLag();
+
+    expect(poolFor('replica-a').query).toHaveBeenCalledWith('SHOW SLAVE STATUS');
+    expect(db.getMetrics().pools['replica-0'].lag).toBe(2);
+  });
+
+  test('should report per-pool metrics', async () => {
+    await db.query('SELECT 1');
+    await db.query('DELETE FROM sessions');
+
+    const { pools } = db.getMetrics();
+    expect(pools.primary).toMatchObject({ role: 'primary', queries: 1, failedQueries: 0, inFlight: 0 });
+    expect(pools['replica-0']).toMatchObject({ role: 'replica', queries: 1 });
+    expect(pools.reporting).toMatchObject({ role: 'replica', queries: 0 });
+  });
+
+  test('should close replica pools', async () => {
+    await db.close();
+    expect(poolFor('replica-a').end).toHaveBeenCalled();
+    expect(poolFor('primary').end).toHaveBeenCalled();
+    db = createDb();
+  });
+
+  test('should reject unknown selection strategies', () => {
+    expect(() => createDb({ selection: 'random' })).toThrow(ValidationError);
+    expect(() => createDb({ selection: 'random' })).toThrow('Unsupported replica selection strategy: random');
+  });
+
+  test('isReadOnlyStatement should classify statements', () => {
+    expect(isReadOnlyStatement('SELECT * FROM t')).toBe(true);
+    expect(isReadOnlyStatement('SHOW TABLES')).toBe(true);
+    expect(isReadOnlyStatement('WITH x AS (SELECT 1) SELECT * FROM x')).toBe(true);
+    expect(isReadOnlyStatement('SELECT * FROM t LOCK IN SHARE MODE')).toBe(false);
+    expect(isReadOnlyStatement('SELECT * FROM t FOR SHARE')).toBe(false);
+    expect(isReadOnlyStatement('SELECT 1 INTO @x')).toBe(false);
+    expect(isReadOnlyStatement('INSERT INTO t SELECT * FROM s')).toBe(false);
+  });
+});
@@ -0,0 +1,202 @@
+const MySQLMate = require('../index');
+const { ValidationError } = require('../lib/errors');
+
+jest.mock('mysql2/promise', () => ({
+  createPool: jest.fn(() => ({
+    execute: jest.fn().mockResolvedValue([[{ id: 1, count: 3 }], []]),
+    getConnection: jest.fn(),
+    end: jest.fn().mockResolvedValue(),
+    on: jest.fn()
+  }))
+}));
+
+describe('QueryBuilder', () => {
+  let db;
+
+  beforeEach(() => {
+    db = new MySQLMate({
+      host: 'localhost',
+      database: 'test_db',
+      logger: { level: 'silent', isDev: false }
+    });
+  });
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  describe('select', () => {
+    test('should select all columns by default', () => {
+      expect(db.table('users').toSQL()).toEqual({ sql: 'SELECT * FROM `users`', params: [] });
+    });
+
+    test('should compile columns, conditions, ordering and paging', () => {
+      const query = db.table('users')
+        .select('id', 'email as mail')
+        .where('status', 'active')
+        .where('age', '>=', 18)
+        .orWhere('role', 'admin')
+        .whereNull('deleted_at')
+        .orderBy('created_at', 'desc')
+        .limit(10)
+        .offset(20);
+
+      expect(query.toSQL()).toEqual({
+        sql: 'SELECT `id`, `email` AS `mail` FROM `users` WHERE `status` = ? AND `age` >= ? OR `role` = ? ' +
+          'AND `deleted_at` IS NULL ORDER BY `created_at` DESC LIMIT 10 OFFSET 20',
+        params: ['active', 18, 'admin']
+      });
+    });
+
+    test('should group nested conditions and accept condition objects', () => {
+      const query = db.table('posts')
+        .where({ published: true, author_id: null })
+        .where(q => q.where('title', 'LIKE', '%mysql%').orWhere('views', '>', 100))
+        .whereIn('category', ['a', 'b'])
+        .whereNotIn('id', [])
+        .whereBetween('created_at', ['2024-01-01', '2024-12-31']);
+
+      expect(query.toSQL()).toEqual({
+        sql: 'SELECT * FROM `posts` WHERE `published` = ? AND `author_id` IS NULL AND (`title` LIKE ? OR `views` > ?) ' +
+          'AND `category` IN (?, ?) AND 1 = 1 AND `created_at` BETWEEN ? AND ?',
+        params: [true, '%mysql%', 100, 'a', 'b', '2024-01-01', '2024-12-31']
+      });
+    });
+
+    test('should compile joins, grouping and raw expressions', () => {
+      const query = db.table('users as u')
+        .select('u.id', db.raw('COUNT(p.id) AS posts'))
+        .leftJoin('posts as p', 'p.user_id', 'u.id')
+        .join('teams as t', join => join.on('t.id', 'u.team_id').orOn('t.owner_id', '=', 'u.id'))
+        .groupBy('u.id')
+        .having(db.raw('COUNT(p.id)'), '>', 5)
+        .orderBy('u.id');
+
+      expect(query.toSQL()).toEqual({
+        sql: 'SELECT `u`.`id`, COUNT(p.id) AS posts FROM `users` AS `u` ' +
+          'LEFT JOIN `posts` AS `p` ON `p`.`user_id` = `u`.`id` ' +
+          'INNER JOIN `teams` AS `t` ON `t`.`id` = `u`.`team_id` OR `t`.`owner_id` = `u`.`id` ' +
+          'GROUP BY `u`.`id` HAVING COUNT(p.id) > ? ORDER BY `u`.`id` ASC',
+        params: [5]
+      });
+    });
+
+    test('should reject unsupported operators and directions', () => {
+      expect(() => db.table('users').where('id', 'DROP', 1)).toThrow('Unsupported operator: DROP');
+      expect(() => db.table('users').orderBy('id', 'sideways')).toThrow('Unsupported order direction: sideways');
+      expect(() => db.table('users').limit(-1)).toThrow('Limit must be a non-negative integer');
+      expect(() => db.table('users').join('teams', 'a', '=', 'b', 'OUTER')).toThrow(ValidationError);
+    });
+
+    test('should compile IS with booleans and reject other values', () => {
+      expect(db.table('users').where('active', 'IS', true).where('banned', 'is not', false).toSQL()).toEqual({
+        sql: 'SELECT * FROM `users` WHERE `active` IS TRUE AND `banned` IS NOT FALSE',
+        params: []
+      });
+      expect(() => db.table('users').where('active', 'IS', 1)).toThrow('IS requires null, true or false');
+      expect(() => db.table('users').where('name', 'IS NOT', 'x')).toThrow(ValidationError);
+    });
+  });
+
+  describe('writes', () => {
+    test('should compile bulk inserts', () => {
+      const query = db.table('users').insert([
+        { name: 'a', tags: ['x'] },
+        { tags: [], name: 'b' }
+      ]);
+      expect(query.toSQL()).toEqual({
+        sql: 'INSERT INTO `users` (`name`, `tags`) VALUES (?, ?), (?, ?)',
+        params: ['a', '["x"]', 'b', '[]']
+      });
+    });
+
+    test('should reject rows with different columns', () => {
+      const query = db.table('users').insert([{ name: 'a' }, { email: 'b' }]);
+      expect(() => query.toSQL()).toThrow('Insert row 1 has different columns than row 0');
+    });
+
+    test('should compile upserts', () => {
+      expect(db.table('stats').upsert({ day: '2024-01-01', hits: 1 }, ['hits']).toSQL()).toEqual({
+        sql: 'INSERT INTO `stats` (`day`, `hits`) VALUES (?, ?) ON DUPLICATE KEY UPDATE `hits` = VALUES(`hits`)',
+        params: ['2024-01-01', 1]
+      });
+
+      const query = db.table('stats')
+        .insert({ day: '2024-01-01', hits: 1 })
+        .onDuplicateKeyUpdate({ hits: db.raw('`hits` + ?', [1]), updated_by: 'job' });
+      expect(query.toSQL()).toEqual({
+        sql: 'INSERT INTO `stats` (`day`, `hits`) VALUES (?, ?) ON DUPLICATE KEY UPDATE `hits` = `hits` + ?, `updated_by` = ?',
+        params: ['2024-01-01', 1, 1, 'job']
+      });
+    });
+
+    test('should compile INSERT IGNORE', () => {
+      expect(db.table('tags').insert([{ name: 'a' }, { name: 'b' }]).ignore().toSQL()).toEqual({
+        sql: 'INSERT IGNORE INTO `tags` (`name`) VALUES (?), (?)',
+        params: ['a', 'b']
+      });
+      expect(() => db.table('tags').ignore()).toThrow('ignore() must follow insert()');
+    });
+
+    test('should compile updates and deletes', () => {
+      expect(db.table('users').where('id', 1).update({ name: 'x', meta: { a: 1 } }).toSQL()).toEqual({
+        sql: 'UPDATE `users` SET `name` = ?, `meta` = ? WHERE `id` = ?',
+        params: ['x', '{"a":1}', 1]
+      });
+      expect(() => db.table('users as u').join('teams as t', 't.id', 'u.team_id').update({ 'u.active': 0 }).limit(10).toSQL())
+        .toThrow('orderBy() and limit() cannot be used in an update with joins');
+      expect(db.table('users').where('id', '<', 5).orderBy('id').limit(2).delete().toSQL()).toEqual({
+        sql: 'DELETE FROM `users` WHERE `id` < ? ORDER BY `id` ASC LIMIT 2',
+        params: [5]
+      });
+    });
+
+    test('should reject clauses updates and deletes cannot have', () => {
+      expect(() => db.table('users').limit(5).offset(10).delete().toSQL()).toThrow('offset() cannot be used in a delete');
+      expect(() => db.table('users').offset(10).update({ active: 0 }).toSQL()).toThrow('offset() cannot be used in an update');
+      expect(() => db.table('users').groupBy('team_id').delete().toSQL()).toThrow('groupBy() and having() cannot be used in a delete');
+      expect(() => db.table('users').join('orders', 'orders.user_id', 'users.id').where('orders.id', 1).delete().toSQL())
+        .toThrow('join() cannot be used in a delete');
+    });
+
+    test('should add the largest LIMIT to an offset without limit', () => {
+      expect(db.table('users').offset(10).toSQL()).toEqual({
+        sql: 'SELECT * FROM `users` LIMIT 18446744073709551615 OFFSET 10',
+        params: []
+      });
+    });
+  });
+
+  describe('execution', () => {
+    test('should execute through query() when awaited', async () => {
+      const querySpy = jest.spyOn(db, 'query');
+      const rows = await db.table('users').where('id', 1);
+
+      expect(rows).toEqual([{ id: 1, count: 3 }]);
+      expect(querySpy).toHaveBeenCalledWith('SELECT * FROM `users` WHERE `id` = ?', [1], {});
+      expect(db.metrics.totalQueries).toBe(1);
+    });
+
+    test('first() should limit to one row without changing the builder', async () => {
+      const query = db.table('users').where('id', 1);
+      const row = await query.first();
+
+      expect(row).toEqual({ id: 1, count: 3 });
+      expect(db.pool.execute).toHaveBeenCalledWith('SELECT * FROM `users` WHERE `id` = ? LIMIT 1', [1]);
+      expect(query.toSQL().sql).toBe('SELECT * FROM `users` WHERE `id` = ?');
+    });
+
+    test('count() should return a number', async () => {
+      const total = await db.table('users').where('active', 1).orderBy('id').limit(5).count();
+
+      expect(total).toBe(3);
+      expect(db.pool.execute).toHaveBeenCalledWith('SELECT COUNT(*) AS `count` FROM `users` WHERE `active` = ?', [1]);
+    });
+
+    test('should pass query options through execute()', async () => {
+      const querySpy = jest.spyOn(db, 'query');
+      await db.table('users').delete().where('id', 1).execute({ skipRetry: true });
+      expect(querySpy).toHaveBeenCalledWith('DELETE FROM `users` WHERE `id` = ?', [1], { skipRetry: true });
+    });
+  });
+});
@@ -0,0 +1,288 @@
+const MySQLMate = require('../index');
+const { MemoryStore, QueryCache } = require('../lib/queryCache');
+const { ValidationError } = require('../lib/errors');
+
+jest.mock('mysql2/promise', () => ({
+  createPool: jest.fn(() => ({
+    execute: jest.fn(),
+    query: jest.fn(),
+    getConnection: jest.fn(),
+    end: jest.fn().mockResolvedValue(),
+    on: jest.fn()
+  }))
+}));
+
+describe('MemoryStore', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('evicts the least recently used entry', () => {
+    const store = new MemoryStore({ maxEntries: 2 });
+    store.set('a', 1, 1000);
+    store.set('b', 2, 1000);
+    store.get('a');
+    store.set('c', 3, 1000);
+
+    expect(store.get('a')).toBe(1);
+    expect(store.get('b')).toBeUndefined();
+    expect(store.get('c')).toBe(3);
+    expect(store.size).toBe(2);
+  });
+
+  test('expires entries after their ttl', () => {
+    jest.useFakeTimers();
+    const store = new MemoryStore();
+    store.set('a', 1, 100);
+
+    jest.advanceTimersByTime(99);
+    expect(store.get('a')).toBe(1);
+    jest.advanceTimersByTime(1);
+    expect(store.get('a')).toBeUndefined();
+    expect(store.size).toBe(0);
+  });
+});
+
+describe('QueryCache', () => {
+  test('builds the same key for the same statement and parameters', () => {
+    const cache = new QueryCache();
+
+    expect(cache.key('SELECT ?', [1])).toBe(cache.key('SELECT ?', [1]));
+    expect(cache.key('SELECT ?', [1])).not.toBe(cache.key('SELECT ?', ['1']));
+    expect(cache.key('SELECT ?', [10n])).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  test('drops entries whose tables were written after they were read', async () => {
+    const cache = new QueryCache();
+    const versions = cache.versionsOf('SELECT * FROM users JOIN orders ON 1');
+    await cache.set('k', 'rows', versions);
+
+    expect(await cache.get('k')).toBe('rows');
+    cache.invalidate(['Orders']);
+    expect(await cache.get('k')).toBeUndefined();
+  });
+
+  test('does not store a result when a write happened while it was read', async () => {
+    const cache = new QueryCache();
+    const versions = cache.versionsOf('SELECT * FROM users');
+    cache.invalidate(['users']);
+    await cache.set('k', 'stale', versions);
+
+    expect(cache.store.size).toBe(0);
+  });
+
+  test('reports the tables changed by writes only', () => {
+    const cache = new QueryCache();
+
+    expect(cache.writtenTables('UPDATE users u JOIN teams t ON 1 SET u.a = 1')).toEqual(['users', 'teams']);
+    expect(cache.writtenTables('INSERT INTO logs (a) VALUES (?)')).toEqual(['logs']);
+    expect(cache.writtenTables('SELECT * FROM users')).toEqual([]);
+  });
+
+  test('validates its options', () => {
+    expect(() => new QueryCache({ size: 10 })).toThrow('Unknown cache options: size');
+    expect(() => new QueryCache({ ttl: 0 })).toThrow(ValidationError);
+    expect(() => new QueryCache({ store: { get() {} } })).toThrow('Cache store must implement get, set, delete and clear');
+    expect(() => new QueryCache().resolveTtl({ ttl: -1 })).toThrow(ValidationError);
+  });
+});
+
+describe('Query caching', () => {
+  let db;
+
+  const createDb = (cache = true) => {
+    db = new MySQLMate({
+      host: 'localhost',
+      database: 'test_db',
+      logger: { level: 'silent', isDev: false },
+      cache
+    });
+    db.pool.execute.mockImplementation(async (sql, params) => [[{ sql, params }], []]);
+    return db;
+  };
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  test('serves repeated reads from the cache when requested', async () => {
+    createDb();
+
+    const first = await db.query('SELECT * FROM countries WHERE code = ?', ['DE'], { cache: true });
+    const second = await db.query('SELECT * FROM countries WHERE code = ?', ['DE'], { cache: true });
+    await db.query('SELECT * FROM countries WHERE code = ?', ['FR'], { cache: true });
+
+    expect(second).toEqual(first);
+    expect(db.pool.execute).toHaveBeenCalledTimes(2);
+    expect(db.getMetrics().cache).toEqual({ hits: 1, misses: 2, invalidations: 0, hitRate: 1 / 3 });
+  });
+
+  test('returns a copy on every hit, so changing a result leaves the cache intact', async () => {
+    createDb();
+    db.pool.execute.mockResolvedValue([[{ id: 1, tags: ['a'], createdAt: new Date(0) }], []]);
+
+    const [first] = await db.query('SELECT * FROM posts', [], { cache: true });
+    first[0].id = 99;
+    first.push({ id: 2 });
+    const [hit] = await db.query('SELECT * FROM posts', [], { cache: true });
+    hit[0].tags.push('b');
+    hit[0].createdAt.setFullYear(2000);
+    const [again] = await db.query('SELECT * FROM posts', [], { cache: true });
+
+    expect(again).toEqual([{ id: 1, tags: ['a'], createdAt: new Date(0) }]);
+    expect(db.pool.execute).toHaveBeenCalledTimes(1);
+  });
+
+  test('does not cache queries without the cache option', async () => {
+    createDb();
+
+    await db.query('SELECT * FROM countries');
+    await db.query('SELECT * FROM countries');
+
+    expect(db.pool.execute).toHaveBeenCalledTimes(2);
+  });
+
+  test('invalidates cached reads when a write touches their table', async () => {
+    createDb();
+
+    await db.query('SELECT * FROM countries', [], { cache: true });
+    await db.query('SELECT * FROM currencies', [], { cache: true });
+    await db.query('UPDATE countries SET name = ? WHERE code = ?', ['Germany', 'DE']);
+    await db.query('SELECT * FROM countries', [], { cache: true });
+    await db.query('SELECT * FROM currencies', [], { cache: true });
+
+    expect(db.pool.execute).toHaveBeenCalledTimes(4);
+    expect(db.getMetrics().cache.invalidations).toBe(1);
+  });
+
+  test('honours a per-query ttl', async () => {
+    createDb({ ttl: 60000 });
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+
+    await db.query('SELECT * FROM countries', [], { cache: { ttl: 50 } });
+    now.mockReturnValue(1049);
+    await db.query('SELECT * FROM countries', [], { cache: { ttl: 50 } });
+    now.mockReturnValue(1050);
+    await db.query('SELECT * FROM countries', [], { cache: { ttl: 50 } });
+    now.mockRestore();
+
+    expect(db.pool.execute).toHaveBeenCalledTimes(2);
+  });
+
+  test('invalidates tables written in a transaction only after the commit', async () => {
+    createDb();
+    const connection = {
+      execute: jest.fn().mockResolvedValue([{ affectedRows: 1 }, []]),
+      query: jest.fn().mockResolvedValue([[], []]),
+      beginTransaction: jest.fn().mockResolvedValue(),
+      commit: jest.fn().mockResolvedValue(),
+      rollback: jest.fn().mockResolvedValue(),
+      release: jest.fn()
+    };
+    db.pool.getConnection.mockResolvedValue(connection);
+
+    await db.query('SELECT * FROM countries', [], { cache: true });
+    await db.query('SELECT * FROM currencies', [], { cache: true });
+
+    await db.transaction(async (tx) => {
+      await tx.execute('DELETE FROM countries WHERE code = ?', ['XX']);
+      await db.query('INSERT INTO currencies (code) VALUES (?)', ['XXX']);
+
+      // Still served from the cache: the writes are not committed yet
+      await db.query('SELECT * FROM countries', [], { cache: true });
+    });
+
+    await expect(db.transaction(async (tx) => {
+      await tx.execute('DELETE FROM audit_log');
+      throw new Error('abort');
+    })).rejects.toThrow('abort');
+
+    await db.query('SELECT * FROM countries', [], { cache: true });
+    await db.query('SELECT * FROM currencies', [], { cache: true });
+
+    expect(db.pool.execute).toHaveBeenCalledTimes(4);
+    expect(db.getMetrics().cache.invalidations).toBe(1);
+  });
+
+  test('reads inside a transaction bypass the cache', async () => {
+    createDb();
+    const connection = {
+      execute: jest.fn().mockResolvedValue([[], []]),
+      beginTransaction: jest.fn().mockResolvedValue(),
+      commit: jest.fn().mockResolvedValue(),
+      release: jest.fn()
+    };
+    db.pool.getConnection.mockResolvedValue(connection);
+
+    await db.query('SELECT * FROM countries', [], { cache: true });
+    await db.transaction(async () => {
+      await db.query('SELECT * FROM countries', [], { cache: true });
+    });
+
+    expect(connection.execute).toHaveBeenCalledWith('SELECT * FROM countries', []);
+  });
+
+  test('invalidateCache() drops entries by table or entirely', async () => {
+    createDb();
+
+    await db.query('SELECT * FROM countries', [], { cache: true });
+    await db.query('SELECT * FROM currencies', [], { cache: true });
+    await db.invalidateCache('countries');
+    await db.query('SELECT * FROM countries', [], { cache: true });
+    await db.query('SELECT * FROM currencies', [], { cache: true });
+    expect(db.pool.execute).toHaveBeenCalledTimes(3);
+
+    await db.invalidateCache();
+    await db.query('SELECT * FROM currencies', [], { cache: true });
+    expect(db.pool.execute).toHaveBeenCalledTimes(4);
+  });
+
+  test('uses a custom store and falls back to the database when it fails', async () => {
+    const entries = new Map();
+    const store = {
+      get: jest.fn(async key => entries.get(key)),
+      set: jest.fn(async (key, value) => { entries.set(key, value); }),
+      delete: jest.fn(async key => { entries.delete(key); }),
+      clear: jest.fn(async () => entries.clear())
+    };
+    createDb({ store, ttl: 5000 });
+
+    await db.query('SELECT * FROM countries', [], { cache: true });
+    await db.query('SELECT * FROM countries', [], { cache: true });
+    expect(store.set).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({ versions: [['countries', 0]] }), 5000);
+    expect(db.pool.execute).toHaveBeenCalledTimes(1);
+
+    store.get.mockRejectedValueOnce(new Error('store down'));
+    await db.query('SELECT * FROM countries', [], { cache: true });
+    expect(db.pool.execute).toHaveBeenCalledTimes(2);
+  });
+
+  test('shares a store between configs naming the same server with and without the default port', async () => {
+    const store = new MemoryStore();
+    createDb({ store });
+    const other = new MySQLMate({
+      host: 'localhost',
+      port: 3306,
+      database: 'test_db',
+      logger: { level: 'silent', isDev: false },
+      cache: { store }
+    });
+
+    try {
+      await db.query('SELECT * FROM countries', [], { cache: true });
+      await other.query('SELECT * FROM countries', [], { cache: true });
+
+      expect(store.size).toBe(1);
+      expect(other.pool.execute).not.toHaveBeenCalled();
+      expect(other.getMetrics().cache.hits).toBe(1);
+    } finally {
+      await other.close();
+    }
+  });
+
+  test('rejects the cache option when caching is not enabled', async () => {
+    createDb(false);
+
+    await expect(db.query('SELECT 1', [], { cache: true })).rejects.toThrow('Query cache is not enabled');
+  });
+});
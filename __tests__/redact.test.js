@@ -0,0 +1,139 @@
+const MySQLMate = require('../index');
+const { Redactor, createLoggingConfig, serializeError, formatParams } = require('../lib/redact');
+const { placeholderColumns } = require('../lib/sqlLexer');
+const { DuplicateKeyError, ValidationError } = require('../lib/errors');
+
+jest.mock('mysql2/promise', () => ({
+  createPool: jest.fn(() => ({
+    execute: jest.fn().mockResolvedValue([[], []]),
+    query: jest.fn(),
+    getConnection: jest.fn(),
+    end: jest.fn().mockResolvedValue(),
+    on: jest.fn()
+  }))
+}));
+
+// Pino-compatible logger recording [level, object, message]
+function createLogger() {
+  const entries = [];
+  const logger = { entries };
+  for (const level of ['debug', 'info', 'warn', 'error']) {
+    logger[level] = (object, message) => entries.push([level, object, message]);
+  }
+  return logger;
+}
+
+describe('placeholderColumns', () => {
+  test('maps placeholders to compared, assigned and inserted columns', () => {
+    expect(placeholderColumns('SELECT * FROM users WHERE email = ? AND `u`.`password` <> ? AND id NOT IN (?, ?) AND LOWER(name) = LOWER(?)'))
+      .toEqual(['email', 'password', 'id', 'id', null]);
+    expect(placeholderColumns('INSERT INTO users (email, `token`) VALUES (?, ?), (?, NOW()) ON DUPLICATE KEY UPDATE token = ?'))
+      .toEqual(['email', 'token', 'email', 'token']);
+    expect(placeholderColumns('UPDATE users SET token = ? WHERE id = ?; SELECT ? LIMIT ?')).toEqual(['token', 'id', null, null]);
+  });
+});
+
+describe('Redactor', () => {
+  test('redacts by position, name, column and value pattern', () => {
+    const redactor = new Redactor({
+      params: [0, 'apiKey'],
+      columns: [/pass(word)?/i, 'ssn'],
+      values: [/^eyJ/]
+    });
+
+    expect(redactor.redactParams('SELECT ? FROM t WHERE password = ? AND ssn = ? AND note = ? AND tag = ?', ['a', 'b', 'c', 'eyJhbGci', 'ok']))
+      .toEqual(['[REDACTED]', '[REDACTED]', '[REDACTED]', '[REDACTED]', 'ok']);
+    expect(redactor.redactParams('SELECT * FROM t WHERE a = ? AND b = ?', ['x', 'y'], ['name', 'apiKey']))
+      .toEqual(['x', '[REDACTED]']);
+  });
+
+  test('only shows values in the full mode', () => {
+    const redactor = new Redactor({ columns: ['password'], replacement: '***' });
+    const sql = 'UPDATE users SET password = ? WHERE id = ?';
+
+    expect(redactor.format(sql, ['hunter2', 7], 'full')).toEqual(['***', 7]);
+    expect(redactor.format(sql, ['hunter2', 7], 'types')).toEqual(['string', 'number']);
+    expect(redactor.format(sql, ['hunter2', 7], 'count')).toBe(2);
+  });
+
+  test('validates the options', () => {
+    expect(() => new Redactor({ fields: [] })).toThrow('Unknown redact options: fields');
+    expect(() => new Redactor({ values: ['secret'] })).toThrow('redact.values must list regular expressions');
+    expect(() => createLoggingConfig({ params: 'all' })).toThrow('logging.params must be one of: none, count, types, full');
+    expect(() => createLoggingConfig({ sampleRate: 2 })).toThrow('logging.sampleRate must be between 0 and 1');
+    expect(() => createLoggingConfig({ sqlLength: 0 })).toThrow('logging.sqlLength must be a positive integer or null');
+    expect(() => formatParams([1], 'all')).toThrow(ValidationError);
+  });
+
+  test('serializes errors without the statement', () => {
+    const driverError = Object.assign(new Error('Duplicate entry'), { code: 'ER_DUP_ENTRY', errno: 1062, sql: "INSERT INTO users VALUES ('secret')" });
+    expect(serializeError(driverError)).toEqual({ name: 'Error', message: 'Duplicate entry', code: 'ER_DUP_ENTRY', errno: 1062, sqlState: undefined });
+
+    const error = new DuplicateKeyError('Duplicate entry', { code: 'ER_DUP_ENTRY', sql: "INSERT INTO users VALUES ('secret')" });
+    expect(serializeError(error).fingerprint).toBe('insert into users values (?)');
+  });
+});
+
+describe('Query logging', () => {
+  let db;
+  let logger;
+
+  const createDb = (logging) => new MySQLMate({
+    host: 'localhost',
+    database: 'test_db',
+    retryDelay: 1,
+    processSignals: false,
+    logger,
+    logging
+  });
+
+  const logged = message => logger.entries.filter(([, , text]) => text === message).map(([, object]) => object);
+
+  beforeEach(() => {
+    logger = createLogger();
+  });
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  test('uses an external logger and logs parameter types by default', async () => {
+    db = createDb();
+
+    await db.query('SELECT * FROM users WHERE email = :email', { email: 'a@b.c' });
+
+    expect(logged('Query executed successfully')).toEqual([expect.objectContaining({
+      sql: 'SELECT * FROM users WHERE email = ?',
+      params: ['string']
+    })]);
+  });
+
+  test('redacts failure and retry logs', async () => {
+    db = createDb({ params: 'full', sqlLength: 30, redact: { params: ['token'], columns: ['password'] } });
+    const lost = Object.assign(new Error('Connection lost'), { code: 'PROTOCOL_CONNECTION_LOST', fatal: true });
+    db.pool.execute.mockRejectedValue(lost);
+
+    await expect(db.query('UPDATE users SET password = :password, token = :token WHERE id = :id', {
+      password: 'hunter2',
+      token: 'abc',
+      id: 7
+    }, { maxRetries: 1 })).rejects.toThrow('Connection lost');
+
+    const [retry] = logged('Query failed, retrying');
+    const [failure] = logged('Query execution failed');
+    expect(retry.params).toEqual(['[REDACTED]', '[REDACTED]', 7]);
+    expect(failure).toMatchObject({ sql: 'UPDATE users SET password = ?,...', params: ['[REDACTED]', '[REDACTED]', 7] });
+    expect(JSON.stringify(logger.entries)).not.toContain('hunter2');
+  });
+
+  test('samples success logs but always logs failures', async () => {
+    db = createDb({ sampleRate: 0 });
+
+    await db.query('SELECT 1');
+    db.pool.execute.mockRejectedValueOnce(Object.assign(new Error('Syntax'), { code: 'ER_PARSE_ERROR', errno: 1064 }));
+    await expect(db.query('SELEC 1')).rejects.toThrow('Syntax');
+
+    expect(logged('Query executed successfully')).toHaveLength(0);
+    expect(logged('Query execution failed')).toHaveLength(1);
+  });
+});
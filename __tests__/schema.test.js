@@ -0,0 +1,243 @@
+const MySQLMate = require('../index');
+const { diffSchema, normalizeType } = require('../lib/schema');
+
+jest.mock('mysql2/promise', () => ({
+  createPool: jest.fn(() => ({
+    execute: jest.fn(),
+    query: jest.fn(),
+    getConnection: jest.fn(),
+    end: jest.fn().mockResolvedValue(),
+    on: jest.fn()
+  }))
+}));
+
+// INFORMATION_SCHEMA rows as MySQL 8 returns them
+const tables = [
+  { name: 'orgs', engine: 'InnoDB', collation: 'utf8mb4_0900_ai_ci', comment: '', rows: 2 },
+  { name: 'users', engine: 'InnoDB', collation: 'utf8mb4_0900_ai_ci', comment: 'Accounts', rows: 10 }
+];
+
+const column = (tableName, name, position, columnType, overrides = {}) => ({
+  tableName,
+  name,
+  position,
+  dataType: columnType.split(/[( ]/)[0],
+  columnType,
+  nullable: 'NO',
+  default: null,
+  columnKey: '',
+  extra: '',
+  length: null,
+  precision: null,
+  scale: null,
+  charset: null,
+  collation: null,
+  comment: '',
+  ...overrides
+});
+
+const columns = [
+  column('orgs', 'id', 1, 'int unsigned', { columnKey: 'PRI', extra: 'auto_increment' }),
+  column('users', 'id', 1, 'int unsigned', { columnKey: 'PRI', extra: 'auto_increment' }),
+  column('users', 'org_id', 2, 'int unsigned', { columnKey: 'MUL' }),
+  column('users', 'email', 3, 'varchar(255)', { length: 255, charset: 'utf8mb4', collation: 'utf8mb4_0900_ai_ci' }),
+  column('users', 'created_at', 4, 'timestamp', { default: 'CURRENT_TIMESTAMP', extra: 'DEFAULT_GENERATED' }),
+  column('users', 'legacy', 5, 'tinyint(1)', { nullable: 'YES' })
+];
+
+const statistics = [
+  { tableName: 'orgs', name: 'PRIMARY', column: 'id', subPart: null, nonUnique: 0, type: 'BTREE' },
+  { tableName: 'users', name: 'PRIMARY', column: 'id', subPart: null, nonUnique: 0, type: 'BTREE' },
+  { tableName: 'users', name: 'fk_users_org', column: 'org_id', subPart: null, nonUnique: 1, type: 'BTREE' },
+  { tableName: 'users', name: 'idx_users_email', column: 'email', subPart: 20, nonUnique: 1, type: 'BTREE' }
+];
+
+const keyUsage = [
+  { tableName: 'users', name: 'fk_users_org', column: 'org_id', referencedTable: 'orgs', referencedColumn: 'id', onUpdate: 'NO ACTION', onDelete: 'NO ACTION' }
+];
+
+const forTable = (rows, params) => (params.length ? rows.filter(row => row.tableName === params[0]) : rows);
+
+describe('Schema', () => {
+  let db;
+
+  beforeEach(() => {
+    db = new MySQLMate({
+      host: 'localhost',
+      database: 'test_db',
+      processSignals: false,
+      logger: { level: 'silent', isDev: false }
+    });
+    db.pool.execute.mockImplementation(async (sql, params) => {
+      if (sql.includes('INFORMATION_SCHEMA.TABLES')) return [tables, []];
+      if (sql.includes('INFORMATION_SCHEMA.COLUMNS')) return [forTable(columns, params), []];
+      if (sql.includes('INFORMATION_SCHEMA.STATISTICS')) return [forTable(statistics, params), []];
+      if (sql.includes('INFORMATION_SCHEMA.KEY_COLUMN_USAGE')) return [forTable(keyUsage, params), []];
+      throw new Error(`Unexpected query: ${sql}`);
+    });
+  });
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  test('describes tables, columns, indexes and foreign keys', async () => {
+    expect(await db.schema.tables()).toEqual(tables);
+
+    const userColumns = await db.schema.columns('users');
+    expect(userColumns.map(c => c.name)).toEqual(['id', 'org_id', 'email', 'created_at', 'legacy']);
+    expect(userColumns[0]).toMatchObject({ type: 'int', columnType: 'int unsigned', primary: true, autoIncrement: true, unsigned: true, nullable: false });
+    expect(userColumns[2]).toMatchObject({ type: 'varchar', length: 255, charset: 'utf8mb4' });
+    expect(userColumns[3]).toMatchObject({ default: 'CURRENT_TIMESTAMP', onUpdate: null });
+    expect(db.pool.execute.mock.calls.at(-1)[1]).toEqual(['users']);
+
+    expect(await db.schema.indexes('users')).toEqual([
+      { name: 'PRIMARY', columns: ['id'], unique: true, primary: true, type: 'BTREE' },
+      { name: 'fk_users_org', columns: ['org_id'], unique: false, primary: false, type: 'BTREE' },
+      { name: 'idx_users_email', columns: ['email(20)'], unique: false, primary: false, type: 'BTREE' }
+    ]);
+    expect(await db.schema.foreignKeys('users')).toEqual([
+      { name: 'fk_users_org', columns: ['org_id'], referencedTable: 'orgs', referencedColumns: ['id'], onUpdate: 'NO ACTION', onDelete: 'NO ACTION' }
+    ]);
+    expect(await db.schema.columns('missing')).toEqual([]);
+
+    const schema = await db.schema.describe();
+    expect(Object.keys(schema)).toEqual(['orgs', 'users']);
+    expect(schema.orgs.columns).toHaveLength(1);
+  });
+
+  test('reports no changes when the declaration matches the live schema', async () => {
+    const { changes } = await db.schema.diff({
+      orgs: { columns: { id: { type: 'INT(10) UNSIGNED', autoIncrement: true } }, primaryKey: 'id' },
+      users: {
+        columns: {
+          id: { type: 'int unsigned', autoIncrement: true },
+          org_id: 'int unsigned',
+          email: 'varchar(255)',
+          created_at: { type: 'timestamp', default: db.raw('current_timestamp()') },
+          legacy: { type: 'boolean', nullable: true }
+        },
+        primaryKey: ['id'],
+        indexes: { idx_users_email: ['email(20)'] },
+        foreignKeys: { fk_users_org: { columns: 'org_id', references: 'orgs.id' } }
+      }
+    });
+
+    expect(changes).toEqual([]);
+  });
+
+  test('generates ordered statements reconciling the live schema', async () => {
+    const { changes, statements, sql } = await db.schema.diff({
+      teams: {
+        columns: { id: { type: 'int unsigned', autoIncrement: true }, org_id: 'int unsigned', name: { type: 'varchar(100)', default: "O'Brien" } },
+        primaryKey: 'id',
+        indexes: { idx_teams_name: { columns: 'name', unique: true } },
+        foreignKeys: { fk_teams_org: { columns: 'org_id', references: { table: 'orgs', columns: 'id' }, onDelete: 'cascade' } },
+        engine: 'InnoDB'
+      },
+      orgs: { columns: { id: { type: 'int unsigned', autoIncrement: true } }, primaryKey: 'id' },
+      users: {
+        columns: {
+          id: { type: 'int unsigned', autoIncrement: true },
+          org_id: 'int unsigned',
+          name: { type: 'varchar(100)', nullable: true },
+          email: 'varchar(320)',
+          created_at: { type: 'timestamp', default: db.raw('CURRENT_TIMESTAMP') }
+        },
+        primaryKey: 'id',
+        indexes: { idx_users_email: { columns: 'email', unique: true } },
+        foreignKeys: { fk_users_org: { columns: 'org_id', references: 'orgs.id', onDelete: 'CASCADE' } }
+      }
+    }, { drop: true });
+
+    expect(changes.map(change => [change.type, change.table, change.name])).toEqual([
+      ['createTable', 'teams', 'teams'],
+      ['dropForeignKey', 'users', 'fk_users_org'],
+      ['dropIndex', 'users', 'idx_users_email'],
+      ['addColumn', 'users', 'name'],
+      ['modifyColumn', 'users', 'email'],
+      ['dropColumn', 'users', 'legacy'],
+      ['addIndex', 'users', 'idx_users_email'],
+      ['addForeignKey', 'teams', 'fk_teams_org'],
+      ['addForeignKey', 'users', 'fk_users_org']
+    ]);
+    expect(statements[0]).toBe([
+      'CREATE TABLE `teams` (',
+      '  `id` int unsigned NOT NULL AUTO_INCREMENT,',
+      '  `org_id` int unsigned NOT NULL,',
+      "  `name` varchar(100) NOT NULL DEFAULT 'O''Brien',",
+      '  PRIMARY KEY (`id`),',
+      '  UNIQUE INDEX `idx_teams_name` (`name`)',
+      ') ENGINE=InnoDB'
+    ].join('\n'));
+    expect(statements.slice(1)).toEqual([
+      'ALTER TABLE `users` DROP FOREIGN KEY `fk_users_org`',
+      'ALTER TABLE `users` DROP INDEX `idx_users_email`',
+      'ALTER TABLE `users` ADD COLUMN `name` varchar(100) NULL AFTER `org_id`',
+      'ALTER TABLE `users` MODIFY COLUMN `email` varchar(320) NOT NULL',
+      'ALTER TABLE `users` DROP COLUMN `legacy`',
+      'ALTER TABLE `users` ADD UNIQUE INDEX `idx_users_email` (`email`)',
+      'ALTER TABLE `teams` ADD CONSTRAINT `fk_teams_org` FOREIGN KEY (`org_id`) REFERENCES `orgs` (`id`) ON DELETE CASCADE ON UPDATE RESTRICT',
+      'ALTER TABLE `users` ADD CONSTRAINT `fk_users_org` FOREIGN KEY (`org_id`) REFERENCES `orgs` (`id`) ON DELETE CASCADE ON UPDATE RESTRICT'
+    ]);
+    expect(sql.split('\n').at(-1)).toBe(`${statements.at(-1)};`);
+  });
+
+  test('only drops undeclared objects with drop: true', () => {
+    const int = name => ({ name, columnType: 'int', nullable: false, default: null, autoIncrement: false, onUpdate: null, comment: '' });
+    const live = {
+      migrations: { columns: [int('id')], indexes: [], foreignKeys: [] },
+      sessions: { columns: [int('id')], indexes: [], foreignKeys: [] },
+      users: { columns: [int('id'), int('old')], indexes: [], foreignKeys: [] }
+    };
+    const schema = { users: { columns: { id: 'int' } } };
+
+    expect(diffSchema(live, schema).statements).toEqual([]);
+    expect(diffSchema(live, schema, { drop: true }).statements).toEqual([
+      'ALTER TABLE `users` DROP COLUMN `old`',
+      'DROP TABLE `sessions`'
+    ]);
+    expect(diffSchema(live, schema, { drop: true, ignore: ['sessions'] }).statements).toEqual([
+      'ALTER TABLE `users` DROP COLUMN `old`',
+      'DROP TABLE `migrations`'
+    ]);
+  });
+
+  test('never drops the migrations table of the instance', async () => {
+    await db.close();
+    db = new MySQLMate({
+      host: 'localhost',
+      database: 'test_db',
+      processSignals: false,
+      logger: { level: 'silent', isDev: false },
+      migrations: { tableName: 'schema_history' }
+    });
+    db.pool.execute.mockImplementation(async (sql) => {
+      if (sql.includes('INFORMATION_SCHEMA.TABLES')) return [[{ name: 'schema_history', engine: 'InnoDB', collation: null, comment: '', rows: 1 }], []];
+      if (sql.includes('INFORMATION_SCHEMA.COLUMNS')) return [[column('schema_history', 'id', 1, 'int')], []];
+      return [[], []];
+    });
+
+    const { statements } = await db.schema.diff({ users: { columns: { id: 'int' } } }, { drop: true });
+
+    expect(statements).toEqual(['CREATE TABLE `users` (\n  `id` int NOT NULL\n)']);
+  });
+
+  test('normalizes column types the way the server reports them', () => {
+    expect(normalizeType('INT(11)')).toBe('int');
+    expect(normalizeType('bigint(20) unsigned zerofill')).toBe('bigint unsigned');
+    expect(normalizeType('tinyint(1)')).toBe('tinyint(1)');
+    expect(normalizeType("ENUM('a', 'b')")).toBe("enum('a','b')");
+  });
+
+  test('validates the declared schema', async () => {
+    await expect(db.schema.diff({ users: { columns: {} } })).rejects.toThrow('Table users must define its columns');
+    await expect(db.schema.diff({ users: { columns: { id: 'int' }, primary: 'id' } })).rejects.toThrow('Unknown table users options: primary');
+    await expect(db.schema.diff({ users: { columns: { id: { type: 'int', null: true } } } })).rejects.toThrow('Unknown column id options: null');
+    await expect(db.schema.diff({ users: { columns: { id: 'int' }, primaryKey: 'uid' } })).rejects.toThrow('Primary key column uid is not a column of users');
+    await expect(db.schema.diff({
+      users: { columns: { id: 'int' }, foreignKeys: { fk: { columns: 'id', references: 'orgs.id', onDelete: 'DELETE' } } }
+    })).rejects.toThrow('Foreign key fk actions must be one of');
+    expect(db.pool.execute).not.toHaveBeenCalled();
+  });
+});
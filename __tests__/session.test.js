@@ -0,0 +1,231 @@
+const mysql = require('mysql2/promise');
+const MySQLMate = require('../index');
+const { ValidationError } = require('../lib/errors');
+
+jest.mock('mysql2/promise', () => ({
+  createPool: jest.fn(() => ({
+    execute: jest.fn().mockResolvedValue([[], []]),
+    query: jest.fn(),
+    getConnection: jest.fn(),
+    end: jest.fn().mockResolvedValue(),
+    on: jest.fn()
+  }))
+}));
+
+// Core connection as passed to the pool's connection event: callback API, commands run in order
+function createConnection({ fail = null } = {}) {
+  const commands = [];
+  const connection = {
+    threadId: 9,
+    commands,
+    destroy: jest.fn(),
+    query: jest.fn((sql, params, callback) => {
+      commands.push(sql);
+      setImmediate(() => callback(sql === fail ? Object.assign(new Error('Unknown system variable'), { code: 'ER_UNKNOWN_SYSTEM_VARIABLE' }) : null));
+    })
+  };
+  connection.promise = () => ({
+    query: (sql, params) => new Promise((resolve, reject) => {
+      connection.query(sql, params, error => (error ? reject(error) : resolve([[], []])));
+    })
+  });
+  return connection;
+}
+
+// Connection as returned by the promise pool's getConnection(), wrapping the core connection
+function checkout(core) {
+  return {
+    connection: core,
+    threadId: core.threadId,
+    execute: jest.fn((sql, params) => new Promise((resolve, reject) => {
+      core.query(sql, params, error => (error ? reject(error) : resolve([[], []])));
+    })),
+    release: jest.fn(),
+    destroy: core.destroy
+  };
+}
+
+// A checkout that opens a new connection, firing the pool's connection event first like mysql2 does
+const openOnCheckout = (db, connection) => {
+  const checkedOut = checkout(connection);
+  db.pool.getConnection.mockImplementation(async () => {
+    emitConnection(db.pool, connection);
+    return checkedOut;
+  });
+  return checkedOut;
+};
+
+const emitConnection = (pool, connection) => {
+  for (const [event, listener] of pool.on.mock.calls) {
+    if (event === 'connection') listener(connection);
+  }
+};
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+const baseConfig = {
+  host: 'localhost',
+  database: 'test_db',
+  processSignals: false,
+  logger: { level: 'silent', isDev: false }
+};
+
+describe('Pool options', () => {
+  test('passes mysql2 pool and connection options through', async () => {
+    const typeCast = (field, next) => next();
+    const db = new MySQLMate({
+      ...baseConfig,
+      waitForConnections: false,
+      queueLimit: 50,
+      maxIdle: 2,
+      idleTimeout: 30000,
+      enableKeepAlive: true,
+      namedPlaceholders: true,
+      typeCast
+    });
+
+    expect(mysql.createPool).toHaveBeenLastCalledWith(expect.objectContaining({
+      waitForConnections: false,
+      queueLimit: 50,
+      maxIdle: 2,
+      idleTimeout: 30000,
+      enableKeepAlive: true,
+      namedPlaceholders: true,
+      typeCast
+    }));
+    expect(mysql.createPool.mock.calls.at(-1)[0]).not.toHaveProperty('session');
+    await db.close();
+  });
+
+  test('rejects misspelled options with a suggestion', () => {
+    expect(() => new MySQLMate({ ...baseConfig, conectionLimit: 5 }))
+      .toThrow('Unknown configuration options: conectionLimit (did you mean connectionLimit?)');
+    expect(() => new MySQLMate({ ...baseConfig, maxretries: 5, frobnicate: true }))
+      .toThrow('Unknown configuration options: maxretries (did you mean maxRetries?), frobnicate');
+    expect(() => new MySQLMate({ ...baseConfig, replicas: [{ host: 'replica', usr: 'ro' }] }))
+      .toThrow('Unknown replica options: usr (did you mean user?)');
+  });
+});
+
+describe('Session initialisation', () => {
+  let db;
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  test('runs the session statements and onConnect on every new connection before use', async () => {
+    const onConnect = jest.fn(async (connection) => {
+      await connection.query('SET @app = ?', ['billing']);
+    });
+    db = new MySQLMate({
+      ...baseConfig,
+      session: [
+        "SET time_zone = '+00:00'",
+        { sql: 'SET SESSION sql_mode = ?', params: ['STRICT_ALL_TABLES'] }
+      ],
+      onConnect
+    });
+    const connection = createConnection();
+
+    emitConnection(db.pool, connection);
+    // Everything is queued synchronously, ahead of the statement the connection is acquired for
+    connection.query('SELECT 1', [], () => {});
+
+    expect(connection.commands).toEqual([
+      "SET time_zone = '+00:00'",
+      'SET SESSION sql_mode = ?',
+      'SET @app = ?',
+      'SELECT 1'
+    ]);
+    expect(connection.query.mock.calls[1][1]).toEqual(['STRICT_ALL_TABLES']);
+    expect(onConnect).toHaveBeenCalledTimes(1);
+  });
+
+  test('waits for a slow onConnect before the connection is used', async () => {
+    let finishSetup;
+    db = new MySQLMate({
+      ...baseConfig,
+      onConnect: async (connection) => {
+        await new Promise(resolve => { finishSetup = resolve; });
+        await connection.query('SET @tenant = ?', ['acme']);
+      }
+    });
+    const connection = createConnection();
+    const checkedOut = openOnCheckout(db, connection);
+
+    const query = db.query('SELECT 1');
+    await flush();
+    expect(connection.commands).toEqual([]);
+
+    finishSetup();
+    await query;
+
+    expect(connection.commands).toEqual(['SET @tenant = ?', 'SELECT 1']);
+    expect(db.pool.execute).not.toHaveBeenCalled();
+    expect(checkedOut.release).toHaveBeenCalled();
+  });
+
+  test('fails the checkout of a connection whose session could not be set up', async () => {
+    const failing = "SET time_zne = '+00:00'";
+    db = new MySQLMate({ ...baseConfig, session: [failing] });
+    const connection = createConnection({ fail: failing });
+    openOnCheckout(db, connection);
+
+    await expect(db.query('SELECT 1')).rejects.toMatchObject({ code: 'ER_UNKNOWN_SYSTEM_VARIABLE' });
+    await expect(db.getConnection()).rejects.toMatchObject({ code: 'ER_UNKNOWN_SYSTEM_VARIABLE' });
+    const callback = jest.fn();
+    await expect(db.transaction(callback)).rejects.toMatchObject({ code: 'ER_UNKNOWN_SYSTEM_VARIABLE' });
+
+    expect(callback).not.toHaveBeenCalled();
+    expect(connection.commands.every(sql => sql === failing)).toBe(true);
+    expect(connection.destroy).toHaveBeenCalled();
+  });
+
+  test('applies to replica pools as well', () => {
+    db = new MySQLMate({
+      ...baseConfig,
+      replicas: [{ host: 'replica-1' }],
+      session: ['SET NAMES utf8mb4']
+    });
+    const connection = createConnection();
+
+    emitConnection(db.router.replicas[0].pool, connection);
+
+    expect(connection.commands).toEqual(['SET NAMES utf8mb4']);
+  });
+
+  test('discards a connection whose session could not be set up', async () => {
+    db = new MySQLMate({ ...baseConfig, session: ["SET time_zne = '+00:00'"] });
+    const onError = jest.fn();
+    db.on('sessionError', onError);
+    const connection = createConnection({ fail: "SET time_zne = '+00:00'" });
+
+    emitConnection(db.pool, connection);
+    await flush();
+
+    expect(connection.destroy).toHaveBeenCalled();
+    expect(onError).toHaveBeenCalledWith({ threadId: 9, error: expect.objectContaining({ code: 'ER_UNKNOWN_SYSTEM_VARIABLE' }) });
+  });
+
+  test('discards the connection when onConnect throws', async () => {
+    db = new MySQLMate({
+      ...baseConfig,
+      onConnect: () => { throw new Error('no tenant'); }
+    });
+    const connection = createConnection();
+
+    emitConnection(db.pool, connection);
+    await flush();
+
+    expect(connection.destroy).toHaveBeenCalled();
+  });
+
+  test('validates the session options', () => {
+    db = new MySQLMate(baseConfig);
+
+    expect(() => new MySQLMate({ ...baseConfig, session: 'SET NAMES utf8mb4' })).toThrow('session must be an array of statements');
+    expect(() => new MySQLMate({ ...baseConfig, session: [''] })).toThrow('session[0] must be an SQL string or { sql, params }');
+    expect(() => new MySQLMate({ ...baseConfig, onConnect: 'SET NAMES utf8mb4' })).toThrow(ValidationError);
+  });
+});
@@ -0,0 +1,147 @@
+const MySQLMate = require('../index');
+const { fingerprint } = require('../lib/sqlLexer');
+const { formatParams } = require('../lib/redact');
+
+jest.mock('mysql2/promise', () => ({
+  createPool: jest.fn(() => ({
+    execute: jest.fn().mockResolvedValue([[], []]),
+    getConnection: jest.fn(),
+    end: jest.fn().mockResolvedValue(),
+    on: jest.fn()
+  }))
+}));
+
+describe('Slow query log', () => {
+  let db;
+  let now;
+
+  const createDb = (slowQuery) => new MySQLMate({
+    host: 'localhost',
+    database: 'test_db',
+    logger: { level: 'silent', isDev: false },
+    slowQuery
+  });
+
+  // Make every pool.execute call take the given number of milliseconds
+  const takes = (ms) => {
+    db.pool.execute.mockImplementation(async (sql) => {
+      if (sql.startsWith('EXPLAIN')) {
+        return [[{ EXPLAIN: '{"query_block":{"select_id":1}}' }], []];
+      }
+      now += ms;
+      return [[], []];
+    });
+  };
+
+  beforeEach(() => {
+    now = 1000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    db = createDb({ threshold: 100, explain: true, topN: 2 });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await db.close();
+  });
+
+  const nextSlowQuery = () => new Promise(resolve => db.once('slowQuery', resolve));
+
+  test('fingerprint should normalise literals, lists and whitespace', () => {
+    expect(fingerprint("SELECT *  FROM users WHERE id IN (1, 2, 3) AND name = 'x' -- note\nLIMIT 5;"))
+      .toBe('select * from users where id in (?+) and name = ? limit ?');
+    expect(fingerprint('INSERT INTO t (a, b) VALUES (?, ?), (?, ?)')).toBe('insert into t (a, b) values (?+)+');
+  });
+
+  test('formatParams should support logging modes', () => {
+    const params = [1, 'secret', null, new Date(0)];
+    expect(formatParams(params, 'none')).toBeUndefined();
+    expect(formatParams(params, 'count')).toBe(4);
+    expect(formatParams(params, 'types')).toEqual(['number', 'string', 'null', 'date']);
+    expect(formatParams({ id: 1 }, 'types')).toEqual({ id: 'number' });
+    expect(formatParams(params, 'full')).toBe(params);
+    expect(() => formatParams(params, 'all')).toThrow('Unsupported params logging mode: all');
+  });
+
+  test('should not record fast queries', async () => {
+    const listener = jest.fn();
+    db.on('slowQuery', listener);
+    takes(50);
+
+    await db.query('SELECT * FROM users WHERE id = ?', [1]);
+    expect(listener).not.toHaveBeenCalled();
+    expect(db.getSlowQueries()).toEqual([]);
+  });
+
+  test('should record slow queries with fingerprint, redacted params, stack and plan', async () => {
+    takes(250);
+    const recorded = nextSlowQuery();
+
+    await db.query('SELECT * FROM users WHERE email = ?', ['a@example.com']);
+    const entry = await recorded;
+
+    expect(entry).toMatchObject({
+      fingerprint: 'select * from users where email = ?',
+      params: ['string'],
+      duration: 250,
+      pool: 'primary',
+      plan: { query_block: { select_id: 1 } }
+    });
+    expect(entry.stack.length).toBeGreaterThan(0);
+    expect(entry.stack[0]).toContain('slowQueryLog.test.js');
+    expect(db.pool.execute).toHaveBeenCalledWith('EXPLAIN FORMAT=JSON SELECT * FROM users WHERE email = ?', ['a@example.com']);
+  });
+
+  test('should only explain SELECT statements', async () => {
+    takes(250);
+    const recorded = nextSlowQuery();
+
+    await db.query('UPDATE users SET active = 0');
+    const entry = await recorded;
+
+    expect(entry.plan).toBeUndefined();
+    expect(db.pool.execute).toHaveBeenCalledTimes(1);
+  });
+
+  test('should keep the top N slowest fingerprints', async () => {
+    for (const [sql, ms] of [
+      ['SELECT * FROM a WHERE id = 1', 150],
+      ['SELECT * FROM a WHERE id = 2', 300],
+      ['SELECT * FROM b', 200],
+      ['SELECT * FROM c', 120]
+    ]) {
+      takes(ms);
+      const recorded = nextSlowQuery();
+      await db.query(sql);
+      await recorded;
+    }
+
+    const slowest = db.getSlowQueries();
+    expect(slowest.map(entry => [entry.fingerprint, entry.count, entry.maxDuration, entry.avgDuration])).toEqual([
+      ['select * from a where id = ?', 2, 300, 225],
+      ['select * from b', 1, 200, 200]
+    ]);
+
+    db.resetSlowQueries();
+    expect(db.getSlowQueries()).toEqual([]);
+  });
+
+  test('should keep the entry when EXPLAIN fails', async () => {
+    takes(250);
+    db.pool.execute.mockImplementation(async (sql) => {
+      if (sql.startsWith('EXPLAIN')) throw new Error('explain failed');
+      now += 250;
+      return [[], []];
+    });
+    const recorded = nextSlowQuery();
+
+    await db.query('SELECT 1');
+    expect(await recorded).toMatchObject({ planError: 'explain failed' });
+  });
+
+  test('should be disabled by default', async () => {
+    await db.close();
+    db = createDb(undefined);
+    expect(db.slowQueryLog).toBeNull();
+    expect(db.getSlowQueries()).toEqual([]);
+  });
+});
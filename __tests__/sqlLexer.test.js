@@ -0,0 +1,100 @@
+const { tokenize, splitStatements, statementType, referencedTables } = require('../lib/sqlLexer');
+const { DEFAULT_POLICY, createPolicy, enforcePolicy } = require('../lib/queryPolicy');
+
+describe('sqlLexer', () => {
+  const types = sql => tokenize(sql)
+    .filter(token => token.type !== 'whitespace')
+    .map(token => [token.type, token.value]);
+
+  test('should tokenize literals, identifiers and placeholders', () => {
+    expect(types("SELECT `a`, 'it''s', \"q\\\"\", 1.5e3, @v, @@session.x, ?, ??, :id, ::col FROM t;")).toEqual([
+      ['word', 'SELECT'], ['identifier', '`a`'], ['operator', ','],
+      ['string', "'it''s'"], ['operator', ','],
+      ['string', '"q\\""'], ['operator', ','],
+      ['number', '1.5e3'], ['operator', ','],
+      ['variable', '@v'], ['operator', ','],
+      ['variable', '@@session.x'], ['operator', ','],
+      ['placeholder', '?'], ['operator', ','],
+      ['placeholder', '??'], ['operator', ','],
+      ['parameter', ':id'], ['operator', ','],
+      ['parameter', '::col'],
+      ['word', 'FROM'], ['word', 't'], ['semicolon', ';']
+    ]);
+  });
+
+  test('should recognise comment kinds', () => {
+    const comments = tokenize('SELECT /*+ BKA(t) */ /*!50000 1 */ /* c */ 1 -- line\n# hash\n--not-a-comment')
+      .filter(token => token.type === 'comment')
+      .map(token => token.kind);
+    expect(comments).toEqual(['hint', 'executable', 'block', 'line', 'line']);
+  });
+
+  test('should flag unterminated strings and comments', () => {
+    expect(tokenize("SELECT 'abc").pop()).toMatchObject({ type: 'string', unterminated: true });
+    expect(tokenize('SELECT 1 /* abc').pop()).toMatchObject({ type: 'comment', unterminated: true });
+  });
+
+  test('should split statements outside quotes and comments', () => {
+    expect(splitStatements(`
+      INSERT INTO t VALUES ('a;b', "c;d"); -- trailing; comment
+      /* block; comment */ SELECT \`odd;name\` FROM t;
+      SELECT /*+ NO_ICP(t) */ 1;;
+    `)).toEqual([
+      'INSERT INTO t VALUES (\'a;b\', "c;d")',
+      'SELECT `odd;name` FROM t',
+      'SELECT /*+ NO_ICP(t) */ 1'
+    ]);
+  });
+
+  test('should detect statement types', () => {
+    expect(statementType('  select 1')).toBe('SELECT');
+    expect(statementType('/* c */ (SELECT 1) UNION (SELECT 2)')).toBe('SELECT');
+    expect(statementType('WITH x AS (SELECT 1) UPDATE t JOIN x SET t.a = 1')).toBe('UPDATE');
+    expect(statementType('-- only a comment')).toBe(null);
+  });
+
+  test('should list the tables a statement references', () => {
+    expect(referencedTables('SELECT * FROM users u JOIN `shop`.`Orders` AS o ON o.user_id = u.id')).toEqual(['users', 'orders']);
+    expect(referencedTables('SELECT * FROM a, b x, c WHERE 1')).toEqual(['a', 'b', 'c']);
+    expect(referencedTables('INSERT IGNORE INTO logs (a) SELECT a FROM src')).toEqual(['logs', 'src']);
+    expect(referencedTables('UPDATE LOW_PRIORITY t1, t2 SET t1.a = t2.a')).toEqual(['t1', 't2']);
+    expect(referencedTables('DELETE t1 FROM t1 LEFT JOIN t2 ON t1.id = t2.id')).toEqual(['t1', 't2']);
+    expect(referencedTables('TRUNCATE TABLE sessions; DROP TABLE IF EXISTS tmp')).toEqual(['sessions', 'tmp']);
+    expect(referencedTables('SELECT * FROM (SELECT id FROM x) d')).toEqual(['x']);
+    expect(referencedTables('SELECT 1 FROM DUAL')).toEqual([]);
+  });
+});
+
+describe('queryPolicy', () => {
+  const check = (sql, overrides = {}, params = []) =>
+    () => enforcePolicy(sql, params, createPolicy(DEFAULT_POLICY, overrides));
+
+  test('should reject multiple statements unless allowed', () => {
+    expect(check('SELECT 1; DROP TABLE users')).toThrow('multiple statements are not allowed');
+    expect(check('SELECT 1;')).not.toThrow();
+    expect(check('SELECT 1; SELECT 2', { allowMultipleStatements: true })).not.toThrow();
+  });
+
+  test('should enforce allowed and denied statement types', () => {
+    expect(check('DROP TABLE users', { deniedStatements: ['drop'] })).toThrow('DROP statements are not allowed');
+    expect(check('UPDATE users SET a = 1', { allowedStatements: ['SELECT'] })).toThrow('UPDATE statements are not allowed');
+    expect(check('SELECT 1', { allowedStatements: ['SELECT'] })).not.toThrow();
+  });
+
+  test('should control comments', () => {
+    expect(check('SELECT 1 -- note', { allowComments: false })).toThrow('comments are not allowed');
+    expect(check('SELECT /*+ MAX_EXECUTION_TIME(100) */ 1', { allowComments: false })).not.toThrow();
+    expect(check('SELECT /*!50000 1 */')).toThrow('executable comments are not allowed');
+  });
+
+  test('should forbid literals in parameterised queries when configured', () => {
+    const sql = "SELECT * FROM users WHERE id = ? AND status = 'active'";
+    expect(check(sql, { forbidLiteralsWithParams: true }, [1])).toThrow('string literals are not allowed in parameterised queries');
+    expect(check(sql, { forbidLiteralsWithParams: true }, [])).not.toThrow();
+    expect(check(sql, {}, [1])).not.toThrow();
+  });
+
+  test('should reject unknown policy options', () => {
+    expect(() => createPolicy(DEFAULT_POLICY, { allowEverything: true })).toThrow('Unknown query policy options: allowEverything');
+  });
+});
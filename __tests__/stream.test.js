@@ -0,0 +1,188 @@
+const { Readable, Writable, pipeline } = require('stream');
+const mysql = require('mysql2/promise');
+const MySQLMate = require('../index');
+const { QueryTimeoutError } = require('../lib/errors');
+
+jest.mock('mysql2/promise', () => ({
+  createPool: jest.fn(() => ({
+    execute: jest.fn().mockResolvedValue([[], []]),
+    query: jest.fn().mockResolvedValue([[], []]),
+    getConnection: jest.fn(),
+    end: jest.fn().mockResolvedValue(),
+    on: jest.fn()
+  })),
+  createConnection: jest.fn()
+}));
+
+// Pooled connection whose core query(...).stream() yields the given rows
+function createConnection(rows, { endless = false } = {}) {
+  const source = endless
+    ? new Readable({ objectMode: true, read() { this.push({ id: 1 }); } })
+    : Readable.from(rows);
+  return {
+    threadId: 7,
+    source,
+    connection: {
+      query: jest.fn(() => ({ stream: jest.fn(() => source) }))
+    },
+    release: jest.fn(),
+    destroy: jest.fn()
+  };
+}
+
+const rows = (count) => Array.from({ length: count }, (_, index) => ({ id: index + 1 }));
+
+describe('Streaming', () => {
+  let db;
+
+  beforeEach(() => {
+    db = new MySQLMate({
+      host: 'localhost',
+      database: 'test_db',
+      logger: { level: 'silent', isDev: false }
+    });
+  });
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  test('should iterate rows and release the connection afterwards', async () => {
+    const connection = createConnection(rows(5));
+    db.pool.getConnection.mockResolvedValue(connection);
+
+    const stream = db.stream('SELECT * FROM users WHERE id > :min', { min: 0 });
+    expect(db.activeOperations.size).toBe(1);
+
+    const received = [];
+    for await (const row of stream) received.push(row.id);
+
+    expect(received).toEqual([1, 2, 3, 4, 5]);
+    expect(connection.connection.query).toHaveBeenCalledWith('SELECT * FROM users WHERE id > ?', [0]);
+    expect(connection.release).toHaveBeenCalled();
+    expect(connection.destroy).not.toHaveBeenCalled();
+    expect(db.activeOperations.size).toBe(0);
+  });
+
+  test('should group rows into batches', async () => {
+    db.pool.getConnection.mockResolvedValue(createConnection(rows(5)));
+
+    const batches = [];
+    for await (const batch of db.stream('SELECT * FROM users', [], { batchSize: 2 })) {
+      batches.push(batch.map(row => row.id));
+    }
+
+    expect(batches).toEqual([[1, 2], [3, 4], [5]]);
+  });
+
+  test('should pipe as a Node stream and respect backpressure', async () => {
+    const connection = createConnection(rows(50));
+    db.pool.getConnection.mockResolvedValue(connection);
+    const pause = jest.spyOn(connection.source, 'pause');
+
+    const written = [];
+    const slowSink = new Writable({
+      objectMode: true,
+      highWaterMark: 1,
+      write(row, encoding, callback) {
+        written.push(row.id);
+        setImmediate(callback);
+      }
+    });
+
+    await new Promise((resolve, reject) => {
+      pipeline(db.stream('SELECT * FROM users', [], { highWaterMark: 2 }), slowSink, error => (error ? reject(error) : resolve()));
+    });
+
+    expect(written).toHaveLength(50);
+    expect(pause).toHaveBeenCalled();
+  });
+
+  test('should report rows and duration to metrics', async () => {
+    db.pool.getConnection.mockResolvedValue(createConnection(rows(3)));
+    const queries = [];
+    db.on('query', event => queries.push(event));
+
+    const received = [];
+    for await (const row of db.stream('SELECT * FROM users')) received.push(row);
+
+    const metrics = db.getMetrics();
+    expect(metrics.streams).toEqual({ completed: 1, failed: 0, rows: 3 });
+    expect(metrics.queriesByType).toEqual({ SELECT: 1 });
+    expect(metrics.totalQueries).toBe(1);
+    expect(queries[0]).toMatchObject({ rows: 3, pool: 'primary' });
+    expect(db.getPrometheusMetrics()).toContain('mysqlmate_stream_rows_total 3');
+  });
+
+  test('should destroy the connection when the consumer stops early', async () => {
+    const connection = createConnection([], { endless: true });
+    db.pool.getConnection.mockResolvedValue(connection);
+
+    let count = 0;
+    for await (const row of db.stream('SELECT * FROM events')) {
+      count += row.id;
+      if (count === 3) break;
+    }
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(connection.destroy).toHaveBeenCalled();
+    expect(connection.release).not.toHaveBeenCalled();
+    expect(db.getMetrics().streams).toMatchObject({ completed: 0, failed: 1 });
+    expect(db.activeOperations.size).toBe(0);
+  });
+
+  test('should return a connection obtained after the stream was destroyed', async () => {
+    const connection = createConnection(rows(3));
+    let grant;
+    db.pool.getConnection.mockReturnValue(new Promise(resolve => { grant = resolve; }));
+
+    const stream = db.stream('SELECT * FROM users');
+    stream.resume();
+    await new Promise(resolve => setImmediate(resolve));
+    stream.destroy();
+    await new Promise(resolve => stream.once('close', resolve));
+
+    grant(connection);
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(connection.release).toHaveBeenCalledTimes(1);
+    expect(connection.destroy).not.toHaveBeenCalled();
+    expect(connection.connection.query).not.toHaveBeenCalled();
+  });
+
+  test('should fail with the connection error', async () => {
+    db.pool.getConnection.mockRejectedValue(new Error('Too many connections'));
+
+    const consume = async () => {
+      const received = [];
+      for await (const row of db.stream('SELECT 1')) received.push(row);
+      return received;
+    };
+    await expect(consume()).rejects.toThrow('Too many connections');
+    expect(db.activeOperations.size).toBe(0);
+  });
+
+  test('should time out, kill the query and destroy the stream', async () => {
+    const connection = createConnection([], { endless: true });
+    db.pool.getConnection.mockResolvedValue(connection);
+    const kill = jest.fn().mockResolvedValue([{ affectedRows: 0 }]);
+    mysql.createConnection.mockResolvedValue({ query: kill, end: jest.fn().mockResolvedValue() });
+
+    const stream = db.stream('SELECT * FROM events', [], { timeout: 20 });
+    stream.on('data', () => stream.pause());
+    const error = await new Promise(resolve => stream.on('error', resolve));
+
+    expect(error).toBeInstanceOf(QueryTimeoutError);
+    expect(kill).toHaveBeenCalledWith('KILL QUERY 7');
+    await new Promise(resolve => setImmediate(resolve));
+    expect(connection.destroy).toHaveBeenCalled();
+  });
+
+  test('should validate options and reject during shutdown', () => {
+    expect(() => db.stream('SELECT 1', [], { batchSize: 0 })).toThrow('Stream batchSize must be a positive integer');
+    expect(db.activeOperations.size).toBe(0);
+
+    db.isShuttingDown = true;
+    expect(() => db.stream('SELECT 1')).toThrow('Database is shutting down, cannot execute new queries');
+  });
+});
@@ -0,0 +1,190 @@
+const mysql = require('mysql2/promise');
+const MySQLMate = require('../index');
+const { ShutdownError } = require('../lib/errors');
+const { MemoryStore } = require('../lib/queryCache');
+
+jest.mock('mysql2/promise', () => ({
+  createPool: jest.fn(config => ({
+    database: config.database,
+    execute: jest.fn().mockResolvedValue([[{ database: config.database }], []]),
+    query: jest.fn(),
+    getConnection: jest.fn(),
+    end: jest.fn().mockResolvedValue(),
+    on: jest.fn()
+  }))
+}));
+
+const baseConfig = {
+  host: 'localhost',
+  database: 'app',
+  processSignals: false,
+  logger: { level: 'silent', isDev: false }
+};
+
+// Pool created for a database, most recent first
+const poolFor = database => mysql.createPool.mock.results
+  .map(result => result.value)
+  .reverse()
+  .find(pool => pool.database === database);
+
+describe('Tenants', () => {
+  let db;
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  test('routes forTenant() calls to a pool opened with the tenant settings', async () => {
+    db = new MySQLMate({
+      ...baseConfig,
+      connectionLimit: 4,
+      tenants: { resolve: { acme: { database: 'tenant_acme' } } }
+    });
+    const acme = db.forTenant('acme');
+
+    const [rows] = await acme.query('SELECT * FROM users WHERE id = ?', [1]);
+    await acme.table('users').where('id', 2).execute();
+
+    expect(rows).toEqual([{ database: 'tenant_acme' }]);
+    expect(mysql.createPool).toHaveBeenLastCalledWith(expect.objectContaining({ host: 'localhost', database: 'tenant_acme', connectionLimit: 4 }));
+    expect(poolFor('tenant_acme').execute).toHaveBeenCalledTimes(2);
+    expect(db.pool.execute).not.toHaveBeenCalled();
+    expect(db.forTenant('acme')).toBe(acme);
+  });
+
+  test('routes query() and transaction() inside withTenant()', async () => {
+    db = new MySQLMate({ ...baseConfig, tenants: { resolve: async id => ({ database: `tenant_${id}` }) } });
+    await db.tenants.get('globex');
+    const connection = {
+      execute: jest.fn().mockResolvedValue([{ affectedRows: 1 }, []]),
+      query: jest.fn().mockResolvedValue([[], []]),
+      beginTransaction: jest.fn().mockResolvedValue(),
+      commit: jest.fn().mockResolvedValue(),
+      rollback: jest.fn().mockResolvedValue(),
+      release: jest.fn()
+    };
+    poolFor('tenant_globex').getConnection.mockResolvedValue(connection);
+
+    await db.withTenant('globex', async () => {
+      await db.query('SELECT 1');
+      await db.transaction(async () => {
+        await db.query('UPDATE users SET active = 1');
+      });
+    });
+    await db.query('SELECT 2');
+
+    expect(poolFor('tenant_globex').execute).toHaveBeenCalledWith('SELECT 1', []);
+    expect(connection.execute).toHaveBeenCalledWith('UPDATE users SET active = 1', []);
+    expect(connection.commit).toHaveBeenCalled();
+    expect(db.pool.execute).toHaveBeenCalledWith('SELECT 2', []);
+  });
+
+  test('resolves each tenant once and does not cache failures', async () => {
+    const resolve = jest.fn(async id => (id === 'acme' ? { database: 'tenant_acme' } : null));
+    db = new MySQLMate({ ...baseConfig, tenants: { resolve } });
+
+    const [first, second] = await Promise.all([db.tenants.get('acme'), db.tenants.get('acme')]);
+    const error = await db.forTenant('initech').query('SELECT 1').catch(e => e);
+    await db.forTenant('initech').query('SELECT 1').catch(() => {});
+
+    expect(first).toBe(second);
+    expect(error).toMatchObject({ code: 'UNKNOWN_TENANT', message: 'Unknown tenant: initech' });
+    expect(resolve.mock.calls.map(([id]) => id)).toEqual(['acme', 'initech', 'initech']);
+    expect(db.tenants.list().map(entry => entry.tenant)).toEqual(['acme']);
+  });
+
+  test('closes the least recently used pool beyond maxPools and idle pools', async () => {
+    db = new MySQLMate({
+      ...baseConfig,
+      tenants: { resolve: async id => ({ database: `tenant_${id}` }), maxPools: 2, idleTimeout: 1000 }
+    });
+    const evicted = jest.fn();
+    db.on('tenantPoolEvicted', evicted);
+
+    await db.tenants.get('a');
+    await db.tenants.get('b');
+    await db.tenants.get('a');
+    await db.tenants.get('c');
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(evicted).toHaveBeenCalledWith({ tenant: 'b', reason: 'lru' });
+    expect(poolFor('tenant_b').end).toHaveBeenCalled();
+    expect(db.tenants.list().map(entry => entry.tenant)).toEqual(['a', 'c']);
+
+    db.tenants.entries.get('a').lastUsed -= 2000;
+    db.tenants.evictIdle();
+    expect(evicted).toHaveBeenLastCalledWith({ tenant: 'a', reason: 'idle' });
+    expect(db.tenants.list().map(entry => entry.tenant)).toEqual(['c']);
+  });
+
+  test('keeps a busy least recently used pool beyond maxPools until it is idle', async () => {
+    db = new MySQLMate({
+      ...baseConfig,
+      tenants: { resolve: async id => ({ database: `tenant_${id}` }), maxPools: 1, idleTimeout: null }
+    });
+    const evicted = jest.fn();
+    db.on('tenantPoolEvicted', evicted);
+    const warn = jest.spyOn(db.tenants.logger, 'warn');
+
+    const a = await db.tenants.get('a');
+    a.activeOperations.add('query-1');
+    await db.tenants.get('b');
+
+    expect(evicted).not.toHaveBeenCalled();
+    expect(poolFor('tenant_a').end).not.toHaveBeenCalled();
+    expect(warn).toHaveBeenCalledWith({ pools: 2, maxPools: 1 }, 'Tenant pools exceed maxPools, all of them are busy');
+    expect(db.tenants.list().map(entry => entry.tenant)).toEqual(['a', 'b']);
+
+    a.activeOperations.delete('query-1');
+    db.tenants.evictIdle();
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(evicted).toHaveBeenCalledWith({ tenant: 'a', reason: 'lru' });
+    expect(poolFor('tenant_a').end).toHaveBeenCalled();
+    expect(db.tenants.list().map(entry => entry.tenant)).toEqual(['b']);
+  });
+
+  test('aggregates metrics and shuts tenant pools down with the parent', async () => {
+    db = new MySQLMate({ ...baseConfig, tenants: { resolve: { acme: { database: 'tenant_acme' }, globex: { database: 'tenant_globex' } } } });
+    await db.forTenant('acme').query('SELECT 1');
+    await db.forTenant('globex').query('SELECT 1');
+    await db.forTenant('globex').query('SELECT 2');
+
+    const metrics = db.getMetrics().tenants;
+    expect(metrics).toMatchObject({ pools: 2, created: 2, evicted: 0, totalQueries: 3 });
+    expect(metrics.tenants.globex.totalQueries).toBe(2);
+    expect(db.getPrometheusMetrics()).toContain('mysqlmate_tenant_pools 2');
+
+    await db.gracefulShutdown(1000);
+
+    expect(poolFor('tenant_acme').end).toHaveBeenCalled();
+    expect(poolFor('tenant_globex').end).toHaveBeenCalled();
+    await expect(db.tenants.get('acme')).rejects.toThrow(ShutdownError);
+  });
+
+  test('keeps cached results of tenants sharing a cache store apart', async () => {
+    const store = new MemoryStore();
+    db = new MySQLMate({
+      ...baseConfig,
+      cache: { store },
+      tenants: { resolve: { a: { database: 'tenant_a' }, b: { database: 'tenant_b' } } }
+    });
+
+    const [rowsA] = await db.forTenant('a').query('SELECT * FROM users', [], { cache: true });
+    const [rowsB] = await db.forTenant('b').query('SELECT * FROM users', [], { cache: true });
+
+    expect(rowsA).toEqual([{ database: 'tenant_a' }]);
+    expect(rowsB).toEqual([{ database: 'tenant_b' }]);
+    expect(poolFor('tenant_b').execute).toHaveBeenCalledTimes(1);
+    expect(store.size).toBe(2);
+  });
+
+  test('validates the tenants options', () => {
+    db = new MySQLMate(baseConfig);
+
+    expect(() => db.forTenant('acme')).toThrow('Tenant routing needs the tenants option');
+    expect(() => new MySQLMate({ ...baseConfig, tenants: {} })).toThrow('tenants.resolve must be a map of tenant configs or a function');
+    expect(() => new MySQLMate({ ...baseConfig, tenants: { resolve: {}, maxPools: 0 } })).toThrow('tenants.maxPools must be a positive integer');
+    expect(() => new MySQLMate({ ...baseConfig, tenants: { resolve: {}, max: 5 } })).toThrow('Unknown tenants options: max');
+  });
+});
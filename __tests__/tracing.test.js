@@ -0,0 +1,168 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const MySQLMate = require('../index');
+const { SPAN_KIND, SPAN_STATUS } = require('../lib/tracing');
+
+jest.mock('mysql2/promise', () => ({
+  createPool: jest.fn(() => ({
+    execute: jest.fn().mockResolvedValue([[], []]),
+    query: jest.fn(),
+    getConnection: jest.fn(),
+    end: jest.fn().mockResolvedValue(),
+    on: jest.fn()
+  }))
+}));
+
+// In-memory tracer with the startActiveSpan contract of @opentelemetry/api
+function createTracer() {
+  const active = new AsyncLocalStorage();
+  const spans = [];
+  let nextId = 1;
+
+  return {
+    spans,
+    startActiveSpan(name, options, fn) {
+      const parent = active.getStore();
+      const span = {
+        id: nextId++,
+        name,
+        kind: options.kind,
+        parentId: parent ? parent.id : null,
+        attributes: { ...options.attributes },
+        events: [],
+        exceptions: [],
+        status: null,
+        ended: false,
+        setAttribute(key, value) { this.attributes[key] = value; },
+        addEvent(eventName, attributes) { this.events.push({ name: eventName, attributes }); },
+        recordException(error) { this.exceptions.push(error); },
+        setStatus(status) { this.status = status; },
+        end() { this.ended = true; }
+      };
+      spans.push(span);
+      return active.run(span, () => fn(span));
+    }
+  };
+}
+
+describe('Tracing', () => {
+  let db;
+  let tracer;
+
+  const find = name => tracer.spans.filter(span => span.name === name);
+
+  beforeEach(() => {
+    tracer = createTracer();
+    db = new MySQLMate({
+      host: 'db.internal',
+      port: 3307,
+      user: 'app',
+      database: 'shop',
+      retryDelay: 1,
+      tracing: { tracer },
+      logger: { level: 'silent', isDev: false }
+    });
+  });
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  test('creates a client span per query with database attributes', async () => {
+    await db.query('SELECT * FROM users WHERE id = ?', [1]);
+
+    const [span] = tracer.spans;
+    expect(span).toMatchObject({
+      name: 'SELECT shop',
+      kind: SPAN_KIND.CLIENT,
+      ended: true,
+      status: null,
+      attributes: {
+        'db.system': 'mysql',
+        'db.name': 'shop',
+        'db.user': 'app',
+        'net.peer.name': 'db.internal',
+        'net.peer.port': 3307,
+        'db.operation': 'SELECT',
+        'db.statement': 'SELECT * FROM users WHERE id = ?',
+        'db.mysqlmate.pool': 'primary',
+        'db.mysqlmate.attempts': 1
+      }
+    });
+  });
+
+  test('records retries as events and failures as the span status', async () => {
+    const lost = Object.assign(new Error('Connection lost'), { code: 'PROTOCOL_CONNECTION_LOST', fatal: true });
+    db.pool.execute.mockRejectedValueOnce(lost);
+    await db.query('SELECT 1');
+
+    const duplicate = Object.assign(new Error("Duplicate entry 'a' for key 'email'"), { code: 'ER_DUP_ENTRY', errno: 1062 });
+    db.pool.execute.mockRejectedValueOnce(duplicate);
+    await expect(db.query('INSERT INTO users (email) VALUES (?)', ['a'])).rejects.toThrow('Duplicate entry');
+
+    const [retried, failed] = tracer.spans;
+    expect(retried.events).toEqual([
+      { name: 'retry', attributes: { attempt: 1, delay: 1, 'error.type': 'PROTOCOL_CONNECTION_LOST' } }
+    ]);
+    expect(retried.attributes['db.mysqlmate.attempts']).toBe(2);
+    expect(retried.status).toBeNull();
+
+    expect(failed.status).toEqual({ code: SPAN_STATUS.ERROR, message: "Duplicate entry 'a' for key 'email'" });
+    expect(failed.attributes['error.type']).toBe('ER_DUP_ENTRY');
+    expect(failed.exceptions[0].name).toBe('DuplicateKeyError');
+    expect(failed.ended).toBe(true);
+  });
+
+  test('nests pool acquisition and statements under the transaction span', async () => {
+    const connection = {
+      threadId: 5,
+      execute: jest.fn().mockResolvedValue([{ affectedRows: 1 }, []]),
+      query: jest.fn().mockResolvedValue([[], []]),
+      beginTransaction: jest.fn().mockResolvedValue(),
+      commit: jest.fn().mockResolvedValue(),
+      release: jest.fn()
+    };
+    db.pool.getConnection.mockResolvedValue(connection);
+
+    await db.transaction(async (tx) => {
+      await tx.execute('UPDATE accounts SET balance = balance - ? WHERE id = ?', [5, 1]);
+      await db.query('UPDATE accounts SET balance = balance + ? WHERE id = ?', [5, 2]);
+    }, { isolationLevel: 'SERIALIZABLE' });
+
+    const [transaction] = find('mysqlmate.transaction');
+    expect(transaction.parentId).toBeNull();
+    expect(transaction.attributes).toMatchObject({ 'db.system': 'mysql', 'db.mysqlmate.isolation_level': 'SERIALIZABLE' });
+    expect(find('mysqlmate.acquire')[0].parentId).toBe(transaction.id);
+
+    const statements = find('UPDATE shop');
+    expect(statements).toHaveLength(2);
+    expect(statements.every(span => span.parentId === transaction.id && span.kind === SPAN_KIND.CLIENT)).toBe(true);
+  });
+
+  test('groups the queries of a multiQuery batch under one span', async () => {
+    await db.multiQuery([{ sql: 'SELECT 1' }, { sql: 'SELECT 2' }]);
+
+    const [batch] = find('mysqlmate.multiQuery');
+    expect(batch.attributes['db.mysqlmate.query_count']).toBe(2);
+    expect(find('SELECT shop').map(span => span.parentId)).toEqual([batch.id, batch.id]);
+  });
+
+  test('can replace the statement text with its fingerprint', async () => {
+    const fingerprinted = new MySQLMate({
+      database: 'shop',
+      tracing: { tracer, statement: 'fingerprint' },
+      logger: { level: 'silent', isDev: false }
+    });
+    await fingerprinted.query("SELECT * FROM users WHERE email = 'a@b.c'");
+    await fingerprinted.close();
+
+    expect(tracer.spans[0].attributes['db.statement']).toBe('select * from users where email = ?');
+  });
+
+  test('validates the tracing options', () => {
+    const create = tracing => new MySQLMate({ tracing, logger: { level: 'silent', isDev: false } });
+
+    expect(() => create({})).toThrow('tracing.tracer must be an OpenTelemetry tracer');
+    expect(() => create({ tracer, statement: 'raw' })).toThrow('tracing.statement must be one of: sql, fingerprint, none');
+    expect(() => create({ tracer, sampler: {} })).toThrow('Unknown tracing options: sampler');
+  });
+});
@@ -0,0 +1,309 @@
+const MySQLMate = require('../index');
+const { ShutdownError } = require('../lib/errors');
+
+jest.mock('mysql2/promise', () => ({
+  createPool: jest.fn(() => ({
+    execute: jest.fn().mockResolvedValue([[], []]),
+    getConnection: jest.fn(),
+    end: jest.fn().mockResolvedValue(),
+    on: jest.fn()
+  }))
+}));
+
+function createConnection() {
+  const log = [];
+  return {
+    log,
+    execute: jest.fn(async (sql) => { log.push(sql); return [[], []]; }),
+    query: jest.fn(async (sql) => { log.push(sql); return [[], []]; }),
+    beginTransaction: jest.fn(async () => { log.push('BEGIN'); }),
+    commit: jest.fn(async () => { log.push('COMMIT'); }),
+    rollback: jest.fn(async () => { log.push('ROLLBACK'); }),
+    release: jest.fn()
+  };
+}
+
+describe('Transactions', () => {
+  let db;
+  let connection;
+
+  beforeEach(() => {
+    db = new MySQLMate({
+      host: 'localhost',
+      database: 'test_db',
+      logger: { level: 'silent', isDev: false }
+    });
+    connection = createConnection();
+    db.pool.getConnection.mockResolvedValue(connection);
+  });
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  test('should set the isolation level and start characteristics', async () => {
+    await db.transaction(async () => {}, {
+      isolationLevel: 'repeatable_read',
+      readOnly: true,
+      consistentSnapshot: true
+    });
+
+    expect(connection.log).toEqual([
+      'SET TRANSACTION ISOLATION LEVEL REPEATABLE READ',
+      'START TRANSACTION READ ONLY, WITH CONSISTENT SNAPSHOT',
+      'COMMIT'
+    ]);
+    expect(connection.beginTransaction).not.toHaveBeenCalled();
+  });
+
+  test('should reject unknown options and isolation levels', async () => {
+    await expect(db.transaction(async () => {}, { isolation: 'SERIALIZABLE' }))
+      .rejects.toThrow('Unknown transaction options: isolation');
+    await expect(db.transaction(async () => {}, { isolationLevel: 'DIRTY' }))
+      .rejects.toThrow('Unsupported isolation level: DIRTY');
+    expect(connection.rollback).not.toHaveBeenCalled();
+    expect(db.activeOperations.size).toBe(0);
+  });
+
+  test('should route db.query() inside the callback to the transaction connection', async () => {
+    await db.transaction(async () => {
+      await db.query('UPDATE accounts SET balance = balance - :amount WHERE id = :id', { amount: 5, id: 1 });
+      await db.table('accounts').where('id', 2).update({ active: 0 });
+    });
+
+    expect(connection.log).toEqual([
+      'BEGIN',
+      'UPDATE accounts SET balance = balance - ? WHERE id = ?',
+      'UPDATE `accounts` SET `active` = ? WHERE `id` = ?',
+      'COMMIT'
+    ]);
+    expect(db.pool.execute).not.toHaveBeenCalled();
+  });
+
+  test('should not retry statements inside a transaction', async () => {
+    connection.execute.mockRejectedValueOnce(Object.assign(new Error('lost'), { code: 'PROTOCOL_CONNECTION_LOST' }));
+
+    await expect(db.transaction(() => db.query('SELECT 1'))).rejects.toThrow('lost');
+    expect(connection.execute).toHaveBeenCalledTimes(1);
+    expect(connection.rollback).toHaveBeenCalled();
+  });
+
+  test('should turn nested transactions into savepoints on the same connection', async () => {
+    await db.transaction(async (outer) => {
+      await outer.execute('INSERT INTO orders (id) VALUES (1)');
+      await db.transaction(async (inner) => {
+        expect(inner).toBe(outer);
+        await db.query('INSERT INTO order_items (order_id) VALUES (1)');
+      });
+    });
+
+    expect(db.pool.getConnection).toHaveBeenCalledTimes(1);
+    expect(connection.log).toEqual([
+      'BEGIN',
+      'INSERT INTO orders (id) VALUES (1)',
+      'SAVEPOINT mysqlmate_sp_1',
+      'INSERT INTO order_items (order_id) VALUES (1)',
+      'RELEASE SAVEPOINT mysqlmate_sp_1',
+      'COMMIT'
+    ]);
+  });
+
+  test('should roll back only the failed nested transaction', async () => {
+    const result = await db.transaction(async () => {
+      await db.transaction(async () => {
+        await db.query('INSERT INTO audit (id) VALUES (1)');
+      });
+      await db.transaction(async () => {
+        await db.query('INSERT INTO audit (id) VALUES (2)');
+        throw new Error('partial failure');
+      }).catch(error => error.message);
+      return 'done';
+    });
+
+    expect(result).toBe('done');
+    expect(connection.log).toEqual([
+      'BEGIN',
+      'SAVEPOINT mysqlmate_sp_1',
+      'INSERT INTO audit (id) VALUES (1)',
+      'RELEASE SAVEPOINT mysqlmate_sp_1',
+      'SAVEPOINT mysqlmate_sp_2',
+      'INSERT INTO audit (id) VALUES (2)',
+      'ROLLBACK TO SAVEPOINT mysqlmate_sp_2',
+      'COMMIT'
+    ]);
+  });
+
+  test('should give deeper savepoints unique names', async () => {
+    await db.transaction(async () => {
+      await db.transaction(() => db.transaction(async () => {}));
+      await db.transaction(async () => {});
+    });
+
+    const savepoints = connection.log.filter(sql => sql.startsWith('SAVEPOINT'));
+    expect(savepoints).toEqual(['SAVEPOINT mysqlmate_sp_1', 'SAVEPOINT mysqlmate_sp_2', 'SAVEPOINT mysqlmate_sp_3']);
+  });
+
+  test('should reject options on nested transactions', async () => {
+    await expect(db.transaction(() => db.transaction(async () => {}, { isolationLevel: 'SERIALIZABLE' })))
+      .rejects.toThrow('Transaction options cannot be changed in a nested transaction');
+  });
+
+  test('should run queries outliving the callback on the pool', async () => {
+    let later;
+    await db.transaction(async () => {
+      later = new Promise(resolve => setImmediate(resolve)).then(() => db.query('SELECT 1'));
+    });
+    await later;
+
+    expect(connection.execute).not.toHaveBeenCalled();
+    expect(db.pool.execute).toHaveBeenCalledWith('SELECT 1', []);
+  });
+
+  test('should let a transaction running when graceful shutdown starts finish', async () => {
+    let shutdown;
+    await db.transaction(async () => {
+      await db.query('INSERT INTO orders (id) VALUES (1)');
+      shutdown = db.gracefulShutdown(1000);
+      await new Promise(resolve => setImmediate(resolve));
+      expect(db.isShuttingDown).toBe(true);
+
+      await db.query('INSERT INTO order_items (order_id) VALUES (1)');
+      await db.transaction(() => db.query('INSERT INTO audit (id) VALUES (1)'));
+    });
+    await shutdown;
+
+    expect(connection.log).toEqual([
+      'BEGIN',
+      'INSERT INTO orders (id) VALUES (1)',
+      'INSERT INTO order_items (order_id) VALUES (1)',
+      'SAVEPOINT mysqlmate_sp_1',
+      'INSERT INTO audit (id) VALUES (1)',
+      'RELEASE SAVEPOINT mysqlmate_sp_1',
+      'COMMIT'
+    ]);
+    await expect(db.query('SELECT 1')).rejects.toThrow(ShutdownError);
+    await expect(db.transaction(async () => {})).rejects.toThrow(ShutdownError);
+  });
+
+  test('should release the operation when no connection can be obtained', async () => {
+    db.pool.getConnection.mockRejectedValueOnce(new Error('pool closed'));
+    await expect(db.transaction(async () => {})).rejects.toThrow('pool closed');
+    expect(db.activeOperations.size).toBe(0);
+  });
+
+  describe('retry', () => {
+    const deadlock = () => Object.assign(new Error('Deadlock found when trying to get lock'), { code: 'ER_LOCK_DEADLOCK' });
+
+    beforeEach(async () => {
+      await db.close();
+      db = new MySQLMate({
+        host: 'localhost',
+        database: 'test_db',
+        logger: { level: 'silent', isDev: false },
+        retryDelay: 1,
+        transactionRetry: { maxAttempts: 3 }
+      });
+      db.pool.getConnection.mockImplementation(async () => createConnection());
+    });
+
+    test('should not retry unless enabled', async () => {
+      const callback = jest.fn().mockRejectedValue(deadlock());
+      await expect(db.transaction(callback)).rejects.toThrow('Deadlock');
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    test('should re-run the callback on deadlocks and emit transactionRetry', async () => {
+      const events = [];
+      db.on('transactionRetry', event => events.push(event));
+      const callback = jest.fn()
+        .mockRejectedValueOnce(deadlock())
+        .mockRejectedValueOnce(Object.assign(new Error('Lock wait timeout exceeded'), { code: 'ER_LOCK_WAIT_TIMEOUT' }))
+        .mockResolvedValue('ok');
+
+      await expect(db.transaction(callback, { retry: true })).resolves.toBe('ok');
+
+      expect(callback).toHaveBeenCalledTimes(3);
+      expect(db.pool.getConnection).toHaveBeenCalledTimes(3);
+      expect(events.map(({ attempt, maxAttempts, error }) => [attempt, maxAttempts, error.code])).toEqual([
+        [1, 3, 'ER_LOCK_DEADLOCK'],
+        [2, 3, 'ER_LOCK_WAIT_TIMEOUT']
+      ]);
+      // Backoff of 1ms and 2ms plus at most 50% jitter
+      expect(events[0].delay).toBeGreaterThanOrEqual(1);
+      expect(events[1].delay).toBeLessThanOrEqual(3);
+      expect(db.getMetrics().transactionRetries).toBe(2);
+      expect(db.getMetrics().transactions).toEqual({ started: 3, committed: 1, rolledBack: 2 });
+      expect(db.activeOperations.size).toBe(0);
+    });
+
+    test('should stop after maxAttempts', async () => {
+      const callback = jest.fn().mockRejectedValue(deadlock());
+      await expect(db.transaction(callback, { retry: { maxAttempts: 2 } })).rejects.toThrow('Deadlock');
+      expect(callback).toHaveBeenCalledTimes(2);
+    });
+
+    test('should not retry other errors', async () => {
+      const callback = jest.fn().mockRejectedValue(Object.assign(new Error('dup'), { code: 'ER_DUP_ENTRY' }));
+      await expect(db.transaction(callback, { retry: true })).rejects.toThrow('dup');
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    test('should retry only the outermost transaction', async () => {
+      const inner = jest.fn().mockRejectedValueOnce(deadlock()).mockResolvedValue();
+      const outer = jest.fn(() => db.transaction(inner, { retry: true }));
+
+      await db.transaction(outer, { retry: true });
+      expect(outer).toHaveBeenCalledTimes(2);
+      expect(inner).toHaveBeenCalledTimes(2);
+    });
+
+    test('should retry a deadlock inside a nested transaction whose savepoint is gone', async () => {
+      db.pool.getConnection.mockImplementation(async () => {
+        const conn = createConnection();
+        conn.query.mockImplementation(async (sql) => {
+          conn.log.push(sql);
+          if (sql.startsWith('ROLLBACK TO SAVEPOINT')) {
+            throw Object.assign(new Error('SAVEPOINT mysqlmate_sp_1 does not exist'), { code: 'ER_SP_DOES_NOT_EXIST' });
+          }
+          return [[], []];
+        });
+        return conn;
+      });
+      const inner = jest.fn().mockRejectedValueOnce(deadlock()).mockResolvedValue('ok');
+
+      await expect(db.transaction(() => db.transaction(inner), { retry: true })).resolves.toBe('ok');
+      expect(inner).toHaveBeenCalledTimes(2);
+      expect(db.getMetrics().transactionRetries).toBe(1);
+    });
+
+    test('should use configurable retryable errors', async () => {
+      await db.close();
+      db = new MySQLMate({
+        host: 'localhost',
+        database: 'test_db',
+        logger: { level: 'silent', isDev: false },
+        retryDelay: 1,
+        retryableErrors: ['ER_CUSTOM'],
+        transactionRetry: { enabled: true, retryableErrors: ['ER_LOCK_DEADLOCK', 'ER_CUSTOM'] }
+      });
+      db.pool.getConnection.mockImplementation(async () => createConnection());
+      db.pool.execute
+        .mockRejectedValueOnce(Object.assign(new Error('custom'), { code: 'ER_CUSTOM' }))
+        .mockResolvedValue([[], []]);
+
+      await db.query('SELECT 1');
+      expect(db.pool.execute).toHaveBeenCalledTimes(2);
+
+      const callback = jest.fn().mockRejectedValueOnce(Object.assign(new Error('custom'), { code: 'ER_CUSTOM' }));
+      await db.transaction(callback);
+      expect(callback).toHaveBeenCalledTimes(2);
+    });
+
+    test('should reject invalid retry options', async () => {
+      expect(() => new MySQLMate({ host: 'localhost', transactionRetry: { attempts: 2 } }))
+        .toThrow('Unknown transaction retry options: attempts');
+      await expect(db.transaction(async () => {}, { retry: { maxAttempts: 0 } }))
+        .rejects.toThrow('Transaction retry maxAttempts must be a positive integer');
+    });
+  });
+});
@@ -1,35 +1,79 @@
 const mysql = require('mysql2/promise');
 const EventEmitter = require('events');
+const { AsyncLocalStorage } = require('async_hooks');
 const pino = require('pino');
+const Migrator = require('./lib/migrator');
+const { compileParams, isPlainObject } = require('./lib/params');
+const QueryBuilder = require('./lib/queryBuilder');
+const { DEFAULT_POLICY, createPolicy, enforcePolicy } = require('./lib/queryPolicy');
+const { isReadOnlyStatement, statementType } = require('./lib/sqlLexer');
+const {
+    MetricsCollector,
+    PROMETHEUS_CONTENT_TYPE,
+    OPENMETRICS_CONTENT_TYPE
+} = require('./lib/metrics');
+const PoolRouter = require('./lib/poolRouter');
+const SlowQueryLog = require('./lib/slowQueryLog');
+const Deadline = require('./lib/deadline');
+const QueryStream = require('./lib/queryStream');
+const { validateRows, chunkRows } = require('./lib/bulkInsert');
+const signals = require('./lib/signals');
+const { QueryCache } = require('./lib/queryCache');
+const { MiddlewarePipeline } = require('./lib/middleware');
+const { Tracing } = require('./lib/tracing');
+const { HEALTH_STATES, HealthMonitor } = require('./lib/healthMonitor');
+const { MYSQL2_OPTIONS, validateOptionNames } = require('./lib/options');
+const { createSessionConfig, initializeConnection } = require('./lib/session');
+const { createLoggingConfig, truncateSql, serializeError } = require('./lib/redact');
+const { TenantManager } = require('./lib/tenants');
+const { Schema } = require('./lib/schema');
+const { AcquisitionQueue } = require('./lib/acquisitionQueue');
+const Model = require('./lib/model');
+const errors = require('./lib/errors');
+const {
+    validateOptions: validateTransactionOptions,
+    beginStatements,
+    savepointName,
+    createRetryConfig,
+    resolveRetry
+} = require('./lib/transaction');
+
+// How long gracefulShutdown() waits for aborted operations to roll back before closing the pool
+const SHUTDOWN_ABORT_GRACE_PERIOD = 1000;
+
+const BATCH_OPTIONS = ['timeout', 'signal', 'concurrency', 'atomic', 'stopOnError', 'settle'];
+
+function validateBatchOptions(options) {
+    const unknown = Object.keys(options).filter(key => !BATCH_OPTIONS.includes(key));
+    if (unknown.length > 0) {
+        throw new errors.ValidationError(`Unknown multiQuery options: ${unknown.join(', ')}`, 'INVALID_OPTIONS');
+    }
+
+    const { concurrency = 1, atomic = false, stopOnError = false, settle = false } = options;
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new errors.ValidationError('concurrency must be a positive integer', 'INVALID_OPTIONS');
+    }
+    // A transaction runs on a single connection, one statement at a time
+    if (atomic && concurrency > 1) {
+        throw new errors.ValidationError('An atomic batch runs on one connection and cannot use concurrency', 'INVALID_OPTIONS');
+    }
+    return { concurrency, atomic: Boolean(atomic), stopOnError: Boolean(stopOnError), settle: Boolean(settle) };
+}
+
+// Anything with pino's level methods, e.g. an application's pino logger or one of its children
+function isLoggerInstance(logger) {
+    return Boolean(logger) && ['debug', 'info', 'warn', 'error'].every(level => typeof logger[level] === 'function');
+}
 
 class MySQLMate extends EventEmitter {
 
+    #shutdownPromise = null;
+
     constructor(config = {}) {
         super();
         
-        // Supported MySQL2 configuration options
-        const supportedOptions = [
-            'host', 
-            'user', 
-            'password', 
-            'database', 
-            'port',
-            'connectionLimit',
-            'connectTimeout',
-            'socketPath',
-            'ssl',
-            'charset',
-            'timezone',
-            'stringifyObjects',
-            'insecureAuth',
-            'supportBigNumbers',
-            'bigNumberStrings',
-            'decimalNumbers',
-            'dateStrings',
-            'debug',
-            'trace',
-            'multipleStatements'
-        ];
+        // Misspelled options fail here instead of silently falling back to defaults
+        validateOptionNames(config);
         
         // Extract database connection config
         const {
@@ -42,29 +86,39 @@ class MySQLMate extends EventEmitter {
             connectTimeout = 10000,
             // Options
             logger = {},
+            logging = {},
             maxRetries = 3,
             retryDelay = 1000,
             backoffMultiplier = 2,
+            retryableErrors = ['ECONNRESET', 'PROTOCOL_CONNECTION_LOST', 'ETIMEDOUT'],
+            transactionRetry = {},
+            migrations = {},
+            queryPolicy = {},
+            replicas = [],
+            replication = {},
+            metrics = {},
+            slowQuery = false,
+            processSignals = true,
+            cache = false,
+            tracing = false,
+            healthMonitor = false,
+            session = [],
+            onConnect = null,
+            tenants = null,
+            acquisition = false,
             ...otherDbConfig
         } = config;
         
-        // Filter and validate configuration
-        const filteredConfig = Object.keys(otherDbConfig)
-            .filter(key => supportedOptions.includes(key))
-            .reduce((obj, key) => {
-                obj[key] = otherDbConfig[key];
-                return obj;
-            }, {});
-        
-        // Logger configuration
-        const loggerConfig = {
+        // Logger configuration, or a pino-compatible logger instance used as is
+        this.logger = isLoggerInstance(logger) ? logger : this.#createLogger({
             title: this.constructor.name,
             level: 'info',
             isDev: true,
             ...logger
-        };
+        });
         
-        this.logger = this.#createLogger(loggerConfig);
+        // What query logs may contain: params mode, redaction rules, SQL length, success sampling
+        this.loggingConfig = createLoggingConfig(logging);
         
         // Database configuration
         this.config = {
@@ -75,22 +129,25 @@ class MySQLMate extends EventEmitter {
             port,
             connectionLimit,
             connectTimeout,
-            ...filteredConfig
+            ...otherDbConfig
         };
         
-        // Log any filtered out configuration options
-        const filteredOutOptions = Object.keys(otherDbConfig)
-            .filter(key => !supportedOptions.includes(key));
-        
-        if (filteredOutOptions.length > 0) {
-            this.logger.warn({ 
-                filteredOptions: filteredOutOptions 
-            }, 'Some configuration options were filtered out as they are not supported by MySQL2');
+        // Statements and hook run on every new connection of every pool
+        this.sessionConfig = createSessionConfig(session, onConnect);
+        // Session setup still running (or failed) per new connection
+        this.sessions = new WeakMap();
+        for (const replica of replicas) {
+            validateOptionNames(replica, { known: ['name', ...MYSQL2_OPTIONS], label: 'replica' });
         }
         
         // Graceful shutdown state
         this.isShuttingDown = false;
+        this.closed = false;
         this.activeOperations = new Set();
+        // Transaction of the current async context, so query() inside a callback joins it
+        this.transactionContext = new AsyncLocalStorage();
+        // Aborted by gracefulShutdown() when its timeout passes; every operation's deadline follows it
+        this.shutdownDeadline = new Deadline();
         
         // Metrics
         this.metrics = {
@@ -101,12 +158,69 @@ class MySQLMate extends EventEmitter {
             totalConnections: 0
         };
         
+        // Histograms, per-type counters and Prometheus exposition settings
+        const {
+            prefix = 'mysqlmate',
+            labels = {},
+            openMetrics = false,
+            ...collectorOptions
+        } = metrics;
+        this.collector = new MetricsCollector(collectorOptions);
+        this.metricsConfig = { prefix, labels, openMetrics };
+        
+        // Registry-style view for scrapers expecting contentType and metrics()
+        this.metricsRegistry = {
+            contentType: openMetrics ? OPENMETRICS_CONTENT_TYPE : PROMETHEUS_CONTENT_TYPE,
+            metrics: async () => this.getPrometheusMetrics()
+        };
+        
         // Retry settings
         this.retryConfig = {
             maxRetries,
             retryDelay,
             backoffMultiplier,
-            retryableErrors: ['ECONNRESET', 'PROTOCOL_CONNECTION_LOST', 'ETIMEDOUT']
+            retryableErrors,
+            transaction: createRetryConfig(undefined, transactionRetry === true ? { enabled: true } : transactionRetry)
+        };
+        
+        // Slow query log with optional EXPLAIN capture
+        this.slowQueryLog = slowQuery ? new SlowQueryLog(slowQuery === true ? {} : slowQuery, {
+            logger: this.logger,
+            explain: (sql, params, target) => this.#explain(sql, params, target),
+            emit: (event, data) => this.emit(event, data),
+            redactor: this.loggingConfig.redactor
+        }) : null;
+        
+        // Opt-in result cache for read queries, invalidated by writes through this instance
+        // Keys name the server with mysql2's defaults filled in, so equivalent configs share entries
+        this.cache = cache ? new QueryCache(cache === true ? {} : cache, {
+            namespace: `${host || 'localhost'}:${port || 3306}/${database || ''}`
+        }) : null;
+        
+        // Middleware around query(), transaction() and getConnection(), built-ins included
+        this.middleware = new MiddlewarePipeline();
+        this.#registerBuiltinMiddleware();
+        
+        // OpenTelemetry spans; the tracer comes from the application
+        this.tracing = tracing ? new Tracing(tracing, this.config) : null;
+        if (this.tracing) {
+            this.middleware.use(this.tracing.middleware(), { before: 'cache', builtin: true });
+        }
+        
+        // Models created by model(), keyed by table
+        this.models = new Map();
+        
+        // INFORMATION_SCHEMA introspection and diffs against a declared schema
+        this.schema = new Schema(this);
+        
+        // SQL validation policy, overridable per query
+        this.queryPolicy = createPolicy(DEFAULT_POLICY, queryPolicy);
+        
+        // File-based migrations settings
+        this.migrationConfig = {
+            tableName: 'migrations',
+            lockTimeout: 10,
+            ...migrations
         };
         
         // Log connection initialization
@@ -117,8 +231,52 @@ class MySQLMate extends EventEmitter {
         }, 'Initializing database connection');
         
         this.pool = mysql.createPool(this.config);
+        
+        // Read replicas share the primary settings unless overridden per replica
+        this.router = new PoolRouter({
+            primaryPool: this.pool,
+            replicas,
+            replication,
+            baseConfig: this.config,
+            createPool: (replicaConfig) => {
+                const pool = mysql.createPool(replicaConfig);
+                pool.on('connection', connection => this.#initializeSession(connection));
+                return pool;
+            },
+            logger: this.logger
+        });
+        
         this._setupPoolEvents();
-        this.#setupProcessHandlers();
+        
+        // Checkouts from the primary wait in a bounded, prioritised queue instead of inside the pool
+        this.acquisition = acquisition ? new AcquisitionQueue(acquisition === true ? {} : acquisition, {
+            pool: () => this.pool,
+            limit: this.config.connectionLimit,
+            logger: this.logger,
+            emit: (event, data) => this.emit(event, data),
+            onWait: duration => this.collector.recordPoolWait(duration)
+        }) : null;
+        
+        // Background pings of the primary; while it is down new work fails fast
+        this.healthMonitor = healthMonitor ? new HealthMonitor(healthMonitor === true ? {} : healthMonitor, {
+            ping: () => this.#ping(),
+            recreate: () => this.#recreatePool(),
+            logger: this.logger,
+            emit: (event, data) => this.emit(event, data)
+        }) : null;
+        if (this.healthMonitor) this.healthMonitor.start();
+        
+        this.shutdownHooks = { before: [], after: [] };
+        this.#setupProcessHandlers(processSignals);
+        
+        // Per-tenant instances created on demand from this instance's settings plus the tenant's own
+        this.tenants = tenants ? new TenantManager(tenants, {
+            db: this,
+            baseConfig: config,
+            create: tenantConfig => new MySQLMate(tenantConfig),
+            logger: this.logger,
+            emit: (event, data) => this.emit(event, data)
+        }) : null;
     }
 
     #createLogger(config) {
@@ -144,26 +302,65 @@ class MySQLMate extends EventEmitter {
         return pino(baseOptions);
     }
 
-    #setupProcessHandlers() {
-        const gracefulShutdown = async (signal) => {
-            this.logger.info({ signal }, 'Received shutdown signal, starting graceful shutdown');
-            await this.gracefulShutdown();
-            process.exit(0);
-        };
-
-        ['SIGTERM', 'SIGINT', 'SIGHUP'].forEach(signal => {
-            process.on(signal, gracefulShutdown);
-        });
+    // Join the process-wide signal handler unless disabled with processSignals: false
+    #setupProcessHandlers(option) {
+        const config = signals.createSignalConfig(option);
+        if (config) {
+            signals.register(this, config);
+        }
     }
 
     #sleep(ms) {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
-    _setupPoolEvents() {
-        this.pool.on('connection', (connection) => {
+    // A connection whose session could not be set up is destroyed rather than used with the wrong settings.
+    // Checkouts wait for the setup through #sessionReady(), so its failure reaches the caller.
+    #initializeSession(connection) {
+        if (!this.sessionConfig) return;
+        
+        const ready = initializeConnection(connection, this.sessionConfig).then(() => {
+            this.sessions.delete(connection);
+        }, (error) => {
+            this.logger.error({
+                threadId: connection.threadId,
+                error: error.message,
+                errorCode: error.code
+            }, 'Session initialisation failed, discarding connection');
+            this.emit('sessionError', { threadId: connection.threadId, error });
+            connection.destroy();
+            throw error;
+        });
+        // Nobody may check the connection out before it is destroyed
+        ready.catch(() => {});
+        this.sessions.set(connection, ready);
+    }
+    
+    // Resolves with a checked-out connection once its session is set up; the pool's event carries the
+    // core connection, wrapped as `connection.connection` by the promise API
+    async #sessionReady(connection) {
+        const ready = this.sessions.get(connection.connection || connection);
+        if (ready) await ready;
+        return connection;
+    }
+
+    // Health monitor ping on a short-lived connection outside the pool: a pool whose connections
+    // are all busy is saturated, not down, and must not be recreated under load
+    async #ping() {
+        const connection = await mysql.createConnection(this.config);
+        try {
+            return await connection.query('SELECT 1 as health_check');
+        } finally {
+            connection.end().catch(() => connection.destroy());
+        }
+    }
+
+    // Events of a pool replaced by the health monitor are ignored, so they cannot skew the counters
+    _setupPoolEvents(pool = this.pool) {
+        pool.on('connection', (connection) => {
+            this.#initializeSession(connection);
+            if (pool !== this.pool) return;
             this.metrics.totalConnections++;
-            this.metrics.activeConnections++;
             
             // Log each new connection with detailed information
             this.logger.info({
@@ -175,7 +372,13 @@ class MySQLMate extends EventEmitter {
             this.emit('connection');
         });
         
-        this.pool.on('release', (connection) => {
+        pool.on('acquire', () => {
+            if (pool !== this.pool) return;
+            this.metrics.activeConnections++;
+        });
+        
+        pool.on('release', (connection) => {
+            if (pool !== this.pool) return;
             this.metrics.activeConnections--;
             
             // Log connection release
@@ -188,139 +391,719 @@ class MySQLMate extends EventEmitter {
         });
     }
 
-    // SQL query validation
-    _validateQuery(sql, params) {
+    // SQL query validation against the query policy (false skips the policy checks)
+    _validateQuery(sql, params, policy = this.queryPolicy) {
         if (typeof sql !== 'string' || sql.trim().length === 0) {
-            throw new Error('SQL query must be a non-empty string');
+            throw new errors.ValidationError('SQL query must be a non-empty string');
         }
         
-        if (params && !Array.isArray(params)) {
-            throw new Error('Query parameters must be an array');
+        if (params && !Array.isArray(params) && !isPlainObject(params)) {
+            throw new errors.ValidationError('Query parameters must be an array or an object of named parameters', 'INVALID_PARAMETERS');
         }
         
-        // Basic SQL injection protection
-        const dangerousPatterns = [
-            /;\s*(drop|delete|truncate|alter)\s+/i,
-            /union\s+select/i,
-            /--/,
-            /\/\*/
-        ];
-        
-        if (dangerousPatterns.some(pattern => pattern.test(sql))) {
-            throw new Error('Potentially dangerous SQL query detected');
+        if (policy !== false) {
+            enforcePolicy(sql, params, policy);
         }
     }
 
-    // Enhanced query execution with retry logic
+    // Per-call policy: false disables checks, an object overrides instance settings
+    #resolvePolicy(policy) {
+        if (policy === undefined) return this.queryPolicy;
+        if (policy === false) return false;
+        return createPolicy(this.queryPolicy, policy);
+    }
+
+    // Query execution through the middleware chain; caching, logging, retries and metrics are built-in middlewares
     async query(sql, params = [], options = {}) {
-        if (this.isShuttingDown) {
-            throw new Error('Database is shutting down, cannot execute new queries');
+        const tenant = this.#currentTenant();
+        if (tenant !== undefined) {
+            return (await this.tenants.get(tenant)).query(sql, params, options);
+        }
+        return this.#query(sql, params, options);
+    }
+
+    // query() exposing its middleware context on `state.ctx`, for callers reporting attempts
+    async #query(sql, params, options, state = {}) {
+        // A transaction already running when shutdown starts may finish; only new work is refused
+        if (this.isShuttingDown && !this.#activeTransaction()) {
+            throw new errors.ShutdownError('Database is shutting down, cannot execute new queries');
         }
         
-        this._validateQuery(sql, params);
+        const callerStack = this.slowQueryLog ? this.slowQueryLog.captureStack(this.#query) : null;
+        const { policy, timeout, signal } = options;
         
-        const { 
-            maxRetries = this.retryConfig.maxRetries,
-            skipRetry = false 
-        } = options;
+        // A transaction that timed out or was aborted rejects any further statements from its callback
+        const context = this.transactionContext.getStore();
+        if (context) context.deadline.throwIfAborted();
+        
+        this._validateQuery(sql, params, this.#resolvePolicy(policy));
+        let paramNames;
+        ({ sql, params, names: paramNames } = compileParams(sql, params, { names: true }));
+        
+        // Inside transaction() the statement must run on the transaction's connection
+        const transaction = this.#activeTransaction();
+        
+        const deadline = new Deadline({
+            timeout,
+            signals: [signal],
+            parents: [this.shutdownDeadline, transaction && transaction.deadline]
+        });
         
         const operationId = `query-${Date.now()}-${Math.random()}`;
         this.activeOperations.add(operationId);
         
-        let lastError;
+        const ctx = {
+            operation: 'query',
+            sql,
+            params,
+            paramNames,
+            options,
+            transaction,
+            deadline,
+            statementType: statementType(sql) || 'UNKNOWN',
+            attempt: 0,
+            pool: null,
+            duration: 0,
+            callerStack
+        };
         
+        state.ctx = ctx;
         try {
-            for (let attempt = 0; attempt <= maxRetries; attempt++) {
-                const start = Date.now();
+            return await this.middleware.run('query', ctx, () => this.#executeQuery(ctx));
+        } finally {
+            deadline.clear();
+            this.activeOperations.delete(operationId);
+        }
+    }
+
+    // Add a middleware around query(), transaction() and/or getConnection(); returns a function removing it
+    use(middleware, options) {
+        return this.middleware.use(middleware, options);
+    }
+
+    #registerBuiltinMiddleware() {
+        const builtin = { builtin: true };
+        this.middleware.use({ name: 'cache', query: (ctx, next) => this.#cacheMiddleware(ctx, next) }, builtin);
+        this.middleware.use({ name: 'logging', query: (ctx, next) => this.#loggingMiddleware(ctx, next) }, builtin);
+        this.middleware.use({
+            name: 'retry',
+            query: (ctx, next) => this.#retryMiddleware(ctx, next),
+            transaction: (ctx, next) => this.#transactionRetryMiddleware(ctx, next)
+        }, builtin);
+        this.middleware.use({ name: 'metrics', query: (ctx, next) => this.#metricsMiddleware(ctx, next) }, builtin);
+    }
+
+    // Terminal step of the query chain: one attempt on the pool chosen for the statement as it is now
+    async #executeQuery(ctx) {
+        const { sql, params, deadline, transaction, options } = ctx;
+        deadline.throwIfAborted();
+        // A transaction already holds its connection, so only new work is turned away
+        if (!transaction) this.#throwIfDown();
+        
+        const readOnly = isReadOnlyStatement(sql);
+        const killable = Boolean(transaction || options.timeout || options.signal);
+        const target = transaction ? this.router.primary : this.router.select({ readOnly, usePrimary: Boolean(options.usePrimary) });
+        
+        ctx.statementType = statementType(sql) || 'UNKNOWN';
+        ctx.pool = target.name;
+        ctx.target = target;
+        
+        const start = Date.now();
+        try {
+            return await this.router.run(target, (pool) => {
+                if (transaction) {
+                    return this.#cancellable(transaction.connection, pool, deadline, sql, params);
+                }
+                if (killable || this.#checksOut(pool)) {
+                    return this.#executeCancellable(pool, deadline, sql, params, options.priority);
+                }
+                // Without a thread id the statement cannot be killed; pool.end() tears it down on shutdown
+                return deadline.race(pool.execute(sql, params));
+            });
+        } catch (driverError) {
+            throw errors.toMySQLMateError(driverError, { sql });
+        } finally {
+            ctx.duration = Date.now() - start;
+        }
+    }
+
+    // Built-in: serve cacheable reads from the query cache and invalidate it after writes
+    async #cacheMiddleware(ctx, next) {
+        const { sql, params } = ctx;
+        
+        // Reads inside a transaction may see its uncommitted writes, so they always reach the server
+        const cacheTtl = this.#resolveCacheTtl(ctx.options.cache);
+        const cacheable = cacheTtl !== null && !ctx.transaction && isReadOnlyStatement(sql);
+        let cacheKey;
+        let cacheVersions;
+        if (cacheable) {
+            cacheKey = this.cache.key(sql, params);
+            cacheVersions = this.cache.versionsOf(sql);
+            const cached = await this.#readCache(cacheKey);
+            if (cached !== undefined) return cached;
+        }
+        
+        const result = await next();
+        
+        if (cacheable) {
+            this.#writeCache(cacheKey, result, cacheVersions, cacheTtl);
+        }
+        this.#trackWrites(sql, ctx.transaction);
+        return result;
+    }
+
+    // Built-in: log the outcome, emit query/queryError events and feed the slow query log
+    async #loggingMiddleware(ctx, next) {
+        let result;
+        try {
+            result = await next();
+        } catch (error) {
+            this.logger.error({
+                sql: this.#logSql(ctx.sql),
+                params: this.#logParams(ctx),
+                error: error.message,
+                code: error.code,
+                pool: ctx.pool,
+                attempt: ctx.attempt + 1
+            }, 'Query execution failed');
+            
+            this.emit('queryError', { sql: ctx.sql, params: ctx.params, error, attempt: ctx.attempt, pool: ctx.pool });
+            throw error;
+        }
+        
+        const { sql, params, duration, attempt, pool } = ctx;
+        if (this.#sampled()) {
+            this.logger.info({ 
+                sql: this.#logSql(sql),
+                params: this.#logParams(ctx),
+                pool,
+                attempt: attempt + 1,
+                duration: `${duration}ms`
+            }, 'Query executed successfully');
+        }
+        
+        this.emit('query', { sql, params, duration, attempt, pool });
+        
+        if (this.slowQueryLog && this.slowQueryLog.isSlow(duration)) {
+            this.slowQueryLog
+                .record({ sql, params, names: ctx.paramNames, duration, pool: ctx.target, stack: ctx.callerStack })
+                .catch(() => {});
+        }
+        return result;
+    }
+
+    #logSql(sql) {
+        return truncateSql(sql, this.loggingConfig.sqlLength);
+    }
+
+    // Parameters as the logging.params mode and redaction rules allow
+    #logParams({ sql, params, paramNames }) {
+        return this.loggingConfig.redactor.format(sql, params, this.loggingConfig.params, paramNames);
+    }
+
+    // Whether to log this successful query; failures and retries are always logged
+    #sampled() {
+        const { sampleRate } = this.loggingConfig;
+        return sampleRate >= 1 || (sampleRate > 0 && Math.random() < sampleRate);
+    }
+
+    // Built-in: retry connection errors with exponential backoff. A statement inside a transaction
+    // cannot be retried without the rest of the transaction, so it gets a single attempt.
+    async #retryMiddleware(ctx, next) {
+        const {
+            maxRetries = this.retryConfig.maxRetries,
+            skipRetry = false
+        } = ctx.options;
+        const attempts = ctx.transaction || skipRetry ? 0 : maxRetries;
+        
+        // Middleware placed after this one sees the statement as it was before the first attempt
+        const { sql, params } = ctx;
+        
+        for (let attempt = 0; ; attempt++) {
+            ctx.attempt = attempt;
+            ctx.sql = sql;
+            ctx.params = params;
+            
+            try {
+                return await next();
+            } catch (error) {
+                const isRetryable = this.#isRetryable(error, this.retryConfig.retryableErrors);
+                if (!isRetryable || attempt >= attempts || ctx.deadline.aborted) {
+                    throw error;
+                }
                 
+                const delay = this.retryConfig.retryDelay * Math.pow(this.retryConfig.backoffMultiplier, attempt);
+                this.collector.recordRetry();
+                if (ctx.span) {
+                    ctx.span.addEvent('retry', { attempt: attempt + 1, delay, 'error.type': String(error.code) });
+                }
+                this.logger.warn({
+                    error: error.message,
+                    code: error.code,
+                    delay: `${delay}ms`,
+                    pool: ctx.pool,
+                    attempt: attempt + 1,
+                    sql: this.#logSql(sql),
+                    params: this.#logParams({ sql, params, paramNames: ctx.paramNames })
+                }, 'Query failed, retrying');
+                
+                await ctx.deadline.race(this.#sleep(delay));
+            }
+        }
+    }
+
+    // Built-in: count attempts, failures, durations and error codes
+    async #metricsMiddleware(ctx, next) {
+        this.metrics.totalQueries++;
+        try {
+            const result = await next();
+            this._updateMetrics(ctx.duration, ctx.statementType);
+            return result;
+        } catch (error) {
+            this.metrics.failedQueries++;
+            this.collector.recordError(error);
+            throw error;
+        }
+    }
+
+    // Per-call cache option: null when the query should not be cached
+    #resolveCacheTtl(option) {
+        if (option === undefined || option === false) return null;
+        if (!this.cache) {
+            throw new errors.ValidationError('Query cache is not enabled; set the cache constructor option', 'INVALID_OPTIONS');
+        }
+        return this.cache.resolveTtl(option);
+    }
+
+    // A failing store never fails the query; it counts as a miss
+    async #readCache(key) {
+        let cached;
+        try {
+            cached = await this.cache.get(key);
+        } catch (error) {
+            this.logger.warn({ error: error.message }, 'Query cache read failed');
+        }
+        
+        this.collector.recordCache(cached === undefined ? 'miss' : 'hit');
+        return cached;
+    }
+
+    #writeCache(key, result, versions, ttl) {
+        this.cache.set(key, result, versions, ttl).catch((error) => {
+            this.logger.warn({ error: error.message }, 'Query cache write failed');
+        });
+    }
+
+    // Writes outside a transaction invalidate at once; inside one they wait for the commit
+    #trackWrites(sql, transaction) {
+        if (!this.cache) return;
+        
+        const tables = this.cache.writtenTables(sql);
+        if (tables.length === 0) return;
+        
+        if (transaction) {
+            tables.forEach(table => transaction.state.writtenTables.add(table));
+        } else {
+            this.#invalidateTables(tables);
+        }
+    }
+
+    #invalidateTables(tables) {
+        this.cache.invalidate(tables);
+        this.collector.recordCacheInvalidation();
+        this.logger.debug({ tables }, 'Query cache invalidated');
+    }
+
+    // Drop cached results reading the given tables, or every cached result when called without tables
+    async invalidateCache(tables) {
+        if (!this.cache) return;
+        
+        if (tables === undefined) {
+            await this.cache.clear();
+            this.collector.recordCacheInvalidation();
+            return;
+        }
+        this.#invalidateTables(Array.isArray(tables) ? tables : [tables]);
+    }
+
+    // Run a statement on its own pooled connection so it can be killed by thread id
+    async #executeCancellable(pool, deadline, sql, params, priority) {
+        const pending = this.#poolConnection(pool, { priority, deadline });
+        let connection;
+        try {
+            connection = await deadline.race(pending);
+        } catch (error) {
+            pending.then(late => late.release(), () => {});
+            throw error;
+        }
+        
+        return this.#cancellable(connection, pool, deadline, sql, params, { release: true });
+    }
+
+    // Whether statements on this pool need a connection checked out here rather than pool.execute():
+    // through the acquisition queue they get one anyway, and session setup has to be waited for
+    #checksOut(pool) {
+        return this.#queued(pool) || this.sessionConfig !== null;
+    }
+
+    // Whether checkouts from this pool go through the acquisition queue (the primary's only)
+    #queued(pool) {
+        return this.acquisition !== null && pool === this.pool;
+    }
+
+    async #poolConnection(pool, options) {
+        const connection = await (this.#queued(pool) ? this.acquisition.acquire(options) : pool.getConnection());
+        return this.#sessionReady(connection);
+    }
+
+    // Execute on a connection; when the deadline aborts, KILL QUERY its thread from another connection
+    async #cancellable(connection, pool, deadline, sql, params, { release = false } = {}) {
+        deadline.throwIfAborted();
+        
+        const execution = connection.execute(sql, params);
+        let killed = null;
+        const unsubscribe = deadline.onAbort(() => {
+            killed = this.#killQuery(pool, connection.threadId);
+        });
+        
+        try {
+            return await deadline.race(execution);
+        } finally {
+            unsubscribe();
+            if (release && killed) {
+                // Hand the connection back only once the interrupted statement has returned
+                Promise.all([execution.catch(() => {}), killed]).then(([, success]) => {
+                    if (success) connection.release();
+                    else connection.destroy();
+                });
+            } else if (release) {
+                connection.release();
+            }
+        }
+    }
+
+    // Interrupt the statement running on a connection thread; the connection itself stays open.
+    // KILL runs on a connection opened outside the pool, which may be exhausted by the very
+    // statement being killed.
+    async #killQuery(pool, threadId) {
+        const entry = this.router.entries.find(candidate => candidate.pool === pool);
+        let killer = null;
+        try {
+            killer = await mysql.createConnection(entry ? entry.config : this.config);
+            await killer.query(`KILL QUERY ${Number(threadId)}`);
+            this.logger.warn({ threadId }, 'Killed running query');
+            return true;
+        } catch (error) {
+            this.logger.error({ 
+                threadId,
+                error: error.message
+            }, 'Failed to kill running query');
+            return false;
+        } finally {
+            if (killer) killer.end().catch(() => killer.destroy());
+        }
+    }
+
+    // Stream rows on a dedicated connection held until the stream ends; async iterable as well as a Readable
+    stream(sql, params = [], options = {}) {
+        if (this.isShuttingDown) {
+            throw new errors.ShutdownError('Database is shutting down, cannot execute new queries');
+        }
+        
+        // stream() returns synchronously, so the tenant's pool has to exist already
+        const tenant = this.#currentTenant();
+        if (tenant !== undefined) {
+            const instance = this.tenants.peek(tenant);
+            if (!instance) {
+                throw new errors.ValidationError(`Tenant ${tenant} has no open pool yet, await db.tenants.get() before stream()`, 'TENANT_NOT_READY');
+            }
+            return instance.stream(sql, params, options);
+        }
+        
+        const {
+            batchSize = null,
+            highWaterMark,
+            usePrimary = false,
+            policy,
+            timeout,
+            signal
+        } = options;
+        
+        this._validateQuery(sql, params, this.#resolvePolicy(policy));
+        ({ sql, params } = compileParams(sql, params));
+        
+        const type = statementType(sql) || 'UNKNOWN';
+        const target = this.router.select({ readOnly: isReadOnlyStatement(sql), usePrimary });
+        
+        let connection = null;
+        const stream = new QueryStream({
+            batchSize,
+            highWaterMark,
+            mapError: error => errors.toMySQLMateError(error, { sql }),
+            open: async () => {
+                deadline.throwIfAborted();
+                this.#throwIfDown();
+                const pending = this.#poolConnection(target.pool, { priority: options.priority, deadline });
                 try {
-                    this.metrics.totalQueries++;
-                    const result = await this.pool.execute(sql, params);
-                    
-                    const duration = Date.now() - start;
-                    this._updateMetrics(duration);
-                    
-                    this.logger.info({ 
-                        sql: sql.substring(0, 100) + (sql.length > 100 ? '...' : ''),
-                        paramCount: params.length,
-                        attempt: attempt + 1,
-                        duration: `${duration}ms`
-                    }, 'Query executed successfully');
-                    
-                    this.emit('query', { sql, params, duration, attempt });
-                    return result;
-                    
+                    connection = await deadline.race(pending);
                 } catch (error) {
-                    lastError = error;
-                    this.metrics.failedQueries++;
-                    
-                    const isRetryable = this.retryConfig.retryableErrors.some(
-                        code => error.code === code || error.message.includes(code)
-                    );
-                    
-                    if (skipRetry || !isRetryable || attempt === maxRetries) {
-                        this.logger.error({
-                            sql: sql.substring(0, 100),
-                            params: params.length,
-                            error: error.message,
-                            code: error.code,
-                            attempt: attempt + 1,
-                            sqlQuery: sql,
-                            queryParams: params
-                        }, 'Query execution failed');
-                        
-                        this.emit('queryError', { sql, params, error, attempt });
-                        throw error;
-                    }
-                    
-                    const delay = this.retryConfig.retryDelay * Math.pow(this.retryConfig.backoffMultiplier, attempt);
-                    this.logger.warn({
-                        error: error.message,
-                        code: error.code,
-                        delay: `${delay}ms`,
-                        attempt: attempt + 1,
-                        sqlQuery: sql,
-                        queryParams: params
-                    }, 'Query failed, retrying');
-                    
-                    await new Promise(resolve => setTimeout(resolve, delay));
+                    pending.then(late => late.release(), () => {});
+                    throw error;
+                }
+                // Destroyed while waiting for the connection: close already ran without one to return
+                if (stream.destroyed) {
+                    connection.release();
+                    connection = null;
+                    throw new errors.QueryAbortedError('Stream was closed before it ended');
                 }
+                // The core connection's query stream pauses the socket under backpressure
+                return connection.connection.query(sql, params).stream({ highWaterMark });
+            }
+        });
+        
+        const deadline = new Deadline({ timeout, signals: [signal], parents: [this.shutdownDeadline] });
+        
+        const operationId = `stream-${Date.now()}-${Math.random()}`;
+        this.activeOperations.add(operationId);
+        const start = Date.now();
+        
+        let settle;
+        const finished = new Promise((resolve, reject) => {
+            settle = (error) => (error ? reject(error) : resolve());
+        });
+        this.router.run(target, () => finished).catch(() => {});
+        
+        const unsubscribe = deadline.onAbort((error) => {
+            if (connection) this.#killQuery(target.pool, connection.threadId);
+            stream.destroy(error);
+        });
+        
+        stream.once('close', () => {
+            unsubscribe();
+            deadline.clear();
+            const duration = Date.now() - start;
+            const completed = stream.readableEnded && !stream.failure;
+            
+            // A stream stopped early leaves unread rows on the socket, so that connection cannot be reused
+            if (connection) {
+                if (completed) connection.release();
+                else connection.destroy();
+            }
+            
+            this.metrics.totalQueries++;
+            this.collector.recordStream(stream.rowCount, completed);
+            
+            if (completed) {
+                this._updateMetrics(duration, type);
+                this.logger.info({ 
+                    sql: this.#logSql(sql),
+                    rows: stream.rowCount,
+                    pool: target.name,
+                    duration: `${duration}ms`
+                }, 'Stream completed');
+                this.emit('query', { sql, params, duration, attempt: 0, pool: target.name, rows: stream.rowCount });
+                settle();
+            } else {
+                const error = stream.failure || new errors.QueryAbortedError('Stream was closed before it ended');
+                this.metrics.failedQueries++;
+                this.collector.recordError(error);
+                this.logger.warn({ 
+                    sql: this.#logSql(sql),
+                    rows: stream.rowCount,
+                    pool: target.name,
+                    error: error.message,
+                    code: error.code,
+                    duration: `${duration}ms`
+                }, 'Stream closed before completion');
+                settle(error);
             }
             
-            throw lastError;
-        } finally {
             this.activeOperations.delete(operationId);
+        });
+        
+        return stream;
+    }
+
+    // Execution plan of a slow SELECT, run on the pool that executed it
+    async #explain(sql, params, target = this.router.primary) {
+        if (this.isShuttingDown) {
+            throw new errors.ShutdownError('Database is shutting down, skipping EXPLAIN');
+        }
+        
+        // Diagnostics wait behind application work in the acquisition queue
+        const explainSql = `EXPLAIN FORMAT=JSON ${sql}`;
+        const deadline = new Deadline({ parents: [this.shutdownDeadline] });
+        let rows;
+        try {
+            [rows] = this.#checksOut(target.pool)
+                ? await this.#executeCancellable(target.pool, deadline, explainSql, params, 'low')
+                : await target.pool.execute(explainSql, params);
+        } finally {
+            deadline.clear();
         }
+        const plan = rows[0] && rows[0].EXPLAIN;
+        return typeof plan === 'string' ? JSON.parse(plan) : plan;
     }
 
-    _updateMetrics(duration) {
-        if (this.metrics.avgQueryTime === 0) {
-            this.metrics.avgQueryTime = duration;
-        } else {
-            this.metrics.avgQueryTime = (this.metrics.avgQueryTime + duration) / 2;
+    // Slowest query fingerprints recorded by the slow query log
+    getSlowQueries(options = {}) {
+        return this.slowQueryLog ? this.slowQueryLog.list(options) : [];
+    }
+
+    resetSlowQueries() {
+        if (this.slowQueryLog) this.slowQueryLog.reset();
+    }
+
+    // db-like handle whose queries, transactions, builders and models run on the tenant's pool
+    forTenant(tenantId) {
+        return this.#requireTenants().scope(tenantId);
+    }
+
+    // Run fn with query(), transaction(), multiQuery() and getConnection() routed to the tenant's pool
+    withTenant(tenantId, fn) {
+        return this.#requireTenants().run(tenantId, fn);
+    }
+
+    #requireTenants() {
+        if (!this.tenants) {
+            throw new errors.ValidationError('Tenant routing needs the tenants option', 'INVALID_OPTIONS');
+        }
+        return this.tenants;
+    }
+
+    // Tenant of the current withTenant()/forTenant() context, undefined outside one
+    #currentTenant() {
+        return this.tenants ? this.tenants.current() : undefined;
+    }
+
+    // Fluent query builder executed through query()
+    table(name) {
+        return new QueryBuilder(this, name);
+    }
+
+    // Table-bound CRUD model; without options an existing model for the table is reused
+    model(table, options) {
+        if (options === undefined && this.models.has(table)) {
+            return this.models.get(table);
+        }
+        
+        const model = new Model(this, table, options);
+        this.models.set(table, model);
+        return model;
+    }
+
+    // Raw SQL fragment for use inside the query builder
+    raw(sql, params = []) {
+        return new QueryBuilder.Raw(sql, params);
+    }
+
+    // Bulk insert split into chunks by row count, placeholder limit and estimated packet size
+    async insertMany(table, rows, options = {}) {
+        const {
+            chunkSize = 1000,
+            maxChunkBytes = 4 * 1024 * 1024,
+            onDuplicate,
+            ignore = false,
+            transaction = false,
+            ...queryOptions
+        } = options;
+        
+        if (!Number.isInteger(chunkSize) || chunkSize < 1) {
+            throw new errors.ValidationError('insertMany chunkSize must be a positive integer');
+        }
+        if (ignore && onDuplicate) {
+            throw new errors.ValidationError('insertMany cannot combine ignore with onDuplicate');
         }
+        
+        const columns = validateRows(rows);
+        const chunks = chunkRows(rows, columns, { chunkSize, maxChunkBytes });
+        
+        const insertChunks = async () => {
+            const results = [];
+            let offset = 0;
+            
+            for (const [index, chunk] of chunks.entries()) {
+                const builder = this.table(table).insert(chunk);
+                if (ignore) builder.ignore();
+                if (onDuplicate) builder.onDuplicateKeyUpdate(onDuplicate === 'update' ? columns : onDuplicate);
+                
+                try {
+                    const header = await builder.execute(queryOptions);
+                    results.push({
+                        index,
+                        offset,
+                        rows: chunk.length,
+                        affectedRows: header.affectedRows,
+                        insertId: header.insertId,
+                        warningStatus: header.warningStatus
+                    });
+                } catch (error) {
+                    error.chunk = { index, offset, rows: chunk.length };
+                    error.results = results;
+                    throw error;
+                }
+                offset += chunk.length;
+            }
+            
+            return {
+                rows: rows.length,
+                affectedRows: results.reduce((total, result) => total + result.affectedRows, 0),
+                chunks: results
+            };
+        };
+        
+        const result = transaction ? await this.transaction(insertChunks) : await insertChunks();
+        
+        this.logger.debug({ 
+            table,
+            rows: result.rows,
+            chunks: result.chunks.length,
+            affectedRows: result.affectedRows
+        }, 'Bulk insert completed');
+        
+        return result;
     }
 
-    // Healthcheck with connection verification
+    _updateMetrics(duration, type = 'UNKNOWN') {
+        this.collector.recordQuery(type, duration);
+        this.metrics.avgQueryTime = this.collector.queryTime.sum / this.collector.queryTime.count;
+    }
+
+    // Healthcheck with connection verification; with a health monitor this is one of its checks
     async _healthcheck() {
+        if (this.healthMonitor) {
+            await this.healthMonitor.check();
+            return;
+        }
+        
         try {
-            await this.query('SELECT 1 as health_check', [], { skipRetry: true });
+            await this.query('SELECT 1 as health_check', [], { skipRetry: true, priority: 'high' });
             this.emit('healthcheck', { status: 'healthy' });
         } catch (error) {
             this.logger.error({ 
                 error: error.message,
                 errorCode: error.code,
-                errorData: error
+                errorData: serializeError(error)
             }, 'Healthcheck failed');
             this.emit('healthcheck', { status: 'unhealthy', error });
         }
     }
 
-    // Public healthcheck
+    // Public healthcheck; with a health monitor the ping also updates its state
     async healthcheck() {
+        if (this.healthMonitor) {
+            const health = await this.healthMonitor.check();
+            return {
+                status: health.lastError ? 'unhealthy' : 'healthy',
+                state: health.state,
+                ...(health.lastError ? { error: health.lastError } : { responseTime: health.responseTime }),
+                metrics: this.getMetrics()
+            };
+        }
+        
         try {
             const start = Date.now();
-            await this.query('SELECT 1 as health_check', [], { skipRetry: true });
+            await this.query('SELECT 1 as health_check', [], { skipRetry: true, priority: 'high' });
             return {
                 status: 'healthy',
                 responseTime: Date.now() - start,
@@ -335,69 +1118,314 @@ class MySQLMate extends EventEmitter {
         }
     }
 
+    // Liveness probe: only a closed instance is dead, a database outage is not a reason to restart
+    liveness() {
+        return {
+            alive: !this.closed,
+            statusCode: this.closed ? 503 : 200,
+            state: this.healthMonitor ? this.healthMonitor.state : null
+        };
+    }
+
+    // Readiness probe: whether new work can be served. With a health monitor this reads its
+    // last known state, so frequent probes cost nothing; without one it pings the primary.
+    async readiness() {
+        let reason = null;
+        let state = null;
+        
+        if (this.closed) {
+            reason = 'closed';
+        } else if (this.isShuttingDown) {
+            reason = 'shutting_down';
+        } else if (this.healthMonitor) {
+            state = this.healthMonitor.state;
+            if (this.healthMonitor.isDown) reason = 'database_down';
+        } else {
+            try {
+                await this.query('SELECT 1 as health_check', [], { skipRetry: true, timeout: 2000, priority: 'high' });
+            } catch {
+                reason = 'database_unreachable';
+            }
+        }
+        
+        return {
+            ready: reason === null,
+            statusCode: reason === null ? 200 : 503,
+            state,
+            ...(reason ? { reason } : {})
+        };
+    }
+
+    #throwIfDown() {
+        if (this.healthMonitor && this.healthMonitor.isDown) {
+            throw new errors.DatabaseUnavailableError('Database is down, not waiting for a connection', {
+                cause: this.healthMonitor.lastError || undefined
+            });
+        }
+    }
+
+    // Replace the primary pool after repeated failed pings; the old pool is ended in the background
+    // because end() waits for connections still checked out of it
+    async #recreatePool() {
+        const previous = this.pool;
+        this.pool = mysql.createPool(this.config);
+        this.router.primary.pool = this.pool;
+        this.metrics.activeConnections = 0;
+        this._setupPoolEvents();
+        
+        this.logger.warn({ host: this.config.host }, 'Recreated primary connection pool');
+        this.emit('poolRecreated', { consecutiveFailures: this.healthMonitor.consecutiveFailures });
+        
+        previous.end().catch((error) => {
+            this.logger.warn({ error: error.message }, 'Failed to close the replaced connection pool');
+        });
+    }
+
     // Get metrics
     getMetrics() {
         return {
             ...this.metrics,
-            poolInfo: {
-                totalConnections: this.pool._allConnections?.length || 0,
-                freeConnections: this.pool._freeConnections?.length || 0,
-                usedConnections: this.pool._usedConnections?.length || 0
-            }
+            ...this.collector.snapshot(),
+            poolInfo: this.#poolInfo(),
+            pools: this.router.getMetrics(),
+            ...(this.healthMonitor ? { health: this.healthMonitor.status() } : {}),
+            ...(this.tenants ? { tenants: this.tenants.getMetrics() } : {}),
+            ...(this.acquisition ? { acquisition: this.acquisition.status() } : {})
         };
     }
 
-    // Multiple queries with error control
-    async multiQuery(queries) {
+    // Primary pool usage derived from pool events
+    #poolInfo() {
+        return {
+            connectionLimit: this.config.connectionLimit,
+            totalConnections: this.metrics.totalConnections,
+            usedConnections: this.metrics.activeConnections,
+            freeConnections: Math.max(this.metrics.totalConnections - this.metrics.activeConnections, 0)
+        };
+    }
+
+    // Metrics in Prometheus text format (or OpenMetrics with { openMetrics: true })
+    getPrometheusMetrics(options = {}) {
+        const poolInfo = this.#poolInfo();
+        const pools = Object.entries(this.router.getMetrics());
+        const gauges = [
+            {
+                name: 'pool_connections',
+                help: 'Primary pool connections by state.',
+                samples: [
+                    [{ state: 'used' }, poolInfo.usedConnections],
+                    [{ state: 'free' }, poolInfo.freeConnections],
+                    [{ state: 'total' }, poolInfo.totalConnections]
+                ]
+            },
+            {
+                name: 'active_operations',
+                help: 'Queries, transactions and migrations in progress.',
+                samples: [[{}, this.activeOperations.size]]
+            },
+            {
+                name: 'pool_in_flight_queries',
+                help: 'Queries in progress per pool.',
+                samples: pools.map(([pool, data]) => [{ pool }, data.inFlight])
+            },
+            {
+                name: 'replica_available',
+                help: 'Whether a replica receives reads (1) or is excluded (0).',
+                samples: pools
+                    .filter(([, data]) => data.role === 'replica')
+                    .map(([pool, data]) => [{ pool }, data.available ? 1 : 0])
+            },
+            {
+                name: 'replica_lag_seconds',
+                help: 'Last measured replication lag.',
+                samples: pools
+                    .filter(([, data]) => data.role === 'replica' && data.lag !== null)
+                    .map(([pool, data]) => [{ pool }, data.lag])
+            }
+        ];
+        
+        if (this.healthMonitor) {
+            gauges.push({
+                name: 'health_state',
+                help: 'Primary health as seen by the health monitor (1 for the current state).',
+                samples: HEALTH_STATES.map(state => [{ state }, this.healthMonitor.state === state ? 1 : 0])
+            });
+        }
+        
+        if (this.acquisition) {
+            const acquisition = this.acquisition.status();
+            gauges.push({
+                name: 'pool_waiting_requests',
+                help: 'Requests queued for a primary pool connection.',
+                samples: [[{}, acquisition.waiting]]
+            });
+        }
+        
+        if (this.tenants) {
+            const tenants = this.tenants.getMetrics();
+            gauges.push({
+                name: 'tenant_pools',
+                help: 'Open tenant pools.',
+                samples: [[{}, tenants.pools]]
+            }, {
+                name: 'tenant_active_operations',
+                help: 'Queries and transactions in progress across tenant pools.',
+                samples: [[{}, tenants.activeOperations]]
+            });
+        }
+        
+        return this.collector.toPrometheus({ ...this.metricsConfig, ...options, gauges });
+    }
+
+    // Multiple queries with error control; sequential by default, `concurrency` at a time through
+    // the pool, or all-or-nothing in one transaction with `atomic`
+    async multiQuery(queries, options = {}) {
         if (this.isShuttingDown) {
-            throw new Error('Database is shutting down, cannot execute new queries');
+            throw new errors.ShutdownError('Database is shutting down, cannot execute new queries');
+        }
+        
+        const tenant = this.#currentTenant();
+        if (tenant !== undefined) {
+            return (await this.tenants.get(tenant)).multiQuery(queries, options);
         }
         
         if (!Array.isArray(queries)) {
-            throw new Error('Queries must be an array');
+            throw new errors.ValidationError('Queries must be an array');
         }
 
+        const batch = validateBatchOptions(options);
+
+        // The timeout covers the whole batch; each query sees it through the deadline's signal.
+        // An atomic batch hands it to its transaction instead.
+        const { timeout, signal } = options;
+        const deadline = !batch.atomic && (timeout !== undefined || signal !== undefined)
+            ? new Deadline({ timeout, signals: [signal] })
+            : null;
+
         const operationId = `multiquery-${Date.now()}-${Math.random()}`;
         this.activeOperations.add(operationId);
 
+        const run = () => (batch.atomic
+            ? this.#runAtomicBatch(queries, { timeout, signal })
+            : this.#runBatch(queries, batch, deadline));
+
         try {
-            const results = [];
-            const errors = [];
+            const outcomes = this.tracing
+                ? await this.tracing.span('mysqlmate.multiQuery', {
+                    attributes: {
+                        'db.mysqlmate.query_count': queries.length,
+                        'db.mysqlmate.concurrency': batch.concurrency,
+                        'db.mysqlmate.atomic': batch.atomic
+                    }
+                }, run)
+                : await run();
+            return this.#reportBatch(queries, outcomes, batch);
+        } finally {
+            if (deadline) deadline.clear();
+            this.activeOperations.delete(operationId);
+        }
+    }
 
-            for (const [index, queryData] of queries.entries()) {
-                try {
-                    const { sql, params = [] } = queryData;
-                    const result = await this.query(sql, params);
-                    results.push({ index, result });
-                } catch (error) {
-                    errors.push({ index, error });
-                }
+    // Run the batch `concurrency` queries at a time; after a failure with stopOnError no new query
+    // starts and the rest are reported as skipped
+    async #runBatch(queries, { concurrency, stopOnError }, deadline) {
+        const outcomes = new Array(queries.length);
+        let next = 0;
+        let stopped = false;
+
+        const worker = async () => {
+            while (next < queries.length && !stopped) {
+                const index = next++;
+                outcomes[index] = await this.#settleQuery(index, queries[index], deadline);
+                if (outcomes[index].status === 'rejected' && stopOnError) stopped = true;
             }
+        };
+        await Promise.all(Array.from({ length: Math.min(concurrency, queries.length) }, worker));
 
-            if (errors.length > 0) {
-                const error = new Error(`${errors.length} of ${queries.length} queries failed`);
-                error.results = results;
-                error.errors = errors;
-                
-                this.logger.error({
-                    failedQueries: errors.length,
-                    totalQueries: queries.length,
-                    errors: errors.map(e => ({ index: e.index, message: e.error.message }))
-                }, 'Multiple query execution had failures');
-                
-                throw error;
+        return Array.from(outcomes, (outcome, index) => outcome || { index, status: 'skipped' });
+    }
+
+    // One transaction for the whole batch, stopping at the first failure. The failing query's own
+    // error is rethrown inside the callback, so deadlocks still trigger transaction retries.
+    async #runAtomicBatch(queries, { timeout, signal }) {
+        let outcomes = [];
+        try {
+            await this.transaction(async () => {
+                outcomes = await this.#runBatch(queries, { concurrency: 1, stopOnError: true }, null);
+                const failure = outcomes.find(outcome => outcome.status === 'rejected');
+                if (failure) throw failure.error;
+            }, { timeout, signal });
+        } catch (error) {
+            // Nothing ran, e.g. during shutdown: the error is the batch's own
+            if (outcomes.length === 0) throw error;
+            // A failure of the transaction itself, such as COMMIT, fails every query
+            if (!outcomes.some(outcome => outcome.status === 'rejected')) {
+                outcomes = queries.map((query, index) => ({ index, status: 'rejected', error }));
             }
+            // Queries that ran before the failure are fulfilled but undone
+            outcomes = outcomes.map(outcome => ({ ...outcome, rolledBack: true }));
+            outcomes.rolledBack = true;
+        }
+        return outcomes;
+    }
 
-            return results;
-        } finally {
-            this.activeOperations.delete(operationId);
+    // Outcome of one query of a batch; attempts is 0 when it was rejected before reaching the chain
+    async #settleQuery(index, queryData, deadline) {
+        const start = Date.now();
+        const state = {};
+        const settled = outcome => ({
+            index,
+            ...outcome,
+            duration: Date.now() - start,
+            attempts: state.ctx ? state.ctx.attempt + 1 : 0
+        });
+
+        try {
+            const { sql, params = [], options: queryOptions = {} } = queryData || {};
+            const result = await this.#query(sql, params, deadline
+                ? { signal: deadline.signal, ...queryOptions }
+                : queryOptions, state);
+            return settled({ status: 'fulfilled', result });
+        } catch (error) {
+            return settled({ status: 'rejected', error });
         }
     }
 
+    // settle: true returns every outcome; otherwise results as [{ index, result }] or a MultiQueryError
+    #reportBatch(queries, outcomes, { settle, atomic }) {
+        const rolledBack = Boolean(outcomes.rolledBack);
+        const failures = outcomes
+            .filter(outcome => outcome.status === 'rejected')
+            .map(({ index, error }) => ({ index, error }));
+
+        if (failures.length > 0) {
+            this.logger.error({
+                failedQueries: failures.length,
+                totalQueries: queries.length,
+                skippedQueries: outcomes.filter(outcome => outcome.status === 'skipped').length,
+                rolledBack,
+                errors: failures.map(e => ({ index: e.index, message: e.error.message }))
+            }, 'Multiple query execution had failures');
+        }
+
+        // Nothing of an atomic batch is kept after a failure, so it always fails as a whole
+        if (settle && !(atomic && rolledBack)) {
+            return outcomes;
+        }
+        
+        const results = outcomes
+            .filter(outcome => outcome.status === 'fulfilled')
+            .map(({ index, result }) => ({ index, result }));
+        if (failures.length > 0) {
+            throw new errors.MultiQueryError(results, failures, queries.length, { settled: outcomes, rolledBack });
+        }
+        return results;
+    }
+
     // Simple migrations
     async runMigration(migrationSql) {
         if (this.isShuttingDown) {
-            throw new Error('Database is shutting down, cannot execute migrations');
+            throw new errors.ShutdownError('Database is shutting down, cannot execute migrations');
         }
         
         return this.transaction(async (connection) => {
@@ -439,11 +1467,106 @@ class MySQLMate extends EventEmitter {
         });
     }
 
+    // File-based migrations
+    #createMigrator(options) {
+        if (this.isShuttingDown) {
+            throw new errors.ShutdownError('Database is shutting down, cannot execute migrations');
+        }
+        
+        return new Migrator(this, { ...this.migrationConfig, ...options });
+    }
+
+    // Apply pending migrations from the migrations directory
+    async migrate(options = {}) {
+        const migrator = this.#createMigrator(options);
+        
+        const operationId = `migrate-${Date.now()}-${Math.random()}`;
+        this.activeOperations.add(operationId);
+        
+        try {
+            return await migrator.migrate(options);
+        } finally {
+            this.activeOperations.delete(operationId);
+        }
+    }
+
+    // Roll back the last applied migrations
+    async rollbackMigrations(options = {}) {
+        const migrator = this.#createMigrator(options);
+        
+        const operationId = `rollback-${Date.now()}-${Math.random()}`;
+        this.activeOperations.add(operationId);
+        
+        try {
+            return await migrator.rollback(options);
+        } finally {
+            this.activeOperations.delete(operationId);
+        }
+    }
+
+    // Status of every migration file and applied migration
+    async migrationStatus(options = {}) {
+        return this.#createMigrator(options).status();
+    }
+
     // Graceful shutdown with timeout
-    async gracefulShutdown(timeout = 10000) {
+    async gracefulShutdown(timeout = 10000, { signal } = {}) {
+        if (this.#shutdownPromise) return this.#shutdownPromise;
         if (this.isShuttingDown) return;
         
+        this.#shutdownPromise = this.#shutdown(timeout, signal);
+        return this.#shutdownPromise;
+    }
+
+    // Register a hook run before gracefulShutdown() stops accepting work; returns a function removing it
+    beforeShutdown(hook) {
+        return this.#addShutdownHook('before', hook);
+    }
+
+    // Register a hook run after the pools are closed; returns a function removing it
+    afterShutdown(hook) {
+        return this.#addShutdownHook('after', hook);
+    }
+
+    #addShutdownHook(phase, hook) {
+        if (typeof hook !== 'function') {
+            throw new errors.ValidationError('Shutdown hook must be a function', 'INVALID_OPTIONS');
+        }
+        
+        this.shutdownHooks[phase].push(hook);
+        return () => {
+            this.shutdownHooks[phase] = this.shutdownHooks[phase].filter(registered => registered !== hook);
+        };
+    }
+
+    // Hooks run in registration order; a failing hook is logged and does not stop the shutdown
+    async #runShutdownHooks(phase, context) {
+        for (const hook of this.shutdownHooks[phase]) {
+            try {
+                await hook(context);
+            } catch (error) {
+                this.logger.error({ 
+                    phase,
+                    error: error.message,
+                    errorData: serializeError(error)
+                }, 'Shutdown hook failed');
+            }
+        }
+    }
+
+    async #shutdown(timeout, signal) {
+        if (signal) {
+            this.logger.info({ signal }, 'Received shutdown signal, starting graceful shutdown');
+        }
+        
+        const context = { timeout, signal };
+        await this.#runShutdownHooks('before', context);
+        
         this.isShuttingDown = true;
+        // Recreating the pool mid-shutdown would leave a pool behind that close() does not end
+        if (this.healthMonitor) this.healthMonitor.stop();
+        // Tenant pools drain in parallel with this instance, under the same timeout
+        const tenantsShutdown = this.tenants ? this.tenants.shutdown(timeout) : null;
         this.logger.info({ 
             activeOperations: this.activeOperations.size,
             timeout
@@ -458,81 +1581,336 @@ class MySQLMate extends EventEmitter {
             await this.#sleep(100);
         }
 
+        // Abort what is still running: queries are killed and transactions roll back before the pool closes
         if (this.activeOperations.size > 0) {
             this.logger.warn({ 
                 activeOperations: this.activeOperations.size 
-            }, 'Timeout reached, some operations may not have completed');
+            }, 'Timeout reached, aborting in-flight operations');
+            this.shutdownDeadline.abort(new errors.QueryAbortedError('Operation aborted by graceful shutdown'));
+            
+            const startAbort = Date.now();
+            while (this.activeOperations.size > 0 && (Date.now() - startAbort) < SHUTDOWN_ABORT_GRACE_PERIOD) {
+                await this.#sleep(50);
+            }
+            
+            if (this.activeOperations.size > 0) {
+                this.logger.warn({ 
+                    activeOperations: this.activeOperations.size 
+                }, 'Some operations did not finish after being aborted');
+            }
         }
 
-        await this.close();
+        try {
+            if (tenantsShutdown) await tenantsShutdown;
+            await this.close();
+        } finally {
+            await this.#runShutdownHooks('after', context);
+        }
         this.logger.info('Graceful shutdown completed');
     }
 
     // Close connection pool with graceful shutdown  
     async close() {
+        signals.unregister(this);
+        if (this.healthMonitor) this.healthMonitor.stop();
+        if (this.acquisition) this.acquisition.close();
+        this.closed = true;
+        
         try {
+            if (this.tenants) await this.tenants.close();
+            await this.router.end();
             await this.pool.end();
             this.logger.info('Connection pool closed successfully');
             this.emit('close');
         } catch (error) {
             this.logger.error({ 
                 error: error.message,
-                errorData: error
+                errorData: serializeError(error)
             }, 'Failed to close connection pool');
             throw error;
         }
     }
 
     // Get connection
-    async getConnection() {
+    async getConnection(options = {}) {
         if (this.isShuttingDown) {
-            throw new Error('Database is shutting down, cannot obtain new connections');
+            throw new errors.ShutdownError('Database is shutting down, cannot obtain new connections');
+        }
+        
+        const tenant = this.#currentTenant();
+        if (tenant !== undefined) {
+            return (await this.tenants.get(tenant)).getConnection(options);
         }
         
+        const unknown = Object.keys(options).filter(key => key !== 'priority');
+        if (unknown.length > 0) {
+            throw new errors.ValidationError(`Unknown getConnection options: ${unknown.join(', ')}`, 'INVALID_OPTIONS');
+        }
+        
+        // Only connections handed to application code are watched for leaks
+        const stack = this.acquisition ? this.acquisition.captureStack(this.getConnection) : null;
+        return this.#getConnection({ priority: options.priority, track: true, stack });
+    }
+
+    // Checkout through the getConnection middleware, shared by getConnection() and transactions
+    #getConnection(options) {
+        return this.middleware.run('getConnection', { operation: 'getConnection' }, () => this.#acquireConnection(options));
+    }
+
+    async #acquireConnection(options) {
+        this.#throwIfDown();
         try {
-            const connection = await this.pool.getConnection();
+            let connection;
+            if (this.acquisition) {
+                connection = await this.acquisition.acquire(options);
+            } else {
+                const start = Date.now();
+                connection = await this.pool.getConnection();
+                this.collector.recordPoolWait(Date.now() - start);
+            }
+            await this.#sessionReady(connection);
             this.logger.debug('Connection obtained from pool');
             return connection;
         } catch (error) {
             this.logger.error({ 
                 error: error.message,
-                errorData: error
+                errorData: serializeError(error)
             }, 'Failed to obtain connection from pool');
-            throw error;
+            throw errors.toMySQLMateError(error);
         }
     }
 
-    // Execute transaction
-    async transaction(callback) {
-        if (this.isShuttingDown) {
-            throw new Error('Database is shutting down, cannot execute new transactions');
+    // Connection proxy whose execute/query accept named parameters and expand arrays, and throw
+    // the same typed errors as query()
+    _wrapConnection(connection, deadline = null, onStatement = null) {
+        const wrap = (method) => async (sql, params, ...rest) => {
+            if (deadline) deadline.throwIfAborted();
+            if (typeof sql === 'string' && params !== undefined) {
+                ({ sql, params } = compileParams(sql, params));
+            }
+            const run = async () => {
+                try {
+                    return await method.call(connection, sql, params, ...rest);
+                } catch (driverError) {
+                    throw errors.toMySQLMateError(driverError, { sql: typeof sql === 'string' ? sql : undefined });
+                }
+            };
+            const result = this.tracing && typeof sql === 'string'
+                ? await this.tracing.statement(sql, run)
+                : await run();
+            if (onStatement && typeof sql === 'string') onStatement(sql);
+            return result;
+        };
+        
+        return new Proxy(connection, {
+            get(target, property) {
+                const value = Reflect.get(target, property);
+                if (property === 'execute' || property === 'query') {
+                    return wrap(value);
+                }
+                return typeof value === 'function' ? value.bind(target) : value;
+            }
+        });
+    }
+
+    // Execute transaction; nested calls become savepoints on the outer transaction's connection
+    async transaction(callback, options = {}) {
+        // Savepoints of a transaction that was running when shutdown started are still allowed
+        if (this.isShuttingDown && !this.#activeTransaction()) {
+            throw new errors.ShutdownError('Database is shutting down, cannot execute new transactions');
+        }
+        
+        const tenant = this.#currentTenant();
+        if (tenant !== undefined) {
+            return (await this.tenants.get(tenant)).transaction(callback, options);
+        }
+        
+        const { retry, timeout, signal, priority = 'high', ...transactionOptions } = options;
+        validateTransactionOptions(transactionOptions);
+        
+        const parent = this.#activeTransaction();
+        if (parent) {
+            if (timeout !== undefined || signal !== undefined) {
+                throw new errors.ValidationError('Timeout and signal can only be set on the outermost transaction', 'INVALID_OPTIONS');
+            }
+            
+            const ctx = { operation: 'transaction', callback, options: transactionOptions, retry, nested: true, deadline: parent.deadline, attempt: 0 };
+            return this.middleware.run('transaction', ctx, () => this.#savepoint(parent, ctx.callback, ctx.options));
         }
         
+        // One deadline across all attempts, so retries cannot extend the timeout
+        const deadline = new Deadline({ timeout, signals: [signal], parents: [this.shutdownDeadline] });
+        
         const operationId = `transaction-${Date.now()}-${Math.random()}`;
         this.activeOperations.add(operationId);
         
-        const connection = await this.getConnection();
+        const ctx = { operation: 'transaction', callback, options: transactionOptions, retry, nested: false, deadline, attempt: 0 };
+        try {
+            return await this.middleware.run('transaction', ctx, () => this.#runTransaction(ctx.callback, ctx.options, deadline, priority));
+        } finally {
+            deadline.clear();
+            this.activeOperations.delete(operationId);
+        }
+    }
+
+    // Built-in: the outermost transaction owns retries, since a deadlock rolls back all of it anyway
+    async #transactionRetryMiddleware(ctx, next) {
+        const retryConfig = ctx.nested ? null : resolveRetry(this.retryConfig.transaction, ctx.retry);
+        if (!retryConfig) return next();
+        
+        const { maxAttempts } = retryConfig;
+        for (let attempt = 1; ; attempt++) {
+            ctx.attempt = attempt - 1;
+            
+            try {
+                return await next();
+            } catch (error) {
+                const canRetry = attempt < maxAttempts
+                    && !this.isShuttingDown
+                    && !ctx.deadline.aborted
+                    && this.#isRetryable(error, retryConfig.retryableErrors);
+                
+                if (!canRetry) throw error;
+                
+                const backoff = this.retryConfig.retryDelay * Math.pow(this.retryConfig.backoffMultiplier, attempt - 1);
+                const delay = Math.round(backoff * (1 + Math.random() * retryConfig.jitter));
+                
+                this.collector.recordTransactionRetry();
+                if (ctx.span) {
+                    ctx.span.addEvent('retry', { attempt, delay, 'error.type': String(error.code) });
+                }
+                this.logger.warn({
+                    error: error.message,
+                    code: error.code,
+                    delay: `${delay}ms`,
+                    attempt,
+                    maxAttempts
+                }, 'Transaction failed, retrying');
+                this.emit('transactionRetry', { error, attempt, maxAttempts, delay });
+                
+                await ctx.deadline.race(this.#sleep(delay));
+            }
+        }
+    }
+
+    // One attempt of a top-level transaction on its own connection
+    async #runTransaction(callback, options, deadline, priority) {
+        deadline.throwIfAborted();
+        
+        const pending = this.#getConnection({ priority, deadline });
+        let rawConnection;
+        try {
+            rawConnection = await deadline.race(pending);
+        } catch (error) {
+            pending.then(late => late.release(), () => {});
+            throw error;
+        }
+        
+        const connection = this._wrapConnection(rawConnection, deadline, sql => this.#trackWrites(sql, context));
+        const context = {
+            connection: rawConnection,
+            wrapped: connection,
+            deadline,
+            depth: 0,
+            state: { savepoints: 0, finished: false, writtenTables: new Set() }
+        };
+        let started = false;
+        
+        // Interrupt whatever statement the callback is running; rollback follows on the same connection
+        const unsubscribe = deadline.onAbort(() => {
+            this.#killQuery(this.pool, rawConnection.threadId);
+        });
 
         try {
-            await connection.beginTransaction();
-            this.logger.debug('Transaction started');
-            const result = await callback(connection);
+            const statements = beginStatements(options);
+            if (statements) {
+                for (const statement of statements) {
+                    await rawConnection.query(statement);
+                }
+            } else {
+                await connection.beginTransaction();
+            }
+            started = true;
+            this.collector.recordTransaction('start');
+            this.logger.debug({ ...options }, 'Transaction started');
+            const result = await deadline.race(this.transactionContext.run(context, () => callback(connection)));
             await connection.commit();
+            this.collector.recordTransaction('commit');
+            if (context.state.writtenTables.size > 0) {
+                this.#invalidateTables([...context.state.writtenTables]);
+            }
             this.logger.info('Transaction committed successfully');
             return result;
         } catch (error) {
-            await connection.rollback();
+            if (started) {
+                await connection.rollback();
+                this.collector.recordTransaction('rollback');
+            }
             this.logger.error({ 
                 error: error.message,
-                errorData: error
+                errorData: serializeError(error)
             }, 'Transaction failed and rolled back');
-            throw error;
+            throw errors.toMySQLMateError(error);
         } finally {
+            unsubscribe();
+            context.state.finished = true;
             connection.release();
             this.logger.debug('Transaction connection released');
-            this.activeOperations.delete(operationId);
+        }
+    }
+
+    #isRetryable(error, codes) {
+        return codes.some(code => error.code === code || (error.message || '').includes(code));
+    }
+
+    // Work scheduled inside a callback may outlive the transaction; it then runs outside of it
+    #activeTransaction() {
+        const context = this.transactionContext.getStore();
+        return context && !context.state.finished ? context : null;
+    }
+
+    // Nested transaction: roll back to the savepoint on failure and leave the outer transaction open
+    async #savepoint(parent, callback, options) {
+        if (Object.keys(options).length > 0) {
+            throw new errors.ValidationError('Transaction options cannot be changed in a nested transaction', 'INVALID_OPTIONS');
+        }
+        
+        const name = savepointName(++parent.state.savepoints);
+        const context = { ...parent, depth: parent.depth + 1 };
+        
+        await parent.connection.query(`SAVEPOINT ${name}`);
+        this.logger.debug({ savepoint: name, depth: context.depth }, 'Savepoint created');
+        
+        try {
+            const result = await this.transactionContext.run(context, () => callback(parent.wrapped));
+            await parent.connection.query(`RELEASE SAVEPOINT ${name}`);
+            return result;
+        } catch (error) {
+            try {
+                await parent.connection.query(`ROLLBACK TO SAVEPOINT ${name}`);
+            } catch (rollbackError) {
+                // A deadlock rolls back the whole transaction and its savepoints with it; the original
+                // error is what the outer transaction needs to see to roll back and retry
+                this.logger.warn({
+                    savepoint: name,
+                    error: rollbackError.message
+                }, 'Rollback to savepoint failed');
+                throw error;
+            }
+            this.logger.warn({
+                savepoint: name,
+                error: error.message
+            }, 'Nested transaction rolled back to savepoint');
+            throw error;
         }
     }
 }
 
-module.exports = MySQLMate;
\ No newline at end of file
+module.exports = MySQLMate;
+
+// Error classes are exposed on the export: require('mysqlmate').DuplicateKeyError
+for (const [name, value] of Object.entries(errors)) {
+    if (typeof value === 'function' && value.prototype instanceof Error) {
+        module.exports[name] = value;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,242 @@
+// Connection checkouts from the primary pool through a queue owned by this library instead of the
+// pool's own unbounded one: waits are measured, the queue is capped in length and waiting time,
+// higher priorities are served first, and connections handed to application code are watched for
+// leaks. At most connectionLimit connections are out at a time, so the pool never queues itself.
+
+const { PoolExhaustedError, ShutdownError, ValidationError } = require('./errors');
+const { callerFrames } = require('./slowQueryLog');
+
+const PRIORITIES = { high: 0, normal: 1, low: 2 };
+
+const ACQUISITION_OPTIONS = ['maxWaiting', 'waitTimeout', 'leakTimeout', 'stackDepth'];
+
+function validateLimit(value, name) {
+    if (value !== null && (!Number.isInteger(value) || value < (name === 'maxWaiting' ? 0 : 1))) {
+        throw new ValidationError(`acquisition.${name} must be a ${name === 'maxWaiting' ? 'non-negative' : 'positive'} integer or null`, 'INVALID_OPTIONS');
+    }
+}
+
+class AcquisitionQueue {
+
+    constructor(options, { pool, limit, logger, emit, onWait }) {
+        const unknown = Object.keys(options).filter(key => !ACQUISITION_OPTIONS.includes(key));
+        if (unknown.length > 0) {
+            throw new ValidationError(`Unknown acquisition options: ${unknown.join(', ')}`, 'INVALID_OPTIONS');
+        }
+
+        const { maxWaiting = null, waitTimeout = null, leakTimeout = null, stackDepth = 10 } = options;
+        validateLimit(maxWaiting, 'maxWaiting');
+        validateLimit(waitTimeout, 'waitTimeout');
+        validateLimit(leakTimeout, 'leakTimeout');
+
+        this.maxWaiting = maxWaiting;
+        this.waitTimeout = waitTimeout;
+        this.leakTimeout = leakTimeout;
+        this.stackDepth = stackDepth;
+        // The pool is looked up on every checkout, since the health monitor may replace it
+        this.pool = pool;
+        this.limit = limit;
+        this.logger = logger;
+        this.emit = emit;
+        this.onWait = onWait;
+
+        this.inUse = 0;
+        // Ordered by priority, then arrival
+        this.waiting = [];
+        this.sequence = 0;
+        this.exhaustedSince = null;
+        // Connections from getConnection() still checked out, for leak detection
+        this.held = new Set();
+        this.closed = false;
+        this.stats = { acquired: 0, queued: 0, timeouts: 0, rejected: 0, leaks: 0, peakWaiting: 0 };
+    }
+
+    // Stack of the application code asking for a connection; only kept when leaks are watched
+    captureStack(constructorOpt) {
+        if (this.leakTimeout === null) return null;
+        const holder = {};
+        Error.captureStackTrace(holder, constructorOpt);
+        return holder;
+    }
+
+    // A connection whose release() and destroy() hand the slot to the next waiter. With `track`,
+    // the connection is reported as leaked when still checked out after leakTimeout.
+    acquire({ priority = 'normal', deadline = null, track = false, stack = null } = {}) {
+        const rank = PRIORITIES[priority];
+        if (rank === undefined) {
+            return Promise.reject(new ValidationError(`priority must be one of: ${Object.keys(PRIORITIES).join(', ')}`, 'INVALID_OPTIONS'));
+        }
+        if (this.closed) {
+            return Promise.reject(new ShutdownError('Database is shutting down, cannot obtain new connections'));
+        }
+
+        const request = { rank, start: Date.now(), track, stack };
+        if (this.inUse < this.limit && this.waiting.length === 0) {
+            return this.#checkout(request);
+        }
+
+        if (this.maxWaiting !== null && this.waiting.length >= this.maxWaiting) {
+            this.stats.rejected++;
+            return Promise.reject(new PoolExhaustedError(
+                `Connection pool exhausted: ${this.waiting.length} requests already waiting`,
+                'POOL_QUEUE_FULL',
+                { waiting: this.waiting.length, limit: this.limit }
+            ));
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter = { ...request, sequence: this.sequence++, resolve, reject, timer: null, unsubscribe: null };
+            const position = this.waiting.findIndex(other => other.rank > rank);
+            this.waiting.splice(position === -1 ? this.waiting.length : position, 0, waiter);
+            this.stats.queued++;
+            this.stats.peakWaiting = Math.max(this.stats.peakWaiting, this.waiting.length);
+
+            if (this.waitTimeout !== null) {
+                waiter.timer = setTimeout(() => {
+                    this.stats.timeouts++;
+                    this.#drop(waiter, new PoolExhaustedError(
+                        `Timed out after ${this.waitTimeout}ms waiting for a connection`,
+                        'ACQUIRE_TIMEOUT',
+                        { waiting: this.waiting.length, limit: this.limit }
+                    ));
+                }, this.waitTimeout);
+            }
+            if (deadline) {
+                waiter.unsubscribe = deadline.onAbort(error => this.#drop(waiter, error));
+            }
+
+            if (this.exhaustedSince === null) {
+                this.exhaustedSince = Date.now();
+                this.logger.warn({ inUse: this.inUse, limit: this.limit }, 'Connection pool exhausted, requests are queued');
+                this.emit('poolExhausted', { waiting: this.waiting.length, inUse: this.inUse, limit: this.limit });
+            }
+        });
+    }
+
+    async #checkout(request) {
+        this.inUse++;
+        let connection;
+        try {
+            connection = await this.pool().getConnection();
+        } catch (error) {
+            this.#free();
+            throw error;
+        }
+
+        this.stats.acquired++;
+        this.onWait(Date.now() - request.start);
+        return this.#wrap(connection, request);
+    }
+
+    // Hand the connection out with release() and destroy() returning the slot exactly once
+    #wrap(connection, { track, stack }) {
+        let record = null;
+        if (track && this.leakTimeout !== null) {
+            record = { threadId: connection.threadId, acquiredAt: Date.now(), stack: callerFrames(stack, this.stackDepth), timer: null };
+            record.timer = setTimeout(() => this.#reportLeak(record), this.leakTimeout);
+            record.timer.unref();
+            this.held.add(record);
+        }
+
+        let returned = false;
+        const giveBack = () => {
+            if (returned) return;
+            returned = true;
+            if (record) {
+                clearTimeout(record.timer);
+                this.held.delete(record);
+            }
+            this.#free();
+        };
+
+        return new Proxy(connection, {
+            get(target, property) {
+                const value = Reflect.get(target, property);
+                if (property === 'release' || property === 'destroy') {
+                    return (...args) => {
+                        giveBack();
+                        return value.apply(target, args);
+                    };
+                }
+                return typeof value === 'function' ? value.bind(target) : value;
+            }
+        });
+    }
+
+    #reportLeak(record) {
+        this.stats.leaks++;
+        const heldFor = Date.now() - record.acquiredAt;
+        this.logger.warn({
+            threadId: record.threadId,
+            heldFor: `${heldFor}ms`,
+            stack: record.stack
+        }, 'Connection from getConnection() not released, possible leak');
+        this.emit('connectionLeak', { threadId: record.threadId, heldFor, stack: record.stack });
+    }
+
+    #free() {
+        this.inUse--;
+        this.#dispatch();
+    }
+
+    // Give free slots to the front of the queue
+    #dispatch() {
+        while (this.waiting.length > 0 && this.inUse < this.limit) {
+            const waiter = this.waiting.shift();
+            this.#settle(waiter);
+            waiter.resolve(this.#checkout(waiter));
+        }
+        this.#recover();
+    }
+
+    // The queue drained, whether by dispatch or by waiters giving up
+    #recover() {
+        if (this.waiting.length > 0 || this.exhaustedSince === null) return;
+
+        const duration = Date.now() - this.exhaustedSince;
+        this.exhaustedSince = null;
+        if (this.closed) return;
+        this.logger.info({ duration: `${duration}ms` }, 'Connection pool recovered, no requests waiting');
+        this.emit('poolRecovered', { duration });
+    }
+
+    #drop(waiter, error) {
+        const index = this.waiting.indexOf(waiter);
+        if (index === -1) return;
+        this.waiting.splice(index, 1);
+        this.#settle(waiter);
+        waiter.reject(error);
+        this.#recover();
+    }
+
+    #settle(waiter) {
+        if (waiter.timer) clearTimeout(waiter.timer);
+        if (waiter.unsubscribe) waiter.unsubscribe();
+    }
+
+    status() {
+        return {
+            limit: this.limit,
+            inUse: this.inUse,
+            waiting: this.waiting.length,
+            exhausted: this.exhaustedSince !== null,
+            checkedOut: this.held.size,
+            ...this.stats
+        };
+    }
+
+    // Reject whoever is still waiting; connections already out are returned by their holders
+    close() {
+        this.closed = true;
+        for (const waiter of [...this.waiting]) {
+            this.#drop(waiter, new ShutdownError('Database is shutting down, cannot obtain new connections'));
+        }
+        for (const record of this.held) clearTimeout(record.timer);
+        this.held.clear();
+    }
+}
+
+module.exports = {
+    PRIORITIES,
+    AcquisitionQueue
+};
@@ -0,0 +1,71 @@
+const { isPlainObject } = require('./params');
+const { ValidationError } = require('./errors');
+
+// Prepared statements accept at most 65535 placeholders
+const MAX_PLACEHOLDERS = 65535;
+
+// Rough size of a value in the statement; errs on the large side so chunks stay under max_allowed_packet
+function estimateValueBytes(value) {
+    if (value === null || value === undefined) return 4;
+    if (typeof value === 'string') return Buffer.byteLength(value) + 2;
+    if (Buffer.isBuffer(value)) return value.length;
+    if (typeof value === 'number' || typeof value === 'bigint' || typeof value === 'boolean') return 20;
+    if (value instanceof Date) return 26;
+    return Buffer.byteLength(JSON.stringify(value)) + 2;
+}
+
+function estimateRowBytes(row, columns) {
+    // Placeholder, separator and parentheses overhead per value
+    return columns.reduce((total, column) => total + estimateValueBytes(row[column]) + 3, 2);
+}
+
+// Validate that every row is an object with the same columns and return those columns
+function validateRows(rows) {
+    if (!Array.isArray(rows) || rows.length === 0) {
+        throw new ValidationError('insertMany requires a non-empty array of rows');
+    }
+
+    const columns = Object.keys(rows[0]);
+    if (columns.length === 0) {
+        throw new ValidationError('insertMany rows must have at least one column');
+    }
+
+    const signature = columns.slice().sort().join(',');
+    for (const [index, row] of rows.entries()) {
+        if (!isPlainObject(row)) {
+            throw new ValidationError(`insertMany row ${index} is not an object`);
+        }
+        if (Object.keys(row).sort().join(',') !== signature) {
+            throw new ValidationError(`insertMany row ${index} has different columns than row 0`);
+        }
+    }
+    return columns;
+}
+
+// Split rows into chunks bounded by row count, placeholder count and estimated byte size
+function chunkRows(rows, columns, { chunkSize, maxChunkBytes }) {
+    const rowLimit = Math.min(chunkSize, Math.floor(MAX_PLACEHOLDERS / columns.length));
+    const chunks = [];
+    let chunk = [];
+    let bytes = 0;
+
+    for (const row of rows) {
+        const rowBytes = estimateRowBytes(row, columns);
+        if (chunk.length > 0 && (chunk.length >= rowLimit || bytes + rowBytes > maxChunkBytes)) {
+            chunks.push(chunk);
+            chunk = [];
+            bytes = 0;
+        }
+        chunk.push(row);
+        bytes += rowBytes;
+    }
+    chunks.push(chunk);
+    return chunks;
+}
+
+module.exports = {
+    MAX_PLACEHOLDERS,
+    estimateRowBytes,
+    validateRows,
+    chunkRows
+};
@@ -0,0 +1,113 @@
+const { QueryTimeoutError, QueryAbortedError, ValidationError } = require('./errors');
+
+// Error for an aborted signal; a reason that is already one of ours is passed through
+function abortError(signal) {
+    const reason = signal.reason;
+    if (reason instanceof QueryTimeoutError || reason instanceof QueryAbortedError) return reason;
+    return new QueryAbortedError('Query was aborted', reason);
+}
+
+// Combines a timeout, AbortSignals and enclosing deadlines into one cancellation point
+class Deadline {
+
+    constructor({ timeout, signals = [], parents = [] } = {}) {
+        if (timeout !== undefined && (!Number.isFinite(timeout) || timeout <= 0)) {
+            throw new ValidationError('Timeout must be a positive number of milliseconds');
+        }
+
+        this.timeout = timeout;
+        this.expiresAt = timeout ? Date.now() + timeout : null;
+        this.error = null;
+        this.listeners = new Set();
+        this.subscriptions = [];
+        this.timer = null;
+        this.controller = null;
+
+        for (const parent of parents.filter(Boolean)) {
+            if (parent.aborted) {
+                this.abort(parent.error);
+                break;
+            }
+            this.subscriptions.push(parent.onAbort(error => this.abort(error)));
+        }
+
+        for (const signal of signals.filter(Boolean)) {
+            if (this.error) break;
+            if (signal.aborted) {
+                this.abort(abortError(signal));
+                break;
+            }
+            const onAbort = () => this.abort(abortError(signal));
+            signal.addEventListener('abort', onAbort, { once: true });
+            this.subscriptions.push(() => signal.removeEventListener('abort', onAbort));
+        }
+
+        if (timeout && !this.error) {
+            this.timer = setTimeout(() => this.abort(new QueryTimeoutError(timeout)), timeout);
+        }
+    }
+
+    get aborted() {
+        return this.error !== null;
+    }
+
+    // Milliseconds left before the timeout, or undefined when there is none
+    remaining() {
+        return this.expiresAt === null ? undefined : Math.max(this.expiresAt - Date.now(), 0);
+    }
+
+    // AbortSignal view for APIs that only accept signals; aborts with this deadline's error as reason
+    get signal() {
+        if (!this.controller) {
+            this.controller = new AbortController();
+            if (this.error) this.controller.abort(this.error);
+        }
+        return this.controller.signal;
+    }
+
+    abort(error) {
+        if (this.error) return;
+        this.error = error;
+        this.clear();
+        if (this.controller) this.controller.abort(error);
+        for (const listener of this.listeners) listener(error);
+        this.listeners.clear();
+    }
+
+    throwIfAborted() {
+        if (this.error) throw this.error;
+    }
+
+    // Listener runs once on abort; returns an unsubscribe function
+    onAbort(listener) {
+        if (this.error) {
+            listener(this.error);
+            return () => {};
+        }
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    // Settle with the promise (or value), or reject as soon as the deadline aborts
+    race(promise) {
+        return new Promise((resolve, reject) => {
+            const unsubscribe = this.onAbort(reject);
+            Promise.resolve(promise).then(
+                value => { unsubscribe(); resolve(value); },
+                error => { unsubscribe(); reject(error); }
+            );
+        });
+    }
+
+    // Stop the timer and detach from the signals
+    clear() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        for (const unsubscribe of this.subscriptions) unsubscribe();
+        this.subscriptions = [];
+    }
+}
+
+module.exports = Deadline;
@@ -0,0 +1,234 @@
+// Error hierarchy for everything MySQLMate throws. Driver errors are mapped by MySQL error code,
+// keeping code, errno and sqlState and the original error as `cause`.
+
+const { fingerprint } = require('./sqlLexer');
+
+class MySQLMateError extends Error {
+
+    constructor(message, { code, errno, sqlState, sqlMessage, sql, retryable = false, cause } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+        this.errno = errno;
+        this.sqlState = sqlState;
+        this.sqlMessage = sqlMessage;
+        this.retryable = retryable;
+        if (cause !== undefined) this.cause = cause;
+        if (sql) this.setSql(sql);
+    }
+
+    // Attach the statement as a fingerprint, so errors can be logged without the literals in it
+    setSql(sql) {
+        if (this.fingerprint === undefined && typeof sql === 'string') {
+            this.fingerprint = fingerprint(sql);
+        }
+        return this;
+    }
+
+    toJSON() {
+        return {
+            name: this.name,
+            message: this.message,
+            code: this.code,
+            errno: this.errno,
+            sqlState: this.sqlState,
+            fingerprint: this.fingerprint,
+            retryable: this.retryable
+        };
+    }
+}
+
+// The server could not be reached or the connection was lost
+class ConnectionError extends MySQLMateError {}
+
+// The health monitor marked the database down; work is rejected without waiting for a connection
+class DatabaseUnavailableError extends ConnectionError {
+
+    constructor(message, details = {}) {
+        super(message, { code: 'DATABASE_DOWN', retryable: true, ...details });
+    }
+}
+
+// No pool connection could be handed out: the acquisition queue was full or the wait timed out
+class PoolExhaustedError extends ConnectionError {
+
+    constructor(message, code, { waiting, limit } = {}) {
+        super(message, { code, retryable: true });
+        this.waiting = waiting;
+        this.limit = limit;
+    }
+}
+
+// The server rejected or failed a statement
+class QueryError extends MySQLMateError {}
+
+class DuplicateKeyError extends QueryError {
+
+    constructor(message, details = {}) {
+        super(message, details);
+        // "Duplicate entry 'a@b.c' for key 'users.email'"
+        const match = /for key '([^']+)'/.exec(details.sqlMessage || message);
+        this.key = match ? match[1] : undefined;
+    }
+}
+
+class ForeignKeyError extends QueryError {}
+
+class DeadlockError extends QueryError {}
+
+class LockWaitTimeoutError extends QueryError {}
+
+// The timeout option expired, or the server's max_execution_time interrupted the statement
+class QueryTimeoutError extends MySQLMateError {
+
+    constructor(timeout, details = {}) {
+        const message = timeout === undefined
+            ? details.sqlMessage || 'Query execution was interrupted by timeout'
+            : `Query timed out after ${timeout}ms`;
+        super(message, {
+            code: 'QUERY_TIMEOUT',
+            ...details
+        });
+        this.timeout = timeout;
+    }
+}
+
+// The caller's AbortSignal fired, graceful shutdown cut the operation short or the query was killed
+class QueryAbortedError extends MySQLMateError {
+
+    constructor(message = 'Query was aborted', reason, details = {}) {
+        super(message, { code: 'QUERY_ABORTED', cause: reason, ...details });
+    }
+}
+
+// A new operation was started after gracefulShutdown() began
+class ShutdownError extends MySQLMateError {
+
+    constructor(message) {
+        super(message, { code: 'SHUTTING_DOWN' });
+    }
+}
+
+// The query, its parameters or its options were rejected before reaching the server
+class ValidationError extends MySQLMateError {
+
+    constructor(message, code = 'INVALID_QUERY') {
+        super(message, { code });
+    }
+}
+
+// A migration could not run: the lock is held elsewhere, applied files changed or a step cannot be undone
+class MigrationError extends MySQLMateError {
+
+    constructor(message, code, { migrations = [] } = {}) {
+        super(message, { code });
+        this.migrations = migrations;
+    }
+}
+
+// One or more queries of a multiQuery() batch failed
+class MultiQueryError extends MySQLMateError {
+
+    constructor(results, errors, total, { settled = [], rolledBack = false } = {}) {
+        super(`${errors.length} of ${total} queries failed${rolledBack ? ', batch rolled back' : ''}`, { code: 'MULTI_QUERY_FAILED' });
+        this.results = results;
+        this.errors = errors;
+        // Every query's outcome: { index, status: 'fulfilled' | 'rejected' | 'skipped', ... }
+        this.settled = settled;
+        this.rolledBack = rolledBack;
+    }
+}
+
+const CONNECTION_CODES = [
+    'ECONNREFUSED',
+    'ECONNRESET',
+    'ENOTFOUND',
+    'EHOSTUNREACH',
+    'ETIMEDOUT',
+    'EPIPE',
+    'PROTOCOL_CONNECTION_LOST',
+    'PROTOCOL_SEQUENCE_TIMEOUT',
+    'ER_CON_COUNT_ERROR',
+    'ER_ACCESS_DENIED_ERROR',
+    'ER_SERVER_SHUTDOWN'
+];
+
+// Connection failures that retrying cannot fix
+const NOT_RETRYABLE_CONNECTION_CODES = ['ER_ACCESS_DENIED_ERROR'];
+
+const QUERY_ERROR_CLASSES = {
+    ER_DUP_ENTRY: DuplicateKeyError,
+    ER_DUP_KEY: DuplicateKeyError,
+    ER_DUP_UNIQUE: DuplicateKeyError,
+    ER_NO_REFERENCED_ROW: ForeignKeyError,
+    ER_NO_REFERENCED_ROW_2: ForeignKeyError,
+    ER_ROW_IS_REFERENCED: ForeignKeyError,
+    ER_ROW_IS_REFERENCED_2: ForeignKeyError,
+    ER_LOCK_DEADLOCK: DeadlockError,
+    ER_LOCK_WAIT_TIMEOUT: LockWaitTimeoutError
+};
+
+const RETRYABLE_QUERY_CLASSES = [DeadlockError, LockWaitTimeoutError];
+
+// Errors that came from mysql2 or the network rather than from application code
+function isDriverError(error) {
+    return Boolean(error) && (
+        error.errno !== undefined ||
+        error.sqlState !== undefined ||
+        CONNECTION_CODES.includes(error.code)
+    );
+}
+
+// Map a driver error to the hierarchy; our own errors only gain the statement fingerprint,
+// anything else (for example an error thrown by a transaction callback) is returned unchanged
+function toMySQLMateError(error, { sql } = {}) {
+    if (error instanceof MySQLMateError) return error.setSql(sql);
+    if (!isDriverError(error)) return error;
+
+    const details = {
+        code: error.code,
+        errno: error.errno,
+        sqlState: error.sqlState,
+        sqlMessage: error.sqlMessage,
+        sql: sql || error.sql,
+        cause: error
+    };
+
+    if (CONNECTION_CODES.includes(error.code) || error.fatal) {
+        return new ConnectionError(error.message, {
+            ...details,
+            retryable: !NOT_RETRYABLE_CONNECTION_CODES.includes(error.code)
+        });
+    }
+    if (error.code === 'ER_QUERY_TIMEOUT') {
+        return new QueryTimeoutError(undefined, details);
+    }
+    if (error.code === 'ER_QUERY_INTERRUPTED') {
+        return new QueryAbortedError(error.message, error, details);
+    }
+
+    const ErrorClass = QUERY_ERROR_CLASSES[error.code] || QueryError;
+    return new ErrorClass(error.message, {
+        ...details,
+        retryable: RETRYABLE_QUERY_CLASSES.includes(ErrorClass)
+    });
+}
+
+module.exports = {
+    MySQLMateError,
+    ConnectionError,
+    DatabaseUnavailableError,
+    PoolExhaustedError,
+    QueryError,
+    DuplicateKeyError,
+    ForeignKeyError,
+    DeadlockError,
+    LockWaitTimeoutError,
+    QueryTimeoutError,
+    QueryAbortedError,
+    ShutdownError,
+    ValidationError,
+    MigrationError,
+    MultiQueryError,
+    toMySQLMateError
+};
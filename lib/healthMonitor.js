@@ -0,0 +1,178 @@
+// Background pings of the primary pool. Consecutive failures move the state from healthy to
+// degraded to down; while down, new work fails fast and the pool is recreated every
+// `recreateAfter` failures. The first successful ping brings the state back to healthy.
+
+const Deadline = require('./deadline');
+const { ValidationError } = require('./errors');
+
+const HEALTH_STATES = ['healthy', 'degraded', 'down'];
+
+const HEALTH_OPTIONS = ['interval', 'timeout', 'degradedAfter', 'downAfter', 'recreateAfter'];
+
+function positiveInteger(value) {
+    return Number.isInteger(value) && value > 0;
+}
+
+class HealthMonitor {
+
+    constructor(options = {}, { ping, recreate, logger, emit }) {
+        const unknown = Object.keys(options).filter(key => !HEALTH_OPTIONS.includes(key));
+        if (unknown.length > 0) {
+            throw new ValidationError(`Unknown healthMonitor options: ${unknown.join(', ')}`, 'INVALID_OPTIONS');
+        }
+
+        const {
+            interval = 10000,
+            timeout = 2000,
+            degradedAfter = 1,
+            downAfter = 3,
+            recreateAfter = downAfter
+        } = options;
+
+        for (const [name, value] of Object.entries({ interval, timeout, degradedAfter, downAfter, recreateAfter })) {
+            if (!positiveInteger(value)) {
+                throw new ValidationError(`healthMonitor.${name} must be a positive integer`, 'INVALID_OPTIONS');
+            }
+        }
+        if (downAfter < degradedAfter) {
+            throw new ValidationError('healthMonitor.downAfter must not be lower than degradedAfter', 'INVALID_OPTIONS');
+        }
+
+        this.interval = interval;
+        this.timeout = timeout;
+        this.degradedAfter = degradedAfter;
+        this.downAfter = downAfter;
+        this.recreateAfter = recreateAfter;
+        this.ping = ping;
+        this.recreate = recreate;
+        this.logger = logger;
+        this.emit = emit;
+
+        this.state = 'healthy';
+        this.consecutiveFailures = 0;
+        this.lastCheck = null;
+        this.lastSuccess = null;
+        this.lastError = null;
+        this.responseTime = null;
+        this.recreations = 0;
+        this.timer = null;
+        this.running = null;
+    }
+
+    get isDown() {
+        return this.state === 'down';
+    }
+
+    // Checks are chained with setTimeout, so a slow ping never overlaps the next one
+    start() {
+        if (this.timer) return;
+        const schedule = () => {
+            this.timer = setTimeout(async () => {
+                await this.check();
+                if (this.timer) schedule();
+            }, this.interval);
+            this.timer.unref();
+        };
+        schedule();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // One ping; concurrent callers share the check in progress
+    check() {
+        if (!this.running) {
+            this.running = this.#runCheck().finally(() => {
+                this.running = null;
+            });
+        }
+        return this.running;
+    }
+
+    async #runCheck() {
+        const start = Date.now();
+        const deadline = new Deadline({ timeout: this.timeout });
+        try {
+            await deadline.race(this.ping());
+            this.#recordSuccess(Date.now() - start);
+        } catch (error) {
+            await this.#recordFailure(error);
+        } finally {
+            deadline.clear();
+        }
+        return this.status();
+    }
+
+    #recordSuccess(responseTime) {
+        this.lastCheck = new Date();
+        this.lastSuccess = this.lastCheck;
+        this.lastError = null;
+        this.responseTime = responseTime;
+        this.consecutiveFailures = 0;
+        this.emit('healthcheck', { status: 'healthy', responseTime });
+        this.#transition('healthy');
+    }
+
+    async #recordFailure(error) {
+        this.lastCheck = new Date();
+        this.lastError = error;
+        this.responseTime = null;
+        this.consecutiveFailures++;
+
+        this.logger.error({
+            error: error.message,
+            errorCode: error.code,
+            consecutiveFailures: this.consecutiveFailures
+        }, 'Healthcheck failed');
+        this.emit('healthcheck', { status: 'unhealthy', error, consecutiveFailures: this.consecutiveFailures });
+
+        if (this.consecutiveFailures >= this.downAfter) this.#transition('down');
+        else if (this.consecutiveFailures >= this.degradedAfter) this.#transition('degraded');
+
+        if (this.consecutiveFailures % this.recreateAfter === 0) {
+            try {
+                await this.recreate();
+                this.recreations++;
+            } catch (recreateError) {
+                this.logger.error({ error: recreateError.message }, 'Failed to recreate connection pool');
+            }
+        }
+    }
+
+    #transition(state) {
+        if (this.state === state) return;
+        const previous = this.state;
+        this.state = state;
+
+        const details = {
+            state,
+            previous,
+            consecutiveFailures: this.consecutiveFailures,
+            error: this.lastError
+        };
+        const log = state === 'healthy' ? 'info' : 'warn';
+        this.logger[log]({ ...details, error: this.lastError && this.lastError.message }, `Database is ${state}`);
+        this.emit('healthChange', details);
+    }
+
+    status() {
+        return {
+            state: this.state,
+            consecutiveFailures: this.consecutiveFailures,
+            lastCheck: this.lastCheck,
+            lastSuccess: this.lastSuccess,
+            lastError: this.lastError ? this.lastError.message : null,
+            responseTime: this.responseTime,
+            recreations: this.recreations
+        };
+    }
+}
+
+module.exports = {
+    HEALTH_STATES,
+    HealthMonitor
+};
@@ -0,0 +1,279 @@
+// Query, pool and transaction metrics with Prometheus / OpenMetrics text exposition.
+// Durations are recorded in milliseconds and exported in seconds.
+
+const DEFAULT_BUCKETS = [1, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+const DEFAULT_RESERVOIR_SIZE = 1024;
+
+// Error codes counted as timeouts
+const TIMEOUT_CODES = [
+    'ETIMEDOUT',
+    'PROTOCOL_SEQUENCE_TIMEOUT',
+    'ER_QUERY_TIMEOUT',
+    'ER_LOCK_WAIT_TIMEOUT',
+    'QUERY_TIMEOUT'
+];
+
+const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const OPENMETRICS_CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+// Cumulative bucket counts for exposition plus a bounded sample reservoir for percentiles
+class Histogram {
+
+    constructor(buckets = DEFAULT_BUCKETS, reservoirSize = DEFAULT_RESERVOIR_SIZE) {
+        this.buckets = buckets.slice().sort((a, b) => a - b);
+        this.bucketCounts = new Array(this.buckets.length).fill(0);
+        this.reservoir = [];
+        this.reservoirSize = reservoirSize;
+        this.reservoirIndex = 0;
+        this.count = 0;
+        this.sum = 0;
+        this.min = null;
+        this.max = null;
+    }
+
+    observe(value) {
+        this.count++;
+        this.sum += value;
+        this.min = this.min === null ? value : Math.min(this.min, value);
+        this.max = this.max === null ? value : Math.max(this.max, value);
+
+        const index = this.buckets.findIndex(bound => value <= bound);
+        if (index !== -1) this.bucketCounts[index]++;
+
+        if (this.reservoir.length < this.reservoirSize) {
+            this.reservoir.push(value);
+        } else {
+            this.reservoir[this.reservoirIndex] = value;
+            this.reservoirIndex = (this.reservoirIndex + 1) % this.reservoirSize;
+        }
+    }
+
+    // Nearest-rank percentile over the most recent samples
+    percentile(p) {
+        if (this.reservoir.length === 0) return 0;
+        const sorted = this.reservoir.slice().sort((a, b) => a - b);
+        const rank = Math.ceil((p / 100) * sorted.length) - 1;
+        return sorted[Math.min(Math.max(rank, 0), sorted.length - 1)];
+    }
+
+    snapshot() {
+        return {
+            count: this.count,
+            sum: this.sum,
+            avg: this.count === 0 ? 0 : this.sum / this.count,
+            min: this.min ?? 0,
+            max: this.max ?? 0,
+            p50: this.percentile(50),
+            p95: this.percentile(95),
+            p99: this.percentile(99)
+        };
+    }
+
+    // [upper bound, cumulative count] pairs ending with +Inf
+    cumulativeBuckets() {
+        let cumulative = 0;
+        const result = this.buckets.map((bound, index) => {
+            cumulative += this.bucketCounts[index];
+            return [bound, cumulative];
+        });
+        result.push([Infinity, this.count]);
+        return result;
+    }
+}
+
+function isTimeout(error) {
+    return TIMEOUT_CODES.includes(error.code);
+}
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatNumber(value) {
+    if (value === Infinity) return '+Inf';
+    return String(value);
+}
+
+class MetricsCollector {
+
+    constructor({ buckets = DEFAULT_BUCKETS, reservoirSize = DEFAULT_RESERVOIR_SIZE } = {}) {
+        this.buckets = buckets;
+        this.reservoirSize = reservoirSize;
+        this.reset();
+    }
+
+    reset() {
+        this.queryTime = this.#histogram();
+        this.queryTimeByType = new Map();
+        this.queriesByType = new Map();
+        this.errorsByCode = new Map();
+        this.poolWaitTime = this.#histogram();
+        this.retries = 0;
+        this.timeouts = 0;
+        this.transactions = { started: 0, committed: 0, rolledBack: 0 };
+        this.transactionRetries = 0;
+        this.streams = { completed: 0, failed: 0, rows: 0 };
+        this.cache = { hits: 0, misses: 0, invalidations: 0 };
+    }
+
+    #histogram() {
+        return new Histogram(this.buckets, this.reservoirSize);
+    }
+
+    #increment(map, key) {
+        map.set(key, (map.get(key) || 0) + 1);
+    }
+
+    recordQuery(type, duration) {
+        this.queryTime.observe(duration);
+        if (!this.queryTimeByType.has(type)) {
+            this.queryTimeByType.set(type, this.#histogram());
+        }
+        this.queryTimeByType.get(type).observe(duration);
+        this.#increment(this.queriesByType, type);
+    }
+
+    recordError(error) {
+        this.#increment(this.errorsByCode, error.code || 'UNKNOWN');
+        if (isTimeout(error)) this.timeouts++;
+    }
+
+    recordRetry() {
+        this.retries++;
+    }
+
+    recordPoolWait(duration) {
+        this.poolWaitTime.observe(duration);
+    }
+
+    recordTransaction(outcome) {
+        if (outcome === 'start') this.transactions.started++;
+        if (outcome === 'commit') this.transactions.committed++;
+        if (outcome === 'rollback') this.transactions.rolledBack++;
+    }
+
+    recordTransactionRetry() {
+        this.transactionRetries++;
+    }
+
+    recordStream(rows, completed) {
+        this.streams.rows += rows;
+        if (completed) this.streams.completed++;
+        else this.streams.failed++;
+    }
+
+    recordCache(result) {
+        if (result === 'hit') this.cache.hits++;
+        else this.cache.misses++;
+    }
+
+    recordCacheInvalidation() {
+        this.cache.invalidations++;
+    }
+
+    snapshot() {
+        const lookups = this.cache.hits + this.cache.misses;
+        return {
+            queryTime: this.queryTime.snapshot(),
+            queryTimeByType: Object.fromEntries(
+                [...this.queryTimeByType].map(([type, histogram]) => [type, histogram.snapshot()])
+            ),
+            queriesByType: Object.fromEntries(this.queriesByType),
+            errorsByCode: Object.fromEntries(this.errorsByCode),
+            retries: this.retries,
+            timeouts: this.timeouts,
+            poolWaitTime: this.poolWaitTime.snapshot(),
+            transactions: { ...this.transactions },
+            transactionRetries: this.transactionRetries,
+            streams: { ...this.streams },
+            cache: {
+                ...this.cache,
+                hitRate: lookups === 0 ? 0 : this.cache.hits / lookups
+            }
+        };
+    }
+
+    // Text exposition; gauges are read from the snapshot passed in by the owner
+    toPrometheus({ prefix = 'mysqlmate', labels = {}, openMetrics = false, gauges = [] } = {}) {
+        const lines = [];
+
+        // OpenMetrics names the counter family without the _total suffix its samples carry
+        const counter = (name, help, samples) => {
+            const family = openMetrics ? `${prefix}_${name}` : `${prefix}_${name}_total`;
+            lines.push(`# HELP ${family} ${help}`);
+            lines.push(`# TYPE ${family} counter`);
+            for (const [sampleLabels, value] of samples) {
+                lines.push(`${prefix}_${name}_total${formatLabels({ ...labels, ...sampleLabels })} ${formatNumber(value)}`);
+            }
+        };
+
+        const histogram = (name, help, series) => {
+            const family = `${prefix}_${name}`;
+            lines.push(`# HELP ${family} ${help}`);
+            lines.push(`# TYPE ${family} histogram`);
+            for (const [seriesLabels, data] of series) {
+                const base = { ...labels, ...seriesLabels };
+                for (const [bound, count] of data.cumulativeBuckets()) {
+                    const le = bound === Infinity ? '+Inf' : String(bound / 1000);
+                    lines.push(`${family}_bucket${formatLabels({ ...base, le })} ${count}`);
+                }
+                lines.push(`${family}_count${formatLabels(base)} ${data.count}`);
+                lines.push(`${family}_sum${formatLabels(base)} ${data.sum / 1000}`);
+            }
+        };
+
+        counter('queries', 'Executed queries by statement type.',
+            [...this.queriesByType].map(([type, count]) => [{ type }, count]));
+        counter('query_errors', 'Failed query attempts by error code.',
+            [...this.errorsByCode].map(([code, count]) => [{ code }, count]));
+        counter('query_retries', 'Query retry attempts.', [[{}, this.retries]]);
+        counter('query_timeouts', 'Query attempts that failed with a timeout.', [[{}, this.timeouts]]);
+        counter('transactions', 'Finished transactions by outcome.', [
+            [{ outcome: 'commit' }, this.transactions.committed],
+            [{ outcome: 'rollback' }, this.transactions.rolledBack]
+        ]);
+        counter('transaction_retries', 'Transactions re-run after a retryable error.', [[{}, this.transactionRetries]]);
+        counter('streams', 'Finished result streams by outcome.', [
+            [{ outcome: 'completed' }, this.streams.completed],
+            [{ outcome: 'failed' }, this.streams.failed]
+        ]);
+        counter('stream_rows', 'Rows delivered by result streams.', [[{}, this.streams.rows]]);
+        counter('cache_lookups', 'Query cache lookups by result.', [
+            [{ result: 'hit' }, this.cache.hits],
+            [{ result: 'miss' }, this.cache.misses]
+        ]);
+        counter('cache_invalidations', 'Query cache invalidations.', [[{}, this.cache.invalidations]]);
+
+        histogram('query_duration_seconds', 'Query duration by statement type.',
+            [...this.queryTimeByType].map(([type, data]) => [{ type }, data]));
+        histogram('pool_wait_seconds', 'Time spent waiting for a pooled connection.',
+            [[{}, this.poolWaitTime]]);
+
+        for (const { name, help, samples } of gauges) {
+            const family = `${prefix}_${name}`;
+            lines.push(`# HELP ${family} ${help}`);
+            lines.push(`# TYPE ${family} gauge`);
+            for (const [sampleLabels, value] of samples) {
+                lines.push(`${family}${formatLabels({ ...labels, ...sampleLabels })} ${formatNumber(value)}`);
+            }
+        }
+
+        if (openMetrics) lines.push('# EOF');
+        return `${lines.join('\n')}\n`;
+    }
+}
+
+module.exports = {
+    Histogram,
+    MetricsCollector,
+    DEFAULT_BUCKETS,
+    TIMEOUT_CODES,
+    PROMETHEUS_CONTENT_TYPE,
+    OPENMETRICS_CONTENT_TYPE
+};
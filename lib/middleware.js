@@ -0,0 +1,122 @@
+// Ordered middleware chain around query(), transaction() and getConnection().
+// A middleware is an object with a name and a handler per operation it wraps:
+//   { name: 'tag', query: async (ctx, next) => next() }
+// Handlers run outermost first; a handler may change ctx, call next() (more than once, as
+// the retry middleware does) or return a result without calling next() at all.
+
+const { ValidationError } = require('./errors');
+
+const OPERATIONS = ['query', 'transaction', 'getConnection'];
+
+class MiddlewarePipeline {
+
+    constructor() {
+        this.entries = [];
+        this.anonymous = 0;
+    }
+
+    // A bare function wraps query() only; object handlers keep the object as `this`
+    #normalize(middleware, fallbackName) {
+        if (!middleware || !['function', 'object'].includes(typeof middleware)) {
+            throw new ValidationError('Middleware must be a function or an object', 'INVALID_OPTIONS');
+        }
+
+        if (typeof middleware === 'function') {
+            return { name: middleware.name || fallbackName, query: middleware };
+        }
+
+        const entry = { name: middleware.name || fallbackName };
+        for (const operation of OPERATIONS) {
+            if (middleware[operation] === undefined) continue;
+            if (typeof middleware[operation] !== 'function') {
+                throw new ValidationError(`Middleware ${entry.name} ${operation} handler must be a function`, 'INVALID_OPTIONS');
+            }
+            entry[operation] = middleware[operation].bind(middleware);
+        }
+
+        if (!OPERATIONS.some(operation => entry[operation])) {
+            throw new ValidationError(`Middleware ${entry.name} needs a query, transaction or getConnection handler`, 'INVALID_OPTIONS');
+        }
+        return entry;
+    }
+
+    #indexOf(name) {
+        const index = this.entries.findIndex(entry => entry.name === name);
+        if (index === -1) {
+            throw new ValidationError(`Unknown middleware: ${name}`, 'INVALID_OPTIONS');
+        }
+        return index;
+    }
+
+    // Added middleware runs before the built-in ones unless placed with before/after.
+    // Returns a function removing it.
+    use(middleware, { before, after, builtin = false } = {}) {
+        if (before !== undefined && after !== undefined) {
+            throw new ValidationError('Middleware can be placed before or after another one, not both', 'INVALID_OPTIONS');
+        }
+
+        const entry = this.#normalize(middleware, `middleware-${++this.anonymous}`);
+        if (this.entries.some(existing => existing.name === entry.name)) {
+            throw new ValidationError(`Middleware ${entry.name} is already registered`, 'INVALID_OPTIONS');
+        }
+        entry.builtin = builtin;
+
+        let index;
+        if (before !== undefined) index = this.#indexOf(before);
+        else if (after !== undefined) index = this.#indexOf(after) + 1;
+        else if (builtin) index = this.entries.length;
+        else {
+            const firstBuiltin = this.entries.findIndex(existing => existing.builtin);
+            index = firstBuiltin === -1 ? this.entries.length : firstBuiltin;
+        }
+
+        this.entries.splice(index, 0, entry);
+        return () => this.remove(entry.name);
+    }
+
+    // Swap a middleware for another at the same position
+    replace(name, middleware) {
+        const index = this.#indexOf(name);
+        const entry = this.#normalize(middleware, name);
+        if (entry.name !== name && this.entries.some(existing => existing.name === entry.name)) {
+            throw new ValidationError(`Middleware ${entry.name} is already registered`, 'INVALID_OPTIONS');
+        }
+
+        entry.builtin = this.entries[index].builtin;
+        this.entries[index] = entry;
+    }
+
+    remove(name) {
+        const index = this.entries.findIndex(entry => entry.name === name);
+        if (index === -1) return false;
+        this.entries.splice(index, 1);
+        return true;
+    }
+
+    list() {
+        return this.entries.map(entry => ({
+            name: entry.name,
+            operations: OPERATIONS.filter(operation => entry[operation]),
+            builtin: entry.builtin
+        }));
+    }
+
+    // The chain is fixed when the call starts, so use() during a call affects only later calls
+    run(operation, ctx, terminal) {
+        const handlers = this.entries
+            .filter(entry => entry[operation])
+            .map(entry => entry[operation]);
+
+        const dispatch = async (index) => {
+            if (index === handlers.length) return terminal(ctx);
+            return handlers[index](ctx, () => dispatch(index + 1));
+        };
+
+        return dispatch(0);
+    }
+}
+
+module.exports = {
+    OPERATIONS,
+    MiddlewarePipeline
+};
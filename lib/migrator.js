@@ -0,0 +1,374 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { splitStatements } = require('./sqlLexer');
+const { ValidationError, MigrationError } = require('./errors');
+
+// Migration files are named "<version>_<description>.sql|.js", e.g. 0001_create_users.sql
+const MIGRATION_FILE_PATTERN = /^(\d+)[_-].+\.(sql|js)$/;
+
+// Section markers inside SQL migration files
+const UP_MARKER = /^\s*--\s*migrate:up\s*$/im;
+const DOWN_MARKER = /^\s*--\s*migrate:down\s*$/im;
+
+// Columns the migrator adds to tables created by runMigration before it records anything
+const TRACKING_COLUMNS = {
+    version: 'BIGINT NULL',
+    checksum: 'CHAR(64) NULL',
+    batch: 'INT NULL'
+};
+
+// Whitespace-insensitive checksum so reformatting a file is not reported as drift
+function checksum(content) {
+    return crypto
+        .createHash('sha256')
+        .update(content.replace(/\s+/g, ' ').trim())
+        .digest('hex');
+}
+
+class Migrator {
+
+    constructor(db, options = {}) {
+        const {
+            directory,
+            tableName = 'migrations',
+            lockName,
+            lockTimeout = 10
+        } = options;
+
+        if (!directory) {
+            throw new ValidationError('Migrations directory is not configured', 'INVALID_OPTIONS');
+        }
+
+        this.db = db;
+        this.logger = db.logger;
+        this.directory = path.resolve(directory);
+        this.tableName = tableName;
+        this.lockName = (lockName || `${db.config.database || 'mysqlmate'}.${tableName}`).slice(0, 64);
+        this.lockTimeout = lockTimeout;
+    }
+
+    // Read and parse migration files, ordered by version
+    loadMigrations() {
+        if (!fs.existsSync(this.directory)) {
+            throw new ValidationError(`Migrations directory does not exist: ${this.directory}`, 'INVALID_OPTIONS');
+        }
+
+        const migrations = fs.readdirSync(this.directory)
+            .filter(file => MIGRATION_FILE_PATTERN.test(file))
+            .map(file => this.#loadMigration(file))
+            .sort((a, b) => a.version - b.version);
+
+        for (let i = 1; i < migrations.length; i++) {
+            if (migrations[i].version === migrations[i - 1].version) {
+                throw new ValidationError(
+                    `Duplicate migration version ${migrations[i].version}: ` +
+                    `${migrations[i - 1].file} and ${migrations[i].file}`,
+                    'INVALID_MIGRATION'
+                );
+            }
+        }
+
+        return migrations;
+    }
+
+    #loadMigration(file) {
+        const [, version, extension] = file.match(MIGRATION_FILE_PATTERN);
+        const filePath = path.join(this.directory, file);
+        const content = fs.readFileSync(filePath, 'utf8');
+        const migration = {
+            version: Number(version),
+            name: path.basename(file, `.${extension}`),
+            file,
+            checksum: checksum(content)
+        };
+
+        if (extension === 'js') {
+            delete require.cache[require.resolve(filePath)];
+            const definition = require(filePath);
+            if (typeof definition.up !== 'function') {
+                throw new ValidationError(`Migration ${file} must export an "up" function`, 'INVALID_MIGRATION');
+            }
+            // Only the locked connection is passed: statements sent through the pool would run outside
+            // the migration's transaction and survive its rollback
+            migration.up = definition.up;
+            migration.down = typeof definition.down === 'function' ? definition.down : null;
+            return migration;
+        }
+
+        const upMatch = UP_MARKER.exec(content);
+        const downMatch = DOWN_MARKER.exec(content);
+        let upSql = content;
+        let downSql = null;
+
+        if (upMatch || downMatch) {
+            const upStart = upMatch ? upMatch.index + upMatch[0].length : 0;
+            const upEnd = downMatch && downMatch.index > upStart ? downMatch.index : content.length;
+            upSql = content.slice(upStart, upEnd);
+            if (downMatch) {
+                const downStart = downMatch.index + downMatch[0].length;
+                const downEnd = upMatch && upMatch.index > downStart ? upMatch.index : content.length;
+                downSql = content.slice(downStart, downEnd);
+            }
+        }
+
+        const upStatements = splitStatements(upSql);
+        const downStatements = downSql === null ? null : splitStatements(downSql);
+
+        migration.up = async (connection) => {
+            for (const statement of upStatements) {
+                await connection.query(statement);
+            }
+        };
+        migration.down = downStatements && (async (connection) => {
+            for (const statement of downStatements) {
+                await connection.query(statement);
+            }
+        });
+
+        return migration;
+    }
+
+    // Create the migrations table or add the columns missing from tables created by runMigration
+    async #ensureTable(connection) {
+        const table = this.#table();
+
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS ${table} (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                name VARCHAR(255) NOT NULL UNIQUE,
+                executed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                version BIGINT NULL,
+                checksum CHAR(64) NULL,
+                batch INT NULL
+            )
+        `);
+
+        const existing = await this.#columns(connection);
+        for (const [column, definition] of Object.entries(TRACKING_COLUMNS)) {
+            if (!existing.has(column)) {
+                await connection.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+            }
+        }
+    }
+
+    // Lower-cased column names of the migrations table; empty when it does not exist
+    async #columns(connection) {
+        const [columns] = await connection.query(
+            'SELECT COLUMN_NAME AS name FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?',
+            [this.tableName]
+        );
+        return new Set(columns.map(column => column.name.toLowerCase()));
+    }
+
+    #table() {
+        return `\`${this.tableName.replace(/`/g, '``')}\``;
+    }
+
+    // Only rows written by the migrator carry a version; hash-named rows from runMigration are ignored
+    async #appliedMigrations(connection) {
+        const [rows] = await connection.query(
+            `SELECT name, version, checksum, batch, executed_at AS executedAt FROM ${this.#table()} WHERE version IS NOT NULL ORDER BY version`
+        );
+        return rows.map(row => ({ ...row, version: Number(row.version), batch: Number(row.batch) }));
+    }
+
+    // Run callback on a dedicated connection holding the migration lock
+    async #withLock(callback) {
+        const connection = await this.db.getConnection();
+        let lockReleased = true;
+
+        try {
+            const [[{ acquired }]] = await connection.query(
+                'SELECT GET_LOCK(?, ?) AS acquired',
+                [this.lockName, this.lockTimeout]
+            );
+
+            if (Number(acquired) !== 1) {
+                throw new MigrationError(`Could not acquire migration lock "${this.lockName}" within ${this.lockTimeout}s`, 'MIGRATION_LOCKED');
+            }
+
+            this.logger.debug({ lockName: this.lockName }, 'Migration lock acquired');
+            lockReleased = false;
+
+            try {
+                await this.#ensureTable(connection);
+                return await callback(connection);
+            } finally {
+                // A failing release must not replace the migration's own error
+                try {
+                    await connection.query('SELECT RELEASE_LOCK(?)', [this.lockName]);
+                    lockReleased = true;
+                    this.logger.debug({ lockName: this.lockName }, 'Migration lock released');
+                } catch (error) {
+                    this.logger.warn({ lockName: this.lockName, error: error.message }, 'Failed to release migration lock');
+                }
+            }
+        } finally {
+            // The lock belongs to the session, so a connection still holding it is closed rather than pooled
+            if (lockReleased) connection.release();
+            else connection.destroy();
+        }
+    }
+
+    #buildStatus(migrations, applied) {
+        const appliedByName = new Map(applied.map(row => [row.name, row]));
+        const fileNames = new Set(migrations.map(migration => migration.name));
+
+        const status = migrations.map(migration => {
+            const row = appliedByName.get(migration.name);
+            return {
+                version: migration.version,
+                name: migration.name,
+                file: migration.file,
+                status: row ? 'applied' : 'pending',
+                batch: row ? row.batch : null,
+                executedAt: row ? row.executedAt : null,
+                drifted: Boolean(row && row.checksum && row.checksum !== migration.checksum)
+            };
+        });
+
+        for (const row of applied) {
+            if (!fileNames.has(row.name)) {
+                status.push({
+                    version: row.version,
+                    name: row.name,
+                    file: null,
+                    status: 'missing',
+                    batch: row.batch,
+                    executedAt: row.executedAt,
+                    drifted: false
+                });
+            }
+        }
+
+        return status.sort((a, b) => a.version - b.version);
+    }
+
+    // Report applied, pending, missing and drifted migrations. Read-only and without the lock, so it
+    // neither creates the table nor waits for a running migration; without a table all are pending.
+    async status() {
+        const migrations = this.loadMigrations();
+        const connection = await this.db.getConnection();
+        try {
+            const columns = await this.#columns(connection);
+            const tracked = Object.keys(TRACKING_COLUMNS).every(column => columns.has(column));
+            const applied = tracked ? await this.#appliedMigrations(connection) : [];
+            return this.#buildStatus(migrations, applied);
+        } finally {
+            connection.release();
+        }
+    }
+
+    // Apply pending migrations in version order
+    async migrate(options = {}) {
+        const { to = Infinity, allowDrift = false } = options;
+        const migrations = this.loadMigrations();
+
+        return this.#withLock(async (connection) => {
+            const applied = await this.#appliedMigrations(connection);
+            const status = this.#buildStatus(migrations, applied);
+
+            const drifted = status.filter(entry => entry.drifted);
+            if (drifted.length > 0 && !allowDrift) {
+                const names = drifted.map(entry => entry.name);
+                throw new MigrationError(
+                    `Applied migrations were modified after execution: ${names.join(', ')}`,
+                    'MIGRATION_DRIFT',
+                    { migrations: names }
+                );
+            }
+
+            const appliedNames = new Set(applied.map(row => row.name));
+            const pending = migrations.filter(
+                migration => !appliedNames.has(migration.name) && migration.version <= to
+            );
+
+            if (pending.length === 0) {
+                this.logger.info('No pending migrations');
+                return { batch: null, applied: [] };
+            }
+
+            const batch = applied.reduce((max, row) => Math.max(max, row.batch || 0), 0) + 1;
+            const executed = [];
+
+            for (const migration of pending) {
+                const start = Date.now();
+
+                await connection.beginTransaction();
+                try {
+                    await migration.up(connection);
+                    await connection.query(
+                        `INSERT INTO ${this.#table()} (name, version, checksum, batch) VALUES (?, ?, ?, ?)`,
+                        [migration.name, migration.version, migration.checksum, batch]
+                    );
+                    await connection.commit();
+                } catch (error) {
+                    await connection.rollback();
+                    this.logger.error({
+                        migration: migration.name,
+                        error: error.message
+                    }, 'Migration failed');
+                    throw error;
+                }
+
+                executed.push(migration.name);
+                this.logger.info({
+                    migration: migration.name,
+                    batch,
+                    duration: `${Date.now() - start}ms`
+                }, 'Migration applied');
+            }
+
+            return { batch, applied: executed };
+        });
+    }
+
+    // Roll back the last N applied migrations, newest first
+    async rollback(options = {}) {
+        const { steps = 1 } = options;
+        if (!Number.isInteger(steps) || steps < 1) {
+            throw new ValidationError('Rollback steps must be a positive integer', 'INVALID_OPTIONS');
+        }
+        const migrations = this.loadMigrations();
+        const byName = new Map(migrations.map(migration => [migration.name, migration]));
+
+        return this.#withLock(async (connection) => {
+            const applied = await this.#appliedMigrations(connection);
+            const targets = applied.slice(-steps).reverse();
+            const rolledBack = [];
+
+            for (const row of targets) {
+                const migration = byName.get(row.name);
+
+                if (!migration) {
+                    throw new MigrationError(`Cannot roll back ${row.name}: migration file is missing`, 'MIGRATION_IRREVERSIBLE', { migrations: [row.name] });
+                }
+                if (!migration.down) {
+                    throw new MigrationError(`Cannot roll back ${row.name}: migration has no down step`, 'MIGRATION_IRREVERSIBLE', { migrations: [row.name] });
+                }
+
+                await connection.beginTransaction();
+                try {
+                    await migration.down(connection);
+                    await connection.query(`DELETE FROM ${this.#table()} WHERE name = ?`, [row.name]);
+                    await connection.commit();
+                } catch (error) {
+                    await connection.rollback();
+                    this.logger.error({
+                        migration: row.name,
+                        error: error.message
+                    }, 'Migration rollback failed');
+                    throw error;
+                }
+
+                rolledBack.push(row.name);
+                this.logger.info({ migration: row.name }, 'Migration rolled back');
+            }
+
+            return { rolledBack };
+        });
+    }
+}
+
+module.exports = Migrator;
@@ -0,0 +1,348 @@
+const { isPlainObject } = require('./params');
+const { ValidationError } = require('./errors');
+
+const HOOKS = ['beforeCreate', 'afterCreate', 'beforeUpdate', 'afterUpdate', 'beforeDelete', 'afterDelete'];
+
+const MODEL_OPTIONS = ['primaryKey', 'timestamps', 'softDelete', 'hooks', 'coerce'];
+
+const DATE_TYPES = ['datetime', 'timestamp', 'date'];
+
+function resolveTimestamps(option) {
+    if (!option) return { createdAt: null, updatedAt: null };
+    if (option === true) return { createdAt: 'created_at', updatedAt: 'updated_at' };
+    return {
+        createdAt: option.createdAt === undefined ? 'created_at' : option.createdAt || null,
+        updatedAt: option.updatedAt === undefined ? 'updated_at' : option.updatedAt || null
+    };
+}
+
+function resolveSoftDelete(option) {
+    if (!option) return null;
+    return option === true ? 'deleted_at' : option;
+}
+
+// 'schema.table' or 'table'
+function splitTableName(table) {
+    const parts = table.split('.');
+    return parts.length === 2 ? { schema: parts[0], name: parts[1] } : { schema: null, name: table };
+}
+
+// DATETIME strings (dateStrings: true) read as Date in the connection's timezone
+function toDate(value, timezone) {
+    if (typeof value !== 'string') return value;
+
+    const iso = value.includes(' ') ? value.replace(' ', 'T') : value;
+    const offset = !timezone || timezone === 'local' ? '' : timezone === 'Z' ? 'Z' : timezone;
+    const date = new Date(/T/.test(iso) ? `${iso}${offset}` : `${iso}T00:00:00${offset}`);
+    return Number.isNaN(date.getTime()) ? value : date;
+}
+
+// Table-bound CRUD on top of the query builder. Columns are read from INFORMATION_SCHEMA on first use,
+// and every statement runs through db.query(), so retries, logging, metrics and transactions apply.
+class Model {
+
+    constructor(db, table, options = {}) {
+        if (typeof table !== 'string' || table.length === 0) {
+            throw new ValidationError('Model requires a table name', 'INVALID_OPTIONS');
+        }
+
+        const unknown = Object.keys(options).filter(key => !MODEL_OPTIONS.includes(key));
+        if (unknown.length > 0) {
+            throw new ValidationError(`Unknown model options: ${unknown.join(', ')}`, 'INVALID_OPTIONS');
+        }
+
+        const { primaryKey = null, timestamps = false, softDelete = false, hooks = {}, coerce = true } = options;
+
+        this.db = db;
+        this.table = table;
+        this.primaryKeyOption = primaryKey;
+        this.timestamps = resolveTimestamps(timestamps);
+        this.softDeleteColumn = resolveSoftDelete(softDelete);
+        this.coerceEnabled = coerce;
+        this.hooks = Object.fromEntries(HOOKS.map(name => [name, []]));
+        this.columns = null;
+        this.primaryKey = null;
+        this.loading = null;
+
+        for (const [name, hook] of Object.entries(hooks)) {
+            this.hook(name, hook);
+        }
+    }
+
+    // Register a lifecycle hook; returns a function removing it
+    hook(name, fn) {
+        if (!HOOKS.includes(name)) {
+            throw new ValidationError(`Unknown model hook: ${name}`, 'INVALID_OPTIONS');
+        }
+        if (typeof fn !== 'function') {
+            throw new ValidationError(`Model hook ${name} must be a function`, 'INVALID_OPTIONS');
+        }
+
+        this.hooks[name].push(fn);
+        return () => {
+            this.hooks[name] = this.hooks[name].filter(registered => registered !== fn);
+        };
+    }
+
+    // Before-hooks may return a replacement for the data they receive
+    async #runHooks(name, value, ...args) {
+        for (const hook of this.hooks[name]) {
+            const result = await hook(value, ...args);
+            if (result !== undefined && name.startsWith('before')) value = result;
+        }
+        return value;
+    }
+
+    // Column metadata, loaded once; a failed load is retried on the next call
+    async describe() {
+        if (this.columns) return this.columns;
+
+        if (!this.loading) {
+            this.loading = this.#loadColumns().catch((error) => {
+                this.loading = null;
+                throw error;
+            });
+        }
+        return this.loading;
+    }
+
+    async #loadColumns() {
+        const { schema, name } = splitTableName(this.table);
+        const [rows] = await this.db.query(
+            `SELECT COLUMN_NAME AS name, DATA_TYPE AS dataType, COLUMN_TYPE AS columnType,
+                    IS_NULLABLE AS nullable, COLUMN_KEY AS columnKey, EXTRA AS extra
+             FROM INFORMATION_SCHEMA.COLUMNS
+             WHERE TABLE_SCHEMA = ${schema ? '?' : 'DATABASE()'} AND TABLE_NAME = ?
+             ORDER BY ORDINAL_POSITION`,
+            schema ? [schema, name] : [name]
+        );
+
+        if (rows.length === 0) {
+            throw new ValidationError(`Table ${this.table} does not exist or has no columns`, 'UNKNOWN_TABLE');
+        }
+
+        const columns = new Map(rows.map(row => [row.name, {
+            name: row.name,
+            type: String(row.dataType).toLowerCase(),
+            columnType: String(row.columnType).toLowerCase(),
+            nullable: row.nullable === 'YES',
+            primary: row.columnKey === 'PRI',
+            autoIncrement: String(row.extra || '').includes('auto_increment')
+        }]));
+
+        const primary = [...columns.values()].filter(column => column.primary);
+        const primaryKey = this.primaryKeyOption || (primary.length === 1 ? primary[0].name : 'id');
+
+        const configured = [primaryKey, this.timestamps.createdAt, this.timestamps.updatedAt, this.softDeleteColumn];
+        for (const column of configured) {
+            if (column && !columns.has(column)) {
+                throw new ValidationError(`Column ${column} configured for model ${this.table} does not exist`, 'INVALID_OPTIONS');
+            }
+        }
+
+        this.primaryKey = primaryKey;
+        this.columns = columns;
+        return columns;
+    }
+
+    #assertColumns(data) {
+        if (!isPlainObject(data)) {
+            throw new ValidationError(`Data for ${this.table} must be an object`, 'INVALID_PARAMETERS');
+        }
+        const unknown = Object.keys(data).filter(column => !this.columns.has(column));
+        if (unknown.length > 0) {
+            throw new ValidationError(`Unknown columns for ${this.table}: ${unknown.join(', ')}`, 'INVALID_PARAMETERS');
+        }
+    }
+
+    // JSON, TINYINT(1) and DATETIME values as JavaScript objects, booleans and dates
+    coerce(row) {
+        if (!row || !this.coerceEnabled) return row;
+
+        for (const [key, value] of Object.entries(row)) {
+            const column = this.columns.get(key);
+            if (!column || value === null || value === undefined) continue;
+
+            if (column.type === 'json' && (typeof value === 'string' || Buffer.isBuffer(value))) {
+                try {
+                    row[key] = JSON.parse(value.toString());
+                } catch {
+                    // Leave values the server returned as non-JSON untouched
+                }
+            } else if (column.columnType.startsWith('tinyint(1)')) {
+                row[key] = Boolean(Number(value));
+            } else if (DATE_TYPES.includes(column.type)) {
+                row[key] = toDate(value, this.db.config.timezone);
+            }
+        }
+        return row;
+    }
+
+    // Builder for this table; soft deleted rows are hidden unless withDeleted is set
+    query({ withDeleted = false } = {}) {
+        const builder = this.db.table(this.table);
+        if (this.softDeleteColumn && !withDeleted) {
+            builder.whereNull(this.softDeleteColumn);
+        }
+        return builder;
+    }
+
+    #applyWhere(builder, where) {
+        if (typeof where === 'function') {
+            builder.where(where);
+            return builder;
+        }
+        if (!isPlainObject(where)) {
+            throw new ValidationError('Model conditions must be an object or a function', 'INVALID_PARAMETERS');
+        }
+        this.#assertColumns(where);
+        for (const [column, value] of Object.entries(where)) {
+            if (Array.isArray(value)) builder.whereIn(column, value);
+            else builder.where(column, value);
+        }
+        return builder;
+    }
+
+    #applyOrder(builder, orderBy) {
+        if (!orderBy) return builder;
+        const entries = typeof orderBy === 'string' ? [[orderBy, 'ASC']] : Object.entries(orderBy);
+        for (const [column, direction] of entries) {
+            builder.orderBy(column, direction);
+        }
+        return builder;
+    }
+
+    async findById(id, { withDeleted = false, ...queryOptions } = {}) {
+        await this.describe();
+        const rows = await this.query({ withDeleted })
+            .where(this.primaryKey, id)
+            .limit(1)
+            .get(queryOptions);
+        return rows.length > 0 ? this.coerce(rows[0]) : null;
+    }
+
+    async findOne(where = {}, options = {}) {
+        const [row] = await this.findMany(where, { ...options, limit: 1 });
+        return row || null;
+    }
+
+    async findMany(where = {}, options = {}) {
+        const { columns, orderBy, limit, offset, withDeleted = false, ...queryOptions } = options;
+        await this.describe();
+
+        const builder = this.#applyWhere(this.query({ withDeleted }), where);
+        if (columns) builder.select(...columns);
+        this.#applyOrder(builder, orderBy);
+        if (limit !== undefined) builder.limit(limit);
+        if (offset !== undefined) builder.offset(offset);
+
+        const rows = await builder.get(queryOptions);
+        return rows.map(row => this.coerce(row));
+    }
+
+    async count(where = {}, { withDeleted = false, ...queryOptions } = {}) {
+        await this.describe();
+        return this.#applyWhere(this.query({ withDeleted }), where).count('*', queryOptions);
+    }
+
+    // One page of rows with the total count; pages start at 1
+    async paginate({ page = 1, perPage = 20, where = {}, ...options } = {}) {
+        if (!Number.isInteger(page) || page < 1) {
+            throw new ValidationError('Page must be a positive integer', 'INVALID_PARAMETERS');
+        }
+        if (!Number.isInteger(perPage) || perPage < 1) {
+            throw new ValidationError('perPage must be a positive integer', 'INVALID_PARAMETERS');
+        }
+
+        await this.describe();
+        const { withDeleted, columns, orderBy = this.primaryKey, ...queryOptions } = options;
+        const [total, data] = await Promise.all([
+            this.count(where, { withDeleted, ...queryOptions }),
+            this.findMany(where, {
+                withDeleted,
+                columns,
+                orderBy,
+                limit: perPage,
+                offset: (page - 1) * perPage,
+                ...queryOptions
+            })
+        ]);
+
+        return { data, page, perPage, total, totalPages: Math.ceil(total / perPage) };
+    }
+
+    // Insert a row and return it as stored, defaults included
+    async create(data, queryOptions = {}) {
+        await this.describe();
+        const values = { ...(await this.#runHooks('beforeCreate', { ...data })) };
+
+        const now = new Date();
+        if (this.timestamps.createdAt && values[this.timestamps.createdAt] === undefined) {
+            values[this.timestamps.createdAt] = now;
+        }
+        if (this.timestamps.updatedAt && values[this.timestamps.updatedAt] === undefined) {
+            values[this.timestamps.updatedAt] = now;
+        }
+        this.#assertColumns(values);
+
+        const result = await this.db.table(this.table).insert(values).execute(queryOptions);
+        const id = values[this.primaryKey] !== undefined ? values[this.primaryKey] : result.insertId;
+
+        // Read back from the primary: a replica may not have the row yet
+        const row = await this.findById(id, { withDeleted: true, usePrimary: true });
+        await this.#runHooks('afterCreate', row);
+        return row;
+    }
+
+    // Update a row by primary key; returns the updated row, or null when no row matched
+    async update(id, data, queryOptions = {}) {
+        await this.describe();
+        const changes = { ...(await this.#runHooks('beforeUpdate', { ...data }, id)) };
+
+        if (this.timestamps.updatedAt && changes[this.timestamps.updatedAt] === undefined) {
+            changes[this.timestamps.updatedAt] = new Date();
+        }
+        this.#assertColumns(changes);
+
+        const result = await this.query()
+            .where(this.primaryKey, id)
+            .update(changes)
+            .execute(queryOptions);
+        if (result.affectedRows === 0) return null;
+
+        const row = await this.findById(id, { usePrimary: true });
+        await this.#runHooks('afterUpdate', row);
+        return row;
+    }
+
+    // Soft deletes set the deleted column unless force is set; returns whether a row was deleted
+    async delete(id, { force = false, ...queryOptions } = {}) {
+        await this.describe();
+        await this.#runHooks('beforeDelete', id);
+
+        const builder = this.query().where(this.primaryKey, id);
+        const result = this.softDeleteColumn && !force
+            ? await builder.update({ [this.softDeleteColumn]: new Date() }).execute(queryOptions)
+            : await this.db.table(this.table).where(this.primaryKey, id).delete().execute(queryOptions);
+
+        const deleted = result.affectedRows > 0;
+        if (deleted) await this.#runHooks('afterDelete', id);
+        return deleted;
+    }
+
+    async restore(id, queryOptions = {}) {
+        await this.describe();
+        if (!this.softDeleteColumn) {
+            throw new ValidationError(`Model ${this.table} does not use soft deletes`, 'INVALID_OPTIONS');
+        }
+
+        const result = await this.db.table(this.table)
+            .where(this.primaryKey, id)
+            .whereNotNull(this.softDeleteColumn)
+            .update({ [this.softDeleteColumn]: null })
+            .execute(queryOptions);
+        return result.affectedRows > 0;
+    }
+}
+
+module.exports = Model;
@@ -0,0 +1,133 @@
+// Constructor option names. Anything that is neither a MySQLMate option nor a mysql2 pool or
+// connection option is rejected, with the closest known name suggested for typos.
+
+const { ValidationError } = require('./errors');
+
+const MYSQLMATE_OPTIONS = [
+    'logger',
+    'logging',
+    'maxRetries',
+    'retryDelay',
+    'backoffMultiplier',
+    'retryableErrors',
+    'transactionRetry',
+    'migrations',
+    'queryPolicy',
+    'replicas',
+    'replication',
+    'metrics',
+    'slowQuery',
+    'processSignals',
+    'cache',
+    'tracing',
+    'healthMonitor',
+    'session',
+    'onConnect',
+    'tenants',
+    'acquisition'
+];
+
+// Passed through to mysql2.createPool()
+const MYSQL2_OPTIONS = [
+    // Connection
+    'host',
+    'port',
+    'user',
+    'password',
+    'password1',
+    'password2',
+    'password3',
+    'passwordSha1',
+    'database',
+    'uri',
+    'socketPath',
+    'localAddress',
+    'ssl',
+    'charset',
+    'charsetNumber',
+    'timezone',
+    'connectTimeout',
+    'connectAttributes',
+    'compress',
+    'flags',
+    'authPlugins',
+    'authSwitchHandler',
+    'insecureAuth',
+    'enableKeepAlive',
+    'keepAliveInitialDelay',
+    'maxPreparedStatements',
+    'infileStreamFactory',
+    // Results and parameters
+    'stringifyObjects',
+    'supportBigNumbers',
+    'bigNumberStrings',
+    'decimalNumbers',
+    'dateStrings',
+    'jsonStrings',
+    'typeCast',
+    'rowsAsArray',
+    'nestTables',
+    'namedPlaceholders',
+    'queryFormat',
+    'multipleStatements',
+    'disableEval',
+    // Debugging
+    'debug',
+    'trace',
+    // Pool
+    'connectionLimit',
+    'waitForConnections',
+    'queueLimit',
+    'maxIdle',
+    'idleTimeout'
+];
+
+const KNOWN_OPTIONS = [...MYSQLMATE_OPTIONS, ...MYSQL2_OPTIONS];
+
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// Closest known option within a couple of edits, ignoring case
+function suggestOption(name, known) {
+    const lower = name.toLowerCase();
+    let best = null;
+    let bestDistance = Infinity;
+    for (const option of known) {
+        const distance = editDistance(lower, option.toLowerCase());
+        if (distance < bestDistance) {
+            best = option;
+            bestDistance = distance;
+        }
+    }
+    return bestDistance <= Math.max(2, Math.floor(name.length / 4)) ? best : null;
+}
+
+function validateOptionNames(config, { known = KNOWN_OPTIONS, label = 'configuration' } = {}) {
+    const unknown = Object.keys(config).filter(key => !known.includes(key));
+    if (unknown.length === 0) return;
+
+    const described = unknown.map((name) => {
+        const suggestion = suggestOption(name, known);
+        return suggestion ? `${name} (did you mean ${suggestion}?)` : name;
+    });
+    throw new ValidationError(`Unknown ${label} options: ${described.join(', ')}`, 'INVALID_OPTIONS');
+}
+
+module.exports = {
+    MYSQLMATE_OPTIONS,
+    MYSQL2_OPTIONS,
+    validateOptionNames
+};
@@ -0,0 +1,126 @@
+// Parameter binding for positional (?) and named (:name) placeholders.
+// Both styles are compiled to plain positional SQL understood by mysql2's execute():
+//   ?       value               :name    named value
+//   ??      escaped identifier  ::name   named escaped identifier
+// Array values expand to "?, ?, ?" (for IN lists) and arrays of arrays to "(?, ?), (?, ?)".
+
+const { tokenize } = require('./sqlLexer');
+const { ValidationError } = require('./errors');
+
+function isPlainObject(value) {
+    return value !== null
+        && typeof value === 'object'
+        && !Array.isArray(value)
+        && !Buffer.isBuffer(value)
+        && !(value instanceof Date);
+}
+
+// Escape an identifier, keeping "table.column" qualification
+function escapeId(identifier) {
+    if (Array.isArray(identifier)) {
+        return identifier.map(escapeId).join(', ');
+    }
+    if (typeof identifier !== 'string' || identifier.length === 0) {
+        throw new ValidationError('Identifier must be a non-empty string');
+    }
+    return identifier
+        .split('.')
+        .map(part => (part === '*' ? part : `\`${part.replace(/`/g, '``')}\``))
+        .join('.');
+}
+
+// Placeholder text and bound values for a single value
+function bindValue(value, label) {
+    if (!Array.isArray(value)) {
+        return { text: '?', values: [value] };
+    }
+    if (value.length === 0) {
+        throw new ValidationError(`Parameter ${label} is an empty array and cannot be expanded`, 'INVALID_PARAMETERS');
+    }
+    if (value.every(Array.isArray)) {
+        const tuples = value.map(tuple => bindValue(tuple, label));
+        return {
+            text: tuples.map(tuple => `(${tuple.text})`).join(', '),
+            values: tuples.flatMap(tuple => tuple.values)
+        };
+    }
+    return {
+        text: value.map(() => '?').join(', '),
+        values: value
+    };
+}
+
+// Compile SQL with positional or named parameters into positional SQL and a flat values array.
+// With { names: true } the result also says where each value came from: the parameter name,
+// or the index in the caller's positional array (arrays expand to several values).
+function compileParams(sql, params = [], { names: withNames = false } = {}) {
+    const named = isPlainObject(params);
+    const values = [];
+    const names = [];
+    const usedNames = new Set();
+    let positionalIndex = 0;
+    let output = '';
+
+    const take = (key, label) => {
+        if (named) {
+            if (!Object.prototype.hasOwnProperty.call(params, key) || params[key] === undefined) {
+                throw new ValidationError(`Missing value for named parameter ${label}`, 'INVALID_PARAMETERS');
+            }
+            usedNames.add(key);
+            return params[key];
+        }
+        if (positionalIndex >= params.length) {
+            throw new ValidationError(`Missing value for positional parameter #${positionalIndex + 1}`, 'INVALID_PARAMETERS');
+        }
+        return params[positionalIndex++];
+    };
+
+    // Placeholders inside strings, quoted identifiers and comments are separate tokens and stay untouched
+    for (const token of tokenize(sql)) {
+        if (token.type === 'placeholder') {
+            if (named) {
+                throw new ValidationError('Cannot mix positional "?" placeholders with named parameters', 'INVALID_PARAMETERS');
+            }
+            if (token.value === '??') {
+                output += escapeId(take(null));
+            } else {
+                const source = positionalIndex;
+                const bound = bindValue(take(null), `#${positionalIndex + 1}`);
+                output += bound.text;
+                values.push(...bound.values);
+                names.push(...bound.values.map(() => source));
+            }
+        } else if (token.type === 'parameter' && named) {
+            const label = token.value;
+            const value = take(token.name, label);
+
+            if (token.identifier) {
+                output += escapeId(value);
+            } else {
+                const bound = bindValue(value, label);
+                output += bound.text;
+                values.push(...bound.values);
+                names.push(...bound.values.map(() => token.name));
+            }
+        } else {
+            output += token.value;
+        }
+    }
+
+    if (named) {
+        const unused = Object.keys(params).filter(key => !usedNames.has(key));
+        if (unused.length > 0) {
+            throw new ValidationError(`Unused named parameters: ${unused.map(key => `:${key}`).join(', ')}`, 'INVALID_PARAMETERS');
+        }
+    } else if (positionalIndex < params.length) {
+        throw new ValidationError(`Expected ${positionalIndex} positional parameters but received ${params.length}`, 'INVALID_PARAMETERS');
+    }
+
+    return withNames ? { sql: output, params: values, names } : { sql: output, params: values };
+}
+
+module.exports = {
+    compileParams,
+    escapeId,
+    isPlainObject
+};
@@ -0,0 +1,152 @@
+// Routes statements between the primary pool and optional read replica pools.
+// Replicas inherit the primary connection settings and override host, port or credentials.
+
+const { ValidationError } = require('./errors');
+
+const SELECTION_STRATEGIES = ['round-robin', 'least-connections'];
+
+function createEntry(name, pool, role, config) {
+    return {
+        name,
+        role,
+        pool,
+        config,
+        available: true,
+        lag: null,
+        lastError: null,
+        inFlight: 0,
+        queries: 0,
+        failedQueries: 0
+    };
+}
+
+class PoolRouter {
+
+    constructor({ primaryPool, replicas = [], replication = {}, baseConfig, createPool, logger }) {
+        const {
+            selection = 'round-robin',
+            maxLag = null,
+            lagCheckInterval = 5000
+        } = replication;
+
+        if (!SELECTION_STRATEGIES.includes(selection)) {
+            throw new ValidationError(`Unsupported replica selection strategy: ${selection}`, 'INVALID_OPTIONS');
+        }
+
+        this.logger = logger;
+        this.selection = selection;
+        this.maxLag = maxLag;
+        this.lagCheckInterval = lagCheckInterval;
+        this.lagTimer = null;
+        this.nextReplica = 0;
+
+        this.primary = createEntry('primary', primaryPool, 'primary', baseConfig);
+        this.replicas = replicas.map((replica, index) => {
+            const { name, ...replicaConfig } = replica;
+            const config = { ...baseConfig, ...replicaConfig };
+            const entryName = name || `replica-${index}`;
+            this.logger.info({ replica: entryName, host: config.host }, 'Initializing replica connection');
+            return createEntry(entryName, createPool(config), 'replica', config);
+        });
+
+        if (this.replicas.length > 0 && this.maxLag !== null) {
+            this.lagTimer = setInterval(() => {
+                this.checkLag().catch(() => {});
+            }, this.lagCheckInterval);
+            this.lagTimer.unref();
+        }
+    }
+
+    get entries() {
+        return [this.primary, ...this.replicas];
+    }
+
+    // Pick a pool for a statement; read-only statements go to an available replica when possible
+    select({ readOnly = false, usePrimary = false } = {}) {
+        if (!readOnly || usePrimary) return this.primary;
+
+        const candidates = this.replicas.filter(replica => replica.available);
+        if (candidates.length === 0) return this.primary;
+
+        if (this.selection === 'least-connections') {
+            return candidates.reduce((best, replica) => (replica.inFlight < best.inFlight ? replica : best));
+        }
+
+        const replica = candidates[this.nextReplica % candidates.length];
+        this.nextReplica = (this.nextReplica + 1) % Number.MAX_SAFE_INTEGER;
+        return replica;
+    }
+
+    // Run an operation against a pool entry, keeping per-pool counters
+    async run(entry, operation) {
+        entry.inFlight++;
+        entry.queries++;
+        try {
+            return await operation(entry.pool);
+        } catch (error) {
+            entry.failedQueries++;
+            throw error;
+        } finally {
+            entry.inFlight--;
+        }
+    }
+
+    // Measure replication lag on every replica and exclude the ones behind maxLag or not replicating
+    async checkLag() {
+        await Promise.all(this.replicas.map(async (replica) => {
+            try {
+                let rows;
+                try {
+                    [rows] = await replica.pool.query('SHOW REPLICA STATUS');
+                } catch {
+                    // Servers older than MySQL 8.0.22
+                    [rows] = await replica.pool.query('SHOW SLAVE STATUS');
+                }
+
+                const status = rows[0] || {};
+                const lag = status.Seconds_Behind_Source ?? status.Seconds_Behind_Master ?? null;
+
+                replica.lag = lag === null ? null : Number(lag);
+                replica.lastError = null;
+                this.#setAvailable(replica, replica.lag !== null && (this.maxLag === null || replica.lag <= this.maxLag));
+            } catch (error) {
+                replica.lastError = error.message;
+                this.#setAvailable(replica, false);
+            }
+        }));
+    }
+
+    #setAvailable(replica, available) {
+        if (replica.available === available) return;
+        replica.available = available;
+
+        this.logger.warn({
+            replica: replica.name,
+            lag: replica.lag,
+            maxLag: this.maxLag,
+            error: replica.lastError
+        }, available ? 'Replica is back in rotation' : 'Replica excluded from rotation');
+    }
+
+    getMetrics() {
+        return Object.fromEntries(this.entries.map(entry => [entry.name, {
+            role: entry.role,
+            available: entry.available,
+            lag: entry.lag,
+            inFlight: entry.inFlight,
+            queries: entry.queries,
+            failedQueries: entry.failedQueries
+        }]));
+    }
+
+    // Stop lag checks and close replica pools; the primary pool is closed by its owner
+    async end() {
+        if (this.lagTimer) {
+            clearInterval(this.lagTimer);
+            this.lagTimer = null;
+        }
+        await Promise.all(this.replicas.map(replica => replica.pool.end()));
+    }
+}
+
+module.exports = PoolRouter;
@@ -0,0 +1,572 @@
+const { escapeId, isPlainObject } = require('./params');
+const { ValidationError } = require('./errors');
+
+const OPERATORS = [
+    '=', '!=', '<>', '<', '<=', '>', '>=', '<=>',
+    'LIKE', 'NOT LIKE', 'REGEXP', 'NOT REGEXP',
+    'IN', 'NOT IN', 'IS', 'IS NOT'
+];
+
+const JOIN_TYPES = ['INNER', 'LEFT', 'RIGHT', 'CROSS'];
+
+// Largest row count MySQL accepts in LIMIT
+const MAX_LIMIT = '18446744073709551615';
+
+// Raw SQL fragment inserted into a built query as-is
+class Raw {
+    constructor(sql, params = []) {
+        this.sql = sql;
+        this.params = params;
+    }
+}
+
+// Escape "name" or "name AS alias"
+function escapeAliased(identifier) {
+    if (identifier instanceof Raw) return identifier.sql;
+
+    const match = /^(.+?)\s+as\s+(.+)$/i.exec(identifier.trim());
+    if (match) {
+        return `${escapeId(match[1])} AS ${escapeId(match[2])}`;
+    }
+    return escapeId(identifier.trim());
+}
+
+// Values stored in JSON columns are serialised instead of expanded
+function toStorable(value) {
+    if (Array.isArray(value) || isPlainObject(value)) {
+        return JSON.stringify(value);
+    }
+    return value;
+}
+
+function normalizeOperator(operator) {
+    const normalized = String(operator).trim().toUpperCase();
+    if (!OPERATORS.includes(normalized)) {
+        throw new ValidationError(`Unsupported operator: ${operator}`);
+    }
+    return normalized;
+}
+
+class QueryBuilder {
+
+    constructor(db, table) {
+        if (!table) {
+            throw new ValidationError('Query builder requires a table name');
+        }
+
+        this.db = db;
+        this._table = table;
+        this._type = 'select';
+        this._distinct = false;
+        this._columns = [];
+        this._joins = [];
+        this._wheres = [];
+        this._groups = [];
+        this._havings = [];
+        this._orders = [];
+        this._limit = null;
+        this._offset = null;
+        this._rows = null;
+        this._data = null;
+        this._onDuplicate = null;
+        this._ignore = false;
+    }
+
+    // Copy of the builder that can be modified independently
+    clone() {
+        const copy = new QueryBuilder(this.db, this._table);
+        for (const key of Object.keys(this)) {
+            copy[key] = Array.isArray(this[key]) ? this[key].slice() : this[key];
+        }
+        return copy;
+    }
+
+    select(...columns) {
+        this._type = 'select';
+        this._columns.push(...columns.flat());
+        return this;
+    }
+
+    distinct() {
+        this._distinct = true;
+        return this;
+    }
+
+    // Joins
+
+    join(table, first, operator, second, type = 'INNER') {
+        if (!JOIN_TYPES.includes(type)) {
+            throw new ValidationError(`Unsupported join type: ${type}`);
+        }
+
+        if (type === 'CROSS' || first === undefined) {
+            this._joins.push({ sql: `${type} JOIN ${escapeAliased(table)}`, params: [] });
+            return this;
+        }
+
+        if (typeof first === 'function') {
+            const clause = new QueryBuilder(this.db, table);
+            first(clause);
+            const compiled = clause.#compileConditions(clause._wheres);
+            this._joins.push({
+                sql: `${type} JOIN ${escapeAliased(table)} ON ${compiled.sql}`,
+                params: compiled.params
+            });
+            return this;
+        }
+
+        if (second === undefined) {
+            second = operator;
+            operator = '=';
+        }
+
+        this._joins.push({
+            sql: `${type} JOIN ${escapeAliased(table)} ON ${escapeId(first)} ${normalizeOperator(operator)} ${escapeId(second)}`,
+            params: []
+        });
+        return this;
+    }
+
+    innerJoin(table, first, operator, second) {
+        return this.join(table, first, operator, second, 'INNER');
+    }
+
+    leftJoin(table, first, operator, second) {
+        return this.join(table, first, operator, second, 'LEFT');
+    }
+
+    rightJoin(table, first, operator, second) {
+        return this.join(table, first, operator, second, 'RIGHT');
+    }
+
+    crossJoin(table) {
+        return this.join(table, undefined, undefined, undefined, 'CROSS');
+    }
+
+    // Join conditions comparing two columns, used inside join callbacks
+    on(first, operator, second, boolean = 'AND') {
+        if (second === undefined) {
+            second = operator;
+            operator = '=';
+        }
+        this._wheres.push({
+            boolean,
+            sql: `${escapeId(first)} ${normalizeOperator(operator)} ${escapeId(second)}`,
+            params: []
+        });
+        return this;
+    }
+
+    orOn(first, operator, second) {
+        return this.on(first, operator, second, 'OR');
+    }
+
+    // Conditions
+
+    #condition(column, operator, value) {
+        const left = column instanceof Raw ? column.sql : escapeId(column);
+        const leftParams = column instanceof Raw ? column.params : [];
+
+        if (value instanceof Raw) {
+            return { sql: `${left} ${operator} ${value.sql}`, params: leftParams.concat(value.params) };
+        }
+
+        if (value === null) {
+            if (operator === '=' || operator === 'IS') {
+                return { sql: `${left} IS NULL`, params: leftParams };
+            }
+            if (operator === '!=' || operator === '<>' || operator === 'IS NOT') {
+                return { sql: `${left} IS NOT NULL`, params: leftParams };
+            }
+        }
+
+        // IS compares against TRUE, FALSE and UNKNOWN only; there is no placeholder form
+        if (operator === 'IS' || operator === 'IS NOT') {
+            if (typeof value !== 'boolean') {
+                throw new ValidationError(`${operator} requires null, true or false`);
+            }
+            return { sql: `${left} ${operator} ${value ? 'TRUE' : 'FALSE'}`, params: leftParams };
+        }
+
+        if (operator === 'IN' || operator === 'NOT IN') {
+            if (!Array.isArray(value)) {
+                throw new ValidationError(`${operator} requires an array of values`);
+            }
+            // An empty IN list matches nothing; an empty NOT IN list matches everything
+            if (value.length === 0) {
+                return { sql: operator === 'IN' ? '0 = 1' : '1 = 1', params: [] };
+            }
+            return {
+                sql: `${left} ${operator} (${value.map(() => '?').join(', ')})`,
+                params: leftParams.concat(value)
+            };
+        }
+
+        return { sql: `${left} ${operator} ?`, params: leftParams.concat([value]) };
+    }
+
+    #addCondition(target, boolean, column, operator, value, argumentCount) {
+        // where(qb => ...) groups conditions in parentheses
+        if (typeof column === 'function') {
+            const group = new QueryBuilder(this.db, this._table);
+            column(group);
+            if (group._wheres.length > 0) {
+                const compiled = this.#compileConditions(group._wheres);
+                target.push({ boolean, sql: `(${compiled.sql})`, params: compiled.params });
+            }
+            return this;
+        }
+
+        // where({ column: value, ... })
+        if (isPlainObject(column) && !(column instanceof Raw)) {
+            for (const [key, entry] of Object.entries(column)) {
+                target.push({ boolean, ...this.#condition(key, '=', entry) });
+            }
+            return this;
+        }
+
+        if (argumentCount === 2) {
+            value = operator;
+            operator = '=';
+        }
+
+        target.push({ boolean, ...this.#condition(column, normalizeOperator(operator), value) });
+        return this;
+    }
+
+    #compileConditions(conditions) {
+        return conditions.reduce((compiled, condition, index) => ({
+            sql: index === 0 ? condition.sql : `${compiled.sql} ${condition.boolean} ${condition.sql}`,
+            params: compiled.params.concat(condition.params)
+        }), { sql: '', params: [] });
+    }
+
+    where(column, operator, value) {
+        return this.#addCondition(this._wheres, 'AND', column, operator, value, arguments.length);
+    }
+
+    orWhere(column, operator, value) {
+        return this.#addCondition(this._wheres, 'OR', column, operator, value, arguments.length);
+    }
+
+    whereIn(column, values) {
+        return this.where(column, 'IN', values);
+    }
+
+    whereNotIn(column, values) {
+        return this.where(column, 'NOT IN', values);
+    }
+
+    whereNull(column) {
+        return this.where(column, 'IS', null);
+    }
+
+    whereNotNull(column) {
+        return this.where(column, 'IS NOT', null);
+    }
+
+    whereBetween(column, [from, to]) {
+        this._wheres.push({ boolean: 'AND', sql: `${escapeId(column)} BETWEEN ? AND ?`, params: [from, to] });
+        return this;
+    }
+
+    whereRaw(sql, params = []) {
+        this._wheres.push({ boolean: 'AND', sql: `(${sql})`, params });
+        return this;
+    }
+
+    // Grouping
+
+    groupBy(...columns) {
+        this._groups.push(...columns.flat());
+        return this;
+    }
+
+    having(column, operator, value) {
+        return this.#addCondition(this._havings, 'AND', column, operator, value, arguments.length);
+    }
+
+    orHaving(column, operator, value) {
+        return this.#addCondition(this._havings, 'OR', column, operator, value, arguments.length);
+    }
+
+    havingRaw(sql, params = []) {
+        this._havings.push({ boolean: 'AND', sql: `(${sql})`, params });
+        return this;
+    }
+
+    // Ordering and paging
+
+    orderBy(column, direction = 'ASC') {
+        const normalized = String(direction).toUpperCase();
+        if (normalized !== 'ASC' && normalized !== 'DESC') {
+            throw new ValidationError(`Unsupported order direction: ${direction}`);
+        }
+        this._orders.push(column instanceof Raw ? column.sql : `${escapeId(column)} ${normalized}`);
+        return this;
+    }
+
+    limit(count) {
+        if (!Number.isInteger(count) || count < 0) {
+            throw new ValidationError('Limit must be a non-negative integer');
+        }
+        this._limit = count;
+        return this;
+    }
+
+    offset(count) {
+        if (!Number.isInteger(count) || count < 0) {
+            throw new ValidationError('Offset must be a non-negative integer');
+        }
+        this._offset = count;
+        return this;
+    }
+
+    // Writes
+
+    insert(rows) {
+        rows = Array.isArray(rows) ? rows : [rows];
+        if (rows.length === 0 || !rows.every(isPlainObject)) {
+            throw new ValidationError('Insert requires an object or a non-empty array of objects');
+        }
+        this._type = 'insert';
+        this._rows = rows;
+        return this;
+    }
+
+    // INSERT IGNORE: skip rows that would violate a unique key
+    ignore() {
+        if (this._type !== 'insert') {
+            throw new ValidationError('ignore() must follow insert()');
+        }
+        this._ignore = true;
+        return this;
+    }
+
+    // ON DUPLICATE KEY UPDATE: a list of columns takes the inserted values, an object sets explicit values
+    onDuplicateKeyUpdate(update) {
+        if (this._type !== 'insert') {
+            throw new ValidationError('onDuplicateKeyUpdate() must follow insert()');
+        }
+        this._onDuplicate = update;
+        return this;
+    }
+
+    // Insert rows, updating every inserted column (or the given ones) on duplicate keys
+    upsert(rows, updateColumns) {
+        this.insert(rows);
+        return this.onDuplicateKeyUpdate(updateColumns || Object.keys(this._rows[0]));
+    }
+
+    update(data) {
+        if (!isPlainObject(data) || Object.keys(data).length === 0) {
+            throw new ValidationError('Update requires a non-empty object');
+        }
+        this._type = 'update';
+        this._data = data;
+        return this;
+    }
+
+    delete() {
+        this._type = 'delete';
+        return this;
+    }
+
+    // Compilation
+
+    #compileTail(parts, params) {
+        if (this._wheres.length > 0) {
+            const where = this.#compileConditions(this._wheres);
+            parts.push(`WHERE ${where.sql}`);
+            params.push(...where.params);
+        }
+        if (this._groups.length > 0) {
+            parts.push(`GROUP BY ${this._groups.map(escapeAliased).join(', ')}`);
+        }
+        if (this._havings.length > 0) {
+            const having = this.#compileConditions(this._havings);
+            parts.push(`HAVING ${having.sql}`);
+            params.push(...having.params);
+        }
+        if (this._orders.length > 0) {
+            parts.push(`ORDER BY ${this._orders.join(', ')}`);
+        }
+        if (this._limit !== null) {
+            parts.push(`LIMIT ${this._limit}`);
+        } else if (this._offset !== null) {
+            // MySQL has no OFFSET without LIMIT; the largest row count stands for "all the rest"
+            parts.push(`LIMIT ${MAX_LIMIT}`);
+        }
+        if (this._offset !== null) {
+            parts.push(`OFFSET ${this._offset}`);
+        }
+    }
+
+    // UPDATE and DELETE have no OFFSET, GROUP BY or HAVING; refuse them rather than drop them
+    #assertWritable(statement) {
+        if (this._offset !== null) {
+            throw new ValidationError(`offset() cannot be used in ${statement}`);
+        }
+        if (this._groups.length > 0 || this._havings.length > 0) {
+            throw new ValidationError(`groupBy() and having() cannot be used in ${statement}`);
+        }
+    }
+
+    #compileSelect() {
+        const params = [];
+        const columns = this._columns.length > 0 ? this._columns : ['*'];
+        const selected = columns.map(column => {
+            if (column instanceof Raw) {
+                params.push(...column.params);
+                return column.sql;
+            }
+            return column === '*' ? '*' : escapeAliased(column);
+        });
+
+        const parts = [
+            `SELECT ${this._distinct ? 'DISTINCT ' : ''}${selected.join(', ')}`,
+            `FROM ${escapeAliased(this._table)}`
+        ];
+
+        for (const join of this._joins) {
+            parts.push(join.sql);
+            params.push(...join.params);
+        }
+
+        this.#compileTail(parts, params);
+        return { sql: parts.join(' '), params };
+    }
+
+    #compileInsert() {
+        const columns = Object.keys(this._rows[0]);
+        const signature = columns.slice().sort().join(',');
+
+        for (const [index, row] of this._rows.entries()) {
+            if (Object.keys(row).sort().join(',') !== signature) {
+                throw new ValidationError(`Insert row ${index} has different columns than row 0`);
+            }
+        }
+
+        const params = [];
+        const values = this._rows.map(row => {
+            const placeholders = columns.map(column => {
+                const value = row[column];
+                if (value instanceof Raw) {
+                    params.push(...value.params);
+                    return value.sql;
+                }
+                params.push(toStorable(value));
+                return '?';
+            });
+            return `(${placeholders.join(', ')})`;
+        });
+
+        let sql = `INSERT ${this._ignore ? 'IGNORE ' : ''}INTO ${escapeId(this._table)} (${columns.map(escapeId).join(', ')}) VALUES ${values.join(', ')}`;
+
+        if (this._onDuplicate) {
+            const assignments = Array.isArray(this._onDuplicate)
+                ? this._onDuplicate.map(column => `${escapeId(column)} = VALUES(${escapeId(column)})`)
+                : Object.entries(this._onDuplicate).map(([column, value]) => {
+                    if (value instanceof Raw) {
+                        params.push(...value.params);
+                        return `${escapeId(column)} = ${value.sql}`;
+                    }
+                    params.push(toStorable(value));
+                    return `${escapeId(column)} = ?`;
+                });
+            sql += ` ON DUPLICATE KEY UPDATE ${assignments.join(', ')}`;
+        }
+
+        return { sql, params };
+    }
+
+    #compileUpdate() {
+        const params = [];
+        const assignments = Object.entries(this._data).map(([column, value]) => {
+            if (value instanceof Raw) {
+                params.push(...value.params);
+                return `${escapeId(column)} = ${value.sql}`;
+            }
+            params.push(toStorable(value));
+            return `${escapeId(column)} = ?`;
+        });
+
+        this.#assertWritable('an update');
+        // MySQL rejects ORDER BY and LIMIT in a multiple-table UPDATE
+        if (this._joins.length > 0 && (this._orders.length > 0 || this._limit !== null)) {
+            throw new ValidationError('orderBy() and limit() cannot be used in an update with joins');
+        }
+
+        const parts = [`UPDATE ${escapeAliased(this._table)}`];
+        for (const join of this._joins) {
+            parts.push(join.sql);
+            params.push(...join.params);
+        }
+        parts.push(`SET ${assignments.join(', ')}`);
+
+        this.#compileTail(parts, params);
+        return { sql: parts.join(' '), params };
+    }
+
+    #compileDelete() {
+        this.#assertWritable('a delete');
+        // A joined table would otherwise be referenced by the conditions without being part of the statement
+        if (this._joins.length > 0) {
+            throw new ValidationError('join() cannot be used in a delete');
+        }
+
+        const params = [];
+        const parts = [`DELETE FROM ${escapeAliased(this._table)}`];
+        this.#compileTail(parts, params);
+        return { sql: parts.join(' '), params };
+    }
+
+    // Compiled SQL and parameters without executing
+    toSQL() {
+        switch (this._type) {
+            case 'insert': return this.#compileInsert();
+            case 'update': return this.#compileUpdate();
+            case 'delete': return this.#compileDelete();
+            default: return this.#compileSelect();
+        }
+    }
+
+    // Execution goes through db.query() to keep retries, metrics, logging and operation tracking
+
+    async execute(options = {}) {
+        const { sql, params } = this.toSQL();
+        const [result] = await this.db.query(sql, params, options);
+        return result;
+    }
+
+    then(onFulfilled, onRejected) {
+        return this.execute().then(onFulfilled, onRejected);
+    }
+
+    catch(onRejected) {
+        return this.execute().catch(onRejected);
+    }
+
+    async get(options) {
+        this._type = 'select';
+        return this.execute(options);
+    }
+
+    async first(options) {
+        const rows = await this.clone().limit(1).get(options);
+        return rows[0] || null;
+    }
+
+    async count(column = '*', options) {
+        const query = this.clone();
+        query._columns = [new Raw(`COUNT(${column === '*' ? '*' : escapeId(column)}) AS \`count\``)];
+        query._orders = [];
+        query._limit = null;
+        query._offset = null;
+        const [row] = await query.get(options);
+        return row ? Number(row.count) : 0;
+    }
+}
+
+module.exports = QueryBuilder;
+module.exports.Raw = Raw;
@@ -0,0 +1,174 @@
+// Result cache for read queries. Every entry remembers the version of each table it read;
+// a write bumps the versions of the tables it touches, so older entries stop matching
+// without scanning the store.
+
+const { createHash } = require('crypto');
+const { tokenizeStatements, statementType, referencedTables } = require('./sqlLexer');
+const { ValidationError } = require('./errors');
+
+const DEFAULT_CACHE_CONFIG = {
+    ttl: 60000,             // Milliseconds an entry stays valid unless a query overrides it
+    maxEntries: 1000,       // Capacity of the built-in memory store
+    // Custom store with get/set/delete/clear; defaults to a MemoryStore. Table versions stay in this
+    // process, so with a store shared between processes a write elsewhere invalidates nothing here.
+    store: null
+};
+
+const CACHE_OPTIONS = Object.keys(DEFAULT_CACHE_CONFIG);
+
+// Statements that change table contents or definitions
+const WRITE_STATEMENTS = ['INSERT', 'UPDATE', 'DELETE', 'REPLACE', 'TRUNCATE', 'ALTER', 'DROP', 'RENAME', 'LOAD'];
+
+function validateTtl(ttl) {
+    if (typeof ttl !== 'number' || !(ttl > 0)) {
+        throw new ValidationError('Cache ttl must be a positive number of milliseconds', 'INVALID_OPTIONS');
+    }
+    return ttl;
+}
+
+// Deep copy of a query result, so a caller changing its rows cannot alter what later hits return.
+// Rows are plain objects or arrays; field metadata (class instances) is shared as is.
+function copyResult(value) {
+    if (Array.isArray(value)) return value.map(copyResult);
+    if (value instanceof Date) return new Date(value.getTime());
+    if (Buffer.isBuffer(value)) return Buffer.from(value);
+    if (value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, copyResult(item)]));
+    }
+    return value;
+}
+
+// Least recently used entries are evicted once maxEntries is reached; expired entries are dropped on read
+class MemoryStore {
+
+    constructor({ maxEntries = DEFAULT_CACHE_CONFIG.maxEntries } = {}) {
+        if (!Number.isInteger(maxEntries) || maxEntries < 1) {
+            throw new ValidationError('Cache maxEntries must be a positive integer', 'INVALID_OPTIONS');
+        }
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return undefined;
+
+        if (entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return undefined;
+        }
+
+        // Map keeps insertion order, so re-inserting marks the entry as most recently used
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry.value;
+    }
+
+    set(key, value, ttl) {
+        this.entries.delete(key);
+        this.entries.set(key, { value, expiresAt: Date.now() + ttl });
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    delete(key) {
+        this.entries.delete(key);
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+}
+
+class QueryCache {
+
+    // namespace identifies the server and database, so instances sharing a store never share entries
+    constructor(options = {}, { namespace = '' } = {}) {
+        const unknown = Object.keys(options).filter(key => !CACHE_OPTIONS.includes(key));
+        if (unknown.length > 0) {
+            throw new ValidationError(`Unknown cache options: ${unknown.join(', ')}`, 'INVALID_OPTIONS');
+        }
+
+        const { ttl, maxEntries, store } = { ...DEFAULT_CACHE_CONFIG, ...options };
+
+        if (store && ['get', 'set', 'delete', 'clear'].some(method => typeof store[method] !== 'function')) {
+            throw new ValidationError('Cache store must implement get, set, delete and clear', 'INVALID_OPTIONS');
+        }
+
+        this.ttl = validateTtl(ttl);
+        this.store = store || new MemoryStore({ maxEntries });
+        this.namespace = namespace;
+        // Per-table write counters, in memory only: never shared through the store
+        this.versions = new Map();
+    }
+
+    // Per-call setting: true uses the default ttl, an object may override it
+    resolveTtl(option) {
+        if (option === true) return this.ttl;
+        const unknown = Object.keys(option).filter(key => key !== 'ttl');
+        if (unknown.length > 0) {
+            throw new ValidationError(`Unknown query cache options: ${unknown.join(', ')}`, 'INVALID_OPTIONS');
+        }
+        return option.ttl === undefined ? this.ttl : validateTtl(option.ttl);
+    }
+
+    key(sql, params) {
+        const serialized = JSON.stringify([this.namespace, sql, params], (name, value) =>
+            typeof value === 'bigint' ? `${value}n` : value);
+        return createHash('sha256').update(serialized).digest('hex');
+    }
+
+    // Versions of the tables a read depends on, taken before it runs so a concurrent write invalidates it
+    versionsOf(sql) {
+        return referencedTables(sql).map(table => [table, this.versions.get(table) || 0]);
+    }
+
+    #isCurrent(versions) {
+        return versions.every(([table, version]) => (this.versions.get(table) || 0) === version);
+    }
+
+    async get(key) {
+        const entry = await this.store.get(key);
+        if (!entry) return undefined;
+
+        if (!this.#isCurrent(entry.versions)) {
+            await this.store.delete(key);
+            return undefined;
+        }
+        return copyResult(entry.result);
+    }
+
+    async set(key, result, versions, ttl = this.ttl) {
+        if (!this.#isCurrent(versions)) return;
+        await this.store.set(key, { result: copyResult(result), versions }, ttl);
+    }
+
+    // Tables changed by a statement, or an empty list for reads
+    writtenTables(sql) {
+        const writes = tokenizeStatements(sql).some(tokens => WRITE_STATEMENTS.includes(statementType(tokens)));
+        return writes ? referencedTables(sql) : [];
+    }
+
+    invalidate(tables) {
+        for (const table of tables) {
+            const name = table.toLowerCase();
+            this.versions.set(name, (this.versions.get(name) || 0) + 1);
+        }
+    }
+
+    async clear() {
+        await this.store.clear();
+    }
+}
+
+module.exports = {
+    DEFAULT_CACHE_CONFIG,
+    MemoryStore,
+    QueryCache
+};
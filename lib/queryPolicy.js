@@ -0,0 +1,82 @@
+const { tokenizeStatements, statementType } = require('./sqlLexer');
+const { ValidationError } = require('./errors');
+
+// Default policy applied by query() and multiQuery()
+const DEFAULT_POLICY = {
+    allowMultipleStatements: false,
+    allowedStatements: null,          // e.g. ['SELECT', 'INSERT']; null allows every type
+    deniedStatements: [],             // e.g. ['DROP', 'TRUNCATE', 'GRANT']
+    allowComments: true,              // Optimizer hints (/*+ ... */) are always allowed
+    allowExecutableComments: false,   // /*! ... */ comments are executed by MySQL
+    forbidLiteralsWithParams: false   // Reject string literals in queries that also take parameters
+};
+
+const POLICY_KEYS = Object.keys(DEFAULT_POLICY);
+
+function normalizeList(list) {
+    return list ? list.map(entry => String(entry).toUpperCase()) : list;
+}
+
+// Merge policy overrides onto a base policy, rejecting unknown keys
+function createPolicy(base = DEFAULT_POLICY, overrides = {}) {
+    const unknown = Object.keys(overrides).filter(key => !POLICY_KEYS.includes(key));
+    if (unknown.length > 0) {
+        throw new ValidationError(`Unknown query policy options: ${unknown.join(', ')}`, 'INVALID_OPTIONS');
+    }
+
+    const policy = { ...base, ...overrides };
+    policy.allowedStatements = normalizeList(policy.allowedStatements);
+    policy.deniedStatements = normalizeList(policy.deniedStatements) || [];
+    return policy;
+}
+
+function hasParams(params) {
+    if (Array.isArray(params)) return params.length > 0;
+    return Boolean(params) && Object.keys(params).length > 0;
+}
+
+function reject(reason) {
+    throw new ValidationError(`Potentially dangerous SQL query detected: ${reason}`, 'QUERY_POLICY_VIOLATION');
+}
+
+// Check a query against a policy, throwing on the first violation
+function enforcePolicy(sql, params, policy) {
+    const statements = tokenizeStatements(sql);
+
+    if (statements.length > 1 && !policy.allowMultipleStatements) {
+        reject('multiple statements are not allowed');
+    }
+
+    for (const tokens of statements) {
+        for (const token of tokens) {
+            if (token.unterminated) {
+                reject(`unterminated ${token.type}`);
+            }
+            if (token.type === 'comment') {
+                if (token.kind === 'executable' && !policy.allowExecutableComments) {
+                    reject('executable comments are not allowed');
+                }
+                if ((token.kind === 'line' || token.kind === 'block') && !policy.allowComments) {
+                    reject('comments are not allowed');
+                }
+            }
+            if (token.type === 'string' && policy.forbidLiteralsWithParams && hasParams(params)) {
+                reject('string literals are not allowed in parameterised queries');
+            }
+        }
+
+        const type = statementType(tokens);
+        if (policy.allowedStatements && !policy.allowedStatements.includes(type)) {
+            reject(`${type} statements are not allowed`);
+        }
+        if (policy.deniedStatements.includes(type)) {
+            reject(`${type} statements are not allowed`);
+        }
+    }
+}
+
+module.exports = {
+    DEFAULT_POLICY,
+    createPolicy,
+    enforcePolicy
+};
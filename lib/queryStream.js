@@ -0,0 +1,85 @@
+const { Readable } = require('stream');
+const { ValidationError } = require('./errors');
+
+// Object-mode stream of rows (or arrays of rows when batchSize is set) read from a driver row stream.
+// The source is opened on the first read and paused whenever the consumer stops pulling.
+class QueryStream extends Readable {
+
+    constructor({ open, batchSize = null, highWaterMark = 16, mapError = error => error }) {
+        if (batchSize !== null && (!Number.isInteger(batchSize) || batchSize < 1)) {
+            throw new ValidationError('Stream batchSize must be a positive integer');
+        }
+
+        super({ objectMode: true, highWaterMark });
+
+        this.open = open;
+        this.mapError = mapError;
+        this.batchSize = batchSize;
+        this.batch = [];
+        this.source = null;
+        this.opening = null;
+        this.rowCount = 0;
+        this.failure = null;
+    }
+
+    _read() {
+        if (this.source) {
+            this.source.resume();
+            return;
+        }
+        if (!this.opening) {
+            this.opening = this.#open();
+        }
+    }
+
+    async #open() {
+        try {
+            const source = await this.open();
+            if (this.destroyed) {
+                source.destroy();
+                return;
+            }
+            this.source = source;
+            source.on('data', row => this.#onRow(row));
+            source.on('end', () => this.#onEnd());
+            source.on('error', error => this.destroy(this.mapError(error)));
+        } catch (error) {
+            this.destroy(this.mapError(error));
+        }
+    }
+
+    #onRow(row) {
+        this.rowCount++;
+
+        if (this.batchSize === null) {
+            if (!this.push(row)) this.source.pause();
+            return;
+        }
+
+        this.batch.push(row);
+        if (this.batch.length >= this.batchSize) {
+            const batch = this.batch;
+            this.batch = [];
+            if (!this.push(batch)) this.source.pause();
+        }
+    }
+
+    #onEnd() {
+        if (this.batch.length > 0) {
+            this.push(this.batch);
+            this.batch = [];
+        }
+        this.push(null);
+    }
+
+    _destroy(error, callback) {
+        this.failure = error;
+        if (this.source) {
+            this.source.removeAllListeners('data');
+            this.source.destroy();
+        }
+        callback(error);
+    }
+}
+
+module.exports = QueryStream;
@@ -0,0 +1,149 @@
+// Helpers for keeping query parameters, and values matching redaction rules, out of logs
+
+const { placeholderColumns } = require('./sqlLexer');
+const { ValidationError } = require('./errors');
+
+const PARAM_LOG_MODES = ['none', 'count', 'types', 'full'];
+
+const REDACT_OPTIONS = ['params', 'columns', 'values', 'replacement'];
+
+const LOGGING_OPTIONS = ['params', 'sqlLength', 'sampleRate', 'redact'];
+
+function describeType(value) {
+    if (value === null) return 'null';
+    if (Buffer.isBuffer(value)) return 'buffer';
+    if (value instanceof Date) return 'date';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+// Loggable view of query parameters according to a logging mode
+function formatParams(params, mode = 'types') {
+    if (!PARAM_LOG_MODES.includes(mode)) {
+        throw new ValidationError(`Unsupported params logging mode: ${mode}`, 'INVALID_OPTIONS');
+    }
+
+    const values = Array.isArray(params) ? params : Object.values(params || {});
+
+    switch (mode) {
+        case 'none':
+            return undefined;
+        case 'count':
+            return values.length;
+        case 'types':
+            return Array.isArray(params)
+                ? params.map(describeType)
+                : Object.fromEntries(Object.entries(params || {}).map(([key, value]) => [key, describeType(value)]));
+        default:
+            return params;
+    }
+}
+
+function matchesPattern(pattern, text) {
+    return pattern instanceof RegExp ? pattern.test(text) : pattern.toLowerCase() === text.toLowerCase();
+}
+
+// Replaces parameter values picked by position or name, by the column they are bound to, or by
+// a pattern on the value itself
+class Redactor {
+
+    constructor(options = {}) {
+        const unknown = Object.keys(options).filter(key => !REDACT_OPTIONS.includes(key));
+        if (unknown.length > 0) {
+            throw new ValidationError(`Unknown redact options: ${unknown.join(', ')}`, 'INVALID_OPTIONS');
+        }
+
+        const { params = [], columns = [], values = [], replacement = '[REDACTED]' } = options;
+        if (!params.every(entry => Number.isInteger(entry) || typeof entry === 'string')) {
+            throw new ValidationError('redact.params must list parameter positions or names', 'INVALID_OPTIONS');
+        }
+        if (!columns.every(entry => entry instanceof RegExp || typeof entry === 'string')) {
+            throw new ValidationError('redact.columns must list column names or regular expressions', 'INVALID_OPTIONS');
+        }
+        if (!values.every(entry => entry instanceof RegExp)) {
+            throw new ValidationError('redact.values must list regular expressions', 'INVALID_OPTIONS');
+        }
+
+        this.params = params;
+        this.columns = columns;
+        this.values = values;
+        this.replacement = replacement;
+    }
+
+    get enabled() {
+        return this.params.length > 0 || this.columns.length > 0 || this.values.length > 0;
+    }
+
+    // names[i] is the :name or the caller's positional index a compiled parameter came from
+    redactParams(sql, params, names = null) {
+        if (!this.enabled || !Array.isArray(params)) return params;
+
+        const columns = this.columns.length > 0 && typeof sql === 'string' ? placeholderColumns(sql) : [];
+        return params.map((value, index) => {
+            const source = names && names.length === params.length ? names[index] : index;
+            const column = columns[index];
+            const redacted = this.params.includes(source)
+                || (column && this.columns.some(pattern => matchesPattern(pattern, column)))
+                || (typeof value === 'string' && this.values.some(pattern => {
+                    pattern.lastIndex = 0;
+                    return pattern.test(value);
+                }));
+            return redacted ? this.replacement : value;
+        });
+    }
+
+    // formatParams() with the rules applied first; only the full mode shows values
+    format(sql, params, mode, names) {
+        return formatParams(mode === 'full' ? this.redactParams(sql, params, names) : params, mode);
+    }
+}
+
+// Resolved `logging` constructor option
+function createLoggingConfig(options = {}) {
+    const unknown = Object.keys(options).filter(key => !LOGGING_OPTIONS.includes(key));
+    if (unknown.length > 0) {
+        throw new ValidationError(`Unknown logging options: ${unknown.join(', ')}`, 'INVALID_OPTIONS');
+    }
+
+    const { params = 'types', sqlLength = 100, sampleRate = 1, redact = {} } = options;
+    if (!PARAM_LOG_MODES.includes(params)) {
+        throw new ValidationError(`logging.params must be one of: ${PARAM_LOG_MODES.join(', ')}`, 'INVALID_OPTIONS');
+    }
+    if (sqlLength !== null && (!Number.isInteger(sqlLength) || sqlLength <= 0)) {
+        throw new ValidationError('logging.sqlLength must be a positive integer or null', 'INVALID_OPTIONS');
+    }
+    if (typeof sampleRate !== 'number' || sampleRate < 0 || sampleRate > 1) {
+        throw new ValidationError('logging.sampleRate must be between 0 and 1', 'INVALID_OPTIONS');
+    }
+
+    return { params, sqlLength, sampleRate, redactor: new Redactor(redact) };
+}
+
+// Statement shortened to sqlLength characters; null keeps it whole
+function truncateSql(sql, length) {
+    if (typeof sql !== 'string' || length === null || sql.length <= length) return sql;
+    return `${sql.substring(0, length)}...`;
+}
+
+// Loggable summary of an error: our errors carry a fingerprint instead of the statement, and
+// driver errors lose `sql`, which mysql2 fills with the statement and its values inlined
+function serializeError(error) {
+    if (!error || typeof error !== 'object') return error;
+    if (typeof error.toJSON === 'function') return error.toJSON();
+    return {
+        name: error.name,
+        message: error.message,
+        code: error.code,
+        errno: error.errno,
+        sqlState: error.sqlState
+    };
+}
+
+module.exports = {
+    PARAM_LOG_MODES,
+    formatParams,
+    Redactor,
+    createLoggingConfig,
+    truncateSql,
+    serializeError
+};
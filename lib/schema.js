@@ -0,0 +1,527 @@
+// Live schema of the connection's database read from INFORMATION_SCHEMA, and a diff against a
+// declarative definition producing the DDL that reconciles the two. Every lookup runs through
+// db.query(), so it works inside transactions and on tenant handles.
+
+const { escapeId, isPlainObject } = require('./params');
+const { Raw } = require('./queryBuilder');
+const { ValidationError } = require('./errors');
+
+const TABLE_OPTIONS = ['columns', 'primaryKey', 'indexes', 'foreignKeys', 'engine', 'charset', 'collation', 'comment'];
+const COLUMN_OPTIONS = ['type', 'nullable', 'default', 'autoIncrement', 'onUpdate', 'comment'];
+const INDEX_OPTIONS = ['columns', 'unique', 'type'];
+const FOREIGN_KEY_OPTIONS = ['columns', 'references', 'onDelete', 'onUpdate'];
+const INDEX_TYPES = ['FULLTEXT', 'SPATIAL'];
+const REFERENTIAL_ACTIONS = ['RESTRICT', 'CASCADE', 'SET NULL', 'NO ACTION', 'SET DEFAULT'];
+
+// A replica may not have applied the latest DDL yet
+const READ_OPTIONS = { usePrimary: true };
+
+function groupBy(rows, key) {
+    const groups = new Map();
+    for (const row of rows) {
+        if (!groups.has(row[key])) groups.set(row[key], []);
+        groups.get(row[key]).push(row);
+    }
+    return groups;
+}
+
+function quote(value) {
+    return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "''")}'`;
+}
+
+function assertKnown(object, known, label) {
+    const unknown = Object.keys(object).filter(key => !known.includes(key));
+    if (unknown.length > 0) {
+        throw new ValidationError(`Unknown ${label} options: ${unknown.join(', ')}`, 'INVALID_OPTIONS');
+    }
+}
+
+const toList = value => (Array.isArray(value) ? value : [value]);
+
+// Column types as the server reports them: lowercase, no integer display widths (except the
+// tinyint(1) used for booleans), no spaces after commas
+function normalizeType(type) {
+    const normalized = String(type)
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .replace(/,\s+/g, ',')
+        .replace(/ zerofill/, '')
+        .trim()
+        .replace(/^integer\b/, 'int')
+        .replace(/^bool(ean)?$/, 'tinyint(1)');
+    return normalized.startsWith('tinyint(1)')
+        ? normalized
+        : normalized.replace(/^(tinyint|smallint|mediumint|int|bigint)\(\d+\)/, '$1');
+}
+
+// CURRENT_TIMESTAMP, CURRENT_TIMESTAMP() and now() are the same default
+function normalizeExpression(sql) {
+    return String(sql).trim().toUpperCase().replace(/^(CURRENT_TIMESTAMP|NOW)(\(\))?$/, 'CURRENT_TIMESTAMP');
+}
+
+function normalizeAction(action) {
+    const upper = String(action || 'RESTRICT').toUpperCase();
+    return upper === 'NO ACTION' ? 'RESTRICT' : upper;
+}
+
+// Declared default as the server shows it in COLUMN_DEFAULT
+function expectedDefault(column) {
+    const value = column.default;
+    if (value === undefined || value === null) return null;
+    if (value instanceof Raw) return normalizeExpression(value.sql);
+    if (typeof value === 'boolean') return value ? '1' : '0';
+    return String(value);
+}
+
+function liveDefault(column) {
+    if (column.default === null) return null;
+    // MariaDB reports string literals quoted
+    const value = /^'.*'$/s.test(column.default) ? column.default.slice(1, -1).replace(/''/g, "'") : column.default;
+    return /^(current_timestamp|now)/i.test(value) ? normalizeExpression(value) : value;
+}
+
+function sameDefault(live, expected) {
+    const [a, b] = [liveDefault(live), expectedDefault(expected)];
+    if (a === null || b === null) return a === b;
+    return a === b || (a.trim() !== '' && b.trim() !== '' && Number(a) === Number(b));
+}
+
+function normalizeColumn(name, definition) {
+    const column = typeof definition === 'string' ? { type: definition } : definition;
+    if (!isPlainObject(column) || typeof column.type !== 'string' || column.type.trim() === '') {
+        throw new ValidationError(`Column ${name} must be a type string or { type, ... }`, 'INVALID_OPTIONS');
+    }
+    assertKnown(column, COLUMN_OPTIONS, `column ${name}`);
+    return { nullable: false, autoIncrement: false, ...column, name };
+}
+
+function normalizeIndex(name, definition) {
+    const index = Array.isArray(definition) || typeof definition === 'string' ? { columns: definition } : definition;
+    if (!isPlainObject(index) || index.columns === undefined) {
+        throw new ValidationError(`Index ${name} must be a column list or { columns, unique, type }`, 'INVALID_OPTIONS');
+    }
+    assertKnown(index, INDEX_OPTIONS, `index ${name}`);
+    const type = index.type ? String(index.type).toUpperCase() : null;
+    if (type && !INDEX_TYPES.includes(type)) {
+        throw new ValidationError(`Index ${name} type must be one of: ${INDEX_TYPES.join(', ')}`, 'INVALID_OPTIONS');
+    }
+    return { name, columns: toList(index.columns), unique: Boolean(index.unique), type };
+}
+
+function normalizeForeignKey(name, definition) {
+    if (!isPlainObject(definition) || definition.columns === undefined || !definition.references) {
+        throw new ValidationError(`Foreign key ${name} must be { columns, references }`, 'INVALID_OPTIONS');
+    }
+    assertKnown(definition, FOREIGN_KEY_OPTIONS, `foreign key ${name}`);
+
+    // 'table.column' or { table, columns }
+    let { references } = definition;
+    if (typeof references === 'string') {
+        const dot = references.lastIndexOf('.');
+        references = { table: references.slice(0, dot), columns: references.slice(dot + 1) };
+    }
+    if (!references.table || !references.columns) {
+        throw new ValidationError(`Foreign key ${name} must reference 'table.column' or { table, columns }`, 'INVALID_OPTIONS');
+    }
+
+    for (const action of [definition.onDelete, definition.onUpdate]) {
+        if (action !== undefined && !REFERENTIAL_ACTIONS.includes(String(action).toUpperCase())) {
+            throw new ValidationError(`Foreign key ${name} actions must be one of: ${REFERENTIAL_ACTIONS.join(', ')}`, 'INVALID_OPTIONS');
+        }
+    }
+
+    return {
+        name,
+        columns: toList(definition.columns),
+        referencedTable: references.table,
+        referencedColumns: toList(references.columns),
+        onDelete: normalizeAction(definition.onDelete),
+        onUpdate: normalizeAction(definition.onUpdate)
+    };
+}
+
+// Declarative schema with shorthands expanded: { table: { columns, primaryKey, indexes, foreignKeys } }
+function normalizeSchema(schema) {
+    if (!isPlainObject(schema)) {
+        throw new ValidationError('Schema must be an object keyed by table name', 'INVALID_OPTIONS');
+    }
+
+    return Object.entries(schema).map(([name, table]) => {
+        if (!isPlainObject(table) || !isPlainObject(table.columns) || Object.keys(table.columns).length === 0) {
+            throw new ValidationError(`Table ${name} must define its columns`, 'INVALID_OPTIONS');
+        }
+        assertKnown(table, TABLE_OPTIONS, `table ${name}`);
+
+        const columns = Object.entries(table.columns).map(([column, definition]) => normalizeColumn(column, definition));
+        const primaryKey = table.primaryKey ? toList(table.primaryKey) : [];
+        for (const column of primaryKey) {
+            if (!table.columns[column]) {
+                throw new ValidationError(`Primary key column ${column} is not a column of ${name}`, 'INVALID_OPTIONS');
+            }
+        }
+
+        return {
+            name,
+            columns,
+            primaryKey,
+            indexes: Object.entries(table.indexes || {}).map(([index, definition]) => normalizeIndex(index, definition)),
+            foreignKeys: Object.entries(table.foreignKeys || {}).map(([key, definition]) => normalizeForeignKey(key, definition)),
+            options: { engine: table.engine, charset: table.charset, collation: table.collation, comment: table.comment }
+        };
+    });
+}
+
+function columnDefinition(column) {
+    let sql = `${escapeId(column.name)} ${column.type} ${column.nullable ? 'NULL' : 'NOT NULL'}`;
+    if (column.default !== undefined && !(column.default === null && !column.nullable)) {
+        const value = column.default;
+        sql += ' DEFAULT ' + (value === null ? 'NULL'
+            : value instanceof Raw ? value.sql
+                : typeof value === 'number' ? String(value)
+                    : typeof value === 'boolean' ? (value ? '1' : '0')
+                        : quote(value));
+    }
+    if (column.onUpdate) sql += ` ON UPDATE ${column.onUpdate instanceof Raw ? column.onUpdate.sql : column.onUpdate}`;
+    if (column.autoIncrement) sql += ' AUTO_INCREMENT';
+    if (column.comment !== undefined) sql += ` COMMENT ${quote(column.comment)}`;
+    return sql;
+}
+
+// Index columns may carry a prefix length: 'title(20)'
+function indexColumns(columns) {
+    return columns.map((column) => {
+        const match = /^(.+)\((\d+)\)$/.exec(column);
+        return match ? `${escapeId(match[1])}(${match[2]})` : escapeId(column);
+    }).join(', ');
+}
+
+function indexDefinition(index) {
+    const kind = index.type ? `${index.type} INDEX` : index.unique ? 'UNIQUE INDEX' : 'INDEX';
+    return `${kind} ${escapeId(index.name)} (${indexColumns(index.columns)})`;
+}
+
+function foreignKeyDefinition(key) {
+    return `CONSTRAINT ${escapeId(key.name)} FOREIGN KEY (${escapeId(key.columns)}) `
+        + `REFERENCES ${escapeId(key.referencedTable)} (${escapeId(key.referencedColumns)}) `
+        + `ON DELETE ${key.onDelete} ON UPDATE ${key.onUpdate}`;
+}
+
+function createTable(table) {
+    const lines = table.columns.map(columnDefinition);
+    if (table.primaryKey.length > 0) lines.push(`PRIMARY KEY (${escapeId(table.primaryKey)})`);
+    lines.push(...table.indexes.map(indexDefinition));
+
+    const { engine, charset, collation, comment } = table.options;
+    const options = [
+        engine && `ENGINE=${engine}`,
+        charset && `DEFAULT CHARSET=${charset}`,
+        collation && `COLLATE=${collation}`,
+        comment !== undefined && `COMMENT=${quote(comment)}`
+    ].filter(Boolean);
+
+    return `CREATE TABLE ${escapeId(table.name)} (\n  ${lines.join(',\n  ')}\n)${options.length ? ' ' + options.join(' ') : ''}`;
+}
+
+const sameList = (a, b) => a.length === b.length && a.every((value, i) => String(value).toLowerCase() === String(b[i]).toLowerCase());
+
+function columnChanged(live, expected) {
+    return normalizeType(live.columnType) !== normalizeType(expected.type)
+        || live.nullable !== expected.nullable
+        || live.autoIncrement !== expected.autoIncrement
+        || !sameDefault(live, expected)
+        || Boolean(live.onUpdate) !== Boolean(expected.onUpdate)
+        || (expected.comment !== undefined && live.comment !== expected.comment);
+}
+
+function indexChanged(live, expected) {
+    const liveType = INDEX_TYPES.includes(live.type) ? live.type : null;
+    return !sameList(live.columns, expected.columns) || live.unique !== expected.unique || liveType !== expected.type;
+}
+
+function foreignKeyChanged(live, expected) {
+    return !sameList(live.columns, expected.columns)
+        || live.referencedTable !== expected.referencedTable
+        || !sameList(live.referencedColumns, expected.referencedColumns)
+        || normalizeAction(live.onDelete) !== expected.onDelete
+        || normalizeAction(live.onUpdate) !== expected.onUpdate;
+}
+
+// Ordered changes turning the live schema (from Schema#describe()) into the declared one. Foreign
+// keys are dropped first and added last, so statements never reference a missing table, column or
+// index. Tables, columns, indexes and foreign keys missing from the declaration are only dropped
+// with `drop: true`; tables listed in `ignore` (the migrator's table by default) never are.
+function diffSchema(live, schema, { drop = false, ignore = ['migrations'] } = {}) {
+    const expected = normalizeSchema(schema);
+    const changes = [];
+    const foreignKeys = [];
+    const add = (type, table, name, sql) => changes.push({ type, table, name, sql });
+
+    for (const table of expected) {
+        const current = live[table.name];
+        const alter = `ALTER TABLE ${escapeId(table.name)}`;
+
+        if (!current) {
+            add('createTable', table.name, table.name, createTable(table));
+            foreignKeys.push(...table.foreignKeys.map(key => [table, key]));
+            continue;
+        }
+
+        // Foreign keys that changed or are no longer declared
+        const declaredKeys = new Map(table.foreignKeys.map(key => [key.name, key]));
+        for (const key of current.foreignKeys) {
+            const declared = declaredKeys.get(key.name);
+            if (declared ? foreignKeyChanged(key, declared) : drop) {
+                add('dropForeignKey', table.name, key.name, `${alter} DROP FOREIGN KEY ${escapeId(key.name)}`);
+            }
+        }
+        const liveKeys = new Map(current.foreignKeys.map(key => [key.name, key]));
+        foreignKeys.push(...table.foreignKeys
+            .filter(key => !liveKeys.has(key.name) || foreignKeyChanged(liveKeys.get(key.name), key))
+            .map(key => [table, key]));
+
+        // Indexes that changed or are no longer declared; the server creates an index per foreign key
+        // when none fits, those are left alone
+        const declaredIndexes = new Map(table.indexes.map(index => [index.name, index]));
+        const liveIndexes = current.indexes.filter(index => !index.primary);
+        for (const index of liveIndexes) {
+            const declared = declaredIndexes.get(index.name);
+            const implicit = !declared && liveKeys.has(index.name);
+            if (declared ? indexChanged(index, declared) : drop && !implicit) {
+                add('dropIndex', table.name, index.name, `${alter} DROP INDEX ${escapeId(index.name)}`);
+            }
+        }
+
+        const livePrimary = current.indexes.find(index => index.primary);
+        const primaryChanged = !sameList(livePrimary ? livePrimary.columns : [], table.primaryKey);
+        if (primaryChanged && livePrimary) {
+            add('dropPrimaryKey', table.name, 'PRIMARY', `${alter} DROP PRIMARY KEY`);
+        }
+
+        // New columns keep their declared position
+        const liveColumns = new Map(current.columns.map(column => [column.name, column]));
+        table.columns.forEach((column, i) => {
+            const existing = liveColumns.get(column.name);
+            if (!existing) {
+                const position = i === 0 ? ' FIRST' : ` AFTER ${escapeId(table.columns[i - 1].name)}`;
+                add('addColumn', table.name, column.name, `${alter} ADD COLUMN ${columnDefinition(column)}${position}`);
+            } else if (columnChanged(existing, column)) {
+                add('modifyColumn', table.name, column.name, `${alter} MODIFY COLUMN ${columnDefinition(column)}`);
+            }
+        });
+        if (drop) {
+            const declaredColumns = new Set(table.columns.map(column => column.name));
+            for (const column of current.columns.filter(column => !declaredColumns.has(column.name))) {
+                add('dropColumn', table.name, column.name, `${alter} DROP COLUMN ${escapeId(column.name)}`);
+            }
+        }
+
+        if (primaryChanged && table.primaryKey.length > 0) {
+            add('addPrimaryKey', table.name, 'PRIMARY', `${alter} ADD PRIMARY KEY (${escapeId(table.primaryKey)})`);
+        }
+
+        const indexesByName = new Map(liveIndexes.map(index => [index.name, index]));
+        for (const index of table.indexes) {
+            const existing = indexesByName.get(index.name);
+            if (!existing || indexChanged(existing, index)) {
+                add('addIndex', table.name, index.name, `${alter} ADD ${indexDefinition(index)}`);
+            }
+        }
+    }
+
+    for (const [table, key] of foreignKeys) {
+        add('addForeignKey', table.name, key.name, `ALTER TABLE ${escapeId(table.name)} ADD ${foreignKeyDefinition(key)}`);
+    }
+
+    if (drop) {
+        const kept = new Set([...expected.map(table => table.name), ...ignore]);
+        for (const name of Object.keys(live).filter(name => !kept.has(name))) {
+            add('dropTable', name, name, `DROP TABLE ${escapeId(name)}`);
+        }
+    }
+
+    const statements = changes.map(change => change.sql);
+    return {
+        changes,
+        statements,
+        // One script, e.g. the up section of a migration file
+        sql: statements.map(statement => `${statement};`).join('\n')
+    };
+}
+
+class Schema {
+
+    constructor(db) {
+        this.db = db;
+    }
+
+    // Base tables of the current database
+    async tables() {
+        const [rows] = await this.db.query(
+            `SELECT TABLE_NAME AS name, ENGINE AS engine, TABLE_COLLATION AS collation,
+                    TABLE_COMMENT AS comment, TABLE_ROWS AS \`rows\`
+             FROM INFORMATION_SCHEMA.TABLES
+             WHERE TABLE_SCHEMA = DATABASE() AND TABLE_TYPE = 'BASE TABLE'
+             ORDER BY TABLE_NAME`,
+            [],
+            READ_OPTIONS
+        );
+        return rows.map(row => ({
+            name: row.name,
+            engine: row.engine,
+            collation: row.collation,
+            comment: row.comment || '',
+            rows: row.rows === null ? null : Number(row.rows)
+        }));
+    }
+
+    // The lookups below return an empty list for a table that does not exist
+    async columns(table) {
+        return (await this.#columns(table)).get(table) || [];
+    }
+
+    async indexes(table) {
+        return (await this.#indexes(table)).get(table) || [];
+    }
+
+    async foreignKeys(table) {
+        return (await this.#foreignKeys(table)).get(table) || [];
+    }
+
+    // Every table with its columns, indexes and foreign keys, keyed by table name
+    async describe() {
+        const [tables, columns, indexes, foreignKeys] = await Promise.all([
+            this.tables(),
+            this.#columns(),
+            this.#indexes(),
+            this.#foreignKeys()
+        ]);
+
+        return Object.fromEntries(tables.map(table => [table.name, {
+            ...table,
+            columns: columns.get(table.name) || [],
+            indexes: indexes.get(table.name) || [],
+            foreignKeys: foreignKeys.get(table.name) || []
+        }]));
+    }
+
+    // Changes reconciling the live schema with a declarative definition, see diffSchema()
+    async diff(schema, options = {}) {
+        // Validate before reading INFORMATION_SCHEMA
+        normalizeSchema(schema);
+        const { migrationConfig } = this.db;
+        const ignore = options.ignore || [migrationConfig ? migrationConfig.tableName : 'migrations'];
+        return diffSchema(await this.describe(), schema, { ...options, ignore });
+    }
+
+    // Rows for one table or the whole database, grouped by table name
+    async #select(sql, table, alias = '') {
+        const [rows] = await this.db.query(
+            sql.replace('%TABLE%', table === undefined ? '' : `AND ${alias}TABLE_NAME = ?`),
+            table === undefined ? [] : [table],
+            READ_OPTIONS
+        );
+        return groupBy(rows, 'tableName');
+    }
+
+    async #columns(table) {
+        const groups = await this.#select(
+            `SELECT TABLE_NAME AS tableName, COLUMN_NAME AS name, ORDINAL_POSITION AS position,
+                    DATA_TYPE AS dataType, COLUMN_TYPE AS columnType, IS_NULLABLE AS nullable,
+                    COLUMN_DEFAULT AS \`default\`, COLUMN_KEY AS columnKey, EXTRA AS extra,
+                    CHARACTER_MAXIMUM_LENGTH AS length, NUMERIC_PRECISION AS \`precision\`, NUMERIC_SCALE AS scale,
+                    CHARACTER_SET_NAME AS charset, COLLATION_NAME AS collation, COLUMN_COMMENT AS comment
+             FROM INFORMATION_SCHEMA.COLUMNS
+             WHERE TABLE_SCHEMA = DATABASE() %TABLE%
+             ORDER BY TABLE_NAME, ORDINAL_POSITION`,
+            table
+        );
+
+        const number = value => (value === null || value === undefined ? null : Number(value));
+        const result = new Map();
+        for (const [tableName, rows] of groups) {
+            result.set(tableName, rows.map((row) => {
+                const extra = String(row.extra || '').toLowerCase();
+                const columnType = String(row.columnType).toLowerCase();
+                return {
+                    name: row.name,
+                    position: Number(row.position),
+                    type: String(row.dataType).toLowerCase(),
+                    columnType,
+                    nullable: row.nullable === 'YES',
+                    default: row.default === undefined ? null : row.default,
+                    primary: row.columnKey === 'PRI',
+                    autoIncrement: extra.includes('auto_increment'),
+                    unsigned: columnType.includes('unsigned'),
+                    onUpdate: extra.includes('on update') ? normalizeExpression(extra.split('on update ')[1]) : null,
+                    generated: /virtual generated|stored generated/.test(extra),
+                    length: number(row.length),
+                    precision: number(row.precision),
+                    scale: number(row.scale),
+                    charset: row.charset || null,
+                    collation: row.collation || null,
+                    comment: row.comment || ''
+                };
+            }));
+        }
+        return result;
+    }
+
+    async #indexes(table) {
+        const groups = await this.#select(
+            `SELECT TABLE_NAME AS tableName, INDEX_NAME AS name, COLUMN_NAME AS \`column\`, SUB_PART AS subPart,
+                    NON_UNIQUE AS nonUnique, INDEX_TYPE AS type
+             FROM INFORMATION_SCHEMA.STATISTICS
+             WHERE TABLE_SCHEMA = DATABASE() %TABLE%
+             ORDER BY TABLE_NAME, INDEX_NAME = 'PRIMARY' DESC, INDEX_NAME, SEQ_IN_INDEX`,
+            table
+        );
+
+        const result = new Map();
+        for (const [tableName, rows] of groups) {
+            result.set(tableName, [...groupBy(rows, 'name')].map(([name, parts]) => ({
+                name,
+                // Prefix lengths as 'column(length)'; functional key parts have no column
+                columns: parts.map(part => (part.subPart ? `${part.column}(${part.subPart})` : part.column)),
+                unique: Number(parts[0].nonUnique) === 0,
+                primary: name === 'PRIMARY',
+                type: parts[0].type
+            })));
+        }
+        return result;
+    }
+
+    async #foreignKeys(table) {
+        const groups = await this.#select(
+            `SELECT k.TABLE_NAME AS tableName, k.CONSTRAINT_NAME AS name, k.COLUMN_NAME AS \`column\`,
+                    k.REFERENCED_TABLE_NAME AS referencedTable, k.REFERENCED_COLUMN_NAME AS referencedColumn,
+                    r.UPDATE_RULE AS onUpdate, r.DELETE_RULE AS onDelete
+             FROM INFORMATION_SCHEMA.KEY_COLUMN_USAGE k
+             JOIN INFORMATION_SCHEMA.REFERENTIAL_CONSTRAINTS r
+               ON r.CONSTRAINT_SCHEMA = k.CONSTRAINT_SCHEMA AND r.CONSTRAINT_NAME = k.CONSTRAINT_NAME
+              AND r.TABLE_NAME = k.TABLE_NAME
+             WHERE k.TABLE_SCHEMA = DATABASE() AND k.REFERENCED_TABLE_NAME IS NOT NULL %TABLE%
+             ORDER BY k.TABLE_NAME, k.CONSTRAINT_NAME, k.ORDINAL_POSITION`,
+            table,
+            'k.'
+        );
+
+        const result = new Map();
+        for (const [tableName, rows] of groups) {
+            result.set(tableName, [...groupBy(rows, 'name')].map(([name, parts]) => ({
+                name,
+                columns: parts.map(part => part.column),
+                referencedTable: parts[0].referencedTable,
+                referencedColumns: parts.map(part => part.referencedColumn),
+                onUpdate: parts[0].onUpdate,
+                onDelete: parts[0].onDelete
+            })));
+        }
+        return result;
+    }
+}
+
+module.exports = {
+    Schema,
+    diffSchema,
+    normalizeType
+};
@@ -0,0 +1,50 @@
+// Session setup for every new pool connection: a list of statements (SET time_zone, SET NAMES...)
+// followed by an optional onConnect hook. Both run from the pool's `connection` event, which fires
+// before mysql2 hands the connection out; the caller has to wait for the returned promise before
+// using the connection.
+
+const { ValidationError } = require('./errors');
+
+function normalizeStatement(statement, index) {
+    if (typeof statement === 'string' && statement.trim() !== '') {
+        return { sql: statement, params: [] };
+    }
+    if (statement && typeof statement.sql === 'string' && statement.sql.trim() !== '') {
+        return { sql: statement.sql, params: statement.params || [] };
+    }
+    throw new ValidationError(`session[${index}] must be an SQL string or { sql, params }`, 'INVALID_OPTIONS');
+}
+
+// Returns null when there is nothing to run on new connections
+function createSessionConfig(session = [], onConnect = null) {
+    if (!Array.isArray(session)) {
+        throw new ValidationError('session must be an array of statements', 'INVALID_OPTIONS');
+    }
+    if (onConnect !== null && typeof onConnect !== 'function') {
+        throw new ValidationError('onConnect must be a function', 'INVALID_OPTIONS');
+    }
+
+    const statements = session.map(normalizeStatement);
+    if (statements.length === 0 && !onConnect) return null;
+    return { statements, onConnect };
+}
+
+// Queue the statements, then call the hook with the promise API of the connection. Settles once
+// all of them have finished.
+function initializeConnection(connection, { statements, onConnect }) {
+    const pending = statements.map(({ sql, params }) => new Promise((resolve, reject) => {
+        connection.query(sql, params, error => (error ? reject(error) : resolve()));
+    }));
+
+    if (onConnect) {
+        const promiseConnection = typeof connection.promise === 'function' ? connection.promise() : connection;
+        pending.push((async () => onConnect(promiseConnection))());
+    }
+
+    return Promise.all(pending);
+}
+
+module.exports = {
+    createSessionConfig,
+    initializeConnection
+};
@@ -0,0 +1,93 @@
+// Process signal handling shared by every MySQLMate instance: one listener per signal,
+// installed while at least one instance wants it and removed when the last one closes.
+
+const { ValidationError } = require('./errors');
+
+const DEFAULT_SIGNAL_CONFIG = {
+    signals: ['SIGTERM', 'SIGINT', 'SIGHUP'],
+    timeout: 10000,         // Passed to gracefulShutdown()
+    exit: false,            // Call process.exit() once every instance has shut down
+    exitCode: 0
+};
+
+const SIGNAL_OPTIONS = Object.keys(DEFAULT_SIGNAL_CONFIG);
+
+const registrations = new Map();
+const listeners = new Map();
+
+// Normalise the processSignals constructor option; false disables signal handling
+function createSignalConfig(option = true) {
+    if (option === false) return null;
+    if (option === true) return { ...DEFAULT_SIGNAL_CONFIG };
+
+    const unknown = Object.keys(option).filter(key => !SIGNAL_OPTIONS.includes(key));
+    if (unknown.length > 0) {
+        throw new ValidationError(`Unknown processSignals options: ${unknown.join(', ')}`, 'INVALID_OPTIONS');
+    }
+
+    const config = { ...DEFAULT_SIGNAL_CONFIG, ...option };
+    if (!Array.isArray(config.signals)) {
+        throw new ValidationError('processSignals.signals must be an array of signal names', 'INVALID_OPTIONS');
+    }
+    return config;
+}
+
+async function handleSignal(signal) {
+    const targets = [...registrations].filter(([, config]) => config.signals.includes(signal));
+
+    await Promise.all(targets.map(async ([instance, config]) => {
+        try {
+            await instance.gracefulShutdown(config.timeout, { signal });
+        } catch (error) {
+            instance.logger.error({
+                signal,
+                error: error.message
+            }, 'Graceful shutdown after signal failed');
+        }
+    }));
+
+    const exiting = targets.find(([, config]) => config.exit);
+    if (exiting) {
+        process.exit(exiting[1].exitCode);
+    }
+}
+
+// Add or remove process listeners so exactly the signals some instance asked for are handled
+function syncListeners() {
+    const wanted = new Set([...registrations.values()].flatMap(config => config.signals));
+
+    for (const signal of wanted) {
+        if (!listeners.has(signal)) {
+            const listener = () => {
+                handleSignal(signal);
+            };
+            listeners.set(signal, listener);
+            process.on(signal, listener);
+        }
+    }
+
+    for (const [signal, listener] of listeners) {
+        if (!wanted.has(signal)) {
+            process.removeListener(signal, listener);
+            listeners.delete(signal);
+        }
+    }
+}
+
+function register(instance, config) {
+    registrations.set(instance, config);
+    syncListeners();
+}
+
+function unregister(instance) {
+    if (registrations.delete(instance)) {
+        syncListeners();
+    }
+}
+
+module.exports = {
+    DEFAULT_SIGNAL_CONFIG,
+    createSignalConfig,
+    register,
+    unregister
+};
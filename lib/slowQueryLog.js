@@ -0,0 +1,146 @@
+const path = require('path');
+const { fingerprint, statementType } = require('./sqlLexer');
+const { formatParams, Redactor } = require('./redact');
+
+const INTERNAL_PATHS = [
+    path.resolve(__dirname, '..', 'index.js'),
+    `${__dirname}${path.sep}`
+];
+
+// Stack frames of the code that called into MySQLMate, without library internals
+function callerFrames(stackHolder, depth) {
+    if (!stackHolder || !stackHolder.stack) return [];
+
+    return stackHolder.stack
+        .split('\n')
+        .slice(1)
+        .map(line => line.trim())
+        .filter(line => !INTERNAL_PATHS.some(internal => line.includes(internal)))
+        .filter(line => !line.includes('node:internal') && !line.includes('(internal/'))
+        .slice(0, depth);
+}
+
+// Keeps the N slowest query fingerprints and logs queries over a duration threshold
+class SlowQueryLog {
+
+    constructor(options = {}, { logger, explain, emit, redactor = new Redactor() }) {
+        const {
+            threshold = 1000,
+            explain: explainEnabled = false,
+            topN = 20,
+            params = 'types',
+            stackDepth = 10
+        } = options;
+
+        // Fail on an unsupported params mode at construction rather than on the first slow query
+        formatParams([], params);
+
+        this.threshold = threshold;
+        this.explainEnabled = explainEnabled;
+        this.topN = topN;
+        this.paramsMode = params;
+        this.stackDepth = stackDepth;
+        this.logger = logger;
+        this.explain = explain;
+        this.emit = emit;
+        this.redactor = redactor;
+        this.entries = new Map();
+    }
+
+    // Capture the call site cheaply; V8 formats the stack only when it is read
+    captureStack(constructorOpt) {
+        const holder = {};
+        Error.captureStackTrace(holder, constructorOpt);
+        return holder;
+    }
+
+    isSlow(duration) {
+        return duration >= this.threshold;
+    }
+
+    async record({ sql, params, names, duration, pool, stack }) {
+        const entry = {
+            fingerprint: fingerprint(sql),
+            sql,
+            params: this.redactor.format(sql, params, this.paramsMode, names),
+            duration,
+            pool: pool ? pool.name : undefined,
+            stack: callerFrames(stack, this.stackDepth),
+            timestamp: new Date().toISOString(),
+            plan: undefined
+        };
+
+        if (this.explainEnabled && statementType(sql) === 'SELECT' && this.explain) {
+            try {
+                entry.plan = await this.explain(sql, params, pool);
+            } catch (error) {
+                entry.planError = error.message;
+            }
+        }
+
+        this.#track(entry);
+
+        this.logger.warn({
+            fingerprint: entry.fingerprint,
+            duration: `${duration}ms`,
+            threshold: `${this.threshold}ms`,
+            params: entry.params,
+            pool: entry.pool,
+            stack: entry.stack,
+            plan: entry.plan
+        }, 'Slow query detected');
+
+        this.emit('slowQuery', entry);
+        return entry;
+    }
+
+    // Aggregate per fingerprint; when full, a new fingerprint replaces the fastest one if slower
+    #track(entry) {
+        const existing = this.entries.get(entry.fingerprint);
+
+        if (existing) {
+            existing.count++;
+            existing.totalDuration += entry.duration;
+            existing.lastSeen = entry.timestamp;
+            if (entry.duration >= existing.maxDuration) {
+                existing.maxDuration = entry.duration;
+                existing.sample = entry;
+            }
+            return;
+        }
+
+        if (this.entries.size >= this.topN) {
+            let fastest = null;
+            for (const candidate of this.entries.values()) {
+                if (!fastest || candidate.maxDuration < fastest.maxDuration) fastest = candidate;
+            }
+            if (fastest.maxDuration >= entry.duration) return;
+            this.entries.delete(fastest.fingerprint);
+        }
+
+        this.entries.set(entry.fingerprint, {
+            fingerprint: entry.fingerprint,
+            count: 1,
+            totalDuration: entry.duration,
+            maxDuration: entry.duration,
+            firstSeen: entry.timestamp,
+            lastSeen: entry.timestamp,
+            sample: entry
+        });
+    }
+
+    // Slowest fingerprints first
+    list({ limit = this.topN } = {}) {
+        return [...this.entries.values()]
+            .sort((a, b) => b.maxDuration - a.maxDuration)
+            .slice(0, limit)
+            .map(entry => ({ ...entry, avgDuration: entry.totalDuration / entry.count }));
+    }
+
+    reset() {
+        this.entries.clear();
+    }
+}
+
+module.exports = SlowQueryLog;
+module.exports.callerFrames = callerFrames;
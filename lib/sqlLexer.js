@@ -0,0 +1,359 @@
+// Lightweight MySQL lexer. It does not parse SQL; it only splits text into tokens so
+// callers can tell literals, quoted identifiers, comments and placeholders apart.
+//
+// Token types:
+//   whitespace, comment, string, identifier (`quoted`), number, word, variable (@x, @@x),
+//   placeholder (? and ??), parameter (:name and ::name), semicolon, operator
+// Comments carry a `kind`: 'line', 'block', 'hint' (/*+ ... */) or 'executable' (/*! ... */).
+// Strings, identifiers and block comments that never close are flagged `unterminated`.
+
+const WORD_START = /[A-Za-z_$\u0080-\uffff]/;
+const WORD_CHAR = /[A-Za-z0-9_$\u0080-\uffff]/;
+const NUMBER = /(?:0x[0-9a-f]+|0b[01]+|(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)/iy;
+const NAME = /[A-Za-z_][A-Za-z0-9_]*/y;
+const VARIABLE = /@@?(?:[A-Za-z0-9_$.]+|'(?:[^']|'')*'|`(?:[^`]|``)*`)?/y;
+
+// End index (exclusive) of a quoted run starting at index
+function quotedEnd(sql, index, quote) {
+    let end = index + 1;
+    while (end < sql.length) {
+        if (sql[end] === '\\' && quote !== '`') {
+            end += 2;
+            continue;
+        }
+        if (sql[end] === quote) {
+            if (sql[end + 1] === quote) {
+                end += 2;
+                continue;
+            }
+            return { end: end + 1, unterminated: false };
+        }
+        end++;
+    }
+    return { end: sql.length, unterminated: true };
+}
+
+function tokenize(sql) {
+    const tokens = [];
+    let i = 0;
+
+    const push = (type, end, extra) => {
+        tokens.push({ type, value: sql.slice(i, end), start: i, end, ...extra });
+        i = end;
+    };
+
+    while (i < sql.length) {
+        const char = sql[i];
+        const next = sql[i + 1];
+
+        if (/\s/.test(char)) {
+            let end = i + 1;
+            while (end < sql.length && /\s/.test(sql[end])) end++;
+            push('whitespace', end);
+        } else if (char === '\'' || char === '"') {
+            const { end, unterminated } = quotedEnd(sql, i, char);
+            push('string', end, unterminated ? { unterminated } : undefined);
+        } else if (char === '`') {
+            const { end, unterminated } = quotedEnd(sql, i, char);
+            push('identifier', end, unterminated ? { unterminated } : undefined);
+        } else if ((char === '-' && next === '-' && (i + 2 >= sql.length || /\s/.test(sql[i + 2]))) || char === '#') {
+            const newline = sql.indexOf('\n', i);
+            push('comment', newline === -1 ? sql.length : newline, { kind: 'line' });
+        } else if (char === '/' && next === '*') {
+            const close = sql.indexOf('*/', i + 2);
+            const kind = sql[i + 2] === '+' ? 'hint' : sql[i + 2] === '!' ? 'executable' : 'block';
+            push('comment', close === -1 ? sql.length : close + 2, close === -1 ? { kind, unterminated: true } : { kind });
+        } else if (char === '?') {
+            push('placeholder', next === '?' ? i + 2 : i + 1);
+        } else if (char === ':' && (next === ':' || /[A-Za-z_]/.test(next || ''))) {
+            NAME.lastIndex = next === ':' ? i + 2 : i + 1;
+            const match = NAME.exec(sql);
+            if (match) {
+                push('parameter', NAME.lastIndex, { name: match[0], identifier: next === ':' });
+            } else {
+                push('operator', i + 1);
+            }
+        } else if (char === '@') {
+            VARIABLE.lastIndex = i;
+            VARIABLE.exec(sql);
+            push('variable', VARIABLE.lastIndex);
+        } else if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(next || ''))) {
+            NUMBER.lastIndex = i;
+            NUMBER.exec(sql);
+            let end = NUMBER.lastIndex;
+            // Identifiers may start with digits, e.g. 1st_table
+            if (end < sql.length && WORD_CHAR.test(sql[end]) && char !== '.') {
+                while (end < sql.length && WORD_CHAR.test(sql[end])) end++;
+                push('word', end);
+            } else {
+                push('number', end);
+            }
+        } else if (WORD_START.test(char)) {
+            let end = i + 1;
+            while (end < sql.length && WORD_CHAR.test(sql[end])) end++;
+            push('word', end);
+        } else if (char === ';') {
+            push('semicolon', i + 1);
+        } else {
+            push('operator', i + 1);
+        }
+    }
+
+    return tokens;
+}
+
+function isSignificant(token) {
+    return token.type !== 'whitespace' && token.type !== 'comment';
+}
+
+// Group tokens into statements separated by semicolons, dropping empty statements
+function tokenizeStatements(sql) {
+    const statements = [];
+    let current = [];
+
+    for (const token of tokenize(sql)) {
+        if (token.type === 'semicolon') {
+            if (current.some(isSignificant)) statements.push(current);
+            current = [];
+        } else {
+            current.push(token);
+        }
+    }
+
+    if (current.some(isSignificant)) statements.push(current);
+    return statements;
+}
+
+// Split a script into statements. Plain comments are removed; optimizer hints and
+// executable comments are kept because MySQL acts on them.
+function splitStatements(sql) {
+    return tokenizeStatements(sql).map(tokens => tokens
+        .filter(token => token.type !== 'comment' || token.kind === 'hint' || token.kind === 'executable')
+        .map(token => token.value)
+        .join('')
+        .trim());
+}
+
+// Leading keyword of a statement, e.g. 'SELECT'; CTEs report the statement they feed into
+function statementType(tokensOrSql) {
+    const tokens = (typeof tokensOrSql === 'string' ? tokenize(tokensOrSql) : tokensOrSql)
+        .filter(isSignificant);
+    const first = tokens.find(token => token.type === 'word');
+
+    if (!first) return null;
+
+    const keyword = first.value.toUpperCase();
+    if (keyword !== 'WITH') return keyword;
+
+    let depth = 0;
+    for (const token of tokens) {
+        if (token.value === '(') depth++;
+        else if (token.value === ')') depth--;
+        else if (depth === 0 && token.type === 'word') {
+            const word = token.value.toUpperCase();
+            if (['SELECT', 'INSERT', 'UPDATE', 'DELETE', 'REPLACE'].includes(word)) return word;
+        }
+    }
+    return keyword;
+}
+
+// SELECT/SHOW statements that neither lock rows nor write files, safe to run on a replica
+function isReadOnlyStatement(sql) {
+    const statements = tokenizeStatements(sql);
+    if (statements.length !== 1) return false;
+
+    const tokens = statements[0].filter(isSignificant);
+    const type = statementType(tokens);
+    if (type === 'SHOW') return true;
+    if (type !== 'SELECT') return false;
+
+    const words = tokens
+        .filter(token => token.type === 'word')
+        .map(token => token.value.toUpperCase());
+
+    for (let i = 0; i < words.length; i++) {
+        if (words[i] === 'INTO') return false;
+        if (words[i] === 'FOR' && (words[i + 1] === 'UPDATE' || words[i + 1] === 'SHARE')) return false;
+        if (words[i] === 'LOCK' && words[i + 1] === 'IN') return false;
+        if (['INSERT', 'UPDATE', 'DELETE', 'REPLACE'].includes(words[i])) return false;
+    }
+    return true;
+}
+
+// Normalised statement shape: comments dropped, literals and placeholders replaced with ?,
+// IN lists and VALUES tuples collapsed, keywords lowercased, whitespace squeezed
+function fingerprint(sql) {
+    const parts = [];
+
+    for (const token of tokenize(sql)) {
+        if (token.type === 'whitespace' || token.type === 'comment') {
+            if (parts.length > 0 && parts[parts.length - 1] !== ' ') parts.push(' ');
+        } else if (['string', 'number', 'placeholder', 'parameter'].includes(token.type)) {
+            parts.push('?');
+        } else if (token.type === 'word') {
+            parts.push(token.value.toLowerCase());
+        } else {
+            parts.push(token.value);
+        }
+    }
+
+    return parts.join('')
+        .trim()
+        .replace(/\s*;$/, '')
+        .replace(/\(\s*\?(?:\s*,\s*\?)+\s*\)/g, '(?+)')
+        .replace(/(\((?:\?\+?|\?(?:, \?)*)\))(?:\s*,\s*\((?:\?\+?|\?(?:, \?)*)\))+/g, '$1+');
+}
+
+// Keywords followed by a table reference
+const TABLE_KEYWORDS = ['FROM', 'JOIN', 'UPDATE', 'INTO', 'TABLE'];
+
+// Modifiers that may sit between a table keyword and the table name
+const TABLE_MODIFIERS = [
+    'LOW_PRIORITY', 'HIGH_PRIORITY', 'DELAYED', 'IGNORE', 'QUICK',
+    'TABLE', 'TEMPORARY', 'IF', 'NOT', 'EXISTS', 'LATERAL', 'ONLY', 'OUTFILE', 'DUMPFILE'
+];
+
+// Words that end a table reference instead of naming its alias
+const CLAUSE_KEYWORDS = [
+    'WHERE', 'SET', 'ON', 'USING', 'JOIN', 'INNER', 'LEFT', 'RIGHT', 'OUTER', 'CROSS', 'NATURAL',
+    'STRAIGHT_JOIN', 'GROUP', 'ORDER', 'LIMIT', 'HAVING', 'UNION', 'FOR', 'LOCK', 'WINDOW',
+    'VALUES', 'VALUE', 'SELECT', 'PARTITION', 'USE', 'FORCE', 'IGNORE', 'INTO', 'AS', 'WITH'
+];
+
+function unquoteName(token) {
+    return token.type === 'identifier' ? token.value.slice(1, -1).replace(/``/g, '`') : token.value;
+}
+
+// Lowercased names of the tables a statement reads or writes, without schema qualifiers.
+// The scan errs on the side of reporting too many names (e.g. EXTRACT(YEAR FROM col) reports col).
+function referencedTables(sql) {
+    const tables = new Set();
+
+    for (const statement of tokenizeStatements(sql)) {
+        const tokens = statement.filter(isSignificant);
+        let i = 0;
+
+        // Parse `name`, `schema.name` and comma separated lists of them with optional aliases
+        const readReference = () => {
+            while (tokens[i] && tokens[i].type === 'word' && TABLE_MODIFIERS.includes(tokens[i].value.toUpperCase())) i++;
+
+            const token = tokens[i];
+            if (!token || (token.type !== 'word' && token.type !== 'identifier')) return;
+
+            let name = unquoteName(token);
+            i++;
+            while (tokens[i] && tokens[i].value === '.' && tokens[i + 1] && ['word', 'identifier'].includes(tokens[i + 1].type)) {
+                name = unquoteName(tokens[i + 1]);
+                i += 2;
+            }
+            if (name.toUpperCase() !== 'DUAL') tables.add(name.toLowerCase());
+
+            if (tokens[i] && tokens[i].type === 'word' && tokens[i].value.toUpperCase() === 'AS') i += 2;
+            else if (tokens[i] && (tokens[i].type === 'identifier' || (tokens[i].type === 'word' && !CLAUSE_KEYWORDS.includes(tokens[i].value.toUpperCase())))) i++;
+
+            if (tokens[i] && tokens[i].value === ',') {
+                i++;
+                readReference();
+            }
+        };
+
+        while (i < tokens.length) {
+            const token = tokens[i++];
+            if (token.type === 'word' && TABLE_KEYWORDS.includes(token.value.toUpperCase())) {
+                readReference();
+            }
+        }
+    }
+
+    return [...tables];
+}
+
+// Words that compare a column with the value after them: col LIKE ?, col NOT IN (?, ?)
+const COMPARISON_WORDS = ['IN', 'LIKE', 'REGEXP', 'RLIKE', 'NOT'];
+
+// Lowercased column each ? placeholder is bound to, or null where that cannot be told from the
+// text. Covers comparisons and assignments (col = ?, col IN (?, ?), SET col = ?) and INSERT
+// column lists (INSERT INTO t (a, b) VALUES (?, ?), (?, ?)).
+function placeholderColumns(sql) {
+    const columns = [];
+
+    for (const statement of tokenizeStatements(sql)) {
+        const tokens = statement.filter(isSignificant);
+        let insertColumns = null;
+        let inValues = false;
+        let depth = 0;
+        let tupleIndex = 0;
+
+        const columnBefore = (index) => {
+            let i = index - 1;
+            while (i >= 0 && (tokens[i].type === 'placeholder' || tokens[i].value === ',' || tokens[i].value === '(')) i--;
+            const operatorEnd = i;
+            while (i >= 0 && ((tokens[i].type === 'operator' && '=<>!'.includes(tokens[i].value))
+                || (tokens[i].type === 'word' && COMPARISON_WORDS.includes(tokens[i].value.toUpperCase())))) i--;
+            if (i === operatorEnd || i < 0) return null;
+            return ['word', 'identifier'].includes(tokens[i].type) ? unquoteName(tokens[i]).toLowerCase() : null;
+        };
+
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+            const upper = token.type === 'word' ? token.value.toUpperCase() : null;
+
+            // INSERT INTO t (a, b): the parenthesised list right after the table name
+            if (upper === 'INTO' && !insertColumns) {
+                let j = i + 1;
+                while (tokens[j] && (['word', 'identifier'].includes(tokens[j].type) || tokens[j].value === '.')) j++;
+                if (tokens[j] && tokens[j].value === '(' && j > i + 1) {
+                    const names = [];
+                    let k = j + 1;
+                    while (tokens[k] && ['word', 'identifier'].includes(tokens[k].type)) {
+                        names.push(unquoteName(tokens[k]).toLowerCase());
+                        if (!tokens[k + 1] || tokens[k + 1].value !== ',') break;
+                        k += 2;
+                    }
+                    if (tokens[k + 1] && tokens[k + 1].value === ')' && names.length > 0) {
+                        insertColumns = names;
+                        i = k + 1;
+                    }
+                }
+                continue;
+            }
+
+            if ((upper === 'VALUES' || upper === 'VALUE') && insertColumns) {
+                inValues = true;
+                depth = 0;
+                continue;
+            }
+
+            if (inValues) {
+                if (token.value === '(') {
+                    depth++;
+                    if (depth === 1) tupleIndex = 0;
+                } else if (token.value === ')') {
+                    depth--;
+                } else if (token.value === ',' && depth === 1) {
+                    tupleIndex++;
+                } else if (depth === 0 && token.value !== ',') {
+                    // ON DUPLICATE KEY UPDATE, AS alias...: back to comparisons and assignments
+                    inValues = false;
+                }
+            }
+
+            if (token.type !== 'placeholder') continue;
+            columns.push(inValues && depth === 1 ? insertColumns[tupleIndex] || null : columnBefore(i));
+        }
+    }
+
+    return columns;
+}
+
+module.exports = {
+    tokenize,
+    tokenizeStatements,
+    splitStatements,
+    statementType,
+    isReadOnlyStatement,
+    fingerprint,
+    referencedTables,
+    placeholderColumns,
+    isSignificant
+};
@@ -0,0 +1,338 @@
+// Per-tenant MySQLMate instances for databases sharded by customer. A tenant key is resolved to
+// connection settings (static map or async resolver), which override the parent's settings; the
+// instance is created on first use, kept in an LRU capped at maxPools and closed when idle.
+
+const { AsyncLocalStorage } = require('async_hooks');
+const QueryBuilder = require('./queryBuilder');
+const Model = require('./model');
+const { Schema } = require('./schema');
+const { ValidationError, ShutdownError } = require('./errors');
+
+const TENANT_OPTIONS = ['resolve', 'maxPools', 'idleTimeout', 'shutdownTimeout'];
+
+// Parent options that describe the parent instance itself rather than defaults for tenants
+const NOT_INHERITED = ['tenants', 'replicas', 'processSignals', 'logger'];
+
+function createTenantConfig(options) {
+    const unknown = Object.keys(options).filter(key => !TENANT_OPTIONS.includes(key));
+    if (unknown.length > 0) {
+        throw new ValidationError(`Unknown tenants options: ${unknown.join(', ')}`, 'INVALID_OPTIONS');
+    }
+
+    const { resolve, maxPools = 50, idleTimeout = 300000, shutdownTimeout = 10000 } = options;
+    if (typeof resolve !== 'function' && (!resolve || typeof resolve !== 'object')) {
+        throw new ValidationError('tenants.resolve must be a map of tenant configs or a function', 'INVALID_OPTIONS');
+    }
+    if (!Number.isInteger(maxPools) || maxPools < 1) {
+        throw new ValidationError('tenants.maxPools must be a positive integer', 'INVALID_OPTIONS');
+    }
+    if (idleTimeout !== null && (!Number.isInteger(idleTimeout) || idleTimeout <= 0)) {
+        throw new ValidationError('tenants.idleTimeout must be a positive integer or null', 'INVALID_OPTIONS');
+    }
+
+    return { resolve, maxPools, idleTimeout, shutdownTimeout };
+}
+
+// An opened pool with no operations running; a pool still opening has a caller waiting for it
+function isIdle(entry) {
+    return entry.db !== null && entry.db.activeOperations.size === 0;
+}
+
+// db-like view of one tenant for forTenant(): every call runs in the tenant's context, so the
+// parent routes it to the tenant instance. Query builders and models work on it unchanged.
+class TenantScope {
+
+    constructor(manager, db, tenantId) {
+        this.manager = manager;
+        this.db = db;
+        this.tenantId = tenantId;
+        this.models = new Map();
+        this.schema = new Schema(this);
+    }
+
+    // Settings of the tenant instance once created (models read the timezone from here)
+    get config() {
+        const instance = this.manager.peek(this.tenantId);
+        return instance ? instance.config : this.db.config;
+    }
+
+    // The migrator's settings, whose table a schema diff leaves alone
+    get migrationConfig() {
+        const instance = this.manager.peek(this.tenantId);
+        return instance ? instance.migrationConfig : this.db.migrationConfig;
+    }
+
+    run(fn) {
+        return this.manager.run(this.tenantId, fn);
+    }
+
+    instance() {
+        return this.manager.get(this.tenantId);
+    }
+
+    query(sql, params, options) {
+        return this.run(() => this.db.query(sql, params, options));
+    }
+
+    transaction(callback, options) {
+        return this.run(() => this.db.transaction(callback, options));
+    }
+
+    multiQuery(queries, options) {
+        return this.run(() => this.db.multiQuery(queries, options));
+    }
+
+    insertMany(table, rows, options) {
+        return this.run(() => this.db.insertMany(table, rows, options));
+    }
+
+    getConnection() {
+        return this.run(() => this.db.getConnection());
+    }
+
+    table(name) {
+        return new QueryBuilder(this, name);
+    }
+
+    model(table, options) {
+        if (options === undefined && this.models.has(table)) {
+            return this.models.get(table);
+        }
+        const model = new Model(this, table, options);
+        this.models.set(table, model);
+        return model;
+    }
+}
+
+class TenantManager {
+
+    constructor(options, { db, baseConfig, create, logger, emit }) {
+        const { resolve, maxPools, idleTimeout, shutdownTimeout } = createTenantConfig(options);
+
+        this.resolve = resolve;
+        this.maxPools = maxPools;
+        this.idleTimeout = idleTimeout;
+        this.shutdownTimeout = shutdownTimeout;
+        this.db = db;
+        this.baseConfig = Object.fromEntries(Object.entries(baseConfig).filter(([key]) => !NOT_INHERITED.includes(key)));
+        this.create = create;
+        this.logger = logger;
+        this.emit = emit;
+
+        this.context = new AsyncLocalStorage();
+        // Map order is recency order: get() moves a tenant to the end
+        this.entries = new Map();
+        this.scopes = new Map();
+        this.stats = { created: 0, evicted: 0 };
+        this.closed = false;
+
+        this.evictionTimer = null;
+        if (idleTimeout !== null) {
+            this.evictionTimer = setInterval(() => this.evictIdle(), Math.min(idleTimeout, 60000));
+            this.evictionTimer.unref();
+        }
+    }
+
+    // Tenant of the current async context, set by run()/withTenant()
+    current() {
+        return this.context.getStore();
+    }
+
+    run(tenantId, fn) {
+        return this.context.run(String(tenantId), fn);
+    }
+
+    scope(tenantId) {
+        const key = String(tenantId);
+        if (!this.scopes.has(key)) {
+            this.scopes.set(key, new TenantScope(this, this.db, key));
+        }
+        return this.scopes.get(key);
+    }
+
+    // The tenant's instance if it has been created, without resolving or touching recency
+    peek(tenantId) {
+        const entry = this.entries.get(String(tenantId));
+        return entry ? entry.db : null;
+    }
+
+    // The tenant's instance, created on first use; concurrent first calls share one creation
+    async get(tenantId) {
+        if (this.closed) {
+            throw new ShutdownError('Database is shutting down, cannot open tenant pools');
+        }
+
+        const key = String(tenantId);
+        let entry = this.entries.get(key);
+        if (entry) {
+            this.entries.delete(key);
+        } else {
+            entry = { tenant: key, db: null, pending: null, lastUsed: 0 };
+            entry.pending = this.#open(entry);
+        }
+        entry.lastUsed = Date.now();
+        this.entries.set(key, entry);
+
+        if (!entry.db) {
+            this.#enforceLimit();
+            return entry.pending;
+        }
+        return entry.db;
+    }
+
+    async #open(entry) {
+        try {
+            const tenantConfig = typeof this.resolve === 'function'
+                ? await this.resolve(entry.tenant)
+                : this.resolve[entry.tenant];
+            if (!tenantConfig || typeof tenantConfig !== 'object') {
+                throw new ValidationError(`Unknown tenant: ${entry.tenant}`, 'UNKNOWN_TENANT');
+            }
+            if (this.closed) {
+                throw new ShutdownError('Database is shutting down, cannot open tenant pools');
+            }
+
+            entry.db = this.create({
+                ...this.baseConfig,
+                ...tenantConfig,
+                processSignals: false,
+                logger: typeof this.logger.child === 'function' ? this.logger.child({ tenant: entry.tenant }) : this.logger
+            });
+            this.stats.created++;
+            this.logger.info({ tenant: entry.tenant, database: entry.db.config.database }, 'Tenant pool created');
+            this.emit('tenantPoolCreated', { tenant: entry.tenant });
+            return entry.db;
+        } catch (error) {
+            if (this.entries.get(entry.tenant) === entry) this.entries.delete(entry.tenant);
+            this.scopes.delete(entry.tenant);
+            throw error;
+        }
+    }
+
+    // Close least recently used pools beyond maxPools. Only pools without active operations are
+    // closed; while the others are busy the limit is exceeded until one of them becomes idle.
+    #enforceLimit() {
+        for (const entry of [...this.entries.values()]) {
+            if (this.entries.size <= this.maxPools) return;
+            if (isIdle(entry)) this.#evict(entry, 'lru');
+        }
+        this.logger.warn({ pools: this.entries.size, maxPools: this.maxPools }, 'Tenant pools exceed maxPools, all of them are busy');
+    }
+
+    evictIdle() {
+        const cutoff = this.idleTimeout === null ? -Infinity : Date.now() - this.idleTimeout;
+        for (const entry of [...this.entries.values()]) {
+            if (isIdle(entry) && entry.lastUsed < cutoff) {
+                this.#evict(entry, 'idle');
+            }
+        }
+        // Pools kept beyond maxPools while busy are closed once they are idle
+        if (this.entries.size > this.maxPools) this.#enforceLimit();
+    }
+
+    // Close one tenant's pool now; the next call for the tenant opens a new one
+    async evict(tenantId) {
+        const entry = this.entries.get(String(tenantId));
+        if (!entry) return false;
+        await this.#evict(entry, 'manual');
+        return true;
+    }
+
+    async #evict(entry, reason) {
+        this.entries.delete(entry.tenant);
+        this.scopes.delete(entry.tenant);
+        this.stats.evicted++;
+        this.logger.info({ tenant: entry.tenant, reason }, 'Tenant pool evicted');
+        this.emit('tenantPoolEvicted', { tenant: entry.tenant, reason });
+
+        try {
+            const db = entry.db || await entry.pending;
+            await db.gracefulShutdown(this.shutdownTimeout);
+        } catch (error) {
+            // A pool that never opened has nothing to close
+            if (entry.db) {
+                this.logger.warn({ tenant: entry.tenant, error: error.message }, 'Failed to close evicted tenant pool');
+            }
+        }
+    }
+
+    list() {
+        return [...this.entries.values()].map(entry => ({
+            tenant: entry.tenant,
+            ready: Boolean(entry.db),
+            lastUsed: new Date(entry.lastUsed),
+            activeOperations: entry.db ? entry.db.activeOperations.size : 0
+        }));
+    }
+
+    // Per-tenant metrics plus totals across tenant pools
+    getMetrics() {
+        const tenants = {};
+        const totals = { totalQueries: 0, failedQueries: 0, activeConnections: 0, totalConnections: 0, activeOperations: 0 };
+
+        for (const entry of this.entries.values()) {
+            if (!entry.db) continue;
+            const metrics = entry.db.getMetrics();
+            tenants[entry.tenant] = metrics;
+            totals.totalQueries += metrics.totalQueries;
+            totals.failedQueries += metrics.failedQueries;
+            totals.activeConnections += metrics.activeConnections;
+            totals.totalConnections += metrics.totalConnections;
+            totals.activeOperations += entry.db.activeOperations.size;
+        }
+
+        return {
+            pools: this.entries.size,
+            maxPools: this.maxPools,
+            created: this.stats.created,
+            evicted: this.stats.evicted,
+            ...totals,
+            tenants
+        };
+    }
+
+    // Stop opening pools and shut every tenant pool down with the parent's timeout
+    async shutdown(timeout) {
+        this.closed = true;
+        this.#stopEviction();
+        const entries = [...this.entries.values()];
+        this.entries.clear();
+        this.scopes.clear();
+
+        await Promise.all(entries.map(async (entry) => {
+            try {
+                const db = entry.db || await entry.pending;
+                await db.gracefulShutdown(timeout);
+            } catch (error) {
+                if (entry.db) {
+                    this.logger.error({ tenant: entry.tenant, error: error.message }, 'Tenant pool shutdown failed');
+                }
+            }
+        }));
+    }
+
+    async close() {
+        this.closed = true;
+        this.#stopEviction();
+        const entries = [...this.entries.values()];
+        this.entries.clear();
+        this.scopes.clear();
+
+        await Promise.all(entries.map(async (entry) => {
+            const db = entry.db || await entry.pending.catch(() => null);
+            if (db) await db.close();
+        }));
+    }
+
+    #stopEviction() {
+        if (this.evictionTimer) {
+            clearInterval(this.evictionTimer);
+            this.evictionTimer = null;
+        }
+    }
+}
+
+module.exports = {
+    TenantManager,
+    TenantScope
+};
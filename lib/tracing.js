@@ -0,0 +1,120 @@
+// Spans for queries, transactions and pool checkouts through an OpenTelemetry-compatible tracer.
+// Only the Tracer interface is used (startActiveSpan), so @opentelemetry/api stays an application
+// dependency; startActiveSpan makes each span current, so nested calls become its children.
+
+const { statementType, fingerprint } = require('./sqlLexer');
+const { ValidationError } = require('./errors');
+
+// Numeric values of the @opentelemetry/api SpanKind and SpanStatusCode enums
+const SPAN_KIND = { INTERNAL: 0, CLIENT: 2 };
+const SPAN_STATUS = { ERROR: 2 };
+
+const STATEMENT_MODES = ['sql', 'fingerprint', 'none'];
+
+const TRACING_OPTIONS = ['tracer', 'statement'];
+
+function withoutUndefined(attributes) {
+    return Object.fromEntries(Object.entries(attributes).filter(([, value]) => value !== undefined));
+}
+
+class Tracing {
+
+    constructor(options, dbConfig) {
+        const unknown = Object.keys(options).filter(key => !TRACING_OPTIONS.includes(key));
+        if (unknown.length > 0) {
+            throw new ValidationError(`Unknown tracing options: ${unknown.join(', ')}`, 'INVALID_OPTIONS');
+        }
+
+        const { tracer, statement = 'sql' } = options;
+        if (!tracer || typeof tracer.startActiveSpan !== 'function') {
+            throw new ValidationError('tracing.tracer must be an OpenTelemetry tracer', 'INVALID_OPTIONS');
+        }
+        if (!STATEMENT_MODES.includes(statement)) {
+            throw new ValidationError(`tracing.statement must be one of: ${STATEMENT_MODES.join(', ')}`, 'INVALID_OPTIONS');
+        }
+
+        this.tracer = tracer;
+        this.statementMode = statement;
+        this.database = dbConfig.database;
+
+        // Connection attributes shared by every span, named as in the OpenTelemetry database conventions
+        this.baseAttributes = withoutUndefined({
+            'db.system': 'mysql',
+            'db.name': dbConfig.database,
+            'db.user': dbConfig.user,
+            'net.peer.name': dbConfig.socketPath ? undefined : dbConfig.host,
+            'net.peer.port': dbConfig.socketPath ? undefined : dbConfig.port || 3306
+        });
+    }
+
+    statementAttributes(sql) {
+        const attributes = { 'db.operation': statementType(sql) || undefined };
+        if (this.statementMode === 'sql') attributes['db.statement'] = sql;
+        if (this.statementMode === 'fingerprint') attributes['db.statement'] = fingerprint(sql);
+        return withoutUndefined(attributes);
+    }
+
+    // "SELECT shop" style names: the operation and the database, per the database span conventions
+    statementSpanName(sql) {
+        const operation = statementType(sql) || 'query';
+        return this.database ? `${operation} ${this.database}` : operation;
+    }
+
+    // Run fn inside an active span; a thrown error is recorded and sets the span status
+    span(name, { kind = SPAN_KIND.INTERNAL, attributes = {} }, fn) {
+        return this.tracer.startActiveSpan(name, {
+            kind,
+            attributes: { ...this.baseAttributes, ...attributes }
+        }, async (span) => {
+            try {
+                return await fn(span);
+            } catch (error) {
+                span.recordException(error);
+                span.setStatus({ code: SPAN_STATUS.ERROR, message: error.message });
+                if (error.code) span.setAttribute('error.type', String(error.code));
+                throw error;
+            } finally {
+                span.end();
+            }
+        });
+    }
+
+    statement(sql, fn) {
+        return this.span(this.statementSpanName(sql), {
+            kind: SPAN_KIND.CLIENT,
+            attributes: this.statementAttributes(sql)
+        }, fn);
+    }
+
+    // Built-in middleware; ctx.span lets the retry middleware add events to the call's span
+    middleware() {
+        return {
+            name: 'tracing',
+            query: (ctx, next) => this.statement(ctx.sql, async (span) => {
+                ctx.span = span;
+                try {
+                    return await next();
+                } finally {
+                    if (ctx.pool) span.setAttribute('db.mysqlmate.pool', ctx.pool);
+                    span.setAttribute('db.mysqlmate.attempts', ctx.attempt + 1);
+                }
+            }),
+            transaction: (ctx, next) => this.span('mysqlmate.transaction', {
+                attributes: withoutUndefined({
+                    'db.mysqlmate.nested': ctx.nested,
+                    'db.mysqlmate.isolation_level': ctx.options.isolationLevel
+                })
+            }, (span) => {
+                ctx.span = span;
+                return next();
+            }),
+            getConnection: (ctx, next) => this.span('mysqlmate.acquire', {}, () => next())
+        };
+    }
+}
+
+module.exports = {
+    SPAN_KIND,
+    SPAN_STATUS,
+    Tracing
+};
@@ -0,0 +1,94 @@
+// Statements for starting transactions with explicit characteristics and for savepoints.
+
+const { ValidationError } = require('./errors');
+
+const ISOLATION_LEVELS = ['READ UNCOMMITTED', 'READ COMMITTED', 'REPEATABLE READ', 'SERIALIZABLE'];
+
+const TRANSACTION_OPTIONS = ['isolationLevel', 'readOnly', 'consistentSnapshot'];
+
+// Errors after which re-running the whole transaction is expected to succeed
+const DEFAULT_TRANSACTION_RETRY = {
+    enabled: false,
+    maxAttempts: 3,
+    retryableErrors: ['ER_LOCK_DEADLOCK', 'ER_LOCK_WAIT_TIMEOUT'],
+    jitter: 0.5                     // Up to 50% extra random delay so colliding transactions spread out
+};
+
+const RETRY_OPTIONS = Object.keys(DEFAULT_TRANSACTION_RETRY);
+
+function validateOptions(options) {
+    const unknown = Object.keys(options).filter(key => !TRANSACTION_OPTIONS.includes(key));
+    if (unknown.length > 0) {
+        throw new ValidationError(`Unknown transaction options: ${unknown.join(', ')}`, 'INVALID_OPTIONS');
+    }
+}
+
+function normalizeIsolationLevel(level) {
+    const normalized = String(level).toUpperCase().replace(/[_-]/g, ' ').trim();
+    if (!ISOLATION_LEVELS.includes(normalized)) {
+        throw new ValidationError(`Unsupported isolation level: ${level}`, 'INVALID_OPTIONS');
+    }
+    return normalized;
+}
+
+// Statements that start a transaction; null means a plain beginTransaction() is enough
+function beginStatements(options = {}) {
+    validateOptions(options);
+    const { isolationLevel, readOnly = false, consistentSnapshot = false } = options;
+
+    const characteristics = [];
+    if (readOnly) characteristics.push('READ ONLY');
+    if (consistentSnapshot) characteristics.push('WITH CONSISTENT SNAPSHOT');
+
+    if (!isolationLevel && characteristics.length === 0) return null;
+
+    const statements = [];
+    // SET TRANSACTION without a scope applies only to the next transaction on the session
+    if (isolationLevel) {
+        statements.push(`SET TRANSACTION ISOLATION LEVEL ${normalizeIsolationLevel(isolationLevel)}`);
+    }
+    statements.push(characteristics.length > 0
+        ? `START TRANSACTION ${characteristics.join(', ')}`
+        : 'START TRANSACTION');
+    return statements;
+}
+
+// Merge transaction retry overrides onto a base configuration, rejecting unknown keys
+function createRetryConfig(base = DEFAULT_TRANSACTION_RETRY, overrides = {}) {
+    const unknown = Object.keys(overrides).filter(key => !RETRY_OPTIONS.includes(key));
+    if (unknown.length > 0) {
+        throw new ValidationError(`Unknown transaction retry options: ${unknown.join(', ')}`, 'INVALID_OPTIONS');
+    }
+
+    const config = { ...base, ...overrides };
+    if (!Number.isInteger(config.maxAttempts) || config.maxAttempts < 1) {
+        throw new ValidationError('Transaction retry maxAttempts must be a positive integer', 'INVALID_OPTIONS');
+    }
+    if (typeof config.jitter !== 'number' || config.jitter < 0) {
+        throw new ValidationError('Transaction retry jitter must be a non-negative number', 'INVALID_OPTIONS');
+    }
+    return config;
+}
+
+// Per-call retry setting: undefined follows the instance default, true/false force it, an object overrides it
+function resolveRetry(base, retry) {
+    if (retry === undefined) return base.enabled ? base : null;
+    if (retry === false) return null;
+    if (retry === true) return base;
+    return createRetryConfig(base, retry);
+}
+
+// Savepoint names are generated, never user supplied, so they need no escaping
+function savepointName(index) {
+    return `mysqlmate_sp_${index}`;
+}
+
+module.exports = {
+    ISOLATION_LEVELS,
+    DEFAULT_TRANSACTION_RETRY,
+    createRetryConfig,
+    resolveRetry,
+    validateOptions,
+    beginStatements,
+    savepointName
+};